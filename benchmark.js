@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+// Benchmark of the schema introspection against a generated large schema, on the two MySQL servers
+// of docker-compose.yml:
+//   docker compose up -d
+//   npm run benchmark                      (1500 tables, or BENCHMARK_TABLES=5000 npm run benchmark)
+// Creates the databases benchmark_dev and benchmark_main, compares them, prints the time per phase
+// and drops them again.
+const mysql = require('mysql2/promise');
+const chalk = require('chalk');
+const { DatabaseSource, compareSchemas, MigrationGenerator } = require('./lib');
+
+const TABLES = Number(process.env.BENCHMARK_TABLES) || 1500;
+// Tables per CREATE TABLE batch
+const BATCH_SIZE = 100;
+
+const SERVERS = {
+  main: { host: process.env.MAIN_DB_HOST || '127.0.0.1', port: Number(process.env.MAIN_DB_PORT) || 3307, database: 'benchmark_main' },
+  dev: { host: process.env.DEV_DB_HOST || '127.0.0.1', port: Number(process.env.DEV_DB_PORT) || 3308, database: 'benchmark_dev' }
+};
+
+// Table i: a dozen columns, a few indexes and a foreign key to the previous table. Every tenth table
+// of dev has an extra column and index, so the comparison has something to report.
+function createTableStatement(i, side) {
+  const name = `table_${String(i).padStart(5, '0')}`;
+  const changed = side === 'dev' && i % 10 === 0;
+
+  return `CREATE TABLE \`${name}\` (
+    id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+    parent_id INT UNSIGNED NULL,
+    code VARCHAR(32) NOT NULL,
+    name VARCHAR(255) NOT NULL DEFAULT '',
+    description TEXT NULL,
+    status ENUM('draft', 'active', 'archived') NOT NULL DEFAULT 'draft',
+    amount DECIMAL(12, 2) NOT NULL DEFAULT 0,
+    quantity INT NOT NULL DEFAULT 0,
+    flags TINYINT(1) NOT NULL DEFAULT 0,
+    payload JSON NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,${changed ? `
+    notes VARCHAR(500) NULL,` : ''}
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_code (code),
+    KEY idx_status_created (status, created_at),
+    KEY idx_name (name(20)),${changed ? `
+    KEY idx_notes (notes),` : ''}
+    KEY idx_parent (parent_id)${i > 0 ? `,
+    CONSTRAINT fk_${name}_parent FOREIGN KEY (parent_id) REFERENCES table_${String(i - 1).padStart(5, '0')} (id) ON DELETE SET NULL` : ''}
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci`;
+}
+
+async function createSchema(side) {
+  const { database, ...server } = SERVERS[side];
+  const connection = await mysql.createConnection({ ...server, user: 'root', password: 'root', multipleStatements: true });
+
+  try {
+    await connection.query(`DROP DATABASE IF EXISTS \`${database}\``);
+    await connection.query(`CREATE DATABASE \`${database}\``);
+    await connection.query(`USE \`${database}\``);
+
+    for (let start = 0; start < TABLES; start += BATCH_SIZE) {
+      const statements = [];
+      for (let i = start; i < Math.min(start + BATCH_SIZE, TABLES); i++) {
+        statements.push(createTableStatement(i, side));
+      }
+      await connection.query(statements.join(';\n'));
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+async function dropSchema(side) {
+  const { database, ...server } = SERVERS[side];
+  const connection = await mysql.createConnection({ ...server, user: 'root', password: 'root' });
+
+  try {
+    await connection.query(`DROP DATABASE IF EXISTS \`${database}\``);
+  } finally {
+    await connection.end();
+  }
+}
+
+async function runBenchmark() {
+  console.log(chalk.blue(`🏗️  Generating ${TABLES} tables on both servers...`));
+  let startedAt = Date.now();
+  await Promise.all([createSchema('main'), createSchema('dev')]);
+  console.log(chalk.gray(`   done in ${Date.now() - startedAt} ms\n`));
+
+  let main = null;
+  let dev = null;
+
+  try {
+    startedAt = Date.now();
+    [main, dev] = await Promise.all([
+      DatabaseSource.connect({ ...SERVERS.main, user: 'root', password: 'root' }),
+      DatabaseSource.connect({ ...SERVERS.dev, user: 'root', password: 'root' })
+    ]);
+    const connect = Date.now() - startedAt;
+
+    const result = await compareSchemas(dev, main);
+
+    startedAt = Date.now();
+    const migration = new MigrationGenerator().generateMigration(result);
+    const migrationTime = Date.now() - startedAt;
+
+    const { introspection, comparison } = result.timings;
+    const total = connect + Math.max(introspection.dev, introspection.main) + comparison + migrationTime;
+
+    console.log(chalk.blue('⏱️  BENCHMARK:'));
+    console.log(chalk.white(`Tables per side: ${TABLES}`));
+    console.log(chalk.white(`Connect: ${connect} ms`));
+    console.log(chalk.white(`Introspection: dev ${introspection.dev} ms, main ${introspection.main} ms (concurrently)`));
+    console.log(chalk.white(`Comparison: ${comparison} ms`));
+    console.log(chalk.white(`Migration: ${migrationTime} ms (${migration.length} lines)`));
+    console.log(chalk.white(`Total: ${total} ms (${Math.round(TABLES / (total / 1000))} tables/s)`));
+    console.log(chalk.white(`Differences found: ${result.changes.length}`));
+  } finally {
+    if (main) await main.end();
+    if (dev) await dev.end();
+    await Promise.all([dropSchema('main'), dropSchema('dev')]);
+  }
+}
+
+runBenchmark().catch(error => {
+  console.error(chalk.red(`❌ Benchmark failed: ${error.message}`));
+  process.exit(1);
+});
@@ -1,700 +1,450 @@
-const mysql = require('mysql2/promise');
+const fs = require('fs');
+const path = require('path');
 const chalk = require('chalk');
 const core = require('@actions/core');
+const YAML = require('yaml');
+const { runCompare, getApplyFailure, setupRedaction } = require('./lib/run');
+const { runComparisons, runMatrix } = require('./lib/multi');
+const { ConfigError, resolveSourceSpec } = require('./lib/config');
+const { COMMENT_MODES, RESOLVED_MODES, publishComment } = require('./lib/pr-comment');
+const { getFailingChanges, countSeverities } = require('./lib/severity');
+const { formatChangeMessage } = require('./lib/compare');
+const { findDefinitionLine } = require('./lib/sql-utils');
+const { onSecret, redact } = require('./lib/redact');
+const {
+  formatComparisonsSummary,
+  formatComparisonsPRComment,
+  formatMatrixSummary,
+  formatMatrixPRComment
+} = require('./lib/reporters/markdown');
+
+// GitHub Action entry point: reads the action inputs and runs the same comparison as the CLI (cli.js)
+
+const PR_COMMENT_SQL_MODES = ['auto', 'include', 'omit'];
+
+// One side of the comparison from the <side>-* inputs
+function readSourceInputs(side) {
+  const snapshotFile = core.getInput(`${side}-snapshot-file`);
+  if (snapshotFile) {
+    return { type: 'snapshot', path: snapshotFile };
+  }
 
-class SchemaChecker {
-  constructor() {
-    this.mainDb = null;
-    this.devDb = null;
-    this.capturedOutput = [];
+  const schemaFile = core.getInput(`${side}-schema-file`);
+  if (schemaFile) {
+    return { type: 'schema-file', path: schemaFile };
   }
 
-  // Capture console output for GitHub Actions summary
-  captureOutput(message) {
-    this.outputLines.push(message);
-    console.log(message);
+  // Certificates and keys are passed as their contents (usually secrets), not as paths
+  let ssl = false;
+  if (core.getInput(`${side}-db-ssl`) === 'true') {
+    ssl = {};
+    ['ca', 'cert', 'key'].forEach(option => {
+      const value = core.getInput(`${side}-db-ssl-${option}`);
+      if (value) ssl[option] = value;
+    });
+    if (core.getInput(`${side}-db-ssl-reject-unauthorized`) === 'false') {
+      ssl.rejectUnauthorized = false;
+    }
   }
 
-  // Override console.log temporarily to capture all output
-  setupOutputCapture() {
-    this.capturedOutput = [];
-    
-    // Store original console methods
-    this.originalConsole = {
-      log: console.log,
-      error: console.error,
-      warn: console.warn,
-      info: console.info
+  const spec = {
+    type: 'database',
+    host: core.getInput(`${side}-db-host`),
+    port: core.getInput(`${side}-db-port`),
+    user: core.getInput(`${side}-db-user`),
+    password: core.getInput(`${side}-db-password`),
+    database: core.getInput(`${side}-db-name`),
+    ssl,
+    auth: core.getInput(`${side}-db-auth`) || 'password',
+    connectTimeout: core.getInput('connect-timeout') || undefined,
+    connectRetries: core.getInput('connect-retries') || undefined
+  };
+
+  const optional = {
+    socketPath: core.getInput(`${side}-db-socket`),
+    awsRegion: core.getInput(`${side}-db-aws-region`),
+    passwordCommand: core.getInput(`${side}-db-password-command`)
+  };
+  Object.entries(optional).filter(([, value]) => value).forEach(([key, value]) => { spec[key] = value; });
+
+  const sshHost = core.getInput(`${side}-ssh-host`);
+  if (sshHost) {
+    spec.ssh = {
+      host: sshHost,
+      port: core.getInput(`${side}-ssh-port`) || 22,
+      user: core.getInput(`${side}-ssh-user`),
+      privateKey: core.getInput(`${side}-ssh-private-key`) || undefined,
+      knownHosts: core.getInput(`${side}-ssh-known-hosts`) || undefined
     };
-    
-    // Override console methods to capture all output
-    const captureOutput = (type, originalMethod) => {
-      return (...args) => {
-        // Convert arguments to strings, handling chalk colors
-        const message = args.map(arg => {
-          if (typeof arg === 'string') {
-            // Strip ANSI color codes for clean summary output
-            return arg.replace(/\x1b\[[0-9;]*m/g, '');
-          }
-          return JSON.stringify(arg);
-        }).join(' ');
-        
-        this.capturedOutput.push({ type, message, timestamp: new Date().toISOString() });
-        originalMethod.apply(console, args);
-      };
-    };
-    
-    console.log = captureOutput('log', this.originalConsole.log);
-    console.error = captureOutput('error', this.originalConsole.error);
-    console.warn = captureOutput('warn', this.originalConsole.warn);
-    console.info = captureOutput('info', this.originalConsole.info);
+    if (core.getInput(`${side}-ssh-strict-host-key-checking`) === 'false') {
+      spec.ssh.strictHostKeyChecking = false;
+    }
   }
 
-  restoreConsoleLog() {
-    // Restore all original console methods
-    console.log = this.originalConsole.log;
-    console.error = this.originalConsole.error;
-    console.warn = this.originalConsole.warn;
-    console.info = this.originalConsole.info;
+  return spec;
+}
+
+// A YAML list input, or null when it is not set
+function readListInput(name) {
+  const value = core.getInput(name);
+  if (!value) return null;
+
+  let list;
+  try {
+    list = YAML.parse(value);
+  } catch (error) {
+    throw new ConfigError(`Could not parse ${name}: ${error.message}`);
   }
 
-  // Generate GitHub Actions step summary with full console output
-  generateActionsSummary(result) {
-    const summary = [];
-    
-    summary.push('# 🔍 MySQL Schema Comparison Report');
-    summary.push('');
-    
-    // Status
-    if (result.isInSync) {
-      summary.push('## ✅ Status: In Sync');
-      summary.push('Main database has everything from dev database.');
-    } else {
-      summary.push('## ❌ Status: Out of Sync');
-      summary.push('Main database is missing elements from dev database.');
-    }
-    
-    summary.push('');
-    
-    // Summary statistics
-    summary.push('## 📊 Summary');
-    summary.push('| Category | Count |');
-    summary.push('|----------|-------|');
-    summary.push(`| Missing Tables | ${result.missingTables?.length || 0} |`);
-    summary.push(`| Missing Columns | ${result.missingColumns?.length || 0} |`);
-    summary.push(`| Different Columns | ${result.differentColumns?.length || 0} |`);
-    summary.push(`| Missing Indexes | ${result.missingIndexes?.length || 0} |`);
-    summary.push('');
-    
-    // Full console output
-    summary.push('## 📋 Full Console Output');
-    summary.push('');
-    summary.push('<details>');
-    summary.push('<summary>Click to view complete log</summary>');
-    summary.push('');
-    summary.push('```');
-    
-    if (this.capturedOutput && this.capturedOutput.length > 0) {
-      this.capturedOutput.forEach(output => {
-        const timestamp = new Date(output.timestamp).toLocaleTimeString();
-        summary.push(`[${timestamp}] ${output.message}`);
-      });
-    } else {
-      summary.push('No output captured');
-    }
-    
-    summary.push('```');
-    summary.push('</details>');
-    summary.push('');
-    
-    // Detailed differences (if any)
-    if (!result.isInSync) {
-      if (result.missingTables?.length > 0) {
-        summary.push('## 📋 Missing Tables');
-        result.missingTables.forEach(table => {
-          summary.push(`- ${table}`);
-        });
-        summary.push('');
-      }
-      
-      if (result.missingColumns?.length > 0) {
-        summary.push('## 📋 Missing Columns');
-        result.missingColumns.forEach(col => {
-          summary.push(`- ${col.table}.${col.column}`);
-        });
-        summary.push('');
-      }
-      
-      if (result.differentColumns?.length > 0) {
-        summary.push('## 📋 Different Columns');
-        result.differentColumns.forEach(col => {
-          summary.push(`- ${col.table}.${col.column}: ${col.difference}`);
-        });
-        summary.push('');
-      }
-    }
-    
-    summary.push('---');
-    summary.push(`Generated at: ${new Date().toISOString()}`);
-    
-    return summary.join('\n');
+  if (!Array.isArray(list)) {
+    throw new ConfigError(`${name} must be a YAML list`);
   }
+  return list;
+}
 
-  // Generate detailed PR comment with SQL commands
-  async generatePRComment(result) {
-    const comment = [];
-    
-    comment.push('## 🚨 Database Schema Differences Detected');
-    comment.push('');
-    comment.push('The schema comparison between your development and production databases found differences:');
-    comment.push('');
-    
-    // Summary table
-    comment.push('| Category | Count |');
-    comment.push('|----------|-------|');
-    comment.push(`| Missing Tables | ${result.missingTables?.length || 0} |`);
-    comment.push(`| Missing Columns | ${result.missingColumns?.length || 0} |`);
-    comment.push(`| Different Columns | ${result.differentColumns?.length || 0} |`);
-    comment.push(`| Missing Indexes | ${result.missingIndexes?.length || 0} |`);
-    comment.push('');
-    
-    // Detailed differences
-    if (result.missingTables?.length > 0 || result.missingColumns?.length > 0 || result.differentColumns?.length > 0 || result.missingIndexes?.length > 0) {
-      comment.push('## 🔍 Detailed Differences');
-      comment.push('');
-      
-      // Group differences by table
-      const tableGroups = {};
-      
-      // Add missing tables
-      if (result.missingTables?.length > 0) {
-        result.missingTables.forEach(table => {
-          if (!tableGroups[table]) tableGroups[table] = { missing: true, columns: [], indexes: [] };
-        });
-      }
-      
-      // Add missing columns
-      if (result.missingColumns?.length > 0) {
-        result.missingColumns.forEach(({ table, column }) => {
-          if (!tableGroups[table]) tableGroups[table] = { columns: [], indexes: [] };
-          tableGroups[table].columns.push({ type: 'missing', column });
-        });
-      }
-      
-      // Add different columns
-      if (result.differentColumns?.length > 0) {
-        result.differentColumns.forEach(({ table, column, differences }) => {
-          if (!tableGroups[table]) tableGroups[table] = { columns: [], indexes: [] };
-          tableGroups[table].columns.push({ type: 'different', column, differences });
-        });
-      }
-      
-      // Add missing indexes
-      if (result.missingIndexes?.length > 0) {
-        result.missingIndexes.forEach(index => {
-          if (!tableGroups[index.table]) tableGroups[index.table] = { columns: [], indexes: [] };
-          tableGroups[index.table].indexes.push(index);
-        });
-      }
-      
-      // Display grouped differences
-      Object.keys(tableGroups).forEach(tableName => {
-        const group = tableGroups[tableName];
-        
-        if (group.missing) {
-          comment.push(`### ❌ Table: \`${tableName}\``);
-          comment.push('**Missing entire table in main database**');
-          comment.push('');
-        } else {
-          comment.push(`### ⚠️ Table: \`${tableName}\``);
-          
-          // Show column differences
-          if (group.columns.length > 0) {
-            comment.push('**Column differences:**');
-            group.columns.forEach(({ type, column, differences }) => {
-              if (type === 'missing') {
-                comment.push(`- ❌ Missing column: \`${column.name}\` (\`${column.type}\`)`);
-              } else if (type === 'different') {
-                comment.push(`- ⚠️ Different column: \`${column.name}\` - ${differences.join(', ')}`);
-              }
-            });
-            comment.push('');
-          }
-          
-          // Show index differences
-          if (group.indexes.length > 0) {
-            comment.push('**Index differences:**');
-            group.indexes.forEach(index => {
-              const columns = index.columns.join(', ');
-              const unique = index.unique ? 'UNIQUE ' : '';
-              comment.push(`- ❌ Missing ${unique}index: \`${index.name}\` on columns (\`${columns}\`)`);
-            });
-            comment.push('');
-          }
-        }
-      });
-      
-      // SQL Commands section
-      comment.push('## 📋 SQL Commands to Fix');
-      comment.push('');
-      comment.push('<details>');
-      comment.push('<summary>Click to view SQL commands</summary>');
-      comment.push('');
-      comment.push('```sql');
-      
-      // Missing tables
-      if (result.missingTables?.length > 0) {
-        comment.push('-- Missing Tables --');
-        for (const table of result.missingTables) {
-          const createStatement = await this.getCreateTableStatement(this.devDb, table);
-          comment.push(createStatement + ';');
-          comment.push('');
-        }
-      }
-      
-      // Missing columns
-      if (result.missingColumns?.length > 0) {
-        comment.push('-- Missing Columns --');
-        for (const { table, column } of result.missingColumns) {
-          const alterStatement = this.generateAlterColumnCommand(table, column);
-          comment.push(alterStatement);
-        }
-        comment.push('');
-      }
-      
-      // Different columns
-      if (result.differentColumns?.length > 0) {
-        comment.push('-- Modified Columns (review carefully before running) --');
-        for (const { table, column, differences } of result.differentColumns) {
-          comment.push(`-- Column ${column.name} in table ${table}: ${differences.join(', ')}`);
-          const modifyStatement = this.generateModifyColumnCommand(table, column);
-          comment.push(modifyStatement);
-        }
-        comment.push('');
-      }
-      
-      // Missing indexes
-      if (result.missingIndexes?.length > 0) {
-        comment.push('-- Missing Indexes --');
-        for (const index of result.missingIndexes) {
-          const createStatement = this.generateCreateIndexCommand(index);
-          comment.push(createStatement);
-        }
-      }
-      
-      comment.push('```');
-      comment.push('</details>');
-      comment.push('');
+// One side of a `comparisons` entry: a schema name on the server from the <side>-db-* inputs,
+// a .sql/.json file, or connection fields that override those inputs
+function readComparisonSource(side, value) {
+  const inputs = readSourceInputs(side);
+  if (value === undefined || value === null) return inputs;
+
+  if (typeof value === 'string') {
+    if (/\.(sql|json)$/i.test(value)) return resolveSourceSpec(value);
+    if (inputs.type !== 'database') {
+      throw new ConfigError(`comparisons: '${value}' is a schema name, but ${side} is not a database`);
     }
-    
-    // Next steps
-    comment.push('### 📋 Next Steps:');
-    comment.push(`1. Review the detailed comparison in the [Actions summary](${process.env.GITHUB_SERVER_URL}/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID})`);
-    comment.push('2. Apply the generated SQL commands to your production database');
-    comment.push('3. Re-run this check to verify the changes');
-    comment.push('');
-    
-    // Important notes
-    comment.push('### ⚠️ Important:');
-    comment.push('- Review all SQL commands before executing them');
-    comment.push('- Consider creating a backup before applying changes');
-    comment.push('- Test changes in a staging environment first');
-    comment.push('');
-    
-    comment.push('---');
-    comment.push('🤖 *This comment was automatically generated by the MySQL Schema Compare action*');
-    
-    return comment.join('\n');
+    return { ...inputs, database: value };
   }
 
-  async connect() {
-    console.log(chalk.blue('🚀 Connecting to databases (read-only)...\n'));
-    
-    const mainConfig = {
-      host: core.getInput('main-db-host'),
-      port: core.getInput('main-db-port'),
-      user: core.getInput('main-db-user'),
-      password: core.getInput('main-db-password'),
-      database: core.getInput('main-db-name')
-    };
+  if (value.snapshot || value.schemaFile || value.url) return resolveSourceSpec(value);
+  return { ...inputs, ...value, type: 'database' };
+}
 
-    if (core.getInput('main-db-ssl') === 'true') {
-      const mainSslCa = core.getInput('main-db-ssl-ca');
-      if (mainSslCa) {
-        mainConfig.ssl = { ca: mainSslCa };
-      } else {
-        mainConfig.ssl = {};
-      }
-    }
+// Several pairs from the `comparisons` input, or every schema matching the `schemas` input
+function readComparisons() {
+  const schemas = core.getInput('schemas');
+  if (schemas) {
+    return [{ main: readSourceInputs('main'), dev: readSourceInputs('dev'), schemas }];
+  }
 
-    this.mainDb = await mysql.createConnection(mainConfig);
+  const comparisons = readListInput('comparisons');
+  return comparisons && comparisons.map(comparison => ({
+    name: comparison.name,
+    main: readComparisonSource('main', comparison.main),
+    dev: readComparisonSource('dev', comparison.dev),
+    schemas: comparison.schemas
+  }));
+}
 
-    const devConfig = {
-      host: core.getInput('dev-db-host'),
-      port: core.getInput('dev-db-port'),
-      user: core.getInput('dev-db-user'),
-      password: core.getInput('dev-db-password'),
-      database: core.getInput('dev-db-name')
-    };
+// Matrix environments from the `environments` input: [{ name, source }]
+function readEnvironments() {
+  const environments = readListInput('environments');
+  return environments && environments.map(environment => ({
+    name: environment.name || String(environment.source),
+    spec: resolveSourceSpec(environment.source)
+  }));
+}
 
-    if (core.getInput('dev-db-ssl') === 'true') {
-      const devSslCa = core.getInput('dev-db-ssl-ca');
-      if (devSslCa) {
-        devConfig.ssl = { ca: devSslCa };
-      } else {
-        devConfig.ssl = {};
-      }
-    }
+function readActionSettings() {
+  const environments = readEnvironments();
+  const comparisons = environments ? null : readComparisons();
+  const single = !environments && !comparisons;
+
+  // Validated up front, so a typo fails before connecting
+  readCommentSettings();
+
+  return {
+    main: single ? readSourceInputs('main') : null,
+    dev: single ? readSourceInputs('dev') : null,
+    comparisons,
+    environments,
+    generateDropStatements: core.getInput('generate-drop-statements') === 'true',
+    compareAutoIncrement: core.getInput('compare-auto-increment') === 'true',
+    riskProbes: core.getInput('risk-probes') === 'true',
+    onlineSchemaChange: core.getInput('online-schema-change') || 'off',
+    onlineSchemaChangeThreshold: core.getInput('online-schema-change-threshold') || null,
+    detectRenames: core.getInput('detect-renames') !== 'false',
+    renameHints: core.getInput('rename-hints-file') || [],
+    referenceData: core.getInput('reference-data'),
+    applyMode: core.getInput('apply-mode') || 'off',
+    allowedChanges: core.getInput('apply-allowed-changes') || 'additive',
+    migrationFile: core.getInput('migration-file') || 'schema-migration.sql',
+    exportSnapshot: core.getInput('export-snapshot'),
+    formats: core.getInput('output-format'),
+    reportFile: core.getInput('report-file') || null,
+    filters: {
+      tables: { include: core.getInput('include-tables'), exclude: core.getInput('exclude-tables') },
+      columns: { exclude: core.getInput('exclude-columns') },
+      indexes: { exclude: core.getInput('exclude-indexes') },
+      ignore: core.getInput('ignore-differences')
+    },
+    allowlist: core.getInput('allowlist-file') || [],
+    severityOverrides: core.getInput('severity-overrides'),
+    failOn: core.getInput('fail-on') || 'none',
+    history: readHistorySettings(),
+    redactPatterns: core.getInput('redact-patterns').split('\n').map(pattern => pattern.trim()).filter(Boolean),
+    prCommentSql: readPRCommentSql()
+  };
+}
 
-    this.devDb = await mysql.createConnection(devConfig);
+// Drift history: where runs are recorded, and this run's branch, commit and pull request. The baseline
+// is the pull request's base branch, or the default branch for other events.
+function readHistorySettings() {
+  const dir = core.getInput('history-dir');
+  if (!dir) return null;
+
+  const { context } = require('@actions/github');
+  const pullRequest = context.payload.pull_request;
+
+  return {
+    dir,
+    baseline: core.getInput('history-baseline') || pullRequest?.base?.ref || context.payload.repository?.default_branch || null,
+    branch: process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || null,
+    // The head commit, not the merge commit GITHUB_SHA points to on pull requests
+    commit: pullRequest?.head?.sha || process.env.GITHUB_SHA || null,
+    pullRequest: pullRequest?.number || null,
+    runId: process.env.GITHUB_RUN_ID || null
+  };
+}
 
-    console.log(chalk.green('✅ Connected to both databases\n'));
+// Whether PR comments include the SQL commands. auto: not on public repositories, where anyone can
+// read the comments.
+function readPRCommentSql() {
+  const mode = core.getInput('pr-comment-sql') || 'auto';
+  if (!PR_COMMENT_SQL_MODES.includes(mode)) {
+    throw new ConfigError(`Invalid pr-comment-sql '${mode}'. Valid values: ${PR_COMMENT_SQL_MODES.join(', ')}`);
   }
+  if (mode !== 'auto') return mode;
 
-  async disconnect() {
-    if (this.mainDb) await this.mainDb.end();
-    if (this.devDb) await this.devDb.end();
-  }
+  const repository = require('@actions/github').context.payload.repository;
+  return repository && (repository.private === false || repository.visibility === 'public') ? 'omit' : 'include';
+}
 
-  async getTables(connection) {
-    // Get only actual tables, not views
-    const [rows] = await connection.execute(`
-      SELECT TABLE_NAME 
-      FROM INFORMATION_SCHEMA.TABLES 
-      WHERE TABLE_SCHEMA = DATABASE() 
-      AND TABLE_TYPE = 'BASE TABLE'
-      ORDER BY TABLE_NAME
-    `);
-    return rows.map(row => row.TABLE_NAME);
-  }
+// PR comment settings: one sticky comment per comment-key (default), a new comment per run, or none
+function readCommentSettings() {
+  const mode = core.getInput('pr-comment') || 'sticky';
+  const onResolved = core.getInput('resolved-comment') || 'update';
 
-  async getCreateTableStatement(connection, tableName) {
-    const [rows] = await connection.execute(`SHOW CREATE TABLE \`${tableName}\``);
-    return rows[0]['Create Table'];
+  if (!COMMENT_MODES.includes(mode)) {
+    throw new ConfigError(`Invalid pr-comment '${mode}'. Valid values: ${COMMENT_MODES.join(', ')}`);
   }
-
-  async getTableColumns(connection, tableName) {
-    const [rows] = await connection.execute(`
-      SELECT 
-        COLUMN_NAME as name,
-        COLUMN_TYPE as type,
-        IS_NULLABLE as nullable,
-        COLUMN_DEFAULT as defaultValue,
-        EXTRA as extra,
-        COLUMN_KEY as keyType,
-        CHARACTER_MAXIMUM_LENGTH as maxLength,
-        NUMERIC_PRECISION as numericPrecision,
-        NUMERIC_SCALE as numericScale
-      FROM INFORMATION_SCHEMA.COLUMNS
-      WHERE TABLE_SCHEMA = DATABASE()
-      AND TABLE_NAME = ?
-      ORDER BY ORDINAL_POSITION
-    `, [tableName]);
-    
-    return rows;
+  if (!RESOLVED_MODES.includes(onResolved)) {
+    throw new ConfigError(`Invalid resolved-comment '${onResolved}'. Valid values: ${RESOLVED_MODES.join(', ')}`);
   }
 
-  async getTableIndexes(connection, tableName) {
-    const [rows] = await connection.execute(`SHOW INDEX FROM \`${tableName}\``);
-    
-    const indexes = {};
-    rows.forEach(row => {
-      if (row.Key_name !== 'PRIMARY') {
-        if (!indexes[row.Key_name]) {
-          indexes[row.Key_name] = {
-            name: row.Key_name,
-            columns: [],
-            unique: row.Non_unique === 0,
-            table: tableName
-          };
-        }
-        indexes[row.Key_name].columns.push(row.Column_name);
-      }
-    });
+  return { mode, onResolved, key: core.getInput('comment-key') };
+}
+
+// Create, update, resolve or delete the comment on the pull request that triggered the workflow.
+// changes: the change ids of this run (empty when in sync), or null when the comparison failed.
+async function publishPRComment(changes, body) {
+  const github = require('@actions/github');
+  const issueNumber = github.context.issue.number;
 
-    return Object.values(indexes);
+  if (!issueNumber) {
+    console.log(chalk.gray('ℹ️  Not running for a pull request, skipping the PR comment'));
+    return;
   }
 
-  compareColumns(devColumn, mainColumn) {
-    const differences = [];
+  const action = await publishComment(github.getOctokit(process.env.GITHUB_TOKEN), {
+    owner: github.context.repo.owner,
+    repo: github.context.repo.repo,
+    issueNumber,
+    changes,
+    body: redact(body),
+    ...readCommentSettings()
+  });
+  core.setOutput('comment-action', action);
+}
 
-    if (devColumn.type !== mainColumn.type) {
-      differences.push(`type: '${mainColumn.type}' → '${devColumn.type}'`);
-    }
+// Difference counts, summed over all comparisons of the run
+function setCountOutputs(results) {
+  const count = category => results.reduce((total, result) => total + (result[category]?.length || 0), 0);
+
+  core.setOutput('missing-tables-count', count('missingTables'));
+  core.setOutput('missing-columns-count', count('missingColumns'));
+  core.setOutput('different-columns-count', count('differentColumns'));
+  core.setOutput('different-table-options-count', count('differentTableOptions'));
+  core.setOutput('missing-indexes-count', count('missingIndexes'));
+  core.setOutput('different-indexes-count', count('differentIndexes'));
+  core.setOutput('renamed-indexes-count', count('renamedIndexes'));
+  core.setOutput('renamed-tables-count', count('renamedTables'));
+  core.setOutput('renamed-columns-count', count('renamedColumns'));
+  core.setOutput('extra-tables-count', count('extraTables'));
+  core.setOutput('extra-columns-count', count('extraColumns'));
+  core.setOutput('extra-indexes-count', count('extraIndexes'));
+  core.setOutput('missing-foreign-keys-count', count('missingForeignKeys'));
+  core.setOutput('different-foreign-keys-count', count('differentForeignKeys'));
+  core.setOutput('extra-foreign-keys-count', count('extraForeignKeys'));
+  core.setOutput('missing-objects-count', count('missingObjects'));
+  core.setOutput('different-objects-count', count('differentObjects'));
+  core.setOutput('extra-objects-count', count('extraObjects'));
+  core.setOutput('missing-rows-count', count('missingRows'));
+  core.setOutput('different-rows-count', count('differentRows'));
+  core.setOutput('extra-rows-count', count('extraRows'));
+  core.setOutput('accepted-changes-count', count('acceptedChanges'));
+  core.setOutput('new-since-baseline-count', results.reduce((total, result) => total + (result.history?.newSinceBaseline.length || 0), 0));
+  core.setOutput('history-files', results.filter(result => result.history).map(result => result.history.file).join('\n'));
+}
 
-    if (devColumn.nullable !== mainColumn.nullable) {
-      differences.push(`nullable: ${mainColumn.nullable} → ${devColumn.nullable}`);
-    }
+function setSeverityOutputs(changes) {
+  const counts = countSeverities(changes);
+  core.setOutput('error-count', counts.error);
+  core.setOutput('warning-count', counts.warning);
+  core.setOutput('info-count', counts.info);
+}
 
-    // Handle NULL default values properly
-    const devDefault = devColumn.defaultValue === null ? 'NULL' : devColumn.defaultValue;
-    const mainDefault = mainColumn.defaultValue === null ? 'NULL' : mainColumn.defaultValue;
-    
-    if (devDefault !== mainDefault) {
-      differences.push(`default: ${mainDefault} → ${devDefault}`);
-    }
+const ANNOTATIONS = { error: core.error, warning: core.warning, info: core.notice };
 
-    if (devColumn.extra !== mainColumn.extra) {
-      differences.push(`extra: '${mainColumn.extra}' → '${devColumn.extra}'`);
-    }
+// One workflow annotation per change, placed on the definition when dev is a .sql file
+function annotateChanges(changes, dev, prefix = '') {
+  const schemaFile = dev && dev.type === 'schema-file' && fs.statSync(dev.path).isFile() ? dev.path : null;
+  const sql = schemaFile ? fs.readFileSync(schemaFile, 'utf8') : null;
 
-    return differences;
+  for (const change of changes) {
+    ANNOTATIONS[change.severity](redact(formatChangeMessage(change)), {
+      title: redact(`${prefix}${change.id}`),
+      // Annotation paths are relative to the repository checkout
+      ...(schemaFile ? { file: path.relative(process.env.GITHUB_WORKSPACE || process.cwd(), path.resolve(schemaFile)), startLine: findDefinitionLine(sql, change) } : {})
+    });
   }
+}
 
-  generateAlterColumnCommand(tableName, column) {
-    let sql = `ALTER TABLE \`${tableName}\` ADD COLUMN \`${column.name}\` ${column.type}`;
-    
-    if (column.nullable === 'NO') {
-      sql += ' NOT NULL';
-    }
-    
-    if (column.defaultValue !== null) {
-      sql += ` DEFAULT ${column.defaultValue}`;
-    }
-    
-    if (column.extra) {
-      sql += ` ${column.extra}`;
-    }
-    
-    return sql + ';';
-  }
+// The failure message when differences at or above fail-on remain, otherwise null
+function getPolicyFailure(changes, failOn, extraFailures = 0) {
+  const failing = getFailingChanges(changes, failOn).length + (failOn === 'none' ? 0 : extraFailures);
+  if (failing === 0) return null;
+  return `${failing} schema difference${failing === 1 ? '' : 's'} at fail-on level '${failOn}'`;
+}
 
-  generateModifyColumnCommand(tableName, column) {
-    let sql = `ALTER TABLE \`${tableName}\` MODIFY COLUMN \`${column.name}\` ${column.type}`;
-    
-    if (column.nullable === 'NO') {
-      sql += ' NOT NULL';
-    }
-    
-    if (column.defaultValue !== null) {
-      sql += ` DEFAULT ${column.defaultValue}`;
-    }
-    
-    if (column.extra) {
-      sql += ` ${column.extra}`;
-    }
-    
-    return sql + ';';
+// Single pair: the main-* and dev-* inputs
+async function compareSingle(settings) {
+  // Output is captured for the GitHub Actions summary
+  const { checker, result, migrationFile, snapshotFile, reportFiles } = await runCompare(settings, { captureOutput: true });
+
+  // Generate GitHub Actions summary if running in GitHub Actions
+  if (process.env.GITHUB_ACTIONS) {
+    const summary = checker.generateActionsSummary(result);
+
+    // Output to GitHub Actions step summary
+    core.summary.addRaw(redact(summary)).write();
+
+    // Also set outputs
+    core.setOutput('is-in-sync', result.isInSync);
+    core.setOutput('migration-file', migrationFile);
+    core.setOutput('snapshot-file', snapshotFile || '');
+    core.setOutput('report-files', Object.values(reportFiles).join('\n'));
+    setCountOutputs([result]);
+    core.setOutput('apply-status', result.apply ? result.apply.status : 'skipped');
+    core.setOutput('applied-statements-count', result.apply ? result.apply.applied.length : 0);
+    setSeverityOutputs(result.changes);
+    annotateChanges(result.changes, settings.dev);
+
+    // Create, update or resolve the PR comment
+    const body = result.isInSync ? null : await checker.generatePRComment(result);
+    await publishPRComment(result.changes.map(change => change.id), body);
   }
 
-  generateCreateIndexCommand(index) {
-    const uniqueKeyword = index.unique ? 'UNIQUE ' : '';
-    const columns = index.columns.map(col => `\`${col}\``).join(', ');
-    return `CREATE ${uniqueKeyword}INDEX \`${index.name}\` ON \`${index.table}\` (${columns});`;
-  }
+  return getApplyFailure(result) || getPolicyFailure(result.changes, settings.failOn);
+}
 
-  async checkAndReport() {
-    console.log(chalk.blue('🔍 Checking what dev has that main is missing...\n'));
-
-    const missingTables = [];
-    const missingColumns = [];
-    const differentColumns = [];
-    const missingIndexes = [];
-
-    const devTables = await this.getTables(this.devDb);
-    const mainTables = await this.getTables(this.mainDb);
-
-    console.log(chalk.yellow(`📋 Found ${devTables.length} tables in dev database\n`));
-
-    // Check each dev table
-    for (const table of devTables) {
-      if (!mainTables.includes(table)) {
-        console.log(chalk.cyan(`Checking table: ${table}`));
-        console.log(chalk.red(`  ❌ Missing in main`));
-        missingTables.push(table);
-      } else {
-        // Check columns
-        const devColumns = await this.getTableColumns(this.devDb, table);
-        const mainColumns = await this.getTableColumns(this.mainDb, table);
-        const mainColumnNames = mainColumns.map(col => col.name);
-
-        let tableMissingColumns = [];
-        let tableDifferentColumns = [];
-
-        for (const devColumn of devColumns) {
-          const mainColumn = mainColumns.find(col => col.name === devColumn.name);
-
-          if (!mainColumn) {
-            tableMissingColumns.push({ table, column: devColumn });
-            missingColumns.push({ table, column: devColumn });
-          } else {
-            // Check if column definition is different
-            const differences = this.compareColumns(devColumn, mainColumn);
-            if (differences.length > 0) {
-              tableDifferentColumns.push({ table, column: devColumn, differences });
-              differentColumns.push({ table, column: devColumn, differences });
-            }
-          }
-        }
-
-        // Check indexes
-        const devIndexes = await this.getTableIndexes(this.devDb, table);
-        const mainIndexes = await this.getTableIndexes(this.mainDb, table);
-        const mainIndexNames = mainIndexes.map(idx => idx.name);
-
-        let tableMissingIndexes = [];
-
-        for (const devIndex of devIndexes) {
-          if (!mainIndexNames.includes(devIndex.name)) {
-            tableMissingIndexes.push(devIndex);
-            missingIndexes.push(devIndex);
-          }
-        }
-
-        // Only log table if there are issues
-        if (tableMissingColumns.length > 0 || tableDifferentColumns.length > 0 || tableMissingIndexes.length > 0) {
-          console.log(chalk.cyan(`Checking table: ${table}`));
-          console.log(chalk.green(`  ✅ Table exists in main`));
-
-          if (tableMissingColumns.length > 0 || tableDifferentColumns.length > 0) {
-            console.log(chalk.gray(`  � Checking ${devColumns.length} columns...`));
-            
-            for (const { column } of tableMissingColumns) {
-              console.log(chalk.red(`    ❌ Missing column: ${column.name} (${column.type})`));
-            }
-
-            for (const { column, differences } of tableDifferentColumns) {
-              console.log(chalk.yellow(`    ⚠️  Different column: ${column.name} - ${differences.join(', ')}`));
-            }
-          }
-
-          if (tableMissingIndexes.length > 0) {
-            console.log(chalk.gray(`  🔍 Checking ${devIndexes.length} indexes...`));
-            
-            for (const index of tableMissingIndexes) {
-              console.log(chalk.red(`    ❌ Missing index: ${index.name}`));
-            }
-          }
-        }
-      }
+// Several pairs: the `comparisons` or `schemas` input
+async function compareMany(settings) {
+  const { runs, isInSync, failed } = await runComparisons(settings, { captureOutput: true });
+  const results = runs.filter(run => run.result).map(run => run.result);
+
+  if (process.env.GITHUB_ACTIONS) {
+    core.summary.addRaw(redact(formatComparisonsSummary(runs))).write();
+
+    core.setOutput('is-in-sync', isInSync);
+    core.setOutput('comparisons-count', runs.length);
+    core.setOutput('out-of-sync-count', runs.filter(run => !run.result?.isInSync).length);
+    core.setOutput('migration-file', runs.filter(run => run.migrationFile).map(run => run.migrationFile).join('\n'));
+    core.setOutput('report-files', runs.flatMap(run => Object.values(run.reportFiles || {})).join('\n'));
+    setCountOutputs(results);
+    setSeverityOutputs(results.flatMap(result => result.changes));
+    for (const run of runs.filter(run => run.result)) {
+      annotateChanges(run.result.changes, run.dev, `${run.name}/`);
     }
 
-    // Report summary
-    console.log(chalk.blue('\n📊 SUMMARY:'));
-    console.log(chalk.white(`Total tables in dev: ${devTables.length}`));
-    console.log(chalk.white(`Missing tables in main: ${missingTables.length}`));
-    console.log(chalk.white(`Missing columns in main: ${missingColumns.length}`));
-    console.log(chalk.white(`Different columns in main: ${differentColumns.length}`));
-    console.log(chalk.white(`Missing indexes in main: ${missingIndexes.length}`));
-
-    // Show commands to fix missing items
-    if (missingTables.length > 0 || missingColumns.length > 0 || differentColumns.length > 0 || missingIndexes.length > 0) {
-      console.log(chalk.blue('\n📋 COMMANDS TO COPY/PASTE TO FIX:\n'));
-
-      // Missing tables
-      if (missingTables.length > 0) {
-        console.log(chalk.yellow('-- Missing Tables --'));
-        for (const table of missingTables) {
-          const createStatement = await this.getCreateTableStatement(this.devDb, table);
-          console.log(chalk.white(createStatement + ';\n'));
-        }
-      }
-
-      // Missing columns
-      if (missingColumns.length > 0) {
-        console.log(chalk.yellow('-- Missing Columns --'));
-        for (const { table, column } of missingColumns) {
-          const alterStatement = this.generateAlterColumnCommand(table, column);
-          console.log(chalk.white(alterStatement));
-        }
-        console.log('');
-      }
+    // Change ids are prefixed with the comparison name; a failed or missing pair counts as a change
+    const changes = runs.flatMap(run => (run.result
+      ? run.result.changes.map(change => `${run.name}/${change.id}`)
+      : [`${run.name}/${run.error ? 'comparison-failed' : `schema-missing-in-${run.missingIn}`}`]));
+    const body = isInSync ? null : formatComparisonsPRComment(runs, runs.find(run => run.checker)?.checker.options);
+    await publishPRComment(changes, body);
+  }
 
-      // Different columns
-      if (differentColumns.length > 0) {
-        console.log(chalk.yellow('-- Modified Columns (review carefully before running) --'));
-        for (const { table, column, differences } of differentColumns) {
-          console.log(chalk.gray(`-- Column ${column.name} in table ${table}: ${differences.join(', ')}`));
-          const modifyStatement = this.generateModifyColumnCommand(table, column);
-          console.log(chalk.white(modifyStatement));
-        }
-        console.log('');
-      }
+  if (failed) {
+    return runs.filter(run => run.error).map(run => `${run.name}: ${run.error}`).join('; ');
+  }
 
-      // Missing indexes
-      if (missingIndexes.length > 0) {
-        console.log(chalk.yellow('-- Missing Indexes --'));
-        for (const index of missingIndexes) {
-          const createStatement = this.generateCreateIndexCommand(index);
-          console.log(chalk.white(createStatement));
-        }
-      }
+  // A schema missing on one server is always a difference above any fail-on level but none
+  return results.map(getApplyFailure).find(Boolean)
+    || getPolicyFailure(results.flatMap(result => result.changes), settings.failOn, runs.filter(run => run.missingIn).length);
+}
 
-      console.log(chalk.red('\n❌ Main database is missing elements from dev!'));
-      
-      return {
-        isInSync: false,
-        missingTables,
-        missingColumns,
-        differentColumns,
-        missingIndexes
-      };
-    } else {
-      console.log(chalk.green('\n✅ Main database has everything from dev!'));
-      
-      return {
-        isInSync: true,
-        missingTables: [],
-        missingColumns: [],
-        differentColumns: [],
-        missingIndexes: []
-      };
+// Environment matrix: the `environments` input
+async function compareMatrix(settings) {
+  const { matrix, comparisons, isInSync } = await runMatrix(settings);
+
+  if (process.env.GITHUB_ACTIONS) {
+    core.summary.addRaw(redact(formatMatrixSummary(matrix, comparisons))).write();
+
+    core.setOutput('is-in-sync', isInSync);
+    core.setOutput('comparisons-count', comparisons.length);
+    core.setOutput('out-of-sync-count', comparisons.filter(({ result }) => !result.isInSync).length);
+    core.setOutput('migration-file', comparisons.filter(run => run.migrationFile).map(run => run.migrationFile).join('\n'));
+    core.setOutput('report-files', comparisons.flatMap(run => Object.values(run.reportFiles)).join('\n'));
+    setCountOutputs(comparisons.map(({ result }) => result));
+    setSeverityOutputs(comparisons.flatMap(({ result }) => result.changes));
+    for (const { name, result } of comparisons) {
+      annotateChanges(result.changes, settings.environments[0].spec, `${name}/`);
     }
+
+    const changes = comparisons.flatMap(({ name, result }) => result.changes.map(change => `${name}/${change.id}`));
+    const body = isInSync ? null : formatMatrixPRComment(matrix, comparisons, settings);
+    await publishPRComment(changes, body);
   }
+
+  return getPolicyFailure(comparisons.flatMap(({ result }) => result.changes), settings.failOn);
 }
 
 async function main() {
-  const checker = new SchemaChecker();
+  // Secrets are masked in our own output, and GitHub masks them in the log as well
+  onSecret(core.setSecret);
 
   try {
-    // Set up output capture for GitHub Actions
-    checker.setupOutputCapture();
-
-    await checker.connect();
-    const result = await checker.checkAndReport();
-
-    // Restore original console methods
-    checker.restoreConsoleLog();
+    const settings = readActionSettings();
+    setupRedaction(settings);
+
+    let message;
+    if (settings.environments) {
+      message = await compareMatrix(settings);
+    } else if (settings.comparisons) {
+      message = await compareMany(settings);
+    } else {
+      message = await compareSingle(settings);
+    }
 
-    // Generate GitHub Actions summary if running in GitHub Actions
-    if (process.env.GITHUB_ACTIONS) {
-      const summary = checker.generateActionsSummary(result);
-
-      // Output to GitHub Actions step summary
-      core.summary.addRaw(summary).write();
-
-      // Also set outputs
-      core.setOutput('is-in-sync', result.isInSync);
-      core.setOutput('missing-tables-count', result.missingTables.length);
-      core.setOutput('missing-columns-count', result.missingColumns.length);
-      core.setOutput('different-columns-count', result.differentColumns.length);
-      core.setOutput('missing-indexes-count', result.missingIndexes.length);
-
-      // Post PR comment based on result
-      if (!result.isInSync) {
-        const body = await checker.generatePRComment(result);
-
-        const github = require('@actions/github');
-        await github.getOctokit(process.env.GITHUB_TOKEN).rest.issues.createComment({
-          issue_number: github.context.issue.number,
-          owner: github.context.repo.owner,
-          repo: github.context.repo.repo,
-          body
-        });
+    if (message) {
+      console.error(chalk.red(`❌ ${message}`));
+      if (process.env.GITHUB_ACTIONS) {
+        core.setFailed(redact(message));
       }
+      process.exit(1);
     }
 
-    await checker.disconnect();
-
-    // Don't exit with error code for schema differences - that's a successful comparison
-    // Only exit with error code for actual failures (handled in catch block)
+    // Schema differences only fail the run through fail-on (default: none)
     process.exit(0);
   } catch (error) {
-    console.error('Error:', error);
+    // Only the message: the error may carry the connection settings
+    const message = redact(error.message);
+    console.error(chalk.red(`❌ Schema comparison failed: ${message}`));
 
     // If running in GitHub Actions, also set failed status
     if (process.env.GITHUB_ACTIONS) {
-      core.setFailed(`Schema comparison failed: ${error.message}`);
+      core.setFailed(`Schema comparison failed: ${message}`);
 
       // Post PR comment for connection errors
       const body = `## ❌ Schema Comparison Failed
@@ -710,13 +460,11 @@ Common issues:
 ---
 🤖 *This comment was automatically generated by the MySQL Schema Compare action*`;
 
-      const github = require('@actions/github');
-      await github.getOctokit(process.env.GITHUB_TOKEN).rest.issues.createComment({
-        issue_number: github.context.issue.number,
-        owner: github.context.repo.owner,
-        repo: github.context.repo.repo,
-        body
-      });
+      try {
+        await publishPRComment(null, body);
+      } catch (commentError) {
+        console.error('Could not update the PR comment:', commentError.message);
+      }
     }
 
     process.exit(1);
@@ -0,0 +1,656 @@
+const { formatIndexParts } = require('./sql-utils');
+const { createFilter, compileAllowlist } = require('./filters');
+const { SEVERITIES, ATTRIBUTE_SEVERITY, KIND_SEVERITY, classifyChange, applySeverityOverrides } = require('./severity');
+const { parseServerVersion, createNormalizer } = require('./dialect');
+const { compileRenameHints, matchRenames, scoreColumnRename, scoreTableRename, scoreIndexRename } = require('./renames');
+const { diffReferenceData, formatRowKey } = require('./reference-data');
+
+// Pure schema comparison: reads two schema sources and describes how the target ("main") differs
+// from the source ("dev", the desired state). Nothing is printed and no SQL is generated here;
+// reporters and the migration generator consume the returned diff.
+
+// Result categories. "missing" exists only in the source, "extra" only in the target.
+const CATEGORIES = [
+  'missingTables',
+  'renamedTables',
+  'missingColumns',
+  'differentColumns',
+  'renamedColumns',
+  'differentTableOptions',
+  'missingIndexes',
+  'differentIndexes',
+  'renamedIndexes',
+  'extraTables',
+  'extraColumns',
+  'extraIndexes',
+  'missingForeignKeys',
+  'differentForeignKeys',
+  'extraForeignKeys',
+  'missingObjects',
+  'differentObjects',
+  'extraObjects',
+  'missingRows',
+  'differentRows',
+  'extraRows'
+];
+
+// Categories of the reference data comparison, only filled when options.referenceData is set
+const DATA_CATEGORIES = ['missingRows', 'differentRows', 'extraRows'];
+
+function difference(attribute, text) {
+  return { attribute, text };
+}
+
+function compareColumns(devColumn, mainColumn) {
+  const differences = [];
+
+  if (devColumn.type !== mainColumn.type) {
+    differences.push(difference('type', `type: '${mainColumn.type}' → '${devColumn.type}'`));
+  }
+
+  if (devColumn.nullable !== mainColumn.nullable) {
+    differences.push(difference('nullable', `nullable: ${mainColumn.nullable} → ${devColumn.nullable}`));
+  }
+
+  // Handle NULL default values properly
+  const devDefault = devColumn.defaultValue === null ? 'NULL' : devColumn.defaultValue;
+  const mainDefault = mainColumn.defaultValue === null ? 'NULL' : mainColumn.defaultValue;
+
+  if (devDefault !== mainDefault) {
+    differences.push(difference('default', `default: ${mainDefault} → ${devDefault}`));
+  }
+
+  if (devColumn.extra !== mainColumn.extra) {
+    differences.push(difference('extra', `extra: '${mainColumn.extra}' → '${devColumn.extra}'`));
+  }
+
+  if (devColumn.charset !== mainColumn.charset) {
+    differences.push(difference('charset', `charset: ${mainColumn.charset} → ${devColumn.charset}`));
+  }
+
+  if (devColumn.collation !== mainColumn.collation) {
+    differences.push(difference('collation', `collation: ${mainColumn.collation} → ${devColumn.collation}`));
+  }
+
+  if ((devColumn.comment || '') !== (mainColumn.comment || '')) {
+    differences.push(difference('comment', `comment: '${mainColumn.comment || ''}' → '${devColumn.comment || ''}'`));
+  }
+
+  if ((devColumn.generationExpression || '') !== (mainColumn.generationExpression || '')) {
+    differences.push(difference('generated', `generated as: '${mainColumn.generationExpression || ''}' → '${devColumn.generationExpression || ''}'`));
+  }
+
+  return differences;
+}
+
+function compareTableOptions(devOptions, mainOptions, options = {}) {
+  const differences = [];
+
+  if (devOptions.engine !== mainOptions.engine) {
+    differences.push(difference('engine', `engine: ${mainOptions.engine} → ${devOptions.engine}`));
+  }
+
+  if (devOptions.collation !== mainOptions.collation) {
+    differences.push(difference('collation', `collation: ${mainOptions.collation} → ${devOptions.collation}`));
+  }
+
+  if (devOptions.rowFormat !== mainOptions.rowFormat) {
+    differences.push(difference('rowFormat', `row format: ${mainOptions.rowFormat} → ${devOptions.rowFormat}`));
+  }
+
+  if ((devOptions.comment || '') !== (mainOptions.comment || '')) {
+    differences.push(difference('comment', `comment: '${mainOptions.comment || ''}' → '${devOptions.comment || ''}'`));
+  }
+
+  // AUTO_INCREMENT counters naturally differ between environments, so they are opt-in
+  if (options.compareAutoIncrement && devOptions.autoIncrement !== mainOptions.autoIncrement) {
+    differences.push(difference('autoIncrement', `auto increment: ${mainOptions.autoIncrement} → ${devOptions.autoIncrement}`));
+  }
+
+  if (devOptions.partitioning !== mainOptions.partitioning) {
+    differences.push(difference('partitioning', `partitioning: ${mainOptions.partitioning || 'none'} → ${devOptions.partitioning || 'none'}`));
+  }
+
+  return differences;
+}
+
+// Index definition without its name, used to compare indexes and to detect renamed indexes
+function getIndexSignature(index) {
+  return JSON.stringify({
+    primary: index.primary,
+    unique: index.unique,
+    type: index.type,
+    visible: index.visible,
+    parts: formatIndexParts(index)
+  });
+}
+
+function compareIndexes(devIndex, mainIndex) {
+  const differences = [];
+
+  if (formatIndexParts(devIndex) !== formatIndexParts(mainIndex)) {
+    differences.push(difference('columns', `columns: (${formatIndexParts(mainIndex)}) → (${formatIndexParts(devIndex)})`));
+  }
+
+  if (devIndex.unique !== mainIndex.unique) {
+    differences.push(difference('unique', `unique: ${mainIndex.unique} → ${devIndex.unique}`));
+  }
+
+  if (devIndex.type !== mainIndex.type) {
+    differences.push(difference('type', `type: ${mainIndex.type} → ${devIndex.type}`));
+  }
+
+  if (devIndex.visible !== mainIndex.visible) {
+    differences.push(difference('visible', `visible: ${mainIndex.visible} → ${devIndex.visible}`));
+  }
+
+  return differences;
+}
+
+function compareForeignKeys(devForeignKey, mainForeignKey) {
+  const differences = [];
+  const formatReference = fk => `${fk.referencedSchema ? fk.referencedSchema + '.' : ''}${fk.referencedTable}(${fk.referencedColumns.join(', ')})`;
+
+  if (devForeignKey.columns.join(',') !== mainForeignKey.columns.join(',')) {
+    differences.push(difference('columns', `columns: (${mainForeignKey.columns.join(', ')}) → (${devForeignKey.columns.join(', ')})`));
+  }
+
+  if (formatReference(devForeignKey) !== formatReference(mainForeignKey)) {
+    differences.push(difference('references', `references: ${formatReference(mainForeignKey)} → ${formatReference(devForeignKey)}`));
+  }
+
+  if (devForeignKey.onDelete !== mainForeignKey.onDelete) {
+    differences.push(difference('onDelete', `on delete: ${mainForeignKey.onDelete} → ${devForeignKey.onDelete}`));
+  }
+
+  if (devForeignKey.onUpdate !== mainForeignKey.onUpdate) {
+    differences.push(difference('onUpdate', `on update: ${mainForeignKey.onUpdate} → ${devForeignKey.onUpdate}`));
+  }
+
+  return differences;
+}
+
+// Result entries keep the readable texts in `differences` and the attribute names in `attributes`
+function describeDifferences(differences) {
+  return {
+    differences: differences.map(item => item.text),
+    attributes: differences.map(item => item.attribute)
+  };
+}
+
+function hasDifferences(result) {
+  return CATEGORIES.some(category => result[category]?.length > 0);
+}
+
+// Server of a source as { flavor, version }, or null for sources that cannot tell (see parseServerVersion)
+async function getServer(source) {
+  return typeof source.getServerVersion === 'function' ? parseServerVersion(await source.getServerVersion()) : null;
+}
+
+// Read the whole schema of a source up front where it supports that (DatabaseSource.loadSchema).
+// Returns the time it took in ms, or null for sources that are read when they are opened.
+async function loadSource(source) {
+  if (typeof source.loadSchema !== 'function') {
+    return null;
+  }
+
+  const startedAt = Date.now();
+  await source.loadSchema();
+  return Date.now() - startedAt;
+}
+
+// Tables only in dev that are a table only in main under a new name (see matchRenames)
+async function findTableRenames(dev, main, devTables, mainTables, options, hints, normalize) {
+  const missing = devTables.filter(table => !mainTables.includes(table));
+  const extra = mainTables.filter(table => !devTables.includes(table));
+  if (missing.length === 0 || extra.length === 0) {
+    return [];
+  }
+
+  const describe = async (source, side, table) => ({
+    name: table,
+    columns: (await source.getTableColumns(table)).map(column => normalize.column(column, side))
+  });
+  const devItems = [];
+  for (const table of missing) devItems.push(await describe(dev, 'dev', table));
+  const mainItems = [];
+  for (const table of extra) mainItems.push(await describe(main, 'main', table));
+
+  return matchRenames('table', null, devItems, mainItems,
+    (devItem, mainItem) => scoreTableRename(devItem.name, devItem.columns, mainItem.name, mainItem.columns),
+    hints, options.detectRenames !== false);
+}
+
+// A main index or foreign key with the names it has after the table and column renames, so it
+// compares equal to the dev definition (MySQL updates them when a table or column is renamed)
+function renameIndex(index, table, columnRenames) {
+  const rename = column => columnRenames[column] || column;
+  return {
+    ...index,
+    table,
+    columns: index.columns.map(rename),
+    parts: index.parts.map(part => (part.column ? { ...part, column: rename(part.column) } : part))
+  };
+}
+
+function renameForeignKey(foreignKey, table, tableRenames, columnRenames) {
+  const referencedTable = foreignKey.referencedSchema ? foreignKey.referencedTable : tableRenames[foreignKey.referencedTable] || foreignKey.referencedTable;
+  const referencedRenames = foreignKey.referencedSchema ? {} : columnRenames[referencedTable] || {};
+  return {
+    ...foreignKey,
+    table,
+    columns: foreignKey.columns.map(column => (columnRenames[table] || {})[column] || column),
+    referencedTable,
+    referencedColumns: foreignKey.referencedColumns.map(column => referencedRenames[column] || column)
+  };
+}
+
+// Compare two schema sources in both directions. `dev` is the desired state, `main` the schema
+// that would be migrated. Returns the result categories listed in CATEGORIES, plus the table names
+// on both sides and the definitions of tables that only exist on one side.
+// Tables, columns and indexes excluded by options.filters are left out (see createFilter).
+// Renamed tables and columns are detected unless options.detectRenames is false; options.renameHints
+// confirm or reject renames (see matchRenames).
+// Columns and table options are normalised for the server versions of both sides (result.servers),
+// so MySQL 5.7, 8.0 and MariaDB compare equal where they only report the same schema differently.
+// Both sides are introspected at the same time; result.timings has the time per side and phase in ms.
+// The rows of the tables matching options.referenceData are compared as well (see diffReferenceData),
+// with a summary per table in result.referenceData.
+async function diffSchemas(dev, main, options = {}) {
+  const result = Object.fromEntries(CATEGORIES.map(category => [category, []]));
+  const filter = createFilter(options.filters);
+  const hints = compileRenameHints(options.renameHints);
+  const detectRenames = options.detectRenames !== false;
+
+  const [devIntrospection, mainIntrospection, devServer, mainServer] = await Promise.all([
+    loadSource(dev),
+    loadSource(main),
+    getServer(dev),
+    getServer(main)
+  ]);
+  const comparisonStartedAt = Date.now();
+
+  result.servers = { dev: devServer, main: mainServer };
+  const normalize = createNormalizer(result.servers);
+
+  const devTables = (await dev.getTables()).filter(filter.includesTable);
+  const mainTables = (await main.getTables()).filter(filter.includesTable);
+
+  result.tables = { dev: devTables, main: mainTables };
+  // Full definitions of tables that exist on one side only (used for CREATE TABLE and reports)
+  result.tableDefinitions = { dev: {}, main: {} };
+
+  // Renamed tables are compared with their old name in main. tableRenames maps old to new names,
+  // columnRenames[table] the old to the new column names of a (dev) table.
+  const mainNames = {};
+  const tableRenames = {};
+  const columnRenames = {};
+  for (const { dev: devTable, main: mainTable, confidence, reasons, confirmed } of await findTableRenames(dev, main, devTables, mainTables, options, hints, normalize)) {
+    mainNames[devTable.name] = mainTable.name;
+    tableRenames[mainTable.name] = devTable.name;
+    result.renamedTables.push({ table: devTable.name, oldName: mainTable.name, confidence, reasons, confirmed });
+  }
+
+  for (const table of devTables) {
+    const mainTable = mainNames[table] || table;
+
+    if (!mainTables.includes(mainTable)) {
+      result.missingTables.push(table);
+      result.tableDefinitions.dev[table] = {
+        createStatement: await dev.getCreateTableStatement(table),
+        foreignKeys: await dev.getTableForeignKeys(table)
+      };
+      continue;
+    }
+
+    // Table options (engine, collation, row format, comment, partitioning)
+    const devOptions = normalize.tableOptions(await dev.getTableOptions(table));
+    const mainOptions = normalize.tableOptions(await main.getTableOptions(mainTable));
+    const optionDifferences = filter.filterDifferences('table-options', compareTableOptions(devOptions, mainOptions, options), devOptions, mainOptions);
+
+    if (optionDifferences.length > 0) {
+      result.differentTableOptions.push({ table, options: devOptions, mainOptions, ...describeDifferences(optionDifferences) });
+    }
+
+    // Columns
+    const includesColumn = column => filter.includesColumn(table, column.name);
+    const devColumns = (await dev.getTableColumns(table)).filter(includesColumn).map(column => normalize.column(column, 'dev'));
+    const mainColumns = (await main.getTableColumns(mainTable)).filter(includesColumn).map(column => normalize.column(column, 'main'));
+    const devColumnNames = devColumns.map(col => col.name);
+
+    // Columns only in dev and only in main with the same definition were renamed
+    const columnMatches = matchRenames(
+      'column', table,
+      devColumns.filter(devColumn => !mainColumns.some(col => col.name === devColumn.name)),
+      mainColumns.filter(mainColumn => !devColumnNames.includes(mainColumn.name)),
+      (devColumn, mainColumn) => scoreColumnRename(devColumn, mainColumn, devColumns.indexOf(devColumn), mainColumns.indexOf(mainColumn)),
+      hints, detectRenames
+    );
+    columnRenames[table] = Object.fromEntries(columnMatches.map(match => [match.main.name, match.dev.name]));
+
+    devColumns.forEach((devColumn, position) => {
+      const mainColumn = mainColumns.find(col => col.name === devColumn.name);
+      const rename = columnMatches.find(match => match.dev === devColumn);
+
+      if (rename) {
+        // A confirmed rename can also change the definition
+        const differences = filter.filterDifferences('column', compareColumns(devColumn, rename.main), devColumn, rename.main);
+        const { confidence, reasons, confirmed } = rename;
+        result.renamedColumns.push({ table, column: devColumn, oldName: rename.main.name, mainColumn: rename.main, confidence, reasons, confirmed, ...describeDifferences(differences) });
+      } else if (!mainColumn) {
+        // Keep the dev column order: add after the preceding dev column, or first
+        const after = position > 0 ? devColumns[position - 1].name : null;
+        result.missingColumns.push({ table, column: devColumn, after });
+      } else {
+        const differences = filter.filterDifferences('column', compareColumns(devColumn, mainColumn), devColumn, mainColumn);
+        if (differences.length > 0) {
+          result.differentColumns.push({ table, column: devColumn, mainColumn, ...describeDifferences(differences) });
+        }
+      }
+    });
+
+    mainColumns
+      .filter(mainColumn => !devColumnNames.includes(mainColumn.name) && !columnRenames[table][mainColumn.name])
+      .forEach(mainColumn => result.extraColumns.push({ table, column: mainColumn }));
+
+    // Indexes
+    const includesIndex = index => filter.includesIndex(table, index.name);
+    const devIndexes = (await dev.getTableIndexes(table)).filter(includesIndex);
+    const mainIndexes = (await main.getTableIndexes(mainTable)).filter(includesIndex).map(index => renameIndex(index, table, columnRenames[table]));
+    const devIndexNames = devIndexes.map(idx => idx.name);
+    const mainIndexNames = mainIndexes.map(idx => idx.name);
+
+    // Indexes only in dev and only in main with the same definition were renamed, not dropped and re-added
+    const indexMatches = matchRenames(
+      'index', table,
+      devIndexes.filter(devIndex => !devIndex.primary && !mainIndexNames.includes(devIndex.name)),
+      mainIndexes.filter(mainIndex => !mainIndex.primary && !devIndexNames.includes(mainIndex.name)),
+      (devIndex, mainIndex) => (getIndexSignature(devIndex) === getIndexSignature(mainIndex) ? scoreIndexRename(devIndex, mainIndex) : null),
+      hints, detectRenames
+    );
+
+    for (const devIndex of devIndexes) {
+      const mainIndex = mainIndexes.find(idx => idx.name === devIndex.name);
+      const rename = indexMatches.find(match => match.dev === devIndex);
+
+      if (rename) {
+        // A confirmed rename can also change the definition
+        const differences = filter.filterDifferences('index', compareIndexes(devIndex, rename.main), devIndex, rename.main);
+        const { confidence, reasons, confirmed } = rename;
+        result.renamedIndexes.push({ index: devIndex, oldName: rename.main.name, mainIndex: rename.main, confidence, reasons, confirmed, ...describeDifferences(differences) });
+      } else if (!mainIndex) {
+        result.missingIndexes.push(devIndex);
+      } else {
+        const differences = filter.filterDifferences('index', compareIndexes(devIndex, mainIndex), devIndex, mainIndex);
+        if (differences.length > 0) {
+          result.differentIndexes.push({ index: devIndex, mainIndex, ...describeDifferences(differences) });
+        }
+      }
+    }
+
+    result.extraIndexes.push(...mainIndexes.filter(idx => !devIndexNames.includes(idx.name) && !indexMatches.some(match => match.main === idx)));
+  }
+
+  // Foreign keys, once the column renames of every table are known
+  for (const table of devTables.filter(table => mainTables.includes(mainNames[table] || table))) {
+    const devForeignKeys = await dev.getTableForeignKeys(table);
+    const mainForeignKeys = (await main.getTableForeignKeys(mainNames[table] || table))
+      .map(foreignKey => renameForeignKey(foreignKey, table, tableRenames, columnRenames));
+    const devForeignKeyNames = devForeignKeys.map(fk => fk.name);
+
+    for (const devForeignKey of devForeignKeys) {
+      const mainForeignKey = mainForeignKeys.find(fk => fk.name === devForeignKey.name);
+
+      if (!mainForeignKey) {
+        result.missingForeignKeys.push(devForeignKey);
+      } else {
+        const differences = filter.filterDifferences('foreign-key', compareForeignKeys(devForeignKey, mainForeignKey), devForeignKey, mainForeignKey);
+        if (differences.length > 0) {
+          result.differentForeignKeys.push({ foreignKey: devForeignKey, mainForeignKey, ...describeDifferences(differences) });
+        }
+      }
+    }
+
+    mainForeignKeys
+      .filter(mainForeignKey => !devForeignKeyNames.includes(mainForeignKey.name))
+      .forEach(mainForeignKey => result.extraForeignKeys.push(mainForeignKey));
+  }
+
+  // Tables that only exist in main
+  for (const table of mainTables.filter(table => !devTables.includes(table) && !tableRenames[table])) {
+    result.extraTables.push(table);
+    result.tableDefinitions.main[table] = {
+      createStatement: await main.getCreateTableStatement(table),
+      foreignKeys: await main.getTableForeignKeys(table)
+    };
+  }
+
+  // Views, stored routines, triggers and events
+  const [devObjects, mainObjects] = await Promise.all([dev.getSchemaObjects(), main.getSchemaObjects()]);
+  const findObject = (objects, { type, name }) => objects.find(obj => obj.type === type && obj.name === name);
+
+  for (const devObject of devObjects) {
+    const mainObject = findObject(mainObjects, devObject);
+
+    if (!mainObject) {
+      result.missingObjects.push(devObject);
+    } else if (devObject.definition !== mainObject.definition) {
+      result.differentObjects.push({
+        ...devObject,
+        mainDefinition: mainObject.definition,
+        mainCreateStatement: mainObject.createStatement,
+        differences: ['definition differs'],
+        attributes: ['definition']
+      });
+    }
+  }
+
+  mainObjects
+    .filter(mainObject => !findObject(devObjects, mainObject))
+    .forEach(mainObject => result.extraObjects.push(mainObject));
+
+  // Rows of the reference data tables, once the table and column renames are known
+  if (options.referenceData?.length > 0) {
+    const data = await diffReferenceData(dev, main, options.referenceData, { devTables, mainTables, mainNames, columnRenames, filter });
+    result.referenceData = data.tables;
+    DATA_CATEGORIES.forEach(category => { result[category] = data[category]; });
+  }
+
+  result.timings = {
+    introspection: { dev: devIntrospection, main: mainIntrospection },
+    comparison: Date.now() - comparisonStartedAt
+  };
+  result.isInSync = !hasDifferences(result);
+  return result;
+}
+
+const objectTypeOf = object => object.type.toLowerCase();
+
+const OBJECT_LABELS = {
+  table: 'Table',
+  'table-options': 'Table options',
+  column: 'Column',
+  index: 'Index',
+  'foreign-key': 'Foreign key',
+  function: 'Function',
+  procedure: 'Procedure',
+  view: 'View',
+  trigger: 'Trigger',
+  event: 'Event',
+  row: 'Row'
+};
+
+const KIND_DESCRIPTIONS = {
+  missing: 'exists in dev but is missing in main',
+  different: 'is defined differently in dev and main',
+  extra: 'only exists in main',
+  renamed: 'has a different name in main'
+};
+
+// One sentence per change, e.g. "Column users.email is defined differently in dev and main: comment: '' → 'mail'"
+function formatChangeMessage(change) {
+  const subject = change.objectType === 'table-options'
+    ? `Table options of ${change.table}`
+    : `${OBJECT_LABELS[change.objectType]} ${change.path}`;
+  const details = change.differences.length > 0 ? `: ${change.differences.join(', ')}` : '';
+  return `${subject} ${KIND_DESCRIPTIONS[change.kind]}${details}`;
+}
+
+// How each category's entries are described as changes
+const CHANGE_DESCRIPTIONS = {
+  missingTables: (table, definitions) => ({ kind: 'missing', objectType: 'table', table, name: table, after: definitions.dev[table] || null }),
+  missingColumns: ({ table, column }) => ({ kind: 'missing', objectType: 'column', table, name: column.name, after: column }),
+  differentColumns: ({ table, column, mainColumn, differences, attributes }) =>
+    ({ kind: 'different', objectType: 'column', table, name: column.name, before: mainColumn || null, after: column, differences, attributes }),
+  differentTableOptions: ({ table, options, mainOptions, differences, attributes }) =>
+    ({ kind: 'different', objectType: 'table-options', table, name: 'options', before: mainOptions, after: options, differences, attributes }),
+  missingIndexes: index => ({ kind: 'missing', objectType: 'index', table: index.table, name: index.name, after: index }),
+  differentIndexes: ({ index, mainIndex, differences, attributes }) =>
+    ({ kind: 'different', objectType: 'index', table: index.table, name: index.name, before: mainIndex || null, after: index, differences, attributes }),
+  renamedTables: ({ table, oldName, confirmed }) =>
+    ({ kind: 'renamed', objectType: 'table', table, name: table, before: oldName, after: table, differences: [`renamed from ${oldName}`], confirmed }),
+  renamedColumns: ({ table, column, oldName, mainColumn, differences = [], attributes = [], confirmed }) =>
+    ({ kind: 'renamed', objectType: 'column', table, name: column.name, before: mainColumn, after: column, differences: [`renamed from ${oldName}`, ...differences], attributes, confirmed }),
+  renamedIndexes: ({ index, oldName, mainIndex, differences = [], attributes = [], confirmed }) =>
+    ({ kind: 'renamed', objectType: 'index', table: index.table, name: index.name, before: mainIndex || { ...index, name: oldName }, after: index, differences: [`renamed from ${oldName}`, ...differences], attributes, confirmed }),
+  extraTables: (table, definitions) => ({ kind: 'extra', objectType: 'table', table, name: table, before: definitions.main[table] || null }),
+  extraColumns: ({ table, column }) => ({ kind: 'extra', objectType: 'column', table, name: column.name, before: column }),
+  extraIndexes: index => ({ kind: 'extra', objectType: 'index', table: index.table, name: index.name, before: index }),
+  missingForeignKeys: foreignKey => ({ kind: 'missing', objectType: 'foreign-key', table: foreignKey.table, name: foreignKey.name, after: foreignKey }),
+  differentForeignKeys: ({ foreignKey, mainForeignKey, differences, attributes }) =>
+    ({ kind: 'different', objectType: 'foreign-key', table: foreignKey.table, name: foreignKey.name, before: mainForeignKey || null, after: foreignKey, differences, attributes }),
+  extraForeignKeys: foreignKey => ({ kind: 'extra', objectType: 'foreign-key', table: foreignKey.table, name: foreignKey.name, before: foreignKey }),
+  missingObjects: object => ({ kind: 'missing', objectType: objectTypeOf(object), name: object.name, after: object.createStatement }),
+  differentObjects: object =>
+    ({ kind: 'different', objectType: objectTypeOf(object), name: object.name, before: object.mainCreateStatement || object.mainDefinition, after: object.createStatement, differences: object.differences || ['definition differs'], attributes: ['definition'] }),
+  extraObjects: object => ({ kind: 'extra', objectType: objectTypeOf(object), name: object.name, before: object.createStatement }),
+  missingRows: ({ table, key, row }) => ({ kind: 'missing', objectType: 'row', table, name: formatRowKey(key), after: row }),
+  differentRows: ({ table, key, row, mainRow, differences, attributes }) =>
+    ({ kind: 'different', objectType: 'row', table, name: formatRowKey(key), before: mainRow, after: row, differences, attributes }),
+  extraRows: ({ table, key, row }) => ({ kind: 'extra', objectType: 'row', table, name: formatRowKey(key), before: row })
+};
+
+// The change for one entry of a result category. Ids have the form <objectType>:<path>:<kind>,
+// e.g. column:users.email:different, so they can be referenced from allowlists or compared between runs.
+// Renames also have `confirmed`: whether a rename hint confirmed them.
+function describeChange(category, entry, definitions = { dev: {}, main: {} }) {
+  const { kind, objectType, table = null, name, before = null, after = null, differences = [], attributes = [], confirmed } =
+    CHANGE_DESCRIPTIONS[category](entry, definitions);
+  const path = table && objectType !== 'table' ? `${table}.${name}` : name;
+  const id = `${objectType}:${path}:${kind}`;
+  const severity = classifyChange({ id, objectType, kind, attributes, confirmed });
+
+  return {
+    id,
+    kind,
+    objectType,
+    path,
+    table,
+    name,
+    category,
+    severity,
+    differences,
+    attributes,
+    before,
+    after,
+    ...(kind === 'renamed' ? { confirmed: confirmed === true } : {})
+  };
+}
+
+// Flat list of changes, one per entry in the result categories
+function buildChanges(result) {
+  const definitions = result.tableDefinitions || { dev: {}, main: {} };
+  return CATEGORIES.flatMap(category => (result[category] || []).map(entry => describeChange(category, entry, definitions)));
+}
+
+// Changes (and accepted changes) grouped per table, for reports with a section per table.
+// Every table of either side is listed; views, routines, triggers and events follow with their changes.
+function groupChanges(result) {
+  const changes = result.changes || buildChanges(result);
+  const accepted = result.acceptedChanges || [];
+  const groups = new Map();
+
+  const groupFor = change => {
+    const key = change.table ? `table:${change.table}` : `${change.objectType}:${change.name}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        objectType: change.table ? 'table' : change.objectType,
+        name: change.table || change.name,
+        changes: [],
+        acceptedChanges: []
+      });
+    }
+    return groups.get(key);
+  };
+
+  const tables = [...new Set([...(result.tables?.dev || []), ...(result.tables?.main || [])])];
+  tables.forEach(table => groupFor({ table }));
+  changes.forEach(change => groupFor(change).changes.push(change));
+  accepted.forEach(change => groupFor(change).acceptedChanges.push(change));
+
+  return [...groups.values()];
+}
+
+// Move changes matched by the allowlist out of the result categories into result.acceptedChanges,
+// each with the reason from its allowlist entry. Entries that match nothing are listed in
+// result.unusedAllowlistEntries so stale entries can be cleaned up.
+function applyAllowlist(result, allowlist = []) {
+  const entries = compileAllowlist(allowlist);
+  const definitions = result.tableDefinitions || { dev: {}, main: {} };
+  const used = new Set();
+
+  result.acceptedChanges = [];
+
+  for (const category of CATEGORIES) {
+    result[category] = (result[category] || []).filter(entry => {
+      const change = describeChange(category, entry, definitions);
+      const match = entries.find(({ pattern }) => pattern.test(change.id));
+      if (!match) return true;
+
+      used.add(match);
+      result.acceptedChanges.push({ ...change, reason: match.reason });
+      return false;
+    });
+  }
+
+  result.unusedAllowlistEntries = entries
+    .filter(entry => !used.has(entry))
+    .map(({ change, reason }) => ({ change, reason }));
+  result.isInSync = !hasDifferences(result);
+  return result;
+}
+
+// Compare `source` (desired schema, the "dev" side) with `target` (the "main" side that would be
+// migrated). Both are schema sources: DatabaseSource, SqlFileSource, SnapshotSource or anything
+// with the same methods. Options: { compareAutoIncrement, filters, allowlist, severityOverrides,
+// detectRenames, renameHints, referenceData }.
+async function compareSchemas(source, target, options = {}) {
+  const result = await diffSchemas(source, target, options);
+  applyAllowlist(result, options.allowlist);
+  result.changes = applySeverityOverrides(buildChanges(result), options.severityOverrides);
+  result.acceptedChanges = applySeverityOverrides(result.acceptedChanges, options.severityOverrides);
+  return result;
+}
+
+module.exports = {
+  CATEGORIES,
+  DATA_CATEGORIES,
+  SEVERITIES,
+  ATTRIBUTE_SEVERITY,
+  KIND_SEVERITY,
+  compareColumns,
+  compareTableOptions,
+  compareIndexes,
+  compareForeignKeys,
+  getIndexSignature,
+  hasDifferences,
+  diffSchemas,
+  describeChange,
+  OBJECT_LABELS,
+  KIND_DESCRIPTIONS,
+  formatChangeMessage,
+  buildChanges,
+  groupChanges,
+  applyAllowlist,
+  compareSchemas
+};
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Config files looked up in the working directory, in this order. All of them may be YAML or JSON.
+const CONFIG_FILES = ['.schemacomparerc', '.schemacomparerc.json', '.schemacomparerc.yml', '.schemacomparerc.yaml'];
+
+// Invalid flags, config files or settings (as opposed to failures while comparing)
+class ConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConfigError';
+  }
+}
+
+// Replace ${VAR} and ${VAR:-default} in every string of the config, so secrets can stay in the environment
+function interpolateEnv(value, env = process.env) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      if (env[name] !== undefined) return env[name];
+      if (fallback !== undefined) return fallback;
+      throw new ConfigError(`Environment variable ${name} is not set (referenced in config)`);
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => interpolateEnv(item, env));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, env)]));
+  }
+
+  return value;
+}
+
+function findConfigFile(cwd = process.cwd()) {
+  const found = CONFIG_FILES.map(file => path.join(cwd, file)).find(file => fs.existsSync(file));
+  return found || null;
+}
+
+// Load a config file (or the first one found in cwd). Returns { profiles: {} } when there is none.
+function loadConfig(filePath = null, cwd = process.cwd()) {
+  const resolved = filePath ? path.resolve(cwd, filePath) : findConfigFile(cwd);
+  if (!resolved) return { profiles: {} };
+
+  if (!fs.existsSync(resolved)) {
+    throw new ConfigError(`Config file not found: ${filePath}`);
+  }
+
+  let config;
+  try {
+    config = YAML.parse(fs.readFileSync(resolved, 'utf8')) || {};
+  } catch (error) {
+    throw new ConfigError(`Could not parse config file ${resolved}: ${error.message}`);
+  }
+
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(`Config file ${resolved} must contain an object`);
+  }
+
+  // Profiles are interpolated when used, so an unused profile does not need its variables set
+  const { profiles = {}, ...settings } = config;
+  return { ...interpolateEnv(settings), profiles, configFile: resolved };
+}
+
+function parseConnectionUrl(url) {
+  const parsed = new URL(url);
+  return {
+    type: 'database',
+    host: parsed.hostname,
+    port: parsed.port || 3306,
+    user: decodeURIComponent(parsed.username),
+    password: decodeURIComponent(parsed.password),
+    database: decodeURIComponent(parsed.pathname.replace(/^\//, '')),
+    ssl: parsed.searchParams.get('ssl') === 'true'
+  };
+}
+
+// Connection options that a database profile passes on as they are (see connectDatabase)
+const CONNECTION_OPTIONS = ['socketPath', 'auth', 'awsRegion', 'passwordCommand', 'connectTimeout', 'connectRetries'];
+
+// ssl of a database profile: ssl (false, true or an object) with the certificate files sslCa,
+// sslCert and sslKey and sslRejectUnauthorized. Paths are relative to baseDir.
+function readSslOptions(value, baseDir) {
+  const readFile = key => {
+    const filePath = path.resolve(baseDir, value[key]);
+    if (!fs.existsSync(filePath)) {
+      throw new ConfigError(`${key} file not found: ${value[key]}`);
+    }
+    return fs.readFileSync(filePath, 'utf8');
+  };
+
+  const files = { sslCa: 'ca', sslCert: 'cert', sslKey: 'key' };
+  if (!Object.keys(files).some(key => value[key]) && value.sslRejectUnauthorized === undefined) {
+    return value.ssl || false;
+  }
+
+  const ssl = typeof value.ssl === 'object' && value.ssl ? { ...value.ssl } : {};
+  Object.entries(files).filter(([key]) => value[key]).forEach(([key, option]) => { ssl[option] = readFile(key); });
+  if (value.sslRejectUnauthorized !== undefined) {
+    ssl.rejectUnauthorized = value.sslRejectUnauthorized !== false && value.sslRejectUnauthorized !== 'false';
+  }
+  return ssl;
+}
+
+// Connection options of a database profile besides host, port, user, password and database
+function readConnectionOptions(value, baseDir) {
+  const options = Object.fromEntries(CONNECTION_OPTIONS.filter(key => value[key] !== undefined).map(key => [key, value[key]]));
+
+  const ssl = readSslOptions(value, baseDir);
+  if (ssl) {
+    options.ssl = ssl;
+  }
+
+  if (value.ssh) {
+    options.ssh = { ...value.ssh };
+    ['privateKeyPath', 'knownHostsPath'].filter(key => options.ssh[key]).forEach(key => {
+      options.ssh[key] = path.resolve(baseDir, options.ssh[key]);
+    });
+  }
+
+  return options;
+}
+
+// Fill in connection settings given for all sources (e.g. --connect-timeout) where a database spec
+// has none of its own
+function applyConnectionDefaults(spec, defaults = {}) {
+  if (spec.type !== 'database') return spec;
+
+  const filled = { ...spec };
+  Object.entries(defaults)
+    .filter(([key, value]) => filled[key] === undefined && value !== undefined && value !== null)
+    .forEach(([key, value]) => { filled[key] = value; });
+  return filled;
+}
+
+// Turn a profile name, mysql:// URL, file path or profile object into a source spec (see openSource)
+function resolveSourceSpec(value, profiles = {}, baseDir = process.cwd()) {
+  if (!value) {
+    throw new ConfigError('Missing source: pass a profile name, mysql:// URL, .sql file or .json snapshot');
+  }
+
+  if (typeof value === 'string') {
+    if (profiles[value]) {
+      return resolveSourceSpec(interpolateEnv(profiles[value]), {}, baseDir);
+    }
+
+    if (/^mysql:\/\//i.test(value)) {
+      return parseConnectionUrl(value);
+    }
+
+    const filePath = path.resolve(baseDir, value);
+    if (fs.existsSync(filePath)) {
+      return /\.json$/i.test(filePath) ? { type: 'snapshot', path: filePath } : { type: 'schema-file', path: filePath };
+    }
+
+    throw new ConfigError(`Unknown source '${value}': not a profile in the config file, a mysql:// URL or an existing file`);
+  }
+
+  if (value.snapshot) {
+    return { type: 'snapshot', path: path.resolve(baseDir, value.snapshot) };
+  }
+
+  if (value.schemaFile) {
+    return { type: 'schema-file', path: path.resolve(baseDir, value.schemaFile) };
+  }
+
+  const options = readConnectionOptions(value, baseDir);
+
+  if (value.url) {
+    return { ...parseConnectionUrl(value.url), ...options };
+  }
+
+  return {
+    type: 'database',
+    host: value.host || 'localhost',
+    port: value.port || 3306,
+    user: value.user,
+    password: value.password,
+    database: value.database,
+    ssl: false,
+    ...options
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  ConfigError,
+  interpolateEnv,
+  findConfigFile,
+  loadConfig,
+  applyConnectionDefaults,
+  resolveSourceSpec
+};
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn, exec } = require('child_process');
+const chalk = require('chalk');
+const DatabaseSource = require('./database-source');
+const { ConfigError } = require('./config');
+const { addSecret } = require('./redact');
+
+// Connecting to a database source spec (see openSource). Besides host, port, user, password and
+// database a spec can have:
+//   socketPath        Unix socket instead of host and port
+//   ssl               false, true or { ca, cert, key, passphrase, rejectUnauthorized }
+//   ssh               { host, port, user, privateKey | privateKeyPath, knownHosts | knownHostsPath,
+//                     strictHostKeyChecking }: tunnel through a bastion host with the system's ssh
+//                     client. The bastion's host key must be in knownHosts unless
+//                     strictHostKeyChecking is false.
+//   auth              'password' (default) or 'rds-iam': an AWS RDS IAM token instead of a password,
+//                     signed with the AWS_* credentials of the environment
+//   awsRegion         region of the RDS instance (default: AWS_REGION or AWS_DEFAULT_REGION)
+//   passwordCommand   shell command that prints the password, e.g. a short-lived token
+//   connectTimeout    seconds to wait for a connection (default 10)
+//   connectRetries    retries after a network error, with a doubling delay from 1 second (default 2)
+
+const AUTH_METHODS = ['password', 'rds-iam'];
+const DEFAULT_CONNECT_TIMEOUT = 10;
+const DEFAULT_CONNECT_RETRIES = 2;
+const RETRY_DELAY = 1000;
+
+// Errors worth retrying: the server was unreachable or busy, not a wrong password or database
+const TRANSIENT_ERRORS = [
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EAI_AGAIN',
+  'PROTOCOL_CONNECTION_LOST',
+  'ER_CON_COUNT_ERROR',
+  'SSH_TUNNEL_FAILED'
+];
+
+// RDS IAM tokens are valid for 15 minutes
+const RDS_TOKEN_EXPIRY = 900;
+
+function parseNumber(value, name, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new ConfigError(`${name} must be a whole number of 0 or more, got '${value}'`);
+  }
+  return number;
+}
+
+// Check the connection options of a database spec, so mistakes are configuration errors
+function validateConnectionSpec(spec) {
+  if (spec.auth && !AUTH_METHODS.includes(spec.auth)) {
+    throw new ConfigError(`Invalid auth '${spec.auth}'. Valid values: ${AUTH_METHODS.join(', ')}`);
+  }
+
+  if (spec.auth === 'rds-iam' && spec.passwordCommand) {
+    throw new ConfigError('auth rds-iam and passwordCommand cannot be combined');
+  }
+
+  if (spec.ssh && (!spec.ssh.host || !spec.ssh.user)) {
+    throw new ConfigError('ssh needs a host and a user');
+  }
+
+  if (spec.ssh && !spec.ssh.knownHosts && !spec.ssh.knownHostsPath && spec.ssh.strictHostKeyChecking !== false) {
+    throw new ConfigError('ssh needs knownHosts or knownHostsPath to verify the bastion host key (or strictHostKeyChecking: false to accept any key)');
+  }
+
+  if (spec.ssh && spec.socketPath) {
+    throw new ConfigError('ssh tunnels connect to a host and port, not to socketPath');
+  }
+
+  parseNumber(spec.connectTimeout, 'connectTimeout', DEFAULT_CONNECT_TIMEOUT);
+  parseNumber(spec.connectRetries, 'connectRetries', DEFAULT_CONNECT_RETRIES);
+  return spec;
+}
+
+// RFC 3986 encoding, as AWS Signature Version 4 expects it
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function getAwsCredentials(env = process.env) {
+  if (!env.AWS_ACCESS_KEY_ID || !env.AWS_SECRET_ACCESS_KEY) {
+    throw new ConfigError('auth rds-iam needs AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY (e.g. from aws-actions/configure-aws-credentials)');
+  }
+
+  return {
+    accessKeyId: env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+    sessionToken: env.AWS_SESSION_TOKEN || null
+  };
+}
+
+// Authentication token for an RDS IAM database user: a presigned `connect` request (Signature
+// Version 4), the same as `aws rds generate-db-auth-token` prints
+function createRdsAuthToken({ host, port = 3306, user, region, credentials, date = new Date() }) {
+  const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+  const sha256 = value => crypto.createHash('sha256').update(value).digest('hex');
+
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/rds-db/aws4_request`;
+
+  const params = {
+    Action: 'connect',
+    DBUser: user,
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${credentials.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(RDS_TOKEN_EXPIRY),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  if (credentials.sessionToken) {
+    params['X-Amz-Security-Token'] = credentials.sessionToken;
+  }
+
+  const query = Object.keys(params).sort()
+    .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(params[key])}`)
+    .join('&');
+
+  const canonicalRequest = ['GET', '/', query, `host:${host}:${port}`, '', 'host', sha256('')].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+  const signingKey = ['rds-db', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), region));
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return `${host}:${port}/?${query}&X-Amz-Signature=${signature}`;
+}
+
+// Output of the spec's passwordCommand, without the trailing newline
+function runPasswordCommand(command, timeout) {
+  return new Promise((resolve, reject) => {
+    exec(command, { timeout: timeout * 1000 }, (error, stdout) => {
+      if (error) {
+        reject(new Error(`passwordCommand failed: ${error.message.split('\n')[0]}`));
+      } else {
+        resolve(stdout.replace(/\r?\n$/, ''));
+      }
+    });
+  });
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function canConnect(port) {
+  return new Promise(resolve => {
+    const socket = net.connect(port, '127.0.0.1');
+    socket.once('connect', () => { socket.destroy(); resolve(true); });
+    socket.once('error', () => resolve(false));
+  });
+}
+
+function tunnelError(message) {
+  const error = new Error(`SSH tunnel: ${message}`);
+  error.code = 'SSH_TUNNEL_FAILED';
+  return error;
+}
+
+// Forward a local port to target ({ host, port }) through a bastion with `ssh -N -L`. Keys and known
+// hosts given as text are written to a private temporary directory. The bastion's key is checked
+// against the known hosts, or not at all with strictHostKeyChecking: false. Returns
+// { host, port, close() } of the local end.
+async function openSshTunnel(ssh, target, timeout = DEFAULT_CONNECT_TIMEOUT) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-compare-ssh-'));
+  const writePrivate = (name, contents) => {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, contents.endsWith('\n') ? contents : `${contents}\n`, { mode: 0o600 });
+    return file;
+  };
+  const cleanup = () => fs.rmSync(directory, { recursive: true, force: true });
+
+  const localPort = await findFreePort();
+  const args = [
+    '-N',
+    '-L', `127.0.0.1:${localPort}:${target.host}:${target.port}`,
+    '-p', String(ssh.port || 22),
+    '-o', 'BatchMode=yes',
+    '-o', 'ExitOnForwardFailure=yes',
+    '-o', `ConnectTimeout=${timeout}`,
+    '-o', 'ServerAliveInterval=30'
+  ];
+
+  const privateKey = ssh.privateKey ? writePrivate('id', ssh.privateKey) : ssh.privateKeyPath;
+  if (privateKey) {
+    args.push('-i', privateKey, '-o', 'IdentitiesOnly=yes');
+  }
+
+  const knownHosts = ssh.knownHosts ? writePrivate('known_hosts', ssh.knownHosts) : ssh.knownHostsPath;
+  if (knownHosts) {
+    args.push('-o', `UserKnownHostsFile=${knownHosts}`, '-o', 'StrictHostKeyChecking=yes');
+  } else if (ssh.strictHostKeyChecking === false) {
+    args.push('-o', 'UserKnownHostsFile=/dev/null', '-o', 'StrictHostKeyChecking=no');
+  } else {
+    cleanup();
+    throw new ConfigError('ssh needs knownHosts or knownHostsPath to verify the bastion host key');
+  }
+
+  args.push(`${ssh.user}@${ssh.host}`);
+
+  const child = spawn('ssh', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  let exited = null;
+  child.stderr.on('data', data => { stderr += data; });
+  child.on('error', error => { exited = error.message; });
+  child.on('exit', code => { exited = exited || `ssh exited with code ${code}`; });
+
+  // The ssh process must not outlive a run that fails or exits early
+  const close = () => {
+    process.removeListener('exit', close);
+    if (exited === null) child.kill();
+    cleanup();
+  };
+  process.on('exit', close);
+
+  const deadline = Date.now() + timeout * 1000;
+  while (!(await canConnect(localPort))) {
+    if (exited !== null || Date.now() > deadline) {
+      close();
+      throw tunnelError(`could not forward through ${ssh.host}: ${stderr.trim() || exited || 'timed out'}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  return { host: '127.0.0.1', port: localPort, close };
+}
+
+// mysql2 options of a database spec, for `host` and `port` (the tunnel's local end when tunnelling)
+function getConnectionConfig(spec, { host = spec.host, port = spec.port || 3306 } = {}) {
+  const config = {
+    host,
+    port: Number(port),
+    user: spec.user,
+    password: spec.password,
+    database: spec.database,
+    connectTimeout: parseNumber(spec.connectTimeout, 'connectTimeout', DEFAULT_CONNECT_TIMEOUT) * 1000
+  };
+
+  if (spec.socketPath) {
+    config.socketPath = spec.socketPath;
+  }
+
+  if (spec.ssl) {
+    config.ssl = spec.ssl === true ? {} : spec.ssl;
+  }
+
+  return config;
+}
+
+// Password or token for the spec. RDS IAM tokens are signed for each new connection of the pool, so
+// connections opened later in a long run (e.g. apply mode) do not use an expired token.
+async function applyAuthentication(config, spec) {
+  if (spec.passwordCommand) {
+    const password = await runPasswordCommand(spec.passwordCommand, config.connectTimeout / 1000);
+    addSecret(password);
+    return { ...config, password };
+  }
+
+  if (spec.auth !== 'rds-iam') {
+    return config;
+  }
+
+  const region = spec.awsRegion || process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION;
+  if (!region) {
+    throw new ConfigError('auth rds-iam needs awsRegion or AWS_REGION');
+  }
+
+  const credentials = getAwsCredentials();
+  const createToken = () => createRdsAuthToken({ host: spec.host, port: spec.port || 3306, user: spec.user, region, credentials });
+
+  return {
+    ...config,
+    password: createToken(),
+    // RDS only accepts IAM tokens over TLS; 'Amazon RDS' is mysql2's bundle of the RDS certificates
+    ssl: config.ssl || 'Amazon RDS',
+    authPlugins: { mysql_clear_password: () => () => Buffer.from(`${createToken()}\0`) }
+  };
+}
+
+// Open a database spec as a DatabaseSource, through an SSH tunnel if configured, retrying network
+// errors with a doubling delay. `label` names the side in log messages. With `readOnly` the session
+// is read-only and the source refuses to run statements (see DatabaseSource).
+async function connectDatabase(spec, { label = 'database', readOnly = true } = {}) {
+  validateConnectionSpec(spec);
+  const timeout = parseNumber(spec.connectTimeout, 'connectTimeout', DEFAULT_CONNECT_TIMEOUT);
+  const retries = parseNumber(spec.connectRetries, 'connectRetries', DEFAULT_CONNECT_RETRIES);
+
+  for (let attempt = 0; ; attempt++) {
+    let tunnel = null;
+
+    try {
+      if (spec.ssh) {
+        tunnel = await openSshTunnel(spec.ssh, { host: spec.host, port: spec.port || 3306 }, timeout);
+      }
+
+      const config = await applyAuthentication(getConnectionConfig(spec, tunnel || undefined), spec);
+      const source = await DatabaseSource.connect(config, { readOnly });
+      source.tunnel = tunnel;
+      return source;
+    } catch (error) {
+      if (tunnel) tunnel.close();
+
+      if (attempt >= retries || !TRANSIENT_ERRORS.includes(error.code)) {
+        throw error;
+      }
+
+      const delay = RETRY_DELAY * 2 ** attempt;
+      console.log(chalk.yellow(`⚠️  Could not connect to ${label} (${error.code}), retrying in ${delay / 1000}s (${attempt + 1}/${retries})`));
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  AUTH_METHODS,
+  DEFAULT_CONNECT_TIMEOUT,
+  DEFAULT_CONNECT_RETRIES,
+  validateConnectionSpec,
+  createRdsAuthToken,
+  openSshTunnel,
+  getConnectionConfig,
+  connectDatabase
+};
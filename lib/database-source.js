@@ -0,0 +1,441 @@
+const mysql = require('mysql2/promise');
+const { stripDefinerAndSchema, normalizeDefinition, formatPartitioning, extractPartitionClause, formatValueExpression } = require('./sql-utils');
+
+// Connections per database: the bulk introspection queries run side by side
+const POOL_SIZE = 4;
+
+// Statements a read-only source still runs: introspection and the read-only risk probes
+const READ_ONLY_STATEMENT = /^\s*(SELECT|SHOW|EXPLAIN|DESCRIBE|DESC)\b/i;
+
+// Group rows by their TABLE_NAME column, keeping the query order
+function groupByTable(rows) {
+  const groups = {};
+  rows.forEach(({ TABLE_NAME: table, ...row }) => {
+    (groups[table] = groups[table] || []).push(row);
+  });
+  return groups;
+}
+
+// Indexes from SHOW INDEX rows (or INFORMATION_SCHEMA.STATISTICS rows renamed to match)
+function buildIndexes(rows, tableName) {
+  const indexes = {};
+  rows.forEach(row => {
+    if (!indexes[row.Key_name]) {
+      indexes[row.Key_name] = {
+        name: row.Key_name,
+        columns: [],
+        parts: [],
+        unique: Number(row.Non_unique) === 0,
+        primary: row.Key_name === 'PRIMARY',
+        type: row.Index_type || 'BTREE',
+        // Visible is only reported by MySQL 8.0+, Ignored by MariaDB 10.6+
+        visible: row.Visible !== 'NO' && row.Ignored !== 'YES',
+        table: tableName
+      };
+    }
+    // Functional key parts (MySQL 8.0.13+) have no column name, only an expression
+    indexes[row.Key_name].columns.push(row.Column_name || `(${row.Expression})`);
+    indexes[row.Key_name].parts.push({
+      column: row.Column_name || null,
+      expression: row.Expression || null,
+      length: row.Sub_part || null,
+      descending: row.Collation === 'D'
+    });
+  });
+
+  return Object.values(indexes);
+}
+
+function buildForeignKeys(rows, tableName) {
+  const foreignKeys = {};
+  rows.forEach(row => {
+    if (!foreignKeys[row.name]) {
+      foreignKeys[row.name] = {
+        name: row.name,
+        table: tableName,
+        columns: [],
+        referencedSchema: row.referencedSchema,
+        referencedTable: row.referencedTable,
+        referencedColumns: [],
+        onUpdate: row.onUpdate,
+        onDelete: row.onDelete
+      };
+    }
+    foreignKeys[row.name].columns.push(row.columnName);
+    foreignKeys[row.name].referencedColumns.push(row.referencedColumnName);
+  });
+
+  return Object.values(foreignKeys);
+}
+
+// Schema source backed by a live MySQL connection pool, introspected through INFORMATION_SCHEMA.
+// The tables, columns, indexes, foreign keys and options of the whole schema are read once, with a
+// few bulk queries (see loadSchema), instead of several queries per table.
+// A read-only source runs every session with SET SESSION TRANSACTION READ ONLY and refuses to run
+// anything but SELECT, SHOW, EXPLAIN and DESCRIBE statements through query().
+class DatabaseSource {
+  constructor(connection, { readOnly = false } = {}) {
+    this.connection = connection;
+    this.isLive = true;
+    this.readOnly = readOnly;
+    this.schema = null;
+    // SSH tunnel the connection goes through, closed by end() (see connectDatabase)
+    this.tunnel = null;
+  }
+
+  static async connect(config, { readOnly = false } = {}) {
+    const pool = mysql.createPool({ ...config, connectionLimit: POOL_SIZE });
+
+    // Every new connection of the pool is made read-only before it runs anything else. A connection
+    // that cannot be made read-only is closed, so its queries fail instead of running writable.
+    if (readOnly) {
+      pool.on('connection', connection => {
+        connection.query('SET SESSION TRANSACTION READ ONLY', error => {
+          if (error) connection.destroy();
+        });
+      });
+    }
+
+    const source = new DatabaseSource(pool, { readOnly });
+
+    // A pool connects on first use, so connection errors would otherwise only show up later
+    try {
+      await source.getServerVersion();
+    } catch (error) {
+      await source.end();
+      throw error;
+    }
+
+    return source;
+  }
+
+  // Run a statement against the database (used by apply mode and risk probes). The schema may
+  // change, so it is loaded again on the next read.
+  async query(sql, params) {
+    if (this.readOnly && !READ_ONLY_STATEMENT.test(sql)) {
+      throw new Error(`Refusing to run a statement on a read-only connection (only apply mode may change the database): ${sql.split('\n')[0]}`);
+    }
+
+    this.schema = null;
+    return this.connection.query(sql, params);
+  }
+
+  async end() {
+    try {
+      await this.connection.end();
+    } finally {
+      if (this.tunnel) this.tunnel.close();
+    }
+  }
+
+  // VERSION() output, e.g. '8.0.35' or '10.6.12-MariaDB' (see parseServerVersion)
+  async getServerVersion() {
+    if (this.serverVersion === undefined) {
+      const [rows] = await this.connection.execute('SELECT VERSION() AS version');
+      this.serverVersion = rows[0].version;
+    }
+    return this.serverVersion;
+  }
+
+  // Everything the comparison reads, as { tables, options, columns, indexes, foreignKeys } keyed by
+  // table. Loaded on first use and kept until query() runs a statement.
+  async loadSchema() {
+    if (!this.schema) {
+      this.schema = this.readSchema().catch(error => {
+        this.schema = null;
+        throw error;
+      });
+    }
+    return this.schema;
+  }
+
+  async readSchema() {
+    const [options, columns, indexes, foreignKeys, partitions] = await Promise.all([
+      this.readTableOptions(),
+      this.readColumns(),
+      this.readIndexes(),
+      this.readForeignKeys(),
+      this.readPartitions()
+    ]);
+
+    const schema = { tables: Object.keys(options), options, columns, indexes, foreignKeys };
+
+    // The PARTITION BY clause is only available verbatim from SHOW CREATE TABLE
+    await Promise.all(Object.entries(partitions).map(async ([table, tablePartitions]) => {
+      if (!options[table]) return;
+      options[table].partitioning = formatPartitioning({ ...tablePartitions[0], partitions: tablePartitions });
+      options[table].partitionClause = extractPartitionClause(await this.getCreateTableStatement(table));
+    }));
+
+    return schema;
+  }
+
+  // Base tables (not views) with their options, in name order
+  async readTableOptions() {
+    const [rows] = await this.connection.execute(`
+      SELECT
+        TABLE_NAME,
+        ENGINE as engine,
+        TABLE_COLLATION as collation,
+        ROW_FORMAT as rowFormat,
+        TABLE_COMMENT as comment,
+        AUTO_INCREMENT as autoIncrement
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_TYPE = 'BASE TABLE'
+      ORDER BY TABLE_NAME
+    `);
+
+    return Object.fromEntries(rows.map(({ TABLE_NAME: table, ...options }) =>
+      [table, { ...options, partitioning: null, partitionClause: null }]));
+  }
+
+  async readColumns() {
+    const [rows] = await this.connection.execute(`
+      SELECT
+        TABLE_NAME,
+        COLUMN_NAME as name,
+        COLUMN_TYPE as type,
+        IS_NULLABLE as nullable,
+        COLUMN_DEFAULT as defaultValue,
+        EXTRA as extra,
+        COLUMN_KEY as keyType,
+        CHARACTER_MAXIMUM_LENGTH as maxLength,
+        NUMERIC_PRECISION as numericPrecision,
+        NUMERIC_SCALE as numericScale,
+        CHARACTER_SET_NAME as charset,
+        COLLATION_NAME as collation,
+        COLUMN_COMMENT as comment,
+        GENERATION_EXPRESSION as generationExpression
+      FROM INFORMATION_SCHEMA.COLUMNS
+      WHERE TABLE_SCHEMA = DATABASE()
+      ORDER BY TABLE_NAME, ORDINAL_POSITION
+    `);
+
+    return groupByTable(rows);
+  }
+
+  // INFORMATION_SCHEMA.STATISTICS has the SHOW INDEX columns under other names. IS_VISIBLE, EXPRESSION
+  // and IGNORED only exist in some versions, hence SELECT *. Primary keys come first, then unique keys.
+  async readIndexes() {
+    const [rows] = await this.connection.execute(`
+      SELECT *
+      FROM INFORMATION_SCHEMA.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE()
+      ORDER BY TABLE_NAME, INDEX_NAME != 'PRIMARY', NON_UNIQUE, INDEX_NAME, SEQ_IN_INDEX
+    `);
+
+    const groups = groupByTable(rows.map(row => ({
+      TABLE_NAME: row.TABLE_NAME,
+      Key_name: row.INDEX_NAME,
+      Column_name: row.COLUMN_NAME,
+      Non_unique: row.NON_UNIQUE,
+      Sub_part: row.SUB_PART,
+      Index_type: row.INDEX_TYPE,
+      Collation: row.COLLATION,
+      Visible: row.IS_VISIBLE,
+      Expression: row.EXPRESSION,
+      Ignored: row.IGNORED
+    })));
+
+    return Object.fromEntries(Object.entries(groups).map(([table, tableRows]) => [table, buildIndexes(tableRows, table)]));
+  }
+
+  async readForeignKeys() {
+    const [rows] = await this.connection.execute(`
+      SELECT
+        rc.TABLE_NAME,
+        rc.CONSTRAINT_NAME as name,
+        kcu.COLUMN_NAME as columnName,
+        IF(kcu.REFERENCED_TABLE_SCHEMA = DATABASE(), NULL, kcu.REFERENCED_TABLE_SCHEMA) as referencedSchema,
+        rc.REFERENCED_TABLE_NAME as referencedTable,
+        kcu.REFERENCED_COLUMN_NAME as referencedColumnName,
+        rc.UPDATE_RULE as onUpdate,
+        rc.DELETE_RULE as onDelete
+      FROM INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS rc
+      JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu
+        ON kcu.CONSTRAINT_SCHEMA = rc.CONSTRAINT_SCHEMA
+        AND kcu.CONSTRAINT_NAME = rc.CONSTRAINT_NAME
+        AND kcu.TABLE_NAME = rc.TABLE_NAME
+      WHERE rc.CONSTRAINT_SCHEMA = DATABASE()
+      ORDER BY rc.TABLE_NAME, rc.CONSTRAINT_NAME, kcu.ORDINAL_POSITION
+    `);
+
+    const groups = groupByTable(rows);
+    return Object.fromEntries(Object.entries(groups).map(([table, tableRows]) => [table, buildForeignKeys(tableRows, table)]));
+  }
+
+  async readPartitions() {
+    const [rows] = await this.connection.execute(`
+      SELECT
+        TABLE_NAME,
+        PARTITION_NAME as name,
+        PARTITION_METHOD as method,
+        PARTITION_EXPRESSION as expression,
+        PARTITION_DESCRIPTION as description,
+        SUBPARTITION_METHOD as subpartitionMethod,
+        SUBPARTITION_EXPRESSION as subpartitionExpression
+      FROM INFORMATION_SCHEMA.PARTITIONS
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND PARTITION_NAME IS NOT NULL
+      ORDER BY TABLE_NAME, PARTITION_ORDINAL_POSITION, SUBPARTITION_ORDINAL_POSITION
+    `);
+
+    return groupByTable(rows);
+  }
+
+  async getTables() {
+    return [...(await this.loadSchema()).tables];
+  }
+
+  // Estimated size of every table, as { table: { rows, dataLength, indexLength } }. TABLE_ROWS is an
+  // estimate for InnoDB, which is good enough to tell large tables apart.
+  async getTableSizes() {
+    const [rows] = await this.connection.execute(`
+      SELECT TABLE_NAME, TABLE_ROWS, DATA_LENGTH, INDEX_LENGTH
+      FROM INFORMATION_SCHEMA.TABLES
+      WHERE TABLE_SCHEMA = DATABASE()
+      AND TABLE_TYPE = 'BASE TABLE'
+    `);
+    return Object.fromEntries(rows.map(row => [row.TABLE_NAME, {
+      rows: Number(row.TABLE_ROWS) || 0,
+      dataLength: Number(row.DATA_LENGTH) || 0,
+      indexLength: Number(row.INDEX_LENGTH) || 0
+    }]));
+  }
+
+  // Row count and an order-independent checksum of the given columns ({ name, type }), computed on
+  // the server, so tables with the same rows are found without reading them (reference data)
+  async getTableChecksum(tableName, columns) {
+    const values = columns.map(formatValueExpression).join(', ');
+    const nulls = columns.map(column => `ISNULL(\`${column.name}\`)`).join(', ');
+    const [rows] = await this.connection.query(`
+      SELECT
+        COUNT(*) AS rowCount,
+        CAST(COALESCE(BIT_XOR(CAST(CONV(SUBSTRING(MD5(CONCAT_WS('#', ${values}, CONCAT(${nulls}))), 1, 16), 16, 10) AS UNSIGNED)), 0) AS CHAR) AS checksum
+      FROM \`${tableName}\`
+    `);
+    return { rows: Number(rows[0].rowCount), checksum: rows[0].checksum };
+  }
+
+  // Rows of a table as { column: text or null } (see formatValueExpression), ordered by keyColumns
+  async getTableRows(tableName, columns, keyColumns) {
+    const [rows] = await this.connection.query(`
+      SELECT ${columns.map(column => `${formatValueExpression(column)} AS \`${column.name}\``).join(', ')}
+      FROM \`${tableName}\`
+      ORDER BY ${keyColumns.map(column => `\`${column}\``).join(', ')}
+    `);
+    return rows;
+  }
+
+  async getCreateTableStatement(tableName) {
+    const [rows] = await this.connection.execute(`SHOW CREATE TABLE \`${tableName}\``);
+    return rows[0]['Create Table'];
+  }
+
+  // Copies, so callers cannot change the loaded schema
+  async getTableColumns(tableName) {
+    return ((await this.loadSchema()).columns[tableName] || []).map(column => ({ ...column }));
+  }
+
+  async getTableOptions(tableName) {
+    return { ...(await this.loadSchema()).options[tableName] };
+  }
+
+  async getTableIndexes(tableName) {
+    return ((await this.loadSchema()).indexes[tableName] || []).map(index => ({
+      ...index,
+      columns: [...index.columns],
+      parts: index.parts.map(part => ({ ...part }))
+    }));
+  }
+
+  async getTableForeignKeys(tableName) {
+    return ((await this.loadSchema()).foreignKeys[tableName] || []).map(foreignKey => ({
+      ...foreignKey,
+      columns: [...foreignKey.columns],
+      referencedColumns: [...foreignKey.referencedColumns]
+    }));
+  }
+
+  // User schemas on the server, without MySQL's own system schemas
+  async getSchemaNames() {
+    const [rows] = await this.connection.execute(`
+      SELECT SCHEMA_NAME AS name
+      FROM INFORMATION_SCHEMA.SCHEMATA
+      WHERE SCHEMA_NAME NOT IN ('mysql', 'sys', 'information_schema', 'performance_schema')
+      ORDER BY SCHEMA_NAME
+    `);
+    return rows.map(row => row.name);
+  }
+
+  async getSchemaName() {
+    const [rows] = await this.connection.execute('SELECT DATABASE() AS name');
+    return rows[0].name;
+  }
+
+  // Views, stored procedures, functions, triggers and events with their SHOW CREATE output.
+  // Ordered so that fix statements can be applied top to bottom (functions before views, etc.)
+  async getSchemaObjects() {
+    const schemaName = await this.getSchemaName();
+    const objects = [];
+
+    const [routines] = await this.connection.execute(`
+      SELECT ROUTINE_NAME AS name, ROUTINE_TYPE AS type
+      FROM INFORMATION_SCHEMA.ROUTINES
+      WHERE ROUTINE_SCHEMA = DATABASE()
+      ORDER BY ROUTINE_TYPE, ROUTINE_NAME
+    `);
+    routines.filter(row => row.type === 'FUNCTION').forEach(row => objects.push({ type: 'FUNCTION', name: row.name }));
+    routines.filter(row => row.type === 'PROCEDURE').forEach(row => objects.push({ type: 'PROCEDURE', name: row.name }));
+
+    const [views] = await this.connection.execute(`
+      SELECT TABLE_NAME AS name
+      FROM INFORMATION_SCHEMA.VIEWS
+      WHERE TABLE_SCHEMA = DATABASE()
+      ORDER BY TABLE_NAME
+    `);
+    views.forEach(row => objects.push({ type: 'VIEW', name: row.name }));
+
+    const [triggers] = await this.connection.execute(`
+      SELECT TRIGGER_NAME AS name
+      FROM INFORMATION_SCHEMA.TRIGGERS
+      WHERE TRIGGER_SCHEMA = DATABASE()
+      ORDER BY EVENT_OBJECT_TABLE, ACTION_TIMING, EVENT_MANIPULATION, ACTION_ORDER
+    `);
+    triggers.forEach(row => objects.push({ type: 'TRIGGER', name: row.name }));
+
+    const [events] = await this.connection.execute(`
+      SELECT EVENT_NAME AS name
+      FROM INFORMATION_SCHEMA.EVENTS
+      WHERE EVENT_SCHEMA = DATABASE()
+      ORDER BY EVENT_NAME
+    `);
+    events.forEach(row => objects.push({ type: 'EVENT', name: row.name }));
+
+    // Spread over the connections of the pool
+    await Promise.all(objects.map(async object => {
+      const createStatement = await this.getCreateObjectStatement(object.type, object.name);
+      object.createStatement = stripDefinerAndSchema(createStatement, schemaName);
+      object.definition = normalizeDefinition(object.createStatement);
+    }));
+
+    return objects;
+  }
+
+  async getCreateObjectStatement(type, name) {
+    const columns = {
+      VIEW: 'Create View',
+      PROCEDURE: 'Create Procedure',
+      FUNCTION: 'Create Function',
+      TRIGGER: 'SQL Original Statement',
+      EVENT: 'Create Event'
+    };
+
+    const [rows] = await this.connection.query(`SHOW CREATE ${type} \`${name}\``);
+    // The definition is NULL when the user lacks privileges to read the routine body
+    return rows[0][columns[type]] || '';
+  }
+}
+
+module.exports = DatabaseSource;
@@ -0,0 +1,165 @@
+// Server flavours and versions. MySQL 5.7, MySQL 8.0 and MariaDB report the same schema differently
+// in INFORMATION_SCHEMA: int(11) vs int, DEFAULT_GENERATED in EXTRA, MariaDB's quoted defaults,
+// current_timestamp() vs CURRENT_TIMESTAMP, utf8 vs utf8mb3. Columns and table options of both sides
+// are normalised to the MySQL 8.0 form before they are compared (see createNormalizer), and the
+// migration is written in the dialect of the main server (see getDialect).
+
+// A server as { flavor, version }, from SELECT VERSION() output such as '8.0.35', '5.7.44-log' or
+// '10.6.12-MariaDB-1:10.6.12+maria~ubu2004'. Returns null for unknown or missing versions.
+function parseServerVersion(value) {
+  const match = /^(\d+)\.(\d+)\.(\d+)/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  return {
+    flavor: /mariadb/i.test(value) ? 'mariadb' : 'mysql',
+    version: `${Number(match[1])}.${Number(match[2])}.${Number(match[3])}`
+  };
+}
+
+function describeServer(server) {
+  if (!server) return 'unknown server';
+  return `${server.flavor === 'mariadb' ? 'MariaDB' : 'MySQL'} ${server.version}`;
+}
+
+// Whether `server` is `flavor` in at least `version`. Unknown servers count as current ones.
+function isAtLeast(server, flavor, version) {
+  if (!server) return true;
+  if (server.flavor !== flavor) return false;
+
+  const actual = server.version.split('.').map(Number);
+  const wanted = version.split('.').map(Number);
+  for (let i = 0; i < wanted.length; i++) {
+    if (actual[i] !== wanted[i]) return actual[i] > wanted[i];
+  }
+  return true;
+}
+
+// MySQL 8.0.19 stopped reporting integer display widths (except tinyint(1) and ZEROFILL columns)
+function reportsDisplayWidth(server) {
+  return Boolean(server) && !isAtLeast(server, 'mysql', '8.0.19');
+}
+
+// What the SQL for a server may use
+function getDialect(server) {
+  return {
+    server,
+    // RENAME COLUMN: MySQL 8.0, MariaDB 10.5.2. Older servers need CHANGE COLUMN with the definition.
+    renameColumn: isAtLeast(server, 'mysql', '8.0.0') || isAtLeast(server, 'mariadb', '10.5.2'),
+    // RENAME INDEX: MySQL 5.7, MariaDB 10.5.2. Older servers drop and re-add the index.
+    renameIndex: isAtLeast(server, 'mysql', '5.7.0') || isAtLeast(server, 'mariadb', '10.5.2'),
+    // Name of the 3-byte UTF-8 character set: utf8mb3 from MySQL 8.0.30 and MariaDB 10.6.1, utf8 before
+    utf8: isAtLeast(server, 'mysql', '8.0.30') || isAtLeast(server, 'mariadb', '10.6.1') ? 'utf8mb3' : 'utf8',
+    // Hidden indexes: INVISIBLE from MySQL 8.0, IGNORED from MariaDB 10.6. Older servers have none.
+    invisibleIndex: isAtLeast(server, 'mysql', '8.0.0') ? 'INVISIBLE' : isAtLeast(server, 'mariadb', '10.6.0') ? 'IGNORED' : null
+  };
+}
+
+// utf8 → utf8mb3 and utf8_general_ci → utf8mb3_general_ci (or the other way round with name 'utf8')
+function renameUtf8(value, name = 'utf8mb3') {
+  if (!value) return value;
+  return String(value).replace(/^utf8(mb3)?(?=_|$)/i, name);
+}
+
+// The same in SQL text such as a CREATE TABLE statement
+function renameUtf8InSql(sql, name) {
+  return sql.replace(/\butf8(mb3)?(?=_|\b)/gi, name);
+}
+
+const TIMESTAMP_FUNCTION = /^(current_timestamp|now|localtime|localtimestamp)(?:\((\d*)\))?$/i;
+const NUMBER = /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i;
+const BIT_LITERAL = /^b'[01]*'$/i;
+
+// current_timestamp(), now() and friends as MySQL 8.0 reports them: CURRENT_TIMESTAMP[(precision)]
+function normalizeTimestampFunction(value) {
+  const match = TIMESTAMP_FUNCTION.exec(value);
+  if (!match) return value;
+  return match[2] ? `CURRENT_TIMESTAMP(${match[2]})` : 'CURRENT_TIMESTAMP';
+}
+
+// int(11) → int, year(4) → year. tinyint(1) and ZEROFILL columns keep their width, like MySQL 8.0.19+.
+function stripDisplayWidth(type) {
+  if (/zerofill/i.test(type) || /^tinyint\(1\)/i.test(type)) return type;
+  return String(type).replace(/^(tinyint|smallint|mediumint|int|integer|bigint|year)\(\d+\)/i, '$1');
+}
+
+// MariaDB 10.2.7+ quotes literal defaults ('abc'), reports missing defaults of nullable columns as
+// the string NULL and expressions as written (current_timestamp()). Returns { value, expression }.
+function parseMariaDbDefault(value) {
+  if (value === null || value === undefined || value === 'NULL') {
+    return { value: null, expression: false };
+  }
+
+  const quoted = /^'(.*)'$/s.exec(value);
+  if (quoted) {
+    return { value: quoted[1].replace(/''/g, "'").replace(/\\\\/g, '\\'), expression: false };
+  }
+
+  return { value, expression: !NUMBER.test(value) && !BIT_LITERAL.test(value) };
+}
+
+// Normalise a column of `server` to the MySQL 8.0 form. Display widths are only stripped with
+// `stripWidths`, because on their own (MySQL 5.7 against 5.7) they are a real difference.
+function normalizeColumn(column, server, { stripWidths = false } = {}) {
+  const normalized = { ...column };
+  let expression = /\bDEFAULT_GENERATED\b/i.test(column.extra || '');
+
+  if (server?.flavor === 'mariadb' && isAtLeast(server, 'mariadb', '10.2.7') && typeof column.defaultValue === 'string') {
+    const parsed = parseMariaDbDefault(column.defaultValue);
+    normalized.defaultValue = parsed.value;
+    expression = expression || parsed.expression;
+  }
+
+  // Temporal defaults: MySQL 5.7 does not mark CURRENT_TIMESTAMP as DEFAULT_GENERATED, MariaDB writes now()
+  if (/^(timestamp|datetime)/i.test(column.type) && TIMESTAMP_FUNCTION.test(normalized.defaultValue || '')) {
+    normalized.defaultValue = normalizeTimestampFunction(normalized.defaultValue);
+    expression = true;
+  }
+
+  const extra = (column.extra || '')
+    .replace(/\bDEFAULT_GENERATED\b/i, '')
+    .replace(/\bon update (\S+)/i, (match, value) => `on update ${normalizeTimestampFunction(value)}`)
+    .replace(/\s+/g, ' ')
+    .trim();
+  normalized.extra = expression ? `DEFAULT_GENERATED ${extra}`.trim() : extra;
+
+  if (stripWidths) {
+    normalized.type = stripDisplayWidth(column.type);
+  }
+
+  normalized.charset = renameUtf8(column.charset);
+  normalized.collation = renameUtf8(column.collation);
+
+  return normalized;
+}
+
+function normalizeTableOptions(options) {
+  return { ...options, collation: renameUtf8(options.collation) };
+}
+
+// Normaliser for a comparison of dev and main, as { column(column, side), tableOptions(options) }
+// with side 'dev' or 'main'. Display widths are stripped on both sides as soon as one side is a
+// server that does not report them.
+function createNormalizer(servers = {}) {
+  const stripWidths = [servers.dev, servers.main].some(server => server && !reportsDisplayWidth(server));
+
+  return {
+    column: (column, side) => normalizeColumn(column, servers[side], { stripWidths }),
+    tableOptions: options => normalizeTableOptions(options)
+  };
+}
+
+module.exports = {
+  parseServerVersion,
+  describeServer,
+  isAtLeast,
+  reportsDisplayWidth,
+  stripDisplayWidth,
+  getDialect,
+  renameUtf8,
+  renameUtf8InSql,
+  normalizeColumn,
+  normalizeTableOptions,
+  createNormalizer
+};
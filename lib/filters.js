@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ConfigError } = require('./config');
+const { stripDisplayWidth } = require('./dialect');
+
+// Include/exclude rules for tables, columns and indexes, ignored difference kinds and the allowlist
+// of accepted differences. Patterns are globs (* and ?) or regular expressions written as /regex/flags.
+// Columns and indexes are matched as "table.column" and "table.index".
+
+// Difference kinds that can be ignored, and the attributes they cover per object type
+const DIFFERENCE_KINDS = {
+  'auto-increment': { 'table-options': ['autoIncrement'] },
+  charset: { column: ['charset'] },
+  collation: { column: ['collation'], 'table-options': ['collation'] },
+  comment: { column: ['comment'], 'table-options': ['comment'] },
+  default: { column: ['default'] },
+  // int(11) vs int: handled separately because only part of the type is ignored
+  'display-width': {},
+  engine: { 'table-options': ['engine'] },
+  'foreign-key-actions': { 'foreign-key': ['onDelete', 'onUpdate'] },
+  'index-visibility': { index: ['visible'] },
+  partitioning: { 'table-options': ['partitioning'] },
+  'row-format': { 'table-options': ['rowFormat'] }
+};
+
+const RULE_KEYS = ['tables', 'columns', 'indexes'];
+
+// Accept arrays, or comma/newline separated strings as used by action inputs and CLI flags
+function parseList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(/[,\n]/);
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+function compilePattern(pattern) {
+  const regex = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  if (regex) {
+    try {
+      return new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      throw new ConfigError(`Invalid regular expression ${pattern}: ${error.message}`);
+    }
+  }
+
+  const source = pattern.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+// rules: { tables: { include, exclude }, columns: { include, exclude }, indexes: { include, exclude }, ignore }
+function createFilter(rules = {}) {
+  const matchers = {};
+  for (const key of RULE_KEYS) {
+    matchers[key] = {
+      include: parseList(rules[key]?.include).map(compilePattern),
+      exclude: parseList(rules[key]?.exclude).map(compilePattern)
+    };
+  }
+
+  const unknownKeys = Object.keys(rules).filter(key => ![...RULE_KEYS, 'ignore'].includes(key));
+  if (unknownKeys.length > 0) {
+    throw new ConfigError(`Unknown filter '${unknownKeys[0]}'. Valid filters: ${[...RULE_KEYS, 'ignore'].join(', ')}`);
+  }
+
+  const ignore = parseList(rules.ignore);
+  const unknownKind = ignore.find(kind => !DIFFERENCE_KINDS[kind]);
+  if (unknownKind) {
+    throw new ConfigError(`Unknown difference kind '${unknownKind}'. Valid values: ${Object.keys(DIFFERENCE_KINDS).join(', ')}`);
+  }
+
+  const ignoredAttributes = {};
+  ignore.forEach(kind => {
+    Object.entries(DIFFERENCE_KINDS[kind]).forEach(([objectType, attributes]) => {
+      ignoredAttributes[objectType] = [...(ignoredAttributes[objectType] || []), ...attributes];
+    });
+  });
+
+  const matches = (key, name) => {
+    const { include, exclude } = matchers[key];
+    return (include.length === 0 || include.some(pattern => pattern.test(name))) &&
+      !exclude.some(pattern => pattern.test(name));
+  };
+
+  return {
+    ignore,
+    includesTable: table => matches('tables', table),
+    includesColumn: (table, column) => matches('columns', `${table}.${column}`),
+    includesIndex: (table, index) => matches('indexes', `${table}.${index}`),
+
+    // Drop ignored kinds from a comparator's [{ attribute, text }] list
+    filterDifferences(objectType, differences, devObject, mainObject) {
+      return differences.filter(({ attribute }) => {
+        if ((ignoredAttributes[objectType] || []).includes(attribute)) {
+          return false;
+        }
+
+        if (objectType === 'column' && attribute === 'type' && ignore.includes('display-width')) {
+          return stripDisplayWidth(devObject.type) !== stripDisplayWidth(mainObject.type);
+        }
+
+        return true;
+      });
+    }
+  };
+}
+
+// Allowlist entries: { change, reason }. `change` is a change id or a pattern matching change ids,
+// e.g. "column:audit_log.*:different". The reason is shown in the report.
+function compileAllowlist(entries = [], source = 'allowlist') {
+  if (!Array.isArray(entries)) {
+    throw new ConfigError(`${source} must be a list of { change, reason } entries`);
+  }
+
+  return entries.map((entry, i) => {
+    if (!entry || typeof entry.change !== 'string' || !entry.change.trim()) {
+      throw new ConfigError(`${source} entry ${i + 1} needs a 'change' (change id or pattern)`);
+    }
+
+    if (typeof entry.reason !== 'string' || !entry.reason.trim()) {
+      throw new ConfigError(`${source} entry ${i + 1} (${entry.change}) needs a 'reason'`);
+    }
+
+    return { change: entry.change.trim(), reason: entry.reason.trim(), pattern: compilePattern(entry.change.trim()) };
+  });
+}
+
+// Read an allowlist file (YAML or JSON list of { change, reason })
+function loadAllowlist(filePath) {
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    throw new ConfigError(`Allowlist file not found: ${filePath}`);
+  }
+
+  let entries;
+  try {
+    entries = YAML.parse(fs.readFileSync(resolved, 'utf8')) || [];
+  } catch (error) {
+    throw new ConfigError(`Could not parse allowlist file ${resolved}: ${error.message}`);
+  }
+
+  compileAllowlist(entries, `Allowlist file ${filePath}`);
+  return entries;
+}
+
+module.exports = {
+  DIFFERENCE_KINDS,
+  parseList,
+  compilePattern,
+  createFilter,
+  compileAllowlist,
+  loadAllowlist
+};
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config');
+const { redactValue } = require('./redact');
+
+// Drift history: every run's differences are stored as one JSON file in a history directory, so
+// later runs can tell when a difference first appeared, how the number of differences developed,
+// and which differences a branch introduced compared with the last run on its base branch.
+// One file per run (instead of one growing file) lets directories restored from several caches
+// or artifacts be merged by copying them together.
+const HISTORY_FORMAT = 'mysql-schema-compare/history';
+const HISTORY_VERSION = 1;
+
+// Older runs of the same comparison are deleted when a new one is recorded
+const MAX_RUNS = 200;
+
+// Fields of a change that are stored, enough to report on it without the full result
+const CHANGE_FIELDS = ['id', 'kind', 'objectType', 'path', 'severity', 'differences'];
+
+function toFileName(recordedAt, name) {
+  const slug = name ? `-${name.replace(/[^A-Za-z0-9_.-]+/g, '_')}` : '';
+  return `${recordedAt.replace(/[:.]/g, '-')}${slug}.json`;
+}
+
+// The stored form of a run. metadata: { name, branch, commit, pullRequest, runId }
+function createRunRecord(result, metadata = {}) {
+  return redactValue({
+    format: HISTORY_FORMAT,
+    version: HISTORY_VERSION,
+    recordedAt: new Date().toISOString(),
+    name: metadata.name || null,
+    branch: metadata.branch || null,
+    commit: metadata.commit || null,
+    pullRequest: metadata.pullRequest || null,
+    runId: metadata.runId || null,
+    isInSync: result.isInSync,
+    changes: result.changes.map(change => Object.fromEntries(CHANGE_FIELDS.map(field => [field, change[field]])))
+  });
+}
+
+// All runs in the directory, oldest first. Files that are not history records are ignored, so the
+// directory can be shared with other artifacts. Runs of several comparisons are told apart by `name`.
+function loadHistory(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const runs = [];
+  for (const file of fs.readdirSync(dir).filter(entry => entry.endsWith('.json'))) {
+    let record;
+    try {
+      record = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      continue;
+    }
+
+    if (record.format !== HISTORY_FORMAT) continue;
+    if (record.version > HISTORY_VERSION) {
+      throw new ConfigError(`${file} was written by a newer version of mysql-schema-compare (history version ${record.version})`);
+    }
+    runs.push({ ...record, file });
+  }
+
+  return runs.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt));
+}
+
+// Store a run and drop the oldest runs of the same comparison beyond MAX_RUNS. Returns the file path.
+function recordRun(dir, result, metadata = {}) {
+  const record = createRunRecord(result, metadata);
+  const resolvedDir = path.resolve(dir);
+  fs.mkdirSync(resolvedDir, { recursive: true });
+
+  const filePath = path.join(resolvedDir, toFileName(record.recordedAt, record.name));
+  fs.writeFileSync(filePath, JSON.stringify(record, null, 2) + '\n');
+
+  const runs = loadHistory(resolvedDir).filter(run => run.name === record.name);
+  runs.slice(0, Math.max(0, runs.length - MAX_RUNS)).forEach(run => fs.unlinkSync(path.join(resolvedDir, run.file)));
+
+  return filePath;
+}
+
+function describeRun(run) {
+  return { recordedAt: run.recordedAt, branch: run.branch, commit: run.commit, pullRequest: run.pullRequest };
+}
+
+// "2026-10-19 14:03 on main (3f2c1d9)", for reports
+function formatRun(run) {
+  const where = [run.branch && `on ${run.branch}`, run.commit && `(${run.commit.slice(0, 7)})`].filter(Boolean);
+  return [run.recordedAt.slice(0, 16).replace('T', ' '), ...where].join(' ');
+}
+
+// Report on the runs of one comparison (oldest first), the last of which is the current one:
+//   differences        every difference of any run with the first and last run it appeared in, the
+//                      number of runs, and whether the current run still has it (outstanding);
+//                      outstanding ones first, each group oldest first
+//   drift              number of differences and errors per run, the current one last
+//   baseline           the latest earlier run on options.baseline (a branch), or null
+//   newSinceBaseline, existingOnBaseline, fixedSinceBaseline
+//                      change ids introduced, kept and fixed compared with the baseline. Without a
+//                      baseline run every difference counts as new.
+function analyzeHistory(runs, { baseline = null } = {}) {
+  if (runs.length === 0) {
+    return null;
+  }
+
+  const current = runs[runs.length - 1];
+  const earlier = runs.slice(0, -1);
+  const baselineRun = baseline ? [...earlier].reverse().find(run => run.branch === baseline) || null : null;
+
+  const currentIds = current.changes.map(change => change.id);
+
+  const seen = new Map();
+  for (const run of runs) {
+    for (const change of run.changes) {
+      const entry = seen.get(change.id) || { id: change.id, severity: change.severity, firstSeen: describeRun(run), runs: 0 };
+      seen.set(change.id, { ...entry, severity: change.severity, lastSeen: describeRun(run), runs: entry.runs + 1 });
+    }
+  }
+  const differences = [...seen.values()]
+    .map(entry => ({ ...entry, outstanding: currentIds.includes(entry.id) }))
+    .sort((a, b) => Number(b.outstanding) - Number(a.outstanding) || a.firstSeen.recordedAt.localeCompare(b.firstSeen.recordedAt));
+  const baselineIds = baselineRun ? baselineRun.changes.map(change => change.id) : [];
+
+  return {
+    runs: runs.length,
+    current: describeRun(current),
+    differences,
+    drift: runs.map(run => ({
+      ...describeRun(run),
+      count: run.changes.length,
+      errors: run.changes.filter(change => change.severity === 'error').length
+    })),
+    baseline: baseline ? { branch: baseline, run: baselineRun && describeRun(baselineRun) } : null,
+    newSinceBaseline: currentIds.filter(id => !baselineIds.includes(id)),
+    existingOnBaseline: currentIds.filter(id => baselineIds.includes(id)),
+    fixedSinceBaseline: baselineIds.filter(id => !currentIds.includes(id))
+  };
+}
+
+module.exports = {
+  HISTORY_FORMAT,
+  HISTORY_VERSION,
+  MAX_RUNS,
+  createRunRecord,
+  recordRun,
+  loadHistory,
+  analyzeHistory,
+  formatRun
+};
@@ -0,0 +1,1100 @@
+// Type declarations for require('mysql-schema-compare')
+
+// Schema model, as returned by the schema sources
+
+export interface Column {
+  name: string;
+  type: string;
+  /** 'YES' or 'NO', as in INFORMATION_SCHEMA.COLUMNS */
+  nullable: 'YES' | 'NO';
+  defaultValue: string | null;
+  extra: string;
+  charset: string | null;
+  collation: string | null;
+  comment: string;
+  generationExpression: string;
+}
+
+export interface TableOptions {
+  engine: string | null;
+  collation: string | null;
+  rowFormat: string | null;
+  comment: string;
+  autoIncrement: number | null;
+  /** Comparable description of the partitioning, null when the table is not partitioned */
+  partitioning: string | null;
+  /** PARTITION BY clause used in migrations */
+  partitionClause: string | null;
+}
+
+export interface IndexPart {
+  column: string | null;
+  /** Functional key parts have an expression instead of a column */
+  expression: string | null;
+  length: number | null;
+  descending: boolean;
+}
+
+export interface Index {
+  name: string;
+  table: string;
+  columns: string[];
+  parts: IndexPart[];
+  unique: boolean;
+  primary: boolean;
+  type: string;
+  visible: boolean;
+}
+
+export interface ForeignKey {
+  name: string;
+  table: string;
+  columns: string[];
+  /** Only set when the referenced table is in another schema */
+  referencedSchema: string | null;
+  referencedTable: string;
+  referencedColumns: string[];
+  onUpdate: string;
+  onDelete: string;
+}
+
+export type SchemaObjectType = 'FUNCTION' | 'PROCEDURE' | 'VIEW' | 'TRIGGER' | 'EVENT';
+
+export interface SchemaObject {
+  type: SchemaObjectType;
+  name: string;
+  createStatement: string;
+  /** Normalized createStatement used for comparison */
+  definition: string;
+}
+
+/** Anything that can be compared: a live database, SQL files, a snapshot or a custom implementation */
+export interface SchemaSource {
+  getTables(): Promise<string[]>;
+  getCreateTableStatement(table: string): Promise<string>;
+  getTableColumns(table: string): Promise<Column[]>;
+  getTableOptions(table: string): Promise<TableOptions>;
+  getTableIndexes(table: string): Promise<Index[]>;
+  getTableForeignKeys(table: string): Promise<ForeignKey[]>;
+  getSchemaName(): Promise<string | null>;
+  getSchemaObjects(): Promise<SchemaObject[]>;
+  /** VERSION() of the server, e.g. '8.0.35' or '10.6.12-MariaDB'; null when unknown */
+  getServerVersion?(): Promise<string | null>;
+  query(sql: string, params?: unknown[]): Promise<unknown>;
+  end(): Promise<void>;
+}
+
+export interface DatabaseConfig {
+  host: string;
+  port?: number | string;
+  user: string;
+  password?: string;
+  database?: string;
+  socketPath?: string;
+  ssl?: object | string;
+  /** Milliseconds */
+  connectTimeout?: number;
+  /** Any other mysql2 connection option */
+  [option: string]: unknown;
+}
+
+export class DatabaseSource implements SchemaSource {
+  constructor(connection: unknown, options?: { readOnly?: boolean });
+  /** With readOnly, every session is SET SESSION TRANSACTION READ ONLY and query() only runs SELECT, SHOW, EXPLAIN and DESCRIBE */
+  static connect(config: DatabaseConfig, options?: { readOnly?: boolean }): Promise<DatabaseSource>;
+  readonly readOnly: boolean;
+  getTables(): Promise<string[]>;
+  getCreateTableStatement(table: string): Promise<string>;
+  getTableColumns(table: string): Promise<Column[]>;
+  getTableOptions(table: string): Promise<TableOptions>;
+  getTableIndexes(table: string): Promise<Index[]>;
+  getTableForeignKeys(table: string): Promise<ForeignKey[]>;
+  getSchemaName(): Promise<string | null>;
+  getSchemaObjects(): Promise<SchemaObject[]>;
+  getServerVersion(): Promise<string | null>;
+  /** Read all tables, columns, indexes, foreign keys and options with a few bulk queries. Cached until query() runs. */
+  loadSchema(): Promise<LoadedSchema>;
+  getCreateObjectStatement(type: SchemaObjectType, name: string): Promise<string>;
+  /** Estimated rows and bytes per table, from INFORMATION_SCHEMA.TABLES */
+  getTableSizes(): Promise<Record<string, TableSize>>;
+  /** Row count and an order independent checksum of the values of these columns */
+  getTableChecksum(table: string, columns: Pick<Column, 'name' | 'type'>[]): Promise<{ rows: number; checksum: string | null }>;
+  /** All rows as { column: text or null }, ordered by keyColumns. Binary values are hex, BIT values binary digits. */
+  getTableRows(table: string, columns: Pick<Column, 'name' | 'type'>[], keyColumns: string[]): Promise<RowValues[]>;
+  query(sql: string, params?: unknown[]): Promise<unknown>;
+  end(): Promise<void>;
+}
+
+/** Everything DatabaseSource.loadSchema reads, keyed by table */
+export interface LoadedSchema {
+  tables: string[];
+  options: Record<string, TableOptions>;
+  columns: Record<string, Column[]>;
+  indexes: Record<string, Index[]>;
+  foreignKeys: Record<string, ForeignKey[]>;
+}
+
+/** Time per phase in ms; null for phases that did not run (e.g. introspection of a schema file) */
+export interface Timings {
+  /** Set by SchemaChecker: opening both sides */
+  connect?: number | null;
+  introspection: { dev: number | null; main: number | null };
+  comparison: number;
+  /** Set by SchemaChecker: table sizes, risk probes and the migration script */
+  migration?: number;
+}
+
+export interface TableSize {
+  rows: number;
+  dataLength: number;
+  indexLength: number;
+}
+
+export class SqlFileSource implements SchemaSource {
+  constructor(sql: string, filePath?: string | null);
+  /** A .sql file, or a directory whose *.sql files are read in name order */
+  static load(filePath: string): SqlFileSource;
+  filePath: string | null;
+  /** Statements that were skipped or could not be replayed */
+  warnings: string[];
+  getTables(): Promise<string[]>;
+  getCreateTableStatement(table: string): Promise<string>;
+  getTableColumns(table: string): Promise<Column[]>;
+  getTableOptions(table: string): Promise<TableOptions>;
+  getTableIndexes(table: string): Promise<Index[]>;
+  getTableForeignKeys(table: string): Promise<ForeignKey[]>;
+  getSchemaName(): Promise<string | null>;
+  getSchemaObjects(): Promise<SchemaObject[]>;
+  getServerVersion(): Promise<string | null>;
+  getCreateObjectStatement(type: SchemaObjectType, name: string): Promise<string>;
+  /** Always throws: SQL files are read-only */
+  query(sql: string, params?: unknown[]): Promise<never>;
+  end(): Promise<void>;
+}
+
+export class SnapshotSource implements SchemaSource {
+  static load(filePath: string): SnapshotSource;
+  getTables(): Promise<string[]>;
+  getCreateTableStatement(table: string): Promise<string>;
+  getTableColumns(table: string): Promise<Column[]>;
+  getTableOptions(table: string): Promise<TableOptions>;
+  getTableIndexes(table: string): Promise<Index[]>;
+  getTableForeignKeys(table: string): Promise<ForeignKey[]>;
+  getSchemaName(): Promise<string | null>;
+  getSchemaObjects(): Promise<SchemaObject[]>;
+  getServerVersion(): Promise<string | null>;
+  getCreateObjectStatement(type: SchemaObjectType, name: string): Promise<string>;
+  /** Always throws: snapshots are read-only */
+  query(sql: string, params?: unknown[]): Promise<never>;
+  end(): Promise<void>;
+}
+
+export interface SslOptions {
+  ca?: string;
+  cert?: string;
+  key?: string;
+  passphrase?: string;
+  /** Verify the server certificate (default true) */
+  rejectUnauthorized?: boolean;
+}
+
+export interface SshTunnelOptions {
+  host: string;
+  port?: number | string;
+  user: string;
+  /** Key contents; or privateKeyPath. Keys with a passphrase need an ssh-agent. */
+  privateKey?: string;
+  privateKeyPath?: string;
+  /** known_hosts contents or path. Required unless strictHostKeyChecking is false. */
+  knownHosts?: string;
+  knownHostsPath?: string;
+  /** false accepts any host key of the bastion (insecure, default true) */
+  strictHostKeyChecking?: boolean;
+}
+
+export type AuthMethod = 'password' | 'rds-iam';
+
+export interface DatabaseSpec {
+  type: 'database';
+  host: string;
+  port?: number | string;
+  user: string;
+  password?: string;
+  database: string;
+  /** Unix socket instead of host and port */
+  socketPath?: string;
+  ssl?: boolean | SslOptions | string;
+  /** Tunnel through a bastion host with the system's ssh client */
+  ssh?: SshTunnelOptions;
+  /** rds-iam: an AWS RDS IAM token signed with AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY and AWS_SESSION_TOKEN */
+  auth?: AuthMethod;
+  /** Region for rds-iam (default: AWS_REGION or AWS_DEFAULT_REGION) */
+  awsRegion?: string;
+  /** Shell command that prints the password */
+  passwordCommand?: string;
+  /** Seconds (default 10) */
+  connectTimeout?: number | string;
+  /** Retries after network errors, waiting 1s, 2s, 4s, ... (default 2) */
+  connectRetries?: number | string;
+}
+
+export type SourceSpec =
+  | DatabaseSpec
+  | { type: 'schema-file'; path: string }
+  | { type: 'snapshot'; path: string };
+
+/** Open a source from a spec. Logs what is being read. Databases are read-only unless readOnly is false. */
+export function openSource(spec: SourceSpec, label: string, options?: { readOnly?: boolean }): Promise<SchemaSource>;
+/** Open a database spec: SSH tunnel, authentication, timeout and retries. Read-only by default. */
+export function connectDatabase(spec: DatabaseSpec, options?: { label?: string; readOnly?: boolean }): Promise<DatabaseSource>;
+/** AWS RDS IAM authentication token, like `aws rds generate-db-auth-token` */
+export function createRdsAuthToken(options: {
+  host: string;
+  port?: number | string;
+  user: string;
+  region: string;
+  credentials: { accessKeyId: string; secretAccessKey: string; sessionToken?: string | null };
+  date?: Date;
+}): string;
+/** Forward a local port to target through a bastion host (ssh -N -L) */
+export function openSshTunnel(ssh: SshTunnelOptions, target: { host: string; port: number | string }, timeout?: number): Promise<{ host: string; port: number; close(): void }>;
+export function isLiveSource(spec: SourceSpec): boolean;
+/** Names of the user schemas on a database server (system schemas excluded) */
+export function listSchemas(spec: SourceSpec & { type: 'database' }): Promise<string[]>;
+
+export interface Snapshot {
+  format: 'mysql-schema-compare/snapshot';
+  version: number;
+  schema: string | null;
+  /** VERSION() of the server the snapshot was taken from */
+  server?: string | null;
+  tables: Record<string, {
+    createStatement: string;
+    options: Omit<TableOptions, 'autoIncrement'>;
+    columns: Column[];
+    indexes: Omit<Index, 'table'>[];
+    foreignKeys: Omit<ForeignKey, 'table'>[];
+  }>;
+  objects: Pick<SchemaObject, 'type' | 'name' | 'createStatement'>[];
+}
+
+export function createSnapshot(source: SchemaSource): Promise<Snapshot>;
+/** Returns the absolute path of the written file */
+export function writeSnapshot(source: SchemaSource, filePath: string): Promise<string>;
+
+// Comparison result
+
+export type Category =
+  | 'missingTables'
+  | 'renamedTables'
+  | 'missingColumns'
+  | 'differentColumns'
+  | 'renamedColumns'
+  | 'differentTableOptions'
+  | 'missingIndexes'
+  | 'differentIndexes'
+  | 'renamedIndexes'
+  | 'extraTables'
+  | 'extraColumns'
+  | 'extraIndexes'
+  | 'missingForeignKeys'
+  | 'differentForeignKeys'
+  | 'extraForeignKeys'
+  | 'missingObjects'
+  | 'differentObjects'
+  | 'extraObjects'
+  | 'missingRows'
+  | 'differentRows'
+  | 'extraRows';
+
+export const CATEGORIES: Category[];
+/** The row categories, only reported with the referenceData option */
+export const DATA_CATEGORIES: Category[];
+
+export type Severity = 'info' | 'warning' | 'error';
+export const SEVERITIES: Severity[];
+
+export type ChangeKind = 'missing' | 'different' | 'extra' | 'renamed';
+export type ChangeObjectType = 'table' | 'table-options' | 'column' | 'index' | 'foreign-key' | 'function' | 'procedure' | 'view' | 'trigger' | 'event' | 'row';
+
+export interface TableDefinition {
+  createStatement: string;
+  foreignKeys: ForeignKey[];
+}
+
+/** One difference, with a stable id such as "column:users.email:different" */
+export interface Change {
+  id: string;
+  /** missing: only in the source, extra: only in the target */
+  kind: ChangeKind;
+  objectType: ChangeObjectType;
+  /** "table", "table.column", "table.index", "table.key" for rows, or the object name */
+  path: string;
+  table: string | null;
+  name: string;
+  category: Category;
+  severity: Severity;
+  /** Readable descriptions, e.g. "type: 'int' → 'bigint'" */
+  differences: string[];
+  /** Changed attributes, e.g. ['type', 'nullable'] */
+  attributes: string[];
+  /** Definition in the target, null when missing there */
+  before: unknown;
+  /** Definition in the source, null when it only exists in the target */
+  after: unknown;
+  /** Renames only: confirmed by a rename hint. Detected renames have the severity of a missing object. */
+  confirmed?: boolean;
+}
+
+/** A change accepted by the allowlist, with the reason of the matching entry */
+export type AcceptedChange = Change & { reason: string };
+
+export interface AttributeDifferences {
+  differences: string[];
+  attributes: string[];
+}
+
+export interface ComparisonResult {
+  isInSync: boolean;
+  tables: { dev: string[]; main: string[] };
+  /** Servers of both sides (null when a source cannot tell), used to normalise and for the migration dialect */
+  servers: { dev: ServerInfo | null; main: ServerInfo | null };
+  timings: Timings;
+  tableDefinitions: { dev: Record<string, TableDefinition>; main: Record<string, TableDefinition> };
+  missingTables: string[];
+  renamedTables: ({ table: string; oldName: string } & RenameMatch)[];
+  missingColumns: { table: string; column: Column; after: string | null }[];
+  differentColumns: ({ table: string; column: Column; mainColumn: Column } & AttributeDifferences)[];
+  /** Differences other than the name (only for confirmed renames) */
+  renamedColumns: ({ table: string; column: Column; oldName: string; mainColumn: Column } & RenameMatch & AttributeDifferences)[];
+  differentTableOptions: ({ table: string; options: TableOptions; mainOptions: TableOptions } & AttributeDifferences)[];
+  missingIndexes: Index[];
+  differentIndexes: ({ index: Index; mainIndex: Index } & AttributeDifferences)[];
+  /** Differences other than the name (only for confirmed renames) */
+  renamedIndexes: ({ index: Index; oldName: string; mainIndex: Index } & RenameMatch & AttributeDifferences)[];
+  extraTables: string[];
+  extraColumns: { table: string; column: Column }[];
+  extraIndexes: Index[];
+  missingForeignKeys: ForeignKey[];
+  differentForeignKeys: ({ foreignKey: ForeignKey; mainForeignKey: ForeignKey } & AttributeDifferences)[];
+  extraForeignKeys: ForeignKey[];
+  missingObjects: SchemaObject[];
+  differentObjects: (SchemaObject & AttributeDifferences & { mainDefinition: string; mainCreateStatement: string })[];
+  extraObjects: SchemaObject[];
+  missingRows: ReferenceRow[];
+  differentRows: (ReferenceRow & AttributeDifferences & { mainRow: RowValues; columns: string[] })[];
+  extraRows: ReferenceRow[];
+  /** With the referenceData option: the compared tables, in dependency order */
+  referenceData?: ReferenceTable[];
+  changes: Change[];
+  /** Differences matched by the allowlist; they are not in the categories or `changes` */
+  acceptedChanges: AcceptedChange[];
+  /** Allowlist entries that matched no difference */
+  unusedAllowlistEntries: AllowlistEntry[];
+  /** Set by SchemaChecker: the migration script as lines */
+  migration?: string[];
+  /** Set by SchemaChecker: the risk of each migration statement that changes a table */
+  risks?: StatementRisk[];
+  /** Set by SchemaChecker with riskProbes: affected rows on the target, keyed by operation */
+  riskProbes?: Record<string, ProbeResult>;
+  /** Set by SchemaChecker with onlineSchemaChange: sizes of the target's tables */
+  tableSizes?: Record<string, TableSize>;
+  /** Set by SchemaChecker with onlineSchemaChange: target connection used in the commands */
+  mainConnection?: OnlineSchemaChangeConnection;
+  /** Set by SchemaChecker: gh-ost or pt-online-schema-change commands for the large tables */
+  onlineSchemaChanges?: OnlineSchemaChange[];
+  /** Set with the history setting: the drift history including this run */
+  history?: HistoryReport & { file: string };
+}
+
+export type DifferenceKind =
+  | 'auto-increment'
+  | 'charset'
+  | 'collation'
+  | 'comment'
+  | 'default'
+  | 'display-width'
+  | 'engine'
+  | 'foreign-key-actions'
+  | 'index-visibility'
+  | 'partitioning'
+  | 'row-format';
+
+export const DIFFERENCE_KINDS: Record<DifferenceKind, Partial<Record<ChangeObjectType, string[]>>>;
+
+/** Globs (* and ?) or regular expressions written as '/regex/flags'. Lists may also be comma separated strings. */
+export type PatternList = string[] | string;
+
+export interface FilterRules {
+  tables?: { include?: PatternList; exclude?: PatternList };
+  /** Matched against "table.column" */
+  columns?: { include?: PatternList; exclude?: PatternList };
+  /** Matched against "table.index" */
+  indexes?: { include?: PatternList; exclude?: PatternList };
+  ignore?: DifferenceKind[] | string;
+}
+
+export interface AllowlistEntry {
+  /** Change id or a pattern matching change ids, e.g. 'column:audit_log.*:different' */
+  change: string;
+  reason: string;
+}
+
+export interface Filter {
+  ignore: DifferenceKind[];
+  includesTable(table: string): boolean;
+  includesColumn(table: string, column: string): boolean;
+  includesIndex(table: string, index: string): boolean;
+}
+
+/** Throws ConfigError for unknown difference kinds or invalid patterns */
+export function createFilter(rules?: FilterRules): Filter;
+/** Read a YAML or JSON list of allowlist entries */
+export function loadAllowlist(filePath: string): AllowlistEntry[];
+
+export interface CompareOptions {
+  /** Report AUTO_INCREMENT counter differences (off by default) */
+  compareAutoIncrement?: boolean;
+  /** Report tables and columns that look renamed instead of missing and extra (on by default) */
+  detectRenames?: boolean;
+  /** Renames to confirm or reject */
+  renameHints?: RenameHintEntry[];
+  /** Tables, columns and indexes to leave out, and difference kinds to ignore */
+  filters?: FilterRules;
+  /** Accepted differences, reported with their reason instead of as differences */
+  allowlist?: AllowlistEntry[];
+  /** Severity per rule: column.default, table:extra or a change id pattern such as column:audit_*.*:extra */
+  severityOverrides?: SeverityOverrides;
+  /** Tables (globs or /regex/) whose rows are compared by primary key; needs two live databases */
+  referenceData?: string[];
+}
+
+// Reference data
+
+/** A row as { column: text or null } */
+export type RowValues = Record<string, string | null>;
+
+export interface ReferenceRow {
+  table: string;
+  /** Primary key values */
+  key: RowValues;
+  row: RowValues;
+}
+
+export interface ReferenceTable {
+  table: string;
+  status: 'in-sync' | 'different' | 'skipped';
+  reason?: string;
+  columns?: { name: string; type: string }[];
+  key?: string[];
+  rows?: { dev: number; main: number };
+}
+
+/** Tables with more rows are skipped */
+export const MAX_ROWS: number;
+/** Table patterns from a list or a comma or newline separated string. Throws ConfigError for invalid patterns. */
+export function parseReferenceTables(value: PatternList | null | undefined): string[];
+/** Primary key values as text, e.g. "id=3" or "country=DE;language=de" */
+export function formatRowKey(key: RowValues): string;
+export function diffReferenceData(
+  dev: SchemaSource,
+  main: SchemaSource,
+  patterns: string[],
+  context: { devTables: string[]; mainTables: string[]; mainNames: Record<string, string>; columnRenames: Record<string, Record<string, string>>; filter: Filter }
+): Promise<{ tables: ReferenceTable[]; missingRows: ReferenceRow[]; differentRows: ComparisonResult['differentRows']; extraRows: ReferenceRow[] }>;
+
+// Server versions and flavours
+
+export interface ServerInfo {
+  flavor: 'mysql' | 'mariadb';
+  /** e.g. '8.0.35' */
+  version: string;
+}
+
+/** What the generated SQL may use on a server (unknown servers are treated as MySQL 8.0) */
+export interface Dialect {
+  server: ServerInfo | null;
+  renameColumn: boolean;
+  renameIndex: boolean;
+  utf8: 'utf8' | 'utf8mb3';
+  invisibleIndex: 'INVISIBLE' | 'IGNORED' | null;
+}
+
+/** Parse VERSION() output such as '5.7.44-log' or '10.6.12-MariaDB'; null when it is not a version */
+export function parseServerVersion(value: string | null | undefined): ServerInfo | null;
+/** e.g. 'MariaDB 10.6.12' */
+export function describeServer(server: ServerInfo | null): string;
+export function isAtLeast(server: ServerInfo | null, flavor: ServerInfo['flavor'], version: string): boolean;
+export function getDialect(server: ServerInfo | null): Dialect;
+/** A column as MySQL 8.0 reports it */
+export function normalizeColumn(column: Column, server: ServerInfo | null, options?: { stripWidths?: boolean }): Column;
+export function createNormalizer(servers: { dev?: ServerInfo | null; main?: ServerInfo | null }): {
+  column(column: Column, side: 'dev' | 'main'): Column;
+  tableOptions(options: TableOptions): TableOptions;
+};
+
+// Rename detection
+
+export type RenameType = 'table' | 'column' | 'index';
+export const RENAME_TYPES: RenameType[];
+/** Renames below this confidence are not proposed */
+export const RENAME_CONFIDENCE: number;
+
+export interface RenameMatch {
+  /** 0 to 1; 1 for confirmed renames */
+  confidence: number;
+  reasons: string[];
+  /** Confirmed by a rename hint */
+  confirmed: boolean;
+}
+
+/**
+ * One of table, column or index as 'old -> new'. Column and index renames are written as
+ * 'table.old -> new', with the table as it is called in dev.
+ */
+export interface RenameHintEntry {
+  table?: string;
+  column?: string;
+  index?: string;
+  /** Never treat these two as a rename */
+  reject?: boolean;
+  reason?: string;
+}
+
+export interface RenameHint {
+  type: RenameType;
+  table: string | null;
+  from: string;
+  to: string;
+  reject: boolean;
+  reason: string | null;
+}
+
+/** Throws ConfigError for invalid entries */
+export function compileRenameHints(entries?: RenameHintEntry[], source?: string): RenameHint[];
+/** Read a YAML or JSON list of rename hints */
+export function loadRenameHints(filePath: string): RenameHintEntry[];
+/** Pair items only in dev with items only in main into renames (confirmed hints first, then the best scores) */
+export function matchRenames<T extends { name: string }>(
+  type: RenameType,
+  table: string | null,
+  devItems: T[],
+  mainItems: T[],
+  score: (dev: T, main: T) => { confidence: number; reasons: string[] } | null,
+  hints?: RenameHint[],
+  detect?: boolean
+): ({ dev: T; main: T } & RenameMatch)[];
+
+export type SeverityOverrides = Record<string, Severity> | { rule: string; severity: Severity }[];
+
+/** Which differences fail a run: error, warning (and errors), any or none */
+export type FailOn = 'error' | 'warning' | 'any' | 'none';
+export const FAIL_ON: FailOn[];
+
+export interface SeverityRules {
+  attributes: Record<string, Record<string, Severity>>;
+  kinds: Record<string, Severity>;
+  changes: { pattern: RegExp; severity: Severity }[];
+}
+
+/** Throws ConfigError for unknown rules or severities */
+export function compileSeverityRules(overrides?: SeverityOverrides): SeverityRules;
+export function classifyChange(change: Pick<Change, 'id' | 'objectType' | 'kind'> & { attributes?: string[] }, rules?: SeverityRules): Severity;
+export function getFailingChanges<T extends Pick<Change, 'severity'>>(changes: T[], failOn: FailOn): T[];
+export function countSeverities(changes: Pick<Change, 'severity'>[]): Record<Severity, number>;
+
+/**
+ * Compare `source` (the desired schema, "dev") with `target` (the schema to migrate, "main").
+ * Prints nothing and does not change either schema.
+ */
+export function compareSchemas(source: SchemaSource, target: SchemaSource, options?: CompareOptions): Promise<ComparisonResult>;
+export function buildChanges(result: Omit<ComparisonResult, 'changes' | 'isInSync'>): Change[];
+export function hasDifferences(result: Partial<ComparisonResult>): boolean;
+
+export interface ChangeGroup {
+  /** 'table' for tables, otherwise the type of the view, routine, trigger or event */
+  objectType: 'table' | ChangeObjectType;
+  name: string;
+  changes: Change[];
+  acceptedChanges: AcceptedChange[];
+}
+
+/** Changes grouped per table (every table of either side), then per view, routine, trigger or event */
+export function groupChanges(result: ComparisonResult): ChangeGroup[];
+
+// SQL generation
+
+export interface MigrationOptions {
+  /** Emit DROP statements for objects that only exist in the target (destructive) */
+  generateDropStatements?: boolean;
+  /** Set AUTO_INCREMENT when the counters differ */
+  compareAutoIncrement?: boolean;
+  /** Tables of the target above the threshold get a command line instead of an ALTER TABLE (needs result.tableSizes) */
+  onlineSchemaChange?: OnlineSchemaChangeTool;
+  /** e.g. '1000000 rows, 1GB' (the default) */
+  onlineSchemaChangeThreshold?: string | OnlineSchemaChangeThreshold;
+}
+
+export interface MigrationStatement {
+  section: string;
+  sql: string;
+  notes?: string[];
+  /** Routine, trigger and event bodies that need a DELIMITER in scripts */
+  compound?: boolean;
+  /** What the statement changes, for the risk analysis */
+  operations?: MigrationOperation[];
+  risk?: Risk;
+  /** Online schema changes: the table size, the tool and the command that replaces `sql` */
+  size?: TableSize;
+  tool?: Exclude<OnlineSchemaChangeTool, 'off'>;
+  command?: string;
+}
+
+export const DESTRUCTIVE_SECTION: string;
+
+export class MigrationGenerator {
+  constructor(options?: MigrationOptions);
+  options: Required<MigrationOptions>;
+  generateMigrationStatements(result: ComparisonResult): MigrationStatement[];
+  generateMigration(result: ComparisonResult): string[];
+  assessRisks(result: ComparisonResult): StatementRisk[];
+  getOnlineSchemaChanges(result: ComparisonResult): OnlineSchemaChange[];
+}
+
+/** Migration script for a comparison result, as an array of lines */
+export function generateMigration(result: ComparisonResult, options?: MigrationOptions): string[];
+
+// Online schema changes
+
+export type OnlineSchemaChangeTool = 'off' | 'gh-ost' | 'pt-osc';
+export const ONLINE_SCHEMA_CHANGE_TOOLS: OnlineSchemaChangeTool[];
+
+/** A table is large when it reaches either limit; null disables a limit */
+export interface OnlineSchemaChangeThreshold {
+  rows: number | null;
+  bytes: number | null;
+}
+
+export interface OnlineSchemaChangeConnection {
+  host?: string;
+  port?: number | string;
+  user?: string;
+  database?: string;
+}
+
+export interface OnlineSchemaChange {
+  table: string;
+  size: TableSize;
+  tool: Exclude<OnlineSchemaChangeTool, 'off'>;
+  command: string;
+  /** The ALTER TABLE the command replaces */
+  sql: string;
+  notes: string[];
+}
+
+/** Parse e.g. '1000000 rows, 1GB'. Throws ConfigError when invalid. */
+export function parseThreshold(value?: string | OnlineSchemaChangeThreshold): OnlineSchemaChangeThreshold;
+export function isLargeTable(size: TableSize | undefined, threshold: OnlineSchemaChangeThreshold): boolean;
+/** Command line for one table; alter holds the ALTER TABLE clauses */
+export function formatCommand(
+  tool: Exclude<OnlineSchemaChangeTool, 'off'>,
+  table: string,
+  alter: string,
+  connection?: OnlineSchemaChangeConnection
+): string;
+
+// Migration risk
+
+/**
+ * safe: online, no data at risk; locking: writes wait for a table copy or shared lock;
+ * blocking: fails on existing rows; lossy: can truncate, round or delete data
+ */
+export type RiskLevel = 'safe' | 'locking' | 'blocking' | 'lossy';
+export type Algorithm = 'INSTANT' | 'INPLACE' | 'COPY';
+export const RISK_LEVELS: RiskLevel[];
+export const ALGORITHMS: Algorithm[];
+
+export interface MigrationOperation {
+  type: 'create-table' | 'drop-table' | 'add-column' | 'modify-column' | 'drop-column' | 'add-index' | 'drop-index'
+    | 'rename-index' | 'rename-table' | 'rename-column' | 'add-foreign-key' | 'drop-foreign-key' | 'table-options';
+  table: string;
+  /** Name of the table in main when it is renamed by the migration */
+  mainTable?: string;
+  /** rename-table and rename-column: the name in main */
+  oldName?: string;
+  column?: Column;
+  mainColumn?: Column;
+  index?: Index;
+  foreignKey?: ForeignKey;
+  attributes?: string[];
+  /** The table is created by the same migration, so it has no rows */
+  newTable?: boolean;
+  [key: string]: unknown;
+}
+
+export interface Risk {
+  level: RiskLevel;
+  /** Fastest ALTER TABLE algorithm MySQL 8.0 supports, null for statements that are not ALTER TABLE */
+  algorithm: Algorithm | null;
+  table: string | null;
+  reasons: string[];
+  /** ALTER TABLE of tables the migration creates: no rows to copy or lose */
+  newTable: boolean;
+}
+
+export type StatementRisk = Risk & { sql: string };
+
+export interface ProbeResult {
+  rows?: number;
+  lossy?: number;
+  nulls?: number;
+  duplicates?: number;
+  orphans?: number;
+  /** The table has more rows than the probe limit */
+  skipped?: boolean;
+  error?: string;
+}
+
+/** With online, the statement runs through gh-ost or pt-online-schema-change, so locking does not apply */
+export function analyzeStatement(operations: MigrationOperation[], probes?: Record<string, ProbeResult>, options?: { online?: boolean }): Risk;
+/** Read-only queries on the target (a live database) that count the rows each risky operation affects */
+export function probeMigrationRisks(statements: MigrationStatement[], target: SchemaSource): Promise<Record<string, ProbeResult>>;
+export function assessMigrationRisks(result: ComparisonResult, options?: MigrationOptions): StatementRisk[];
+
+// Reporters
+
+export interface CapturedOutput {
+  type: 'log' | 'error' | 'warn' | 'info';
+  message: string;
+  timestamp: string;
+}
+
+export const reporters: {
+  console: {
+    printReport(result: ComparisonResult, migration?: string[] | null): void;
+    printMigration(lines: string[]): void;
+    printHistory(history: HistoryReport): void;
+    printComparisonsSummary(runs: ComparisonRun[]): void;
+    printMatrix(matrix: Matrix): void;
+  };
+  markdown: {
+    formatActionsSummary(result: ComparisonResult, capturedOutput?: CapturedOutput[]): string;
+    formatPRComment(result: ComparisonResult, migrationOptions?: MigrationOptions & PRCommentOptions): string;
+    formatHistory(history: HistoryReport | null | undefined, heading?: string): string[];
+    formatComparisonsSummary(runs: ComparisonRun[]): string;
+    formatComparisonsPRComment(runs: ComparisonRun[], migrationOptions?: MigrationOptions & PRCommentOptions): string;
+    formatMatrixSummary(matrix: Matrix, comparisons: MatrixComparison[]): string;
+    formatMatrixPRComment(matrix: Matrix, comparisons: MatrixComparison[], migrationOptions?: MigrationOptions & PRCommentOptions): string;
+  };
+  json: {
+    REPORT_FORMAT: string;
+    REPORT_VERSION: number;
+    createJsonReport(result: ComparisonResult): JsonReport;
+    formatJson(result: ComparisonResult): string;
+  };
+  junit: {
+    escapeXml(value: unknown): string;
+    formatJUnit(result: ComparisonResult, options?: { name?: string }): string;
+  };
+  sarif: {
+    createSarifReport(result: ComparisonResult, options?: SarifOptions): object;
+    formatSarif(result: ComparisonResult, options?: SarifOptions): string;
+  };
+  html: {
+    escapeHtml(value: unknown): string;
+    formatHtml(result: ComparisonResult, options?: MigrationOptions & { name?: string }): string;
+  };
+};
+
+export interface JsonReport {
+  format: 'mysql-schema-compare/report';
+  version: number;
+  tool: { name: string; version: string };
+  generatedAt: string;
+  isInSync: boolean;
+  tables: { dev: string[]; main: string[] };
+  servers: { dev: ServerInfo | null; main: ServerInfo | null };
+  timings: Timings | null;
+  summary: Record<Category, number>;
+  changes: Change[];
+  acceptedChanges: AcceptedChange[];
+  unusedAllowlistEntries: AllowlistEntry[];
+  migration: string[];
+  risks: StatementRisk[];
+  onlineSchemaChanges: OnlineSchemaChange[];
+  referenceData: ReferenceTable[] | null;
+  history: (HistoryReport & { file: string }) | null;
+  apply: Omit<ApplyResult, 'verification'> | null;
+}
+
+export interface SarifOptions {
+  /** Dev .sql file that results point into */
+  schemaFile?: string | null;
+  /** Location of results when there is no schema file */
+  migrationFile?: string | null;
+  /** Paths are written relative to this directory (default: cwd) */
+  baseDir?: string;
+  name?: string;
+}
+
+export type ReportFormat = 'json' | 'junit' | 'sarif' | 'html';
+
+export const REPORT_FORMATS: Record<ReportFormat, {
+  label: string;
+  extension: string;
+  format(result: ComparisonResult, options?: object): string;
+}>;
+
+/** Write <reportFile>.<extension> per format. Returns the absolute path per format. */
+export function writeReports(
+  result: ComparisonResult,
+  formats: ReportFormat[],
+  reportFile?: string,
+  options?: MigrationOptions & { dev?: SourceSpec; migrationFile?: string | null; name?: string }
+): Partial<Record<ReportFormat, string>>;
+
+// Action and CLI orchestration
+
+export type ChangeType =
+  | 'create-table'
+  | 'add-column'
+  | 'modify-column'
+  | 'table-options'
+  | 'add-index'
+  | 'modify-index'
+  | 'rename-index'
+  | 'rename-table'
+  | 'rename-column'
+  | 'add-foreign-key'
+  | 'modify-foreign-key'
+  | 'create-object'
+  | 'replace-object'
+  | 'drop'
+  | 'insert-rows'
+  | 'update-rows'
+  | 'delete-rows';
+
+export const CHANGE_TYPES: Record<ChangeType, Category[]>;
+export const CHANGE_TYPE_PRESETS: { additive: ChangeType[]; all: ChangeType[] };
+/** Parse a comma separated list of change types and presets, e.g. 'additive, modify-column' */
+export function parseChangeTypes(value: string): ChangeType[];
+
+export interface ApplyResult {
+  status: 'dry-run' | 'applied' | 'failed' | 'unverified';
+  statements: MigrationStatement[];
+  applied: MigrationStatement[];
+  failed: { statement: MigrationStatement; error: string } | null;
+  skippedChanges: ChangeType[];
+  /** Statements left to gh-ost or pt-online-schema-change; their tables are not verified */
+  onlineSchemaChanges: MigrationStatement[];
+  verification: ComparisonResult | null;
+}
+
+export interface PRCommentOptions {
+  /** 'omit' leaves the SQL commands and online schema change commands out of PR comments */
+  prCommentSql?: 'include' | 'omit';
+}
+
+export interface SchemaCheckerOptions extends MigrationOptions, CompareOptions, PRCommentOptions {
+  applyMode?: 'off' | 'dry-run' | 'apply';
+  allowedChanges?: ChangeType[];
+  /** Count the rows risky statements would affect, with read-only queries on main */
+  riskProbes?: boolean;
+}
+
+/** Connects both sides, prints the report and optionally applies the migration (used by the action and CLI) */
+export class SchemaChecker {
+  constructor(options?: SchemaCheckerOptions);
+  options: SchemaCheckerOptions;
+  mainDb: SchemaSource | null;
+  devDb: SchemaSource | null;
+  connect(main: SourceSpec, dev: SourceSpec): Promise<void>;
+  disconnect(): Promise<void>;
+  checkAndReport(): Promise<ComparisonResult & { migration: string[] }>;
+  applyMigration(result: ComparisonResult): Promise<ApplyResult>;
+  generateMigration(result: ComparisonResult): string[];
+  generateMigrationStatements(result: ComparisonResult): MigrationStatement[];
+  generateActionsSummary(result: ComparisonResult): string;
+  generatePRComment(result: ComparisonResult): Promise<string>;
+  writeMigrationFile(result: ComparisonResult & { migration: string[] }, filePath: string): string;
+  setupOutputCapture(): void;
+  restoreConsoleLog(): void;
+}
+
+export class ConfigError extends Error {}
+
+// Drift history
+
+export const HISTORY_FORMAT: 'mysql-schema-compare/history';
+export const HISTORY_VERSION: number;
+/** Runs kept per comparison; older ones are deleted when a run is recorded */
+export const MAX_RUNS: number;
+
+export interface HistoryRunMetadata {
+  /** Name of the comparison in multi-database runs */
+  name?: string | null;
+  branch?: string | null;
+  commit?: string | null;
+  pullRequest?: number | null;
+  runId?: string | null;
+}
+
+/** One stored run */
+export interface HistoryRun {
+  format: 'mysql-schema-compare/history';
+  version: number;
+  recordedAt: string;
+  name: string | null;
+  branch: string | null;
+  commit: string | null;
+  pullRequest: number | null;
+  runId: string | null;
+  isInSync: boolean;
+  changes: Pick<Change, 'id' | 'kind' | 'objectType' | 'path' | 'severity' | 'differences'>[];
+  /** Set by loadHistory: the file name in the history directory */
+  file?: string;
+}
+
+export type HistoryRunInfo = Pick<HistoryRun, 'recordedAt' | 'branch' | 'commit' | 'pullRequest'>;
+
+export interface HistoryReport {
+  runs: number;
+  current: HistoryRunInfo;
+  /** Every difference of any run, the ones the current run still has (outstanding) first */
+  differences: { id: string; severity: Severity; firstSeen: HistoryRunInfo; lastSeen: HistoryRunInfo; runs: number; outstanding: boolean }[];
+  /** Differences per run, oldest first */
+  drift: (HistoryRunInfo & { count: number; errors: number })[];
+  /** The baseline branch and its latest earlier run (null when there is none) */
+  baseline: { branch: string; run: HistoryRunInfo | null } | null;
+  newSinceBaseline: string[];
+  existingOnBaseline: string[];
+  fixedSinceBaseline: string[];
+}
+
+export function createRunRecord(result: Pick<ComparisonResult, 'isInSync' | 'changes'>, metadata?: HistoryRunMetadata): HistoryRun;
+/** Write the run to dir (one JSON file per run) and delete the oldest runs beyond MAX_RUNS. Returns the file path. */
+export function recordRun(dir: string, result: Pick<ComparisonResult, 'isInSync' | 'changes'>, metadata?: HistoryRunMetadata): string;
+/** All runs in dir, oldest first */
+export function loadHistory(dir: string): HistoryRun[];
+/** Report on the runs of one comparison, oldest first; the last one is the current run */
+export function analyzeHistory(runs: HistoryRun[], options?: { baseline?: string | null }): HistoryReport | null;
+/** "2026-10-19 14:03 on main (3f2c1d9)" */
+export function formatRun(run: HistoryRunInfo): string;
+
+// Secret redaction
+
+/** What masked values and pattern matches are replaced with: '***' */
+export const MASK: string;
+/** Patterns that are always masked: URL passwords, AWS keys and signatures, GitHub tokens, private keys */
+export const DEFAULT_PATTERNS: string[];
+/** Compile regular expression sources or /source/flags. Throws a ConfigError for invalid ones. */
+export function compileRedactPatterns(patterns?: string[]): RegExp[];
+/** Mask the default patterns plus these from now on */
+export function setRedactPatterns(patterns?: string[]): void;
+/** Mask a value (a password, host name, ...) from now on */
+export function addSecret(value: string | number | null | undefined): void;
+/** Mask the host, user, password and keys of a database spec */
+export function addSourceSecrets(spec: SourceSpec | null | undefined): void;
+/** Hear about every secret, including the ones already known (the action passes core.setSecret) */
+export function onSecret(listener: (secret: string) => void): void;
+export function redact<T>(text: T): T;
+/** Copy of a value with every string in it redacted */
+export function redactValue<T>(value: T): T;
+/** Redact everything written through console.log, .error, .warn and .info from now on */
+export function redactConsole(): void;
+/** addSourceSecrets for every source of the settings, setRedactPatterns(settings.redactPatterns) and redactConsole */
+export function setupRedaction(settings: RunSettings): void;
+
+// Several databases in one run
+
+/** Settings shared by the CLI and the action (see lib/run.js) */
+export interface RunSettings extends MigrationOptions, PRCommentOptions {
+  main?: SourceSpec | null;
+  dev?: SourceSpec | null;
+  applyMode?: 'off' | 'dry-run' | 'apply';
+  allowedChanges?: string | ChangeType[];
+  migrationFile?: string | null;
+  exportSnapshot?: string | null;
+  formats?: ReportFormat[] | string;
+  reportFile?: string | null;
+  filters?: FilterRules;
+  allowlist?: AllowlistEntry[] | string;
+  /** Overrides, or "rule=severity" items separated by commas or newlines */
+  severityOverrides?: SeverityOverrides | string;
+  failOn?: FailOn;
+  riskProbes?: boolean;
+  detectRenames?: boolean;
+  /** Rename hints, or the path of a YAML or JSON file with them */
+  renameHints?: RenameHintEntry[] | string;
+  /** Record the run in the drift history in `dir` and compare it with the last run on `baseline` */
+  history?: ({ dir: string; baseline?: string | null } & HistoryRunMetadata) | null;
+  /** More secrets to mask: regular expression sources or /source/flags (see setupRedaction) */
+  redactPatterns?: string[];
+  /** Reference data tables (see parseReferenceTables) */
+  referenceData?: PatternList;
+  comparisons?: ComparisonSpec[] | null;
+  environments?: EnvironmentSpec[] | null;
+}
+
+/** A schema pair, or with `schemas` every matching schema on two servers */
+export interface ComparisonSpec {
+  name?: string;
+  main: SourceSpec;
+  dev: SourceSpec;
+  schemas?: string;
+}
+
+export interface ComparisonRun {
+  name: string;
+  dev?: SourceSpec;
+  result: (ComparisonResult & { migration: string[]; apply?: ApplyResult }) | null;
+  checker?: SchemaChecker;
+  migrationFile?: string | null;
+  snapshotFile?: string | null;
+  reportFiles?: Partial<Record<ReportFormat, string>>;
+  /** The comparison failed, e.g. it could not connect */
+  error?: string;
+  /** The schema only exists on the other server */
+  missingIn?: 'main' | 'dev' | null;
+}
+
+export function runComparisons(
+  settings: RunSettings & { comparisons: ComparisonSpec[] },
+  options?: { captureOutput?: boolean }
+): Promise<{ runs: ComparisonRun[]; isInSync: boolean; failed: boolean }>;
+
+export interface EnvironmentSpec {
+  name: string;
+  spec: SourceSpec;
+}
+
+export interface MatrixComparison {
+  name: string;
+  result: ComparisonResult & { migration: string[] };
+  migrationFile: string | null;
+  reportFiles: Partial<Record<ReportFormat, string>>;
+}
+
+export interface MatrixRow {
+  /** `${objectType}:${path}` */
+  key: string;
+  objectType: ChangeObjectType;
+  path: string;
+  /** Highest severity over all environments */
+  severity: Severity;
+  /** Environments that differ from the reference; missing environments match it */
+  cells: Record<string, { kind: ChangeKind; severity: Severity; differences: string[] }>;
+}
+
+export interface Matrix {
+  reference: string;
+  environments: string[];
+  rows: MatrixRow[];
+  isInSync: boolean;
+}
+
+/** Compare every environment with the first one (read-only) */
+export function runMatrix(
+  settings: RunSettings & { environments: EnvironmentSpec[] }
+): Promise<{ matrix: Matrix; comparisons: MatrixComparison[]; isInSync: boolean }>;
+export function buildMatrix(reference: string, comparisons: { name: string; result: ComparisonResult }[]): Matrix;
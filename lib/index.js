@@ -0,0 +1,191 @@
+// Library entry point: require('mysql-schema-compare')
+//
+//   const { SqlFileSource, DatabaseSource, compareSchemas, generateMigration } = require('mysql-schema-compare');
+//   const diff = await compareSchemas(SqlFileSource.load('schema.sql'), await DatabaseSource.connect(config));
+//   diff.changes.forEach(change => console.log(change.id, change.severity));
+//   console.log(generateMigration(diff).join('\n'));
+//
+// The GitHub Action (index.js) and the CLI (cli.js) are built on the same modules.
+const {
+  CATEGORIES,
+  DATA_CATEGORIES,
+  SEVERITIES,
+  compareSchemas,
+  buildChanges,
+  groupChanges,
+  hasDifferences
+} = require('./compare');
+const { DIFFERENCE_KINDS, createFilter, loadAllowlist } = require('./filters');
+const { parseServerVersion, describeServer, isAtLeast, getDialect, normalizeColumn, createNormalizer } = require('./dialect');
+const { RENAME_TYPES, RENAME_CONFIDENCE, compileRenameHints, loadRenameHints, matchRenames } = require('./renames');
+const { MAX_ROWS, parseReferenceTables, formatRowKey, diffReferenceData } = require('./reference-data');
+const { FAIL_ON, compileSeverityRules, classifyChange, getFailingChanges, countSeverities } = require('./severity');
+const { DESTRUCTIVE_SECTION, MigrationGenerator, generateMigration, assessMigrationRisks } = require('./migration-generator');
+const { RISK_LEVELS, ALGORITHMS, analyzeStatement, probeMigrationRisks } = require('./risk');
+const {
+  ONLINE_SCHEMA_CHANGE_TOOLS,
+  parseThreshold,
+  isLargeTable,
+  formatCommand
+} = require('./online-schema-change');
+const { openSource, isLiveSource, listSchemas } = require('./sources');
+const DatabaseSource = require('./database-source');
+const { connectDatabase, createRdsAuthToken, openSshTunnel } = require('./connection');
+const SqlFileSource = require('./sql-file-source');
+const SnapshotSource = require('./snapshot-source');
+const { createSnapshot, writeSnapshot } = require('./snapshot');
+const { SchemaChecker, CHANGE_TYPES, CHANGE_TYPE_PRESETS, parseChangeTypes } = require('./schema-checker');
+const { ConfigError } = require('./config');
+const {
+  HISTORY_FORMAT,
+  HISTORY_VERSION,
+  MAX_RUNS,
+  createRunRecord,
+  recordRun,
+  loadHistory,
+  analyzeHistory,
+  formatRun
+} = require('./history');
+const {
+  MASK,
+  DEFAULT_PATTERNS,
+  compileRedactPatterns,
+  setRedactPatterns,
+  addSecret,
+  addSourceSecrets,
+  onSecret,
+  redact,
+  redactValue,
+  redactConsole
+} = require('./redact');
+const { setupRedaction } = require('./run');
+const { runComparisons, runMatrix, buildMatrix } = require('./multi');
+const consoleReporter = require('./reporters/console');
+const markdownReporter = require('./reporters/markdown');
+const jsonReporter = require('./reporters/json');
+const junitReporter = require('./reporters/junit');
+const sarifReporter = require('./reporters/sarif');
+const htmlReporter = require('./reporters/html');
+const { REPORT_FORMATS, writeReports } = require('./reports');
+
+module.exports = {
+  // Comparison
+  compareSchemas,
+  buildChanges,
+  groupChanges,
+  hasDifferences,
+  CATEGORIES,
+  DATA_CATEGORIES,
+  SEVERITIES,
+
+  // Filters and allowlist
+  DIFFERENCE_KINDS,
+  createFilter,
+  loadAllowlist,
+
+  // Server versions and flavours
+  parseServerVersion,
+  describeServer,
+  isAtLeast,
+  getDialect,
+  normalizeColumn,
+  createNormalizer,
+
+  // Rename detection
+  RENAME_TYPES,
+  RENAME_CONFIDENCE,
+  compileRenameHints,
+  loadRenameHints,
+  matchRenames,
+
+  // Reference data
+  MAX_ROWS,
+  parseReferenceTables,
+  formatRowKey,
+  diffReferenceData,
+
+  // Severities and the fail-on policy
+  FAIL_ON,
+  compileSeverityRules,
+  classifyChange,
+  getFailingChanges,
+  countSeverities,
+
+  // SQL generation
+  generateMigration,
+  MigrationGenerator,
+  DESTRUCTIVE_SECTION,
+
+  // Migration risk
+  assessMigrationRisks,
+  probeMigrationRisks,
+  analyzeStatement,
+  RISK_LEVELS,
+  ALGORITHMS,
+
+  // Online schema changes for large tables
+  ONLINE_SCHEMA_CHANGE_TOOLS,
+  parseThreshold,
+  isLargeTable,
+  formatCommand,
+
+  // Schema sources
+  openSource,
+  isLiveSource,
+  listSchemas,
+  DatabaseSource,
+  connectDatabase,
+  createRdsAuthToken,
+  openSshTunnel,
+  SqlFileSource,
+  SnapshotSource,
+  createSnapshot,
+  writeSnapshot,
+
+  // Reporters
+  reporters: {
+    console: consoleReporter,
+    markdown: markdownReporter,
+    json: jsonReporter,
+    junit: junitReporter,
+    sarif: sarifReporter,
+    html: htmlReporter
+  },
+  REPORT_FORMATS,
+  writeReports,
+
+  // Action and CLI orchestration
+  SchemaChecker,
+  CHANGE_TYPES,
+  CHANGE_TYPE_PRESETS,
+  parseChangeTypes,
+  ConfigError,
+
+  // Drift history
+  HISTORY_FORMAT,
+  HISTORY_VERSION,
+  MAX_RUNS,
+  createRunRecord,
+  recordRun,
+  loadHistory,
+  analyzeHistory,
+  formatRun,
+
+  // Secret redaction
+  MASK,
+  DEFAULT_PATTERNS,
+  compileRedactPatterns,
+  setRedactPatterns,
+  addSecret,
+  addSourceSecrets,
+  onSecret,
+  redact,
+  redactValue,
+  redactConsole,
+  setupRedaction,
+
+  // Several databases in one run
+  runComparisons,
+  runMatrix,
+  buildMatrix
+};
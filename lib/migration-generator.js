@@ -0,0 +1,771 @@
+const { formatIndexParts, getValueEncoding } = require('./sql-utils');
+const { hasDifferences } = require('./compare');
+const { analyzeStatement } = require('./risk');
+const { getDialect, describeServer, renameUtf8, renameUtf8InSql } = require('./dialect');
+const { formatRowKey } = require('./reference-data');
+const {
+  ONLINE_SCHEMA_CHANGE_SECTION,
+  parseThreshold,
+  isLargeTable,
+  describeSize,
+  formatCommand
+} = require('./online-schema-change');
+
+// Turns a comparison result (see compareSchemas) into SQL that brings main in line with dev.
+// Works on the result alone, so it needs no database connection. The SQL is written for the server
+// of main (result.servers.main, see getDialect), or for MySQL 8.0 when it is unknown.
+
+const DESTRUCTIVE_SECTION = '⚠️ DESTRUCTIVE: Objects only in main (dropping them permanently deletes data)';
+
+class MigrationGenerator {
+  constructor(options = {}) {
+    this.options = {
+      // Emit DROP statements for objects that only exist in main (destructive)
+      generateDropStatements: false,
+      // Set AUTO_INCREMENT when the counters differ (only compared when enabled)
+      compareAutoIncrement: false,
+      // gh-ost or pt-osc: large tables get a command line instead of an ALTER TABLE (needs result.tableSizes)
+      onlineSchemaChange: 'off',
+      onlineSchemaChangeThreshold: undefined,
+      ...options
+    };
+    this.dialect = getDialect(null);
+  }
+
+  quoteString(value) {
+    return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+  }
+
+  // COLUMN_DEFAULT holds the raw default, so it has to be turned back into a literal or expression
+  formatDefaultValue(column) {
+    const value = String(column.defaultValue);
+    const isTimestampFunction = /^(CURRENT_TIMESTAMP|NOW|LOCALTIME|LOCALTIMESTAMP)(\(\d*\))?$/i.test(value);
+
+    // MySQL 8.0.13+ marks expression defaults with DEFAULT_GENERATED
+    if (/DEFAULT_GENERATED/i.test(column.extra || '')) {
+      return isTimestampFunction ? value : `(${value})`;
+    }
+
+    if (isTimestampFunction && /^(timestamp|datetime)/i.test(column.type)) {
+      return value;
+    }
+
+    if (/^bit/i.test(column.type) && /^b'[01]*'$/i.test(value)) {
+      return value;
+    }
+
+    const isNumericType = /^(tinyint|smallint|mediumint|int|integer|bigint|decimal|numeric|float|double|real|bool|boolean)\b/i.test(column.type);
+    if (isNumericType && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value)) {
+      return value;
+    }
+
+    return this.quoteString(value);
+  }
+
+  // EXTRA without the markers that are expressed elsewhere in the column definition
+  formatExtra(column) {
+    return (column.extra || '')
+      .replace(/\bDEFAULT_GENERATED\b/i, '')
+      .replace(/\b(VIRTUAL|STORED) GENERATED\b/i, '')
+      .replace(/\bauto_increment\b/i, 'AUTO_INCREMENT')
+      .replace(/\bon update\b/i, 'ON UPDATE')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  generateColumnDefinition(column) {
+    let sql = `\`${column.name}\` ${column.type}`;
+
+    if (column.charset) {
+      sql += ` CHARACTER SET ${renameUtf8(column.charset, this.dialect.utf8)}`;
+    }
+
+    if (column.collation) {
+      sql += ` COLLATE ${renameUtf8(column.collation, this.dialect.utf8)}`;
+    }
+
+    if (column.generationExpression) {
+      // EXTRA is 'VIRTUAL GENERATED' or 'STORED GENERATED' for generated columns
+      const storage = /STORED/i.test(column.extra) ? 'STORED' : 'VIRTUAL';
+      sql += ` GENERATED ALWAYS AS (${column.generationExpression}) ${storage}`;
+    }
+
+    sql += column.nullable === 'NO' ? ' NOT NULL' : ' NULL';
+
+    if (!column.generationExpression && column.defaultValue !== null && column.defaultValue !== undefined) {
+      sql += ` DEFAULT ${this.formatDefaultValue(column)}`;
+    }
+
+    const extra = this.formatExtra(column);
+    if (extra) {
+      sql += ` ${extra}`;
+    }
+
+    if (column.comment) {
+      sql += ` COMMENT ${this.quoteString(column.comment)}`;
+    }
+
+    return sql;
+  }
+
+  generateAddColumnClause(column, after) {
+    const position = after ? ` AFTER \`${after}\`` : ' FIRST';
+    return `ADD COLUMN ${this.generateColumnDefinition(column)}${after === undefined ? '' : position}`;
+  }
+
+  generateModifyColumnClause(column) {
+    return `MODIFY COLUMN ${this.generateColumnDefinition(column)}`;
+  }
+
+  // RENAME COLUMN keeps the definition; CHANGE COLUMN also applies a changed one, and is the only
+  // way to rename a column before MySQL 8.0 and MariaDB 10.5.2
+  generateRenameColumnClause(column, oldName, changed = false) {
+    return changed || !this.dialect.renameColumn
+      ? `CHANGE COLUMN \`${oldName}\` ${this.generateColumnDefinition(column)}`
+      : `RENAME COLUMN \`${oldName}\` TO \`${column.name}\``;
+  }
+
+  generateAddIndexClause(index) {
+    const columns = formatIndexParts(index);
+
+    if (index.primary) {
+      return `ADD PRIMARY KEY (${columns})`;
+    }
+
+    let keyword = index.unique ? 'UNIQUE ' : '';
+    if (index.type === 'FULLTEXT' || index.type === 'SPATIAL') {
+      keyword = `${index.type} `;
+    }
+
+    let sql = `ADD ${keyword}INDEX \`${index.name}\` (${columns})`;
+
+    if (index.type === 'HASH') {
+      sql += ' USING HASH';
+    }
+
+    if (!index.visible && this.dialect.invisibleIndex) {
+      sql += ` ${this.dialect.invisibleIndex}`;
+    }
+
+    return sql;
+  }
+
+  generateDropIndexClause(index) {
+    return index.primary ? 'DROP PRIMARY KEY' : `DROP INDEX \`${index.name}\``;
+  }
+
+  generateRenameIndexClause(index, oldName) {
+    return `RENAME INDEX \`${oldName}\` TO \`${index.name}\``;
+  }
+
+  generateAddForeignKeyClause(foreignKey) {
+    const columns = foreignKey.columns.map(col => `\`${col}\``).join(', ');
+    const referencedColumns = foreignKey.referencedColumns.map(col => `\`${col}\``).join(', ');
+    const referencedTable = foreignKey.referencedSchema
+      ? `\`${foreignKey.referencedSchema}\`.\`${foreignKey.referencedTable}\``
+      : `\`${foreignKey.referencedTable}\``;
+
+    return `ADD CONSTRAINT \`${foreignKey.name}\` FOREIGN KEY (${columns}) ` +
+      `REFERENCES ${referencedTable} (${referencedColumns}) ON DELETE ${foreignKey.onDelete} ON UPDATE ${foreignKey.onUpdate}`;
+  }
+
+  generateDropForeignKeyClause(foreignKey) {
+    return `DROP FOREIGN KEY \`${foreignKey.name}\``;
+  }
+
+  // Only the options that differ are changed, limited to `attributes` when given (differences of
+  // ignored kinds are left alone). Partitioning is returned separately because it is not a comma
+  // separated ALTER TABLE option.
+  generateTableOptionClauses(devOptions, mainOptions, attributes = null) {
+    const clauses = [];
+    let partitionClause = null;
+    const reported = attribute => !attributes || attributes.includes(attribute);
+
+    if (reported('engine') && devOptions.engine !== mainOptions.engine) {
+      clauses.push(`ENGINE=${devOptions.engine}`);
+    }
+
+    if (reported('collation') && devOptions.collation !== mainOptions.collation) {
+      clauses.push(`COLLATE=${renameUtf8(devOptions.collation, this.dialect.utf8)}`);
+    }
+
+    if (reported('rowFormat') && devOptions.rowFormat !== mainOptions.rowFormat) {
+      clauses.push(`ROW_FORMAT=${devOptions.rowFormat.toUpperCase()}`);
+    }
+
+    if (reported('comment') && (devOptions.comment || '') !== (mainOptions.comment || '')) {
+      clauses.push(`COMMENT=${this.quoteString(devOptions.comment || '')}`);
+    }
+
+    if (reported('autoIncrement') && this.options.compareAutoIncrement && devOptions.autoIncrement !== mainOptions.autoIncrement && devOptions.autoIncrement !== null) {
+      clauses.push(`AUTO_INCREMENT=${devOptions.autoIncrement}`);
+    }
+
+    if (reported('partitioning') && devOptions.partitioning !== mainOptions.partitioning) {
+      partitionClause = devOptions.partitionClause || 'REMOVE PARTITIONING';
+    }
+
+    return { clauses, partitionClause };
+  }
+
+  generateAlterTableCommand(tableName, clauses, partitionClause = null) {
+    const lines = [`ALTER TABLE \`${tableName}\``];
+    clauses.forEach((clause, i) => {
+      lines.push(`  ${clause}${i < clauses.length - 1 ? ',' : ''}`);
+    });
+    if (partitionClause) {
+      lines.push(`  ${partitionClause}`);
+    }
+    return lines.join('\n') + ';';
+  }
+
+  // CREATE TABLE as it exists in dev, without foreign keys (they are added once every table exists)
+  // and without the dev AUTO_INCREMENT counter. Servers that do not know the name utf8mb3 get utf8.
+  stripCreateTableStatement(createStatement) {
+    const lines = createStatement
+      .split('\n')
+      .filter(line => !/^\s*CONSTRAINT\s+`[^`]+`\s+FOREIGN KEY/i.test(line));
+
+    const closingIndex = lines.findIndex(line => /^\)/.test(line));
+    if (closingIndex > 0) {
+      lines[closingIndex - 1] = lines[closingIndex - 1].replace(/,\s*$/, '');
+      lines[closingIndex] = lines[closingIndex].replace(/\s+AUTO_INCREMENT=\d+/i, '');
+    }
+
+    const statement = lines.join('\n');
+    return this.dialect.utf8 === 'utf8' ? renameUtf8InSql(statement, 'utf8') : statement;
+  }
+
+  // Statements that create (or replace) a view, routine, trigger or event as it exists in dev.
+  // Routine, trigger and event bodies are compound statements that need a DELIMITER in SQL scripts.
+  generateSchemaObjectCommands(object) {
+    if (object.type === 'VIEW') {
+      return [{ sql: object.createStatement.replace(/^CREATE\s+/i, 'CREATE OR REPLACE ') + ';' }];
+    }
+
+    return [
+      { sql: `DROP ${object.type} IF EXISTS \`${object.name}\`;` },
+      { sql: object.createStatement, compound: true }
+    ];
+  }
+
+  // Functions can be used by views, and triggers and events can call routines
+  sortSchemaObjects(objects) {
+    const order = ['FUNCTION', 'PROCEDURE', 'VIEW', 'TRIGGER', 'EVENT'];
+    return [...objects].sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type));
+  }
+
+  generateDropSchemaObjectCommand(object) {
+    return `DROP ${object.type} \`${object.name}\`;`;
+  }
+
+  generateDropForeignKeyCommand(foreignKey) {
+    return `ALTER TABLE \`${foreignKey.table}\` ${this.generateDropForeignKeyClause(foreignKey)};`;
+  }
+
+  generateRenameTableCommand(tableName, oldName) {
+    return `RENAME TABLE \`${oldName}\` TO \`${tableName}\`;`;
+  }
+
+  generateDropTableCommand(tableName) {
+    return `DROP TABLE \`${tableName}\`;`;
+  }
+
+  generateDropColumnCommand(tableName, column) {
+    return `ALTER TABLE \`${tableName}\` DROP COLUMN \`${column.name}\`;`;
+  }
+
+  generateDropIndexCommand(index) {
+    return `ALTER TABLE \`${index.table}\` ${this.generateDropIndexClause(index)};`;
+  }
+
+  // A reference data value (text as read by getTableRows) as a literal for a column ({ name, type })
+  formatLiteral(value, column) {
+    if (value === null || value === undefined) return 'NULL';
+
+    const encoding = getValueEncoding(column.type);
+    if (encoding === 'hex') return `X'${value}'`;
+    if (encoding === 'bit') return `b'${value}'`;
+    if (encoding === 'number' && /^-?\d+(\.\d+)?(e[+-]?\d+)?$/i.test(value)) return value;
+    return this.quoteString(value);
+  }
+
+  // Columns and primary key of a reference data table, from result.referenceData
+  getReferenceTable(result, table) {
+    return (result.referenceData || []).find(entry => entry.table === table);
+  }
+
+  formatRowCondition(key, columns) {
+    return Object.entries(key)
+      .map(([name, value]) => `\`${name}\` = ${this.formatLiteral(value, columns.find(column => column.name === name))}`)
+      .join(' AND ');
+  }
+
+  generateInsertRowCommand(table, columns, row) {
+    const names = columns.map(column => `\`${column.name}\``).join(', ');
+    const values = columns.map(column => this.formatLiteral(row[column.name], column)).join(', ');
+    return `INSERT INTO \`${table}\` (${names}) VALUES (${values});`;
+  }
+
+  generateUpdateRowCommand(table, columns, { key, row, columns: changed }) {
+    const assignments = columns
+      .filter(column => changed.includes(column.name))
+      .map(column => `\`${column.name}\` = ${this.formatLiteral(row[column.name], column)}`)
+      .join(', ');
+    return `UPDATE \`${table}\` SET ${assignments} WHERE ${this.formatRowCondition(key, columns)};`;
+  }
+
+  generateDeleteRowCommand(table, columns, key) {
+    return `DELETE FROM \`${table}\` WHERE ${this.formatRowCondition(key, columns)};`;
+  }
+
+  // INSERT and UPDATE statements for the reference data, table by table in the order of
+  // result.referenceData (referenced tables first)
+  generateReferenceDataStatements(result) {
+    const statements = [];
+
+    for (const { table, columns } of result.referenceData || []) {
+      (result.missingRows || []).filter(item => item.table === table).forEach(({ row }) => statements.push({
+        section: 'Reference Data',
+        sql: this.generateInsertRowCommand(table, columns, row)
+      }));
+      (result.differentRows || []).filter(item => item.table === table).forEach(item => statements.push({
+        section: 'Reference Data',
+        sql: this.generateUpdateRowCommand(table, columns, item)
+      }));
+    }
+
+    return statements;
+  }
+
+  // Comment lines describing objects that only exist in main, used when DROP statements are disabled
+  describeExtraObjects(result) {
+    const lines = [];
+    (result.extraRows || []).forEach(({ table, key }) => lines.push(`-- Extra row: ${table}.${formatRowKey(key)}`));
+    (result.extraObjects || []).forEach(object => lines.push(`-- Extra ${object.type.toLowerCase()}: ${object.name}`));
+    (result.extraForeignKeys || []).forEach(foreignKey => lines.push(`-- Extra foreign key: ${foreignKey.table}.${foreignKey.name}`));
+    (result.extraIndexes || []).forEach(index => lines.push(`-- Extra index: ${index.table}.${index.name}`));
+    (result.extraColumns || []).forEach(({ table, column }) => lines.push(`-- Extra column: ${table}.${column.name}`));
+    (result.extraTables || []).forEach(table => lines.push(`-- Extra table: ${table}`));
+    return lines;
+  }
+
+  // DROP statements for objects that exist in main but not in dev.
+  // Only emitted when generateDropStatements is enabled. Columns and indexes of `largeTables` are
+  // dropped by their online schema change instead.
+  generateDropStatements(result, largeTables = new Set()) {
+    if (!this.options.generateDropStatements) {
+      return [];
+    }
+
+    const section = DESTRUCTIVE_SECTION;
+    const statements = [];
+
+    // Delete reference data rows first (referencing tables before referenced ones), then drop views,
+    // routines, triggers, events and foreign keys, then indexes before columns, and columns before tables
+    const referenceTables = [...(result.referenceData || [])].reverse();
+    for (const { table, columns } of referenceTables) {
+      (result.extraRows || []).filter(item => item.table === table).forEach(({ key }) => statements.push({
+        section,
+        sql: this.generateDeleteRowCommand(table, columns, key)
+      }));
+    }
+    (result.extraObjects || []).forEach(object => statements.push({ section, sql: this.generateDropSchemaObjectCommand(object) }));
+    (result.extraForeignKeys || []).forEach(foreignKey => statements.push({
+      section,
+      sql: this.generateDropForeignKeyCommand(foreignKey),
+      operations: [{ type: 'drop-foreign-key', table: foreignKey.table, foreignKey }]
+    }));
+    (result.extraIndexes || []).filter(index => !largeTables.has(index.table)).forEach(index => statements.push({
+      section,
+      sql: this.generateDropIndexCommand(index),
+      operations: [{ type: 'drop-index', table: index.table, index }]
+    }));
+    (result.extraColumns || []).filter(({ table }) => !largeTables.has(table)).forEach(({ table, column }) => statements.push({
+      section,
+      sql: this.generateDropColumnCommand(table, column),
+      operations: [{ type: 'drop-column', table, column }]
+    }));
+    (result.extraTables || []).forEach(table => statements.push({
+      section,
+      sql: this.generateDropTableCommand(table),
+      operations: [{ type: 'drop-table', table }]
+    }));
+
+    return statements;
+  }
+
+  // Group column, index and option changes per table, so each existing table gets a single ALTER TABLE.
+  // The operations describe each change for the risk analysis (see analyzeStatement).
+  groupTableChanges(result) {
+    const tables = {};
+    const getTable = table => {
+      if (!tables[table]) tables[table] = { notes: [], clauses: [], partitionClause: null, operations: [] };
+      return tables[table];
+    };
+
+    // Renames first, so the other clauses can use the new column names
+    (result.renamedColumns || []).forEach(({ table, column, oldName, mainColumn, confidence, differences = [], attributes = [] }) => {
+      const changes = differences.length > 0 ? `, ${differences.join(', ')}` : '';
+      getTable(table).notes.push(`Rename column ${oldName} to ${column.name} (confidence ${confidence}${changes})`);
+      getTable(table).clauses.push(this.generateRenameColumnClause(column, oldName, differences.length > 0));
+      getTable(table).operations.push({ type: 'rename-column', table, column, oldName });
+      if (attributes.length > 0) {
+        getTable(table).operations.push({ type: 'modify-column', table, column, mainColumn, attributes });
+      }
+    });
+
+    (result.missingColumns || []).forEach(({ table, column, after }) => {
+      getTable(table).notes.push(`Add column ${column.name}`);
+      getTable(table).clauses.push(this.generateAddColumnClause(column, after));
+      getTable(table).operations.push({ type: 'add-column', table, column });
+    });
+
+    (result.differentColumns || []).forEach(({ table, column, mainColumn, differences, attributes }) => {
+      getTable(table).notes.push(`Modify column ${column.name}: ${differences.join(', ')}`);
+      getTable(table).clauses.push(this.generateModifyColumnClause(column));
+      getTable(table).operations.push({ type: 'modify-column', table, column, mainColumn, attributes: attributes || [] });
+    });
+
+    (result.differentIndexes || []).forEach(({ index, mainIndex, differences }) => {
+      getTable(index.table).notes.push(`Re-create index ${index.name}: ${differences.join(', ')}`);
+      getTable(index.table).clauses.push(this.generateDropIndexClause(index), this.generateAddIndexClause(index));
+      getTable(index.table).operations.push(
+        { type: 'drop-index', table: index.table, index: mainIndex || index, replaced: true },
+        { type: 'add-index', table: index.table, index }
+      );
+    });
+
+    (result.renamedIndexes || []).forEach(({ index, oldName, mainIndex, confidence, differences = [] }) => {
+      const changes = differences.length > 0 ? `, ${differences.join(', ')}` : '';
+      getTable(index.table).notes.push(`Rename index ${oldName} to ${index.name} (confidence ${confidence}${changes})`);
+      if (this.dialect.renameIndex && differences.length === 0) {
+        getTable(index.table).clauses.push(this.generateRenameIndexClause(index, oldName));
+        getTable(index.table).operations.push({ type: 'rename-index', table: index.table, index });
+      } else {
+        // MariaDB before 10.5.2 cannot rename indexes, and a confirmed rename can change the definition
+        getTable(index.table).clauses.push(this.generateDropIndexClause({ ...index, name: oldName }), this.generateAddIndexClause(index));
+        getTable(index.table).operations.push(
+          { type: 'drop-index', table: index.table, index: mainIndex || { ...index, name: oldName }, replaced: true },
+          { type: 'add-index', table: index.table, index }
+        );
+      }
+    });
+
+    (result.missingIndexes || []).forEach(index => {
+      getTable(index.table).notes.push(`Add index ${index.name}`);
+      getTable(index.table).clauses.push(this.generateAddIndexClause(index));
+      getTable(index.table).operations.push({ type: 'add-index', table: index.table, index });
+    });
+
+    (result.differentTableOptions || []).forEach(({ table, options, mainOptions, differences, attributes }) => {
+      const { clauses, partitionClause } = this.generateTableOptionClauses(options, mainOptions, attributes);
+      getTable(table).notes.push(`Table options: ${differences.join(', ')}`);
+      getTable(table).clauses.push(...clauses);
+      getTable(table).partitionClause = partitionClause;
+      getTable(table).operations.push({ type: 'table-options', table, options, mainOptions, attributes: attributes || [] });
+    });
+
+    return tables;
+  }
+
+  // Existing tables that reach the online schema change threshold, from the sizes of main
+  getLargeTables(result) {
+    if (!this.options.onlineSchemaChange || this.options.onlineSchemaChange === 'off' || !result.tableSizes) {
+      return new Set();
+    }
+
+    // Sizes are keyed by the names in main
+    const threshold = parseThreshold(this.options.onlineSchemaChangeThreshold);
+    const oldNames = this.getOldTableNames(result);
+    return new Set((result.tables?.dev || [])
+      .filter(table => isLargeTable(result.tableSizes[oldNames[table] || table], threshold)));
+  }
+
+  // Name in main of each renamed table, keyed by the dev name
+  getOldTableNames(result) {
+    return Object.fromEntries((result.renamedTables || []).map(({ table, oldName }) => [table, oldName]));
+  }
+
+  // Function that gives the names in main of columns of a (dev) table, keyed by the dev name: the
+  // old name of a renamed column, or null for a column the migration adds
+  getOldColumnNames(result) {
+    const oldNames = Object.fromEntries((result.renamedColumns || []).map(({ table, column, oldName }) => [`${table}.${column.name}`, oldName]));
+    const added = new Set((result.missingColumns || []).map(({ table, column }) => `${table}.${column.name}`));
+    return (table, columns) => Object.fromEntries(columns.filter(Boolean).map(column =>
+      [column, added.has(`${table}.${column}`) ? null : oldNames[`${table}.${column}`] || column]));
+  }
+
+  // Names in main of the tables and columns an operation's probe reads, for probeMigrationRisks
+  addMainNames(operation, oldTableNames, oldColumnNames) {
+    if (oldTableNames[operation.table]) {
+      operation.mainTable = oldTableNames[operation.table];
+    }
+
+    if (operation.type === 'add-index') {
+      const parts = operation.index.parts || operation.index.columns.map(column => ({ column }));
+      operation.mainColumns = oldColumnNames(operation.table, parts.map(part => part.column));
+    }
+
+    if (operation.type === 'add-foreign-key') {
+      const { columns, referencedSchema, referencedTable, referencedColumns } = operation.foreignKey;
+      operation.mainColumns = oldColumnNames(operation.table, columns);
+      if (!referencedSchema) {
+        operation.mainReferencedTable = oldTableNames[referencedTable] || referencedTable;
+        operation.mainReferencedColumns = oldColumnNames(referencedTable, referencedColumns);
+      }
+    }
+  }
+
+  // Extra indexes and columns of the large tables, so one online schema change also drops them
+  // (only when DROP statements are enabled)
+  groupLargeTableDrops(result, tables, largeTables) {
+    if (!this.options.generateDropStatements) {
+      return;
+    }
+
+    const getTable = table => {
+      if (!tables[table]) tables[table] = { notes: [], clauses: [], partitionClause: null, operations: [] };
+      return tables[table];
+    };
+
+    (result.extraIndexes || []).filter(index => largeTables.has(index.table)).forEach(index => {
+      getTable(index.table).notes.push(`Drop index ${index.name} (destructive)`);
+      getTable(index.table).clauses.push(this.generateDropIndexClause(index));
+      getTable(index.table).operations.push({ type: 'drop-index', table: index.table, index });
+    });
+
+    (result.extraColumns || []).filter(({ table }) => largeTables.has(table)).forEach(({ table, column }) => {
+      getTable(table).notes.push(`Drop column ${column.name} (destructive)`);
+      getTable(table).clauses.push(`DROP COLUMN \`${column.name}\``);
+      getTable(table).operations.push({ type: 'drop-column', table, column });
+    });
+  }
+
+  // gh-ost or pt-online-schema-change command line that applies all changes of one table
+  generateOnlineSchemaChangeCommand(table, changes, connection) {
+    const alter = [changes.clauses.join(', '), changes.partitionClause].filter(Boolean).join(' ');
+    return formatCommand(this.options.onlineSchemaChange, table, alter, connection);
+  }
+
+  // Migration for main as a list of { section, sql, notes, compound, operations, risk, size, tool, command } statements. They are ordered
+  // so they can be applied top to bottom: tables are renamed and changed foreign keys dropped first,
+  // then missing tables are created, existing tables are altered, foreign keys are added once every
+  // table and column exists, then views, routines, triggers and events, and the reference data rows
+  // last. Destructive drops (and deleted rows) are kept separate.
+  generateMigrationStatements(result) {
+    const statements = [];
+    this.dialect = getDialect(result.servers?.main);
+
+    // 0. Renamed tables, so every later statement uses the dev name
+    for (const { table, oldName, confidence, reasons } of result.renamedTables || []) {
+      statements.push({
+        section: 'Renamed Tables (check that these are renames, not a dropped and a new table)',
+        notes: [`${oldName} → ${table}: confidence ${confidence} (${reasons.join(', ')})`],
+        sql: this.generateRenameTableCommand(table, oldName),
+        operations: [{ type: 'rename-table', table, oldName }]
+      });
+    }
+
+    const differentForeignKeys = (result.differentForeignKeys || []).map(({ foreignKey }) => foreignKey);
+    const groupByTable = items => items.reduce((groups, item) => {
+      (groups[item.table] = groups[item.table] || []).push(item);
+      return groups;
+    }, {});
+
+    // 1. Foreign keys that change are dropped before the columns and indexes they depend on change
+    for (const [table, foreignKeys] of Object.entries(groupByTable(differentForeignKeys))) {
+      statements.push({
+        section: 'Drop Changed Foreign Keys (re-added below)',
+        sql: this.generateAlterTableCommand(table, foreignKeys.map(fk => this.generateDropForeignKeyClause(fk))),
+        operations: foreignKeys.map(foreignKey => ({ type: 'drop-foreign-key', table, foreignKey }))
+      });
+    }
+
+    // 2. Missing tables, without their foreign keys
+    const foreignKeysToAdd = [...(result.missingForeignKeys || []), ...differentForeignKeys];
+    for (const table of result.missingTables || []) {
+      const definition = result.tableDefinitions?.dev[table];
+      if (!definition) {
+        throw new Error(`No definition for missing table ${table}, pass a result from compareSchemas()`);
+      }
+      statements.push({
+        section: 'Missing Tables',
+        sql: this.stripCreateTableStatement(definition.createStatement) + ';',
+        operations: [{ type: 'create-table', table, newTable: true }]
+      });
+      foreignKeysToAdd.push(...definition.foreignKeys);
+    }
+
+    // 3. One ALTER TABLE per existing table: columns before indexes, options last. Large tables get
+    // one gh-ost or pt-online-schema-change command instead, after the plain ALTERs.
+    const largeTables = this.getLargeTables(result);
+    const tableChanges = this.groupTableChanges(result);
+    this.groupLargeTableDrops(result, tableChanges, largeTables);
+
+    const onlineChanges = [];
+    for (const [table, changes] of Object.entries(tableChanges)) {
+      const statement = {
+        section: 'Altered Tables (review carefully before running)',
+        notes: changes.notes.map(note => `${table}: ${note}`),
+        sql: this.generateAlterTableCommand(table, changes.clauses, changes.partitionClause),
+        operations: changes.operations
+      };
+
+      if (largeTables.has(table)) {
+        const size = result.tableSizes[table];
+        onlineChanges.push({
+          ...statement,
+          section: ONLINE_SCHEMA_CHANGE_SECTION,
+          notes: [`${table}: ${describeSize(size)}`, ...statement.notes],
+          size,
+          tool: this.options.onlineSchemaChange,
+          command: this.generateOnlineSchemaChangeCommand(table, changes, result.mainConnection)
+        });
+      } else {
+        statements.push(statement);
+      }
+    }
+    statements.push(...onlineChanges);
+
+    // 4. Foreign keys, now that every referenced table and column exists
+    const missingTables = result.missingTables || [];
+    for (const [table, foreignKeys] of Object.entries(groupByTable(foreignKeysToAdd))) {
+      statements.push({
+        section: 'Foreign Keys',
+        sql: this.generateAlterTableCommand(table, foreignKeys.map(fk => this.generateAddForeignKeyClause(fk))),
+        operations: foreignKeys.map(foreignKey => ({
+          type: 'add-foreign-key',
+          table,
+          foreignKey,
+          newTable: missingTables.includes(table),
+          newReferencedTable: missingTables.includes(foreignKey.referencedTable)
+        }))
+      });
+    }
+
+    // 5. Views, routines, triggers and events
+    const objects = this.sortSchemaObjects([...(result.missingObjects || []), ...(result.differentObjects || [])]);
+    for (const object of objects) {
+      statements.push(...this.generateSchemaObjectCommands(object).map(statement => ({
+        section: 'Views, Routines, Triggers and Events',
+        ...statement
+      })));
+    }
+
+    // 6. Reference data rows, once every table and column exists
+    statements.push(...this.generateReferenceDataStatements(result));
+
+    // 7. Objects and rows that only exist in main
+    statements.push(...this.generateDropStatements(result, largeTables));
+
+    // Risk of each statement, with the probe results when probeMigrationRisks ran on main, where
+    // renamed tables and columns still have their old name
+    const oldTableNames = this.getOldTableNames(result);
+    const oldColumnNames = this.getOldColumnNames(result);
+    for (const statement of statements.filter(statement => statement.operations)) {
+      statement.operations.forEach(operation => this.addMainNames(operation, oldTableNames, oldColumnNames));
+      statement.risk = analyzeStatement(statement.operations, result.riskProbes, { online: Boolean(statement.command) });
+    }
+
+    return statements;
+  }
+
+  // Risk of every statement that changes a table, as { sql, level, algorithm, table, reasons }
+  assessRisks(result) {
+    return this.generateMigrationStatements(result)
+      .filter(statement => hasRiskComment(statement.risk))
+      .map(statement => ({ sql: statement.sql, ...statement.risk }));
+  }
+
+  // gh-ost or pt-online-schema-change commands of the migration, as { table, size, tool, command, sql, notes }
+  getOnlineSchemaChanges(result) {
+    return this.generateMigrationStatements(result)
+      .filter(statement => statement.command)
+      .map(({ operations, size, tool, command, sql, notes }) => ({ table: operations[0].table, size, tool, command, sql, notes }));
+  }
+
+  // Complete migration script for main, as an array of lines
+  generateMigration(result) {
+    const lines = [];
+
+    lines.push('-- MySQL Schema Compare migration');
+    lines.push(`-- Generated at: ${new Date().toISOString()}`);
+    lines.push('-- Review every statement before running it against the main database.');
+    if (result.servers?.main) {
+      lines.push(`-- Written for ${describeServer(result.servers.main)} (the main database).`);
+    }
+
+    if (!hasDifferences(result)) {
+      lines.push('');
+      lines.push('-- Schemas are in sync, nothing to apply.');
+      return lines;
+    }
+
+    let section = null;
+    for (const statement of this.generateMigrationStatements(result)) {
+      if (statement.section !== section) {
+        section = statement.section;
+        if (lines[lines.length - 1] !== '') lines.push('');
+        lines.push(`-- ${section} --`);
+      }
+
+      (statement.notes || []).forEach(note => lines.push(`-- ${note}`));
+      if (hasRiskComment(statement.risk)) {
+        lines.push(...formatRiskComment(statement.risk));
+      }
+
+      // Online schema changes run from a shell, so the script only carries them as comments
+      if (statement.command) {
+        lines.push(`-- Run from a shell instead of this ALTER TABLE (${statement.tool}):`);
+        lines.push(...statement.command.split('\n').map(line => `--   ${line}`), '');
+      } else if (statement.compound) {
+        // Routine, trigger and event bodies contain semicolons, so they are wrapped in DELIMITER
+        lines.push('DELIMITER $$', statement.sql + '$$', 'DELIMITER ;', '');
+      } else if (statement.sql.includes('\n')) {
+        lines.push(statement.sql, '');
+      } else {
+        lines.push(statement.sql);
+      }
+    }
+
+    const describedExtras = this.describeExtraObjects(result);
+    if (!this.options.generateDropStatements && describedExtras.length > 0) {
+      if (lines[lines.length - 1] !== '') lines.push('');
+      lines.push(`-- ${DESTRUCTIVE_SECTION} --`);
+      lines.push('-- DROP statements omitted. Set generate-drop-statements to true to include them.');
+      lines.push(...describedExtras);
+    }
+
+    return lines;
+  }
+}
+
+// Whether a statement's risk is worth a comment: anything but a plain safe statement
+function hasRiskComment(risk) {
+  return Boolean(risk && (risk.algorithm || risk.newTable || risk.level !== 'safe'));
+}
+
+// Comment lines for a statement's risk, e.g. "-- Risk: lossy (ALGORITHM=COPY)" or "-- Risk: safe (new
+// table)", and one line per reason
+function formatRiskComment(risk) {
+  const algorithm = risk.newTable ? ' (new table)' : risk.algorithm ? ` (ALGORITHM=${risk.algorithm})` : '';
+  return [`-- Risk: ${risk.level}${algorithm}`, ...risk.reasons.map(reason => `-- ⚠️ ${reason}`)];
+}
+
+// Migration script for a comparison result, as an array of lines
+function generateMigration(result, options = {}) {
+  return new MigrationGenerator(options).generateMigration(result);
+}
+
+// Risk of each statement of the migration for a comparison result
+function assessMigrationRisks(result, options = {}) {
+  return new MigrationGenerator(options).assessRisks(result);
+}
+
+module.exports = {
+  DESTRUCTIVE_SECTION,
+  MigrationGenerator,
+  generateMigration,
+  assessMigrationRisks
+};
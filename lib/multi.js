@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { runCompare, createCheckerOptions, writeReportFiles } = require('./run');
+const { DEFAULT_REPORT_FILE, parseFormats } = require('./reports');
+const { openSource, isLiveSource, listSchemas } = require('./sources');
+const { compareSchemas } = require('./compare');
+const { highestSeverity } = require('./severity');
+const { MigrationGenerator } = require('./migration-generator');
+const { probeMigrationRisks } = require('./risk');
+const { compilePattern } = require('./filters');
+const { ConfigError } = require('./config');
+const { printReport, printMatrix, printComparisonsSummary } = require('./reporters/console');
+
+// Several comparisons in one run:
+//   comparisons   a list of { name, main, dev } pairs, or { name, main, dev, schemas } to compare
+//                 every schema matching `schemas` on two servers (paired by schema name)
+//   environments  an N-way matrix: [{ name, spec }], the first environment is the reference
+//                 (desired state) and every other environment is compared against it
+
+// Label of a source spec for generated pair names
+function describeSpec(spec) {
+  if (spec.type === 'database') return spec.database || spec.host;
+  return path.basename(spec.path);
+}
+
+// Per-pair output files: schema-migration.sql → schema-migration.<name>.sql
+function withSuffix(filePath, name) {
+  if (!filePath) return filePath;
+  const extension = path.extname(filePath);
+  const safeName = name.replace(/[^A-Za-z0-9_.-]+/g, '-');
+  return `${filePath.slice(0, filePath.length - extension.length)}.${safeName}${extension}`;
+}
+
+// Turn the configured comparisons into pairs, listing the schemas of servers where `schemas` is set
+async function expandComparisons(comparisons) {
+  const pairs = [];
+
+  for (const comparison of comparisons) {
+    const { main, dev, schemas } = comparison;
+
+    if (!main || !dev) {
+      throw new ConfigError(`Comparison ${comparison.name || pairs.length + 1} needs both a main and a dev source`);
+    }
+
+    if (!schemas) {
+      pairs.push({ name: comparison.name || `${describeSpec(dev)} → ${describeSpec(main)}`, main, dev });
+      continue;
+    }
+
+    if (!isLiveSource(main) || !isLiveSource(dev)) {
+      throw new ConfigError('Comparing schemas by pattern needs database servers on both sides');
+    }
+
+    const pattern = compilePattern(schemas);
+    const mainSchemas = (await listSchemas(main)).filter(name => pattern.test(name));
+    const devSchemas = (await listSchemas(dev)).filter(name => pattern.test(name));
+    const names = [...new Set([...devSchemas, ...mainSchemas])].sort();
+
+    if (names.length === 0) {
+      console.log(chalk.yellow(`⚠️  No schemas match '${schemas}'`));
+    }
+
+    for (const schema of names) {
+      pairs.push({
+        name: comparison.name ? `${comparison.name}/${schema}` : schema,
+        main: { ...main, database: schema },
+        dev: { ...dev, database: schema },
+        // A schema that only exists on one server cannot be compared table by table
+        missingIn: !mainSchemas.includes(schema) ? 'main' : !devSchemas.includes(schema) ? 'dev' : null
+      });
+    }
+  }
+
+  return pairs;
+}
+
+// Run every comparison with the shared settings. A pair that fails (e.g. cannot connect) is
+// recorded with its error and the remaining pairs still run.
+async function runComparisons(settings, { captureOutput = false } = {}) {
+  const pairs = await expandComparisons(settings.comparisons);
+  const runs = [];
+
+  for (const [i, pair] of pairs.entries()) {
+    console.log(chalk.blue(`\n🗄️  Comparison ${i + 1}/${pairs.length}: ${pair.name}\n`));
+
+    if (pair.missingIn) {
+      console.log(chalk.red(`❌ Schema ${pair.name} does not exist in ${pair.missingIn}`));
+      runs.push({ name: pair.name, missingIn: pair.missingIn, result: null });
+      continue;
+    }
+
+    try {
+      const run = await runCompare({
+        ...settings,
+        main: pair.main,
+        dev: pair.dev,
+        name: pair.name,
+        migrationFile: withSuffix(settings.migrationFile, pair.name),
+        exportSnapshot: withSuffix(settings.exportSnapshot, pair.name),
+        reportFile: withSuffix(settings.reportFile || DEFAULT_REPORT_FILE, pair.name)
+      }, { captureOutput });
+      runs.push({ name: pair.name, dev: pair.dev, ...run });
+    } catch (error) {
+      if (error instanceof ConfigError) throw error;
+      console.error(chalk.red(`❌ Comparison ${pair.name} failed:`), error.message);
+      runs.push({ name: pair.name, error: error.message, result: null });
+    }
+  }
+
+  printComparisonsSummary(runs);
+
+  return {
+    runs,
+    isInSync: runs.every(run => run.result?.isInSync),
+    failed: runs.some(run => run.error)
+  };
+}
+
+// One row per object that differs in at least one environment, with a cell per environment:
+// { kind, severity, differences }, or no cell when the environment matches the reference
+function buildMatrix(reference, comparisons) {
+  const rows = new Map();
+
+  for (const { name, result } of comparisons) {
+    for (const change of result.changes) {
+      const key = `${change.objectType}:${change.path}`;
+      if (!rows.has(key)) {
+        rows.set(key, { key, objectType: change.objectType, path: change.path, severity: 'info', cells: {} });
+      }
+
+      const row = rows.get(key);
+      row.cells[name] = { kind: change.kind, severity: change.severity, differences: change.differences };
+      row.severity = highestSeverity([row.severity, change.severity]);
+    }
+  }
+
+  return {
+    reference,
+    environments: comparisons.map(({ name }) => name),
+    rows: [...rows.values()],
+    isInSync: comparisons.every(({ result }) => result.isInSync)
+  };
+}
+
+// Compare every environment with the first one and build the matrix. Read-only: apply mode is not
+// available, but a migration per environment is written when migrationFile is set.
+async function runMatrix(settings) {
+  const environments = settings.environments || [];
+  if (environments.length < 2) {
+    throw new ConfigError('A matrix needs at least two environments');
+  }
+
+  if (settings.applyMode && settings.applyMode !== 'off') {
+    throw new ConfigError('apply-mode is not available for an environment matrix');
+  }
+
+  const options = createCheckerOptions({ ...settings, applyMode: 'off' });
+  const formats = parseFormats(settings.formats);
+  const generator = new MigrationGenerator(options);
+  const sources = [];
+
+  try {
+    console.log(chalk.blue('🚀 Connecting to environments (read-only)...\n'));
+    for (const environment of environments) {
+      sources.push({ name: environment.name, spec: environment.spec, source: await openSource(environment.spec, environment.name) });
+    }
+
+    const [reference, ...others] = sources;
+    const comparisons = [];
+
+    for (const environment of others) {
+      console.log(chalk.blue(`\n🗄️  ${reference.name} → ${environment.name}\n`));
+
+      const result = await compareSchemas(reference.source, environment.source, options);
+      if (options.onlineSchemaChange !== 'off' && !result.isInSync && isLiveSource(environment.spec)) {
+        const { host, port, user, database } = environment.spec;
+        result.tableSizes = await environment.source.getTableSizes();
+        result.mainConnection = { host, port, user, database };
+      }
+      if (options.riskProbes && !result.isInSync && isLiveSource(environment.spec)) {
+        result.riskProbes = await probeMigrationRisks(generator.generateMigrationStatements(result), environment.source);
+      }
+      result.migration = generator.generateMigration(result);
+      result.risks = generator.assessRisks(result);
+      result.onlineSchemaChanges = generator.getOnlineSchemaChanges(result);
+      printReport(result, result.migration);
+
+      let migrationFile = null;
+      if (settings.migrationFile) {
+        migrationFile = path.resolve(withSuffix(settings.migrationFile, environment.name));
+        fs.mkdirSync(path.dirname(migrationFile), { recursive: true });
+        fs.writeFileSync(migrationFile, result.migration.join('\n') + '\n');
+        console.log(chalk.blue(`💾 Migration for ${environment.name} written to ${migrationFile}`));
+      }
+
+      const reportFiles = writeReportFiles(result, formats, { reportFile: withSuffix(settings.reportFile || DEFAULT_REPORT_FILE, environment.name) }, {
+        dev: environments[0].spec,
+        migrationFile,
+        name: `${reference.name} → ${environment.name}`,
+        generateDropStatements: options.generateDropStatements,
+        compareAutoIncrement: options.compareAutoIncrement
+      });
+
+      comparisons.push({ name: environment.name, result, migrationFile, reportFiles });
+    }
+
+    const matrix = buildMatrix(reference.name, comparisons);
+    printMatrix(matrix);
+
+    return { matrix, comparisons, isInSync: matrix.isInSync };
+  } finally {
+    for (const { source } of sources) {
+      await source.end();
+    }
+  }
+}
+
+module.exports = {
+  withSuffix,
+  expandComparisons,
+  runComparisons,
+  buildMatrix,
+  runMatrix
+};
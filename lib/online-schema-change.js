@@ -0,0 +1,112 @@
+const { ConfigError } = require('./config');
+
+// Online schema changes: for tables above a size threshold, the migration contains a gh-ost or
+// pt-online-schema-change command line instead of an ALTER TABLE that would lock the table while
+// MySQL copies it. Both tools copy the table in the background and swap it in at the end.
+
+const ONLINE_SCHEMA_CHANGE_TOOLS = ['off', 'gh-ost', 'pt-osc'];
+const ONLINE_SCHEMA_CHANGE_SECTION = 'Online Schema Changes (large tables, run these commands from a shell)';
+
+// A table is large when it reaches any of the limits
+const DEFAULT_THRESHOLD = '1000000 rows, 1GB';
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+function parseTool(value) {
+  const tool = value === 'pt-online-schema-change' ? 'pt-osc' : value || 'off';
+  if (!ONLINE_SCHEMA_CHANGE_TOOLS.includes(tool)) {
+    throw new ConfigError(`Invalid online-schema-change '${value}'. Valid values: ${ONLINE_SCHEMA_CHANGE_TOOLS.join(', ')}`);
+  }
+  return tool;
+}
+
+// "1000000 rows, 1GB" → { rows: 1000000, bytes: 1073741824 }. Either limit can be left out.
+function parseThreshold(value = DEFAULT_THRESHOLD) {
+  if (typeof value === 'object' && value !== null) return value;
+
+  const threshold = { rows: null, bytes: null };
+  for (const part of String(value).split(',').map(item => item.trim()).filter(Boolean)) {
+    const rows = /^(\d+)\s*rows?$/i.exec(part);
+    const size = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)$/i.exec(part);
+
+    if (rows) {
+      threshold.rows = Number(rows[1]);
+    } else if (size) {
+      threshold.bytes = Math.round(Number(size[1]) * SIZE_UNITS[size[2].toLowerCase()]);
+    } else {
+      throw new ConfigError(`Invalid online-schema-change threshold '${part}'. Expected rows or a size, e.g. '1000000 rows, 1GB'`);
+    }
+  }
+  return threshold;
+}
+
+// size: { rows, dataLength } from INFORMATION_SCHEMA.TABLES (see DatabaseSource.getTableSizes)
+function isLargeTable(size, threshold) {
+  if (!size) return false;
+  return (threshold.rows !== null && size.rows >= threshold.rows)
+    || (threshold.bytes !== null && size.dataLength >= threshold.bytes);
+}
+
+function formatSize(bytes) {
+  const [unit, factor] = Object.entries(SIZE_UNITS).reverse().find(([, factor]) => bytes >= factor) || ['b', 1];
+  return `${Number((bytes / factor).toFixed(1))} ${unit.toUpperCase()}`;
+}
+
+// e.g. "about 1,250,000 rows, 1.4 GB"
+function describeSize(size) {
+  return `about ${size.rows.toLocaleString('en-US')} rows, ${formatSize(size.dataLength)}`;
+}
+
+// Single quotes for the shell: backticks and $ stay literal
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`;
+}
+
+// Command line for one table. alter: the ALTER TABLE clauses, e.g. "ADD COLUMN ..., DROP INDEX ...".
+// connection: { host, port, user, database } of main, without the password (both tools prompt for
+// it with --ask-pass).
+function formatCommand(tool, table, alter, connection = {}) {
+  const quoted = shellQuote(alter);
+
+  if (tool === 'gh-ost') {
+    return [
+      'gh-ost',
+      connection.host && `--host=${connection.host}`,
+      connection.port && `--port=${connection.port}`,
+      connection.user && `--user=${connection.user}`,
+      '--ask-pass',
+      connection.database && `--database=${connection.database}`,
+      `--table=${table}`,
+      `--alter=${quoted}`,
+      '--execute'
+    ].filter(Boolean).join(' \\\n  ');
+  }
+
+  const dsn = [
+    connection.database && `D=${connection.database}`,
+    `t=${table}`,
+    connection.host && `h=${connection.host}`,
+    connection.port && `P=${connection.port}`,
+    connection.user && `u=${connection.user}`
+  ].filter(Boolean).join(',');
+
+  return [
+    'pt-online-schema-change',
+    `--alter ${quoted}`,
+    '--ask-pass',
+    dsn,
+    '--execute'
+  ].join(' \\\n  ');
+}
+
+module.exports = {
+  ONLINE_SCHEMA_CHANGE_TOOLS,
+  ONLINE_SCHEMA_CHANGE_SECTION,
+  DEFAULT_THRESHOLD,
+  parseTool,
+  parseThreshold,
+  isLargeTable,
+  formatSize,
+  describeSize,
+  formatCommand
+};
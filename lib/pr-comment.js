@@ -0,0 +1,204 @@
+// Sticky pull request comment: the action keeps one comment per PR (per comment key), found again via
+// a hidden marker and edited in place. The comment also stores the change ids it reported, so the
+// next run can show which differences were fixed and which are new.
+const { redactValue } = require('./redact');
+
+const COMMENT_MODES = ['sticky', 'new', 'off'];
+const RESOLVED_MODES = ['update', 'delete'];
+
+// GitHub rejects comment bodies over 65536 characters
+const MAX_COMMENT_LENGTH = 65000;
+
+function getMarker(key = '') {
+  return `<!-- mysql-schema-compare${key ? `:${key}` : ''} -->`;
+}
+
+// The state is base64 encoded, so object names can never end the HTML comment early. Being encoded,
+// it would slip past the masking of the visible body, so it is redacted here.
+function formatState(state) {
+  return `<!-- mysql-schema-compare-state:${Buffer.from(JSON.stringify(redactValue(state))).toString('base64')} -->`;
+}
+
+function parseState(body) {
+  const match = /<!-- mysql-schema-compare-state:([A-Za-z0-9+/=]+) -->/.exec(body || '');
+  if (!match) return null;
+
+  try {
+    const state = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    return Array.isArray(state.changes) ? state : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Fixed and introduced change ids compared with the previous run, or null on the first run
+function diffChanges(previousChanges, currentChanges) {
+  if (!previousChanges) return null;
+
+  return {
+    fixed: previousChanges.filter(id => !currentChanges.includes(id)),
+    introduced: currentChanges.filter(id => !previousChanges.includes(id))
+  };
+}
+
+function formatIdList(summary, ids) {
+  if (ids.length === 0) return [];
+
+  return [
+    '<details>',
+    `<summary>${summary}</summary>`,
+    '',
+    ...ids.map(id => `- \`${id}\``),
+    '',
+    '</details>',
+    ''
+  ];
+}
+
+function formatChangesSinceLastRun(delta) {
+  const lines = [];
+
+  if (!delta) {
+    return lines;
+  }
+
+  lines.push('### 🔄 Since the Last Run');
+  if (delta.fixed.length === 0 && delta.introduced.length === 0) {
+    lines.push('No differences were fixed or introduced.');
+    lines.push('');
+    return lines;
+  }
+
+  lines.push(`✅ ${delta.fixed.length} fixed, 🆕 ${delta.introduced.length} new`);
+  lines.push('');
+  lines.push(...formatIdList(`✅ Fixed (${delta.fixed.length})`, delta.fixed));
+  lines.push(...formatIdList(`🆕 New (${delta.introduced.length})`, delta.introduced));
+
+  return lines;
+}
+
+function formatResolvedComment(delta) {
+  const lines = [];
+
+  lines.push('## ✅ Database Schemas In Sync');
+  lines.push('');
+  lines.push('The schema differences reported earlier in this pull request have been resolved.');
+  lines.push('');
+  if (delta) {
+    lines.push(...formatIdList(`✅ Fixed (${delta.fixed.length})`, delta.fixed));
+  }
+  lines.push('---');
+  lines.push('🤖 *This comment was automatically generated by the MySQL Schema Compare action*');
+
+  return lines.join('\n');
+}
+
+function truncate(body) {
+  if (body.length <= MAX_COMMENT_LENGTH) return body;
+
+  const note = '\n\n⚠️ *This comment was truncated. See the Actions summary for the full report.*';
+  return body.slice(0, MAX_COMMENT_LENGTH - note.length) + note;
+}
+
+// Full comment body: marker, changes since the last run, the report and the stored state
+function buildCommentBody(key, body, state, delta) {
+  const header = formatChangesSinceLastRun(delta).join('\n');
+  const content = truncate(header ? `${header}\n${body}` : body);
+  return [getMarker(key), content, formatState(state)].join('\n');
+}
+
+// Login of the token's user, or null for the Actions token and app tokens, which cannot look up
+// their own user
+async function getAuthenticatedLogin(octokit) {
+  try {
+    const { data } = await octokit.rest.users.getAuthenticated();
+    return data.login;
+  } catch (error) {
+    return null;
+  }
+}
+
+// The newest comment with the marker written by this token's user (or by a bot when the user is
+// unknown), or null. Comments of people are never edited, even when they copy the marker, and
+// their state is not trusted.
+async function findComment(octokit, { owner, repo, issueNumber, key }) {
+  const marker = getMarker(key);
+  const login = await getAuthenticatedLogin(octokit);
+  const comments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: issueNumber,
+    per_page: 100
+  });
+  const isOwn = comment => (login ? comment.user?.login === login : comment.user?.type === 'Bot');
+
+  return comments.reverse().find(comment => isOwn(comment) && (comment.body || '').startsWith(marker)) || null;
+}
+
+// Create, update, resolve or delete the comment for this run.
+//   changes     change ids of this run, or null when the comparison failed (the last known state is kept)
+//   body        report for an out-of-sync or failed run (ignored when in sync)
+//   mode        sticky (edit one comment), new (a new comment per run) or off
+//   onResolved  update (mark the comment as resolved) or delete, once no differences are left
+// Returns what was done: created, updated, resolved, deleted or none.
+async function publishComment(octokit, { owner, repo, issueNumber, key = '', changes, body, mode = 'sticky', onResolved = 'update' }) {
+  if (mode === 'off') {
+    return 'none';
+  }
+
+  const inSync = changes !== null && changes.length === 0;
+  // Redacted like the stored state, so ids containing a secret compare equal between runs
+  changes = changes && redactValue(changes);
+
+  if (mode === 'new') {
+    if (inSync) return 'none';
+    await octokit.rest.issues.createComment({ owner, repo, issue_number: issueNumber, body });
+    return 'created';
+  }
+
+  const existing = await findComment(octokit, { owner, repo, issueNumber, key });
+  const previous = existing ? parseState(existing.body) : null;
+
+  if (inSync) {
+    if (!existing) {
+      return 'none';
+    }
+
+    if (onResolved === 'delete') {
+      await octokit.rest.issues.deleteComment({ owner, repo, comment_id: existing.id });
+      return 'deleted';
+    }
+
+    // Already marked as resolved by an earlier run
+    if (previous && previous.changes.length === 0 && !previous.failed) {
+      return 'resolved';
+    }
+
+    const resolved = [getMarker(key), formatResolvedComment(diffChanges(previous?.changes, [])), formatState({ changes: [] })].join('\n');
+    await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body: resolved });
+    return 'resolved';
+  }
+
+  // A failed run keeps the previous state, so the next successful run is compared with the last known differences
+  const state = changes === null ? { changes: previous?.changes || [], failed: true } : { changes };
+  const delta = changes === null ? null : diffChanges(previous?.changes, changes);
+  const fullBody = buildCommentBody(key, body, state, delta);
+
+  if (existing) {
+    await octokit.rest.issues.updateComment({ owner, repo, comment_id: existing.id, body: fullBody });
+    return 'updated';
+  }
+
+  await octokit.rest.issues.createComment({ owner, repo, issue_number: issueNumber, body: fullBody });
+  return 'created';
+}
+
+module.exports = {
+  COMMENT_MODES,
+  RESOLVED_MODES,
+  getMarker,
+  parseState,
+  diffChanges,
+  formatChangesSinceLastRun,
+  publishComment
+};
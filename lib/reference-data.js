@@ -0,0 +1,192 @@
+const { parseList, compilePattern } = require('./filters');
+
+// Reference data: lookup tables (roles, countries, feature flags, ...) whose rows have to be the same
+// in dev and main. Both sides of each configured table are checksummed on the server first; only
+// tables whose checksums differ are read and compared row by row, by primary key. Reading rows
+// needs two live databases, so tables of schema files and snapshots are skipped.
+
+// Tables with more rows than this are skipped: reference data is meant to be small
+const MAX_ROWS = 10000;
+
+// Values longer than this are shortened in difference texts (the migration has them in full)
+const MAX_VALUE_LENGTH = 60;
+
+// Table patterns (globs or /regex/) from a list, or a comma or newline separated string
+function parseReferenceTables(value) {
+  const patterns = parseList(value);
+  patterns.forEach(compilePattern);
+  return patterns;
+}
+
+function isDataSource(source) {
+  return typeof source.getTableChecksum === 'function' && typeof source.getTableRows === 'function';
+}
+
+// Primary key values as text, e.g. "id=3" or "country=DE;language=de". Used in change ids.
+function formatRowKey(key) {
+  return Object.entries(key).map(([column, value]) => `${column}=${value}`).join(';');
+}
+
+function formatValue(value) {
+  if (value === null) return 'NULL';
+  const text = value.length > MAX_VALUE_LENGTH ? `${value.slice(0, MAX_VALUE_LENGTH)}…` : value;
+  return `'${text}'`;
+}
+
+// Referenced tables before the tables that reference them, so rows can be inserted top to bottom.
+// Foreign keys outside the list and cycles keep the configured order.
+async function sortByDependencies(source, tables) {
+  const references = {};
+  for (const table of tables) {
+    references[table] = (await source.getTableForeignKeys(table))
+      .filter(foreignKey => !foreignKey.referencedSchema && foreignKey.referencedTable !== table && tables.includes(foreignKey.referencedTable))
+      .map(foreignKey => foreignKey.referencedTable);
+  }
+
+  const sorted = [];
+  const visiting = new Set();
+  const visit = table => {
+    if (sorted.includes(table) || visiting.has(table)) return;
+    visiting.add(table);
+    references[table].forEach(visit);
+    sorted.push(table);
+  };
+  tables.forEach(visit);
+  return sorted;
+}
+
+// Rows only in dev, in both with other values, and only in main. Rows are { column: text or null }.
+function compareRows(table, keyColumns, devRows, mainRows) {
+  const keyOf = row => JSON.stringify(keyColumns.map(column => row[column]));
+  const describeKey = row => Object.fromEntries(keyColumns.map(column => [column, row[column]]));
+  const mainByKey = new Map(mainRows.map(row => [keyOf(row), row]));
+  const devKeys = new Set(devRows.map(keyOf));
+  const rows = { missingRows: [], differentRows: [], extraRows: [] };
+
+  for (const row of devRows) {
+    const mainRow = mainByKey.get(keyOf(row));
+    if (!mainRow) {
+      rows.missingRows.push({ table, key: describeKey(row), row });
+      continue;
+    }
+
+    const columns = Object.keys(row).filter(column => row[column] !== mainRow[column]);
+    if (columns.length > 0) {
+      rows.differentRows.push({
+        table,
+        key: describeKey(row),
+        row,
+        mainRow,
+        columns,
+        differences: columns.map(column => `${column}: ${formatValue(mainRow[column])} → ${formatValue(row[column])}`),
+        attributes: ['values']
+      });
+    }
+  }
+
+  rows.extraRows = mainRows
+    .filter(row => !devKeys.has(keyOf(row)))
+    .map(row => ({ table, key: describeKey(row), row }));
+
+  return rows;
+}
+
+// Compare the rows of one table. Returns { status, reason, rows, ...row differences }.
+async function compareTable(dev, main, table, context) {
+  const { mainTables, mainNames, columnRenames, filter } = context;
+  const mainTable = mainNames[table] || table;
+
+  // Generated columns follow from the others and cannot be written
+  const devColumns = (await dev.getTableColumns(table))
+    .filter(column => filter.includesColumn(table, column.name) && !column.generationExpression);
+  const primaryKey = (await dev.getTableIndexes(table)).find(index => index.primary);
+  if (!primaryKey || primaryKey.parts.some(part => !part.column)) {
+    return { status: 'skipped', reason: 'no primary key in dev' };
+  }
+
+  const keyColumns = primaryKey.columns;
+  if (keyColumns.some(column => !devColumns.some(devColumn => devColumn.name === column))) {
+    return { status: 'skipped', reason: 'primary key columns are excluded' };
+  }
+
+  // A table missing in main is created by the migration: every dev row is inserted
+  const existsInMain = mainTables.includes(mainTable);
+  let columns = devColumns;
+  let mainNameOf = name => name;
+
+  if (existsInMain) {
+    // Columns renamed in dev are read under their old name in main
+    const oldNames = Object.fromEntries(Object.entries(columnRenames[table] || {}).map(([oldName, name]) => [name, oldName]));
+    const mainColumnNames = (await main.getTableColumns(mainTable)).map(column => column.name);
+    mainNameOf = name => oldNames[name] || name;
+    columns = devColumns.filter(column => mainColumnNames.includes(mainNameOf(column.name)));
+
+    if (keyColumns.some(column => !columns.some(common => common.name === column))) {
+      return { status: 'skipped', reason: 'primary key columns differ between dev and main' };
+    }
+  }
+
+  const mainColumns = columns.map(column => ({ ...column, name: mainNameOf(column.name) }));
+  const [devChecksum, mainChecksum] = await Promise.all([
+    dev.getTableChecksum(table, columns),
+    existsInMain ? main.getTableChecksum(mainTable, mainColumns) : { rows: 0, checksum: null }
+  ]);
+
+  const described = {
+    columns: columns.map(({ name, type }) => ({ name, type })),
+    key: keyColumns,
+    rows: { dev: devChecksum.rows, main: mainChecksum.rows }
+  };
+
+  if (Math.max(devChecksum.rows, mainChecksum.rows) > MAX_ROWS) {
+    return { ...described, status: 'skipped', reason: `more than ${MAX_ROWS} rows` };
+  }
+
+  if (devChecksum.rows === mainChecksum.rows && devChecksum.checksum === mainChecksum.checksum) {
+    return { ...described, status: 'in-sync' };
+  }
+
+  const [devRows, mainRows] = await Promise.all([
+    dev.getTableRows(table, columns, keyColumns),
+    existsInMain ? main.getTableRows(mainTable, mainColumns, keyColumns.map(mainNameOf)) : []
+  ]);
+  const renamedMainRows = mainRows.map(row => Object.fromEntries(columns.map(column => [column.name, row[mainNameOf(column.name)]])));
+
+  const differences = compareRows(table, keyColumns, devRows, renamedMainRows);
+  const changed = Object.values(differences).some(items => items.length > 0);
+  return { ...described, status: changed ? 'different' : 'in-sync', ...differences };
+}
+
+// Compare the rows of the dev tables matching `patterns` (see parseReferenceTables) with main.
+// context: { devTables, mainTables, mainNames, columnRenames, filter } from the schema comparison.
+// Returns { tables: [{ table, status, reason, columns, key, rows }], missingRows, differentRows, extraRows }
+// with tables in dependency order; status is in-sync, different or skipped (with a reason).
+async function diffReferenceData(dev, main, patterns, context) {
+  const matchers = patterns.map(compilePattern);
+  const tables = context.devTables.filter(table => matchers.some(matcher => matcher.test(table)));
+  const data = { tables: [], missingRows: [], differentRows: [], extraRows: [] };
+
+  if (!isDataSource(dev) || !isDataSource(main)) {
+    const side = isDataSource(dev) ? 'main' : 'dev';
+    data.tables = tables.map(table => ({ table, status: 'skipped', reason: `${side} is not a live database` }));
+    return data;
+  }
+
+  for (const table of await sortByDependencies(dev, tables)) {
+    const { missingRows = [], differentRows = [], extraRows = [], ...summary } = await compareTable(dev, main, table, context);
+    data.tables.push({ table, ...summary });
+    data.missingRows.push(...missingRows);
+    data.differentRows.push(...differentRows);
+    data.extraRows.push(...extraRows);
+  }
+
+  return data;
+}
+
+module.exports = {
+  MAX_ROWS,
+  parseReferenceTables,
+  formatRowKey,
+  compareRows,
+  diffReferenceData
+};
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { ConfigError } = require('./config');
+
+// Rename detection: a table, column or index that only exists in dev and one that only exists in main are
+// reported as renamed when their definitions match, so the migration keeps the data (RENAME TABLE,
+// RENAME COLUMN) instead of creating an empty table or column. Each rename gets a confidence
+// between 0 and 1. A hints file can confirm or reject specific renames:
+//
+//   - table: customers -> clients
+//   - column: users.mail -> email
+//   - index: users.idx_mail -> idx_email
+//     reject: true
+//
+// Column and index hints name the table as it is called in dev.
+
+const RENAME_TYPES = ['table', 'column', 'index'];
+
+// Renames below this confidence are not proposed
+const RENAME_CONFIDENCE = 0.7;
+
+// Share of identical columns (name and type) from which two tables can be the same table
+const TABLE_COLUMN_OVERLAP = 0.75;
+
+// A single identical column (usually just `id`) says nothing about two tables
+const TABLE_MIN_SHARED_COLUMNS = 2;
+
+const round = value => Math.round(value * 100) / 100;
+
+// 1 for identical names, 0 for names without anything in common (edit distance)
+function nameSimilarity(a, b) {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  if (a === b) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Confidence that mainColumn was renamed to devColumn, or null when the definitions differ or
+// nothing but the definition links them. Positions are the indexes of the columns in their tables.
+function scoreColumnRename(devColumn, mainColumn, devPosition, mainPosition) {
+  if (devColumn.type !== mainColumn.type || devColumn.nullable !== mainColumn.nullable || devColumn.defaultValue !== mainColumn.defaultValue) {
+    return null;
+  }
+
+  // Any dropped and added column of the same type would match on the definition alone, so the
+  // position or the name has to match as well
+  const similarity = nameSimilarity(devColumn.name, mainColumn.name);
+  if (devPosition !== mainPosition && similarity < 0.5) {
+    return null;
+  }
+
+  let confidence = 0.6;
+  const reasons = ['same type, nullability and default'];
+
+  if (devPosition === mainPosition) {
+    confidence += 0.2;
+    reasons.push('same position');
+  }
+
+  if (['extra', 'charset', 'collation', 'comment', 'generationExpression'].every(key => (devColumn[key] || '') === (mainColumn[key] || ''))) {
+    confidence += 0.1;
+    reasons.push('same attributes');
+  }
+
+  confidence += 0.1 * similarity;
+  if (similarity >= 0.5) reasons.push('similar name');
+
+  return { confidence: round(confidence), reasons };
+}
+
+// Confidence that the main table was renamed to the dev table, from their columns, or null when too
+// few columns match
+function scoreTableRename(devTable, devColumns, mainTable, mainColumns) {
+  const devSignatures = new Set(devColumns.map(column => `${column.name} ${column.type}`));
+  const mainSignatures = new Set(mainColumns.map(column => `${column.name} ${column.type}`));
+  const shared = [...devSignatures].filter(signature => mainSignatures.has(signature)).length;
+  const overlap = shared / new Set([...devSignatures, ...mainSignatures]).size;
+
+  if (shared < TABLE_MIN_SHARED_COLUMNS || !(overlap >= TABLE_COLUMN_OVERLAP)) {
+    return null;
+  }
+
+  const similarity = nameSimilarity(devTable, mainTable);
+  const reasons = [`${shared} of ${Math.max(devSignatures.size, mainSignatures.size)} columns identical`];
+  if (similarity >= 0.5) reasons.push('similar name');
+
+  return { confidence: round(0.8 * overlap + 0.2 * similarity), reasons };
+}
+
+// Confidence that the main index was renamed to the dev index, for two indexes with the same
+// definition: likely the same index, more so with a similar name
+function scoreIndexRename(devIndex, mainIndex) {
+  const similarity = nameSimilarity(devIndex.name, mainIndex.name);
+  const reasons = ['same definition'];
+  if (similarity >= 0.5) reasons.push('similar name');
+
+  return { confidence: round(0.8 + 0.2 * similarity), reasons };
+}
+
+// Split "old -> new" (or "old → new"). Column and index hints are "table.old -> new".
+function parseRenameHint(type, value, source) {
+  const match = /^\s*(.+?)\s*(?:->|→)\s*(.+?)\s*$/.exec(String(value));
+  if (!match) {
+    throw new ConfigError(`${source}: '${value}' should look like 'old -> new'`);
+  }
+
+  if (type === 'table') {
+    return { type, table: null, from: match[1], to: match[2] };
+  }
+
+  const dot = match[1].lastIndexOf('.');
+  if (dot <= 0) {
+    throw new ConfigError(`${source}: ${type} renames look like 'table.old -> new', got '${value}'`);
+  }
+
+  const table = match[1].slice(0, dot);
+  const to = match[2].startsWith(`${table}.`) ? match[2].slice(table.length + 1) : match[2];
+  return { type, table, from: match[1].slice(dot + 1), to };
+}
+
+// Validate rename hints: a list of { table | column | index: 'old -> new', reject?, reason? }
+function compileRenameHints(entries = [], source = 'rename hints') {
+  if (!Array.isArray(entries)) {
+    throw new ConfigError(`${source} must be a list of { table | column | index: 'old -> new' } entries`);
+  }
+
+  return entries.map((entry, i) => {
+    const types = RENAME_TYPES.filter(type => entry && entry[type] !== undefined);
+    if (types.length !== 1) {
+      throw new ConfigError(`${source} entry ${i + 1} needs exactly one of: ${RENAME_TYPES.join(', ')}`);
+    }
+
+    return { ...parseRenameHint(types[0], entry[types[0]], `${source} entry ${i + 1}`), reject: entry.reject === true, reason: entry.reason || null };
+  });
+}
+
+// Read a rename hints file (YAML or JSON list)
+function loadRenameHints(filePath) {
+  const resolved = path.resolve(filePath);
+
+  if (!fs.existsSync(resolved)) {
+    throw new ConfigError(`Rename hints file not found: ${filePath}`);
+  }
+
+  let entries;
+  try {
+    entries = YAML.parse(fs.readFileSync(resolved, 'utf8')) || [];
+  } catch (error) {
+    throw new ConfigError(`Could not parse rename hints file ${resolved}: ${error.message}`);
+  }
+
+  compileRenameHints(entries, `Rename hints file ${filePath}`);
+  return entries;
+}
+
+function findHint(hints, type, table, from, to) {
+  return hints.find(hint => hint.type === type && hint.table === table && hint.from === from && hint.to === to);
+}
+
+// Pair items only in dev with items only in main (both with a `name`) into renames, as
+// { dev, main, confidence, reasons, confirmed }. Confirmed hints come first, then the best scoring
+// pairs from score(dev, main) if `detect` is set. Rejected pairs and ties (another pair of the same
+// item with the same confidence) are left alone.
+function matchRenames(type, table, devItems, mainItems, score, hints = [], detect = true) {
+  const renames = [];
+  const used = new Set();
+
+  for (const hint of hints.filter(hint => hint.type === type && hint.table === table && !hint.reject)) {
+    const dev = devItems.find(item => item.name === hint.to);
+    const main = mainItems.find(item => item.name === hint.from);
+    if (dev && main && !used.has(dev) && !used.has(main)) {
+      renames.push({ dev, main, confidence: 1, reasons: ['confirmed by rename hint'], confirmed: true });
+      used.add(dev).add(main);
+    }
+  }
+
+  if (!detect) {
+    return renames;
+  }
+
+  const candidates = devItems.flatMap(dev => mainItems.map(main => {
+    if (findHint(hints, type, table, main.name, dev.name)?.reject) return null;
+    const match = score(dev, main);
+    return match && match.confidence >= RENAME_CONFIDENCE ? { dev, main, ...match, confirmed: false } : null;
+  })).filter(Boolean).sort((a, b) => b.confidence - a.confidence);
+
+  for (const candidate of candidates) {
+    if (used.has(candidate.dev) || used.has(candidate.main)) continue;
+
+    // Ambiguous items are not paired with a worse candidate later either
+    const tied = candidates.some(other => other !== candidate && other.confidence === candidate.confidence &&
+      (other.dev === candidate.dev || other.main === candidate.main) && !used.has(other.dev) && !used.has(other.main));
+    if (!tied) renames.push(candidate);
+    used.add(candidate.dev).add(candidate.main);
+  }
+
+  return renames;
+}
+
+module.exports = {
+  RENAME_TYPES,
+  RENAME_CONFIDENCE,
+  nameSimilarity,
+  scoreColumnRename,
+  scoreTableRename,
+  scoreIndexRename,
+  compileRenameHints,
+  loadRenameHints,
+  findHint,
+  matchRenames
+};
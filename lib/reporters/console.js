@@ -0,0 +1,427 @@
+const chalk = require('chalk');
+const { hasDifferences } = require('../compare');
+const { countSeverities } = require('../severity');
+const { RISK_LEVELS, countRiskLevels } = require('../risk');
+const { describeServer } = require('../dialect');
+const { formatRowKey } = require('../reference-data');
+const { formatRun } = require('../history');
+
+// Console report of a comparison result: per-table differences, summary counts and the migration
+
+function printMigration(lines) {
+  for (const line of lines) {
+    if (line.startsWith('-- ⚠️')) {
+      console.log(chalk.red(line));
+    } else if (/^-- .* --$/.test(line)) {
+      console.log(chalk.yellow(line));
+    } else if (line.startsWith('--')) {
+      console.log(chalk.gray(line));
+    } else {
+      console.log(chalk.white(line));
+    }
+  }
+}
+
+// Differences of one existing table, in the order they are printed
+function getTableDifferences(result, table) {
+  const inTable = item => item.table === table;
+  const inTableBy = key => item => item[key].table === table;
+
+  return {
+    optionDifferences: (result.differentTableOptions || []).filter(inTable).flatMap(({ differences }) => differences),
+    missingColumns: (result.missingColumns || []).filter(inTable),
+    differentColumns: (result.differentColumns || []).filter(inTable),
+    renamedColumns: (result.renamedColumns || []).filter(inTable),
+    extraColumns: (result.extraColumns || []).filter(inTable),
+    missingIndexes: (result.missingIndexes || []).filter(inTable),
+    differentIndexes: (result.differentIndexes || []).filter(inTableBy('index')),
+    renamedIndexes: (result.renamedIndexes || []).filter(inTableBy('index')),
+    extraIndexes: (result.extraIndexes || []).filter(inTable),
+    missingForeignKeys: (result.missingForeignKeys || []).filter(inTable),
+    differentForeignKeys: (result.differentForeignKeys || []).filter(inTableBy('foreignKey')),
+    extraForeignKeys: (result.extraForeignKeys || []).filter(inTable)
+  };
+}
+
+// The header is left out when the caller already printed it (renamed tables)
+function printTableDifferences(table, differences, header = true) {
+  const {
+    optionDifferences, missingColumns, differentColumns, renamedColumns, extraColumns,
+    missingIndexes, differentIndexes, renamedIndexes, extraIndexes,
+    missingForeignKeys, differentForeignKeys, extraForeignKeys
+  } = differences;
+
+  // Only log table if there are issues
+  if (Object.values(differences).every(items => items.length === 0)) {
+    return;
+  }
+
+  if (header) {
+    console.log(chalk.cyan(`Checking table: ${table}`));
+    console.log(chalk.green(`  ✅ Table exists in main`));
+  }
+
+  if (optionDifferences.length > 0) {
+    console.log(chalk.yellow(`  ⚠️  Different table options: ${optionDifferences.join(', ')}`));
+  }
+
+  if (missingColumns.length > 0 || differentColumns.length > 0 || renamedColumns.length > 0 || extraColumns.length > 0) {
+    console.log(chalk.gray(`  🔍 Checking columns...`));
+
+    for (const { column } of missingColumns) {
+      console.log(chalk.red(`    ❌ Missing column: ${column.name} (${column.type})`));
+    }
+
+    for (const { column, differences } of differentColumns) {
+      console.log(chalk.yellow(`    ⚠️  Different column: ${column.name} - ${differences.join(', ')}`));
+    }
+
+    for (const { column, oldName, confidence, differences } of renamedColumns) {
+      const changes = differences.length > 0 ? ` - ${differences.join(', ')}` : '';
+      console.log(chalk.yellow(`    🔀 Renamed column: ${oldName} → ${column.name} (confidence ${confidence})${changes}`));
+    }
+
+    for (const { column } of extraColumns) {
+      console.log(chalk.magenta(`    ➖ Extra column in main: ${column.name} (${column.type})`));
+    }
+  }
+
+  if (missingIndexes.length > 0 || differentIndexes.length > 0 || renamedIndexes.length > 0 || extraIndexes.length > 0) {
+    console.log(chalk.gray(`  🔍 Checking indexes...`));
+
+    for (const index of missingIndexes) {
+      console.log(chalk.red(`    ❌ Missing index: ${index.name}`));
+    }
+
+    for (const { index, differences } of differentIndexes) {
+      console.log(chalk.yellow(`    ⚠️  Different index: ${index.name} - ${differences.join(', ')}`));
+    }
+
+    for (const { index, oldName, confidence, differences = [] } of renamedIndexes) {
+      const changes = differences.length > 0 ? ` - ${differences.join(', ')}` : '';
+      console.log(chalk.yellow(`    🔀 Renamed index: ${oldName} → ${index.name} (confidence ${confidence})${changes}`));
+    }
+
+    for (const index of extraIndexes) {
+      console.log(chalk.magenta(`    ➖ Extra index in main: ${index.name}`));
+    }
+  }
+
+  if (missingForeignKeys.length > 0 || differentForeignKeys.length > 0 || extraForeignKeys.length > 0) {
+    console.log(chalk.gray(`  🔍 Checking foreign keys...`));
+
+    for (const foreignKey of missingForeignKeys) {
+      console.log(chalk.red(`    ❌ Missing foreign key: ${foreignKey.name} → ${foreignKey.referencedTable}`));
+    }
+
+    for (const { foreignKey, differences } of differentForeignKeys) {
+      console.log(chalk.yellow(`    ⚠️  Different foreign key: ${foreignKey.name} - ${differences.join(', ')}`));
+    }
+
+    for (const foreignKey of extraForeignKeys) {
+      console.log(chalk.magenta(`    ➖ Extra foreign key in main: ${foreignKey.name} → ${foreignKey.referencedTable}`));
+    }
+  }
+}
+
+function printSummary(result) {
+  console.log(chalk.blue('\n📊 SUMMARY:'));
+  console.log(chalk.white(`Total tables in dev: ${result.tables.dev.length}`));
+  console.log(chalk.white(`Total tables in main: ${result.tables.main.length}`));
+  console.log(chalk.white(`Missing tables in main: ${result.missingTables.length}`));
+  console.log(chalk.white(`Renamed tables in main: ${(result.renamedTables || []).length}`));
+  console.log(chalk.white(`Missing columns in main: ${result.missingColumns.length}`));
+  console.log(chalk.white(`Different columns in main: ${result.differentColumns.length}`));
+  console.log(chalk.white(`Renamed columns in main: ${(result.renamedColumns || []).length}`));
+  console.log(chalk.white(`Tables with different options in main: ${result.differentTableOptions.length}`));
+  console.log(chalk.white(`Missing indexes in main: ${result.missingIndexes.length}`));
+  console.log(chalk.white(`Different indexes in main: ${result.differentIndexes.length}`));
+  console.log(chalk.white(`Renamed indexes in main: ${result.renamedIndexes.length}`));
+  console.log(chalk.white(`Extra tables in main: ${result.extraTables.length}`));
+  console.log(chalk.white(`Extra columns in main: ${result.extraColumns.length}`));
+  console.log(chalk.white(`Extra indexes in main: ${result.extraIndexes.length}`));
+  console.log(chalk.white(`Missing foreign keys in main: ${result.missingForeignKeys.length}`));
+  console.log(chalk.white(`Different foreign keys in main: ${result.differentForeignKeys.length}`));
+  console.log(chalk.white(`Extra foreign keys in main: ${result.extraForeignKeys.length}`));
+  console.log(chalk.white(`Missing views/routines/triggers/events in main: ${result.missingObjects.length}`));
+  console.log(chalk.white(`Different views/routines/triggers/events in main: ${result.differentObjects.length}`));
+  console.log(chalk.white(`Extra views/routines/triggers/events in main: ${result.extraObjects.length}`));
+  if (result.referenceData) {
+    console.log(chalk.white(`Missing rows in main: ${result.missingRows.length}`));
+    console.log(chalk.white(`Different rows in main: ${result.differentRows.length}`));
+    console.log(chalk.white(`Extra rows in main: ${result.extraRows.length}`));
+  }
+  console.log(chalk.white(`Accepted differences (allowlist): ${(result.acceptedChanges || []).length}`));
+
+  if (result.changes?.length > 0) {
+    const counts = countSeverities(result.changes);
+    console.log(chalk.white(`Severity: ${counts.error} errors, ${counts.warning} warnings, ${counts.info} info`));
+  }
+}
+
+const RISK_ICONS = {
+  safe: '🟢',
+  locking: '🟡',
+  blocking: '🟠',
+  lossy: '🔴'
+};
+
+// Risk of the migration statements (result.risks), riskiest level first. Nothing when all are safe.
+function printRisks(result) {
+  const risks = result.risks || [];
+  if (risks.every(risk => risk.level === 'safe')) {
+    return;
+  }
+
+  const counts = countRiskLevels(risks);
+  const levels = [...RISK_LEVELS].reverse();
+  console.log(chalk.blue('\n🛡️  MIGRATION RISK:'));
+  console.log(chalk.white(levels.filter(level => counts[level] > 0).map(level => `${counts[level]} ${level}`).join(', ')));
+
+  for (const level of levels.filter(level => level !== 'safe')) {
+    for (const risk of risks.filter(risk => risk.level === level)) {
+      const algorithm = risk.algorithm ? ` (ALGORITHM=${risk.algorithm})` : '';
+      console.log(chalk.yellow(`  ${RISK_ICONS[level]} ${level}: ${risk.sql.split('\n')[0]}${algorithm}`));
+      risk.reasons.forEach(reason => console.log(chalk.gray(`      ${reason}`)));
+    }
+  }
+}
+
+// gh-ost or pt-online-schema-change commands for the large tables, printed without the SQL comment prefix
+function printOnlineSchemaChanges(result) {
+  const onlineSchemaChanges = result.onlineSchemaChanges || [];
+  if (onlineSchemaChanges.length === 0) {
+    return;
+  }
+
+  console.log(chalk.blue('\n🐙 ONLINE SCHEMA CHANGES (large tables, run from a shell):'));
+  for (const change of onlineSchemaChanges) {
+    console.log(chalk.gray(`\n# ${change.notes[0]}`));
+    console.log(chalk.white(change.command));
+  }
+}
+
+// Rows of the reference data tables (result.referenceData), one line per table that matches
+function printReferenceData(result) {
+  console.log(chalk.blue('\n🔍 Checking reference data...'));
+
+  for (const { table, status, reason, rows } of result.referenceData) {
+    if (status === 'skipped') {
+      console.log(chalk.yellow(`  ⚠️  ${table}: skipped, ${reason}`));
+      continue;
+    }
+
+    const inTable = item => item.table === table;
+    const missingRows = result.missingRows.filter(inTable);
+    const differentRows = result.differentRows.filter(inTable);
+    const extraRows = result.extraRows.filter(inTable);
+
+    if (missingRows.length + differentRows.length + extraRows.length === 0) {
+      console.log(chalk.green(`  ✅ ${table}: ${rows.dev} rows match`));
+      continue;
+    }
+
+    console.log(chalk.cyan(`  ${table}: ${rows.dev} rows in dev, ${rows.main} in main`));
+    for (const { key } of missingRows) {
+      console.log(chalk.red(`    ❌ Missing row: ${formatRowKey(key)}`));
+    }
+    for (const { key, differences } of differentRows) {
+      console.log(chalk.yellow(`    ⚠️  Different row: ${formatRowKey(key)} - ${differences.join(', ')}`));
+    }
+    for (const { key } of extraRows) {
+      console.log(chalk.magenta(`    ➖ Extra row in main: ${formatRowKey(key)}`));
+    }
+  }
+}
+
+// Differences accepted by the allowlist, with their reasons
+function printAcceptedChanges(result) {
+  const accepted = result.acceptedChanges || [];
+  const unused = result.unusedAllowlistEntries || [];
+
+  if (accepted.length > 0) {
+    console.log(chalk.blue('\n📝 Accepted differences (allowlist):'));
+    for (const change of accepted) {
+      console.log(chalk.gray(`  ✔️  ${change.id} - ${change.reason}`));
+    }
+  }
+
+  for (const entry of unused) {
+    console.log(chalk.yellow(`⚠️  Allowlist entry matched no difference: ${entry.change}`));
+  }
+}
+
+// '⏱️  Timings: connect 80 ms, introspection dev 310 ms / main 420 ms, ...' from result.timings.
+// Sides and phases without a timing (e.g. schema files, which are read when opened) are left out.
+function formatTimings(timings) {
+  const ms = value => `${value} ms`;
+  const parts = [];
+
+  if (timings.connect != null) parts.push(`connect ${ms(timings.connect)}`);
+
+  const introspection = ['dev', 'main']
+    .filter(side => timings.introspection?.[side] != null)
+    .map(side => `${side} ${ms(timings.introspection[side])}`);
+  if (introspection.length > 0) parts.push(`introspection ${introspection.join(' / ')}`);
+
+  if (timings.comparison != null) parts.push(`comparison ${ms(timings.comparison)}`);
+  if (timings.migration != null) parts.push(`migration ${ms(timings.migration)}`);
+
+  return `⏱️  Timings: ${parts.join(', ')}`;
+}
+
+// Print a result from compareSchemas(). The migration (array of lines) is printed when given.
+function printReport(result, migration = null) {
+  console.log(chalk.yellow(`📋 Found ${result.tables.dev.length} tables in dev database`));
+  console.log(chalk.yellow(`📋 Found ${result.tables.main.length} tables in main database\n`));
+
+  // Across versions and flavours, only differences that survive normalisation are reported
+  const { dev: devServer, main: mainServer } = result.servers || {};
+  if (devServer && mainServer && describeServer(devServer) !== describeServer(mainServer)) {
+    console.log(chalk.gray(`🧭 dev runs ${describeServer(devServer)}, main runs ${describeServer(mainServer)}: the migration is written for ${describeServer(mainServer)}\n`));
+  }
+
+  for (const table of result.tables.dev) {
+    const renamed = (result.renamedTables || []).find(rename => rename.table === table);
+
+    if (result.missingTables.includes(table)) {
+      console.log(chalk.cyan(`Checking table: ${table}`));
+      console.log(chalk.red(`  ❌ Missing in main`));
+    } else if (renamed) {
+      console.log(chalk.cyan(`Checking table: ${table}`));
+      console.log(chalk.yellow(`  🔀 Renamed in dev: ${renamed.oldName} → ${table} (confidence ${renamed.confidence}: ${renamed.reasons.join(', ')})`));
+      printTableDifferences(table, getTableDifferences(result, table), false);
+    } else {
+      printTableDifferences(table, getTableDifferences(result, table));
+    }
+  }
+
+  for (const table of result.extraTables) {
+    console.log(chalk.cyan(`Checking table: ${table}`));
+    console.log(chalk.magenta(`  ➖ Only exists in main (not in dev)`));
+  }
+
+  console.log(chalk.blue('\n🔍 Checking views, routines, triggers and events...'));
+
+  for (const object of result.missingObjects) {
+    console.log(chalk.red(`  ❌ Missing ${object.type.toLowerCase()}: ${object.name}`));
+  }
+
+  for (const object of result.differentObjects) {
+    console.log(chalk.yellow(`  ⚠️  Different ${object.type.toLowerCase()}: ${object.name} - definition differs`));
+  }
+
+  for (const object of result.extraObjects) {
+    console.log(chalk.magenta(`  ➖ Extra ${object.type.toLowerCase()} in main: ${object.name}`));
+  }
+
+  if (result.referenceData) {
+    printReferenceData(result);
+  }
+
+  printAcceptedChanges(result);
+  printSummary(result);
+
+  if (hasDifferences(result)) {
+    printRisks(result);
+
+    if (migration) {
+      console.log(chalk.blue('\n📋 COMMANDS TO COPY/PASTE TO FIX:\n'));
+      printMigration(migration);
+    }
+
+    printOnlineSchemaChanges(result);
+
+    console.log(chalk.red('\n❌ Main and dev databases are out of sync!'));
+  } else {
+    console.log(chalk.green('\n✅ Main and dev databases are in sync!'));
+  }
+
+  if (result.timings) {
+    console.log(chalk.gray(formatTimings(result.timings)));
+  }
+}
+
+// Runs shown in the drift line of the history
+const DRIFT_RUNS = 10;
+
+// Drift history of a comparison (see analyzeHistory): differences per run, what changed compared
+// with the baseline branch, and since when each outstanding difference exists
+function printHistory(history) {
+  console.log(chalk.blue(`\n📈 Drift history (${history.runs} run${history.runs === 1 ? '' : 's'}):`));
+
+  const recent = history.drift.slice(-DRIFT_RUNS);
+  const last = history.drift.length > recent.length ? ` (last ${recent.length})` : '';
+  console.log(chalk.white(`  Differences per run${last}: ${recent.map(run => run.count).join(' → ')}`));
+
+  if (history.baseline?.run) {
+    console.log(chalk.white(`  Compared with the last run on ${history.baseline.branch} (${formatRun(history.baseline.run)}): ${history.newSinceBaseline.length} new, ${history.existingOnBaseline.length} already there, ${history.fixedSinceBaseline.length} fixed`));
+  } else if (history.baseline) {
+    console.log(chalk.gray(`  No earlier run on ${history.baseline.branch}: every difference counts as new`));
+  }
+
+  // Differences new compared with the baseline first
+  const isNew = ({ id }) => history.newSinceBaseline.includes(id);
+  const outstanding = history.differences.filter(difference => difference.outstanding)
+    .sort((a, b) => Number(isNew(b)) - Number(isNew(a)));
+
+  for (const { id, firstSeen, runs } of outstanding) {
+    const marker = !history.baseline ? '' : isNew({ id }) ? '🆕 ' : '📌 ';
+    console.log(chalk.white(`  ${marker}${id} - first seen ${formatRun(firstSeen)}, in ${runs} run${runs === 1 ? '' : 's'}`));
+  }
+}
+
+const MATRIX_LABELS = {
+  missing: '❌ missing',
+  different: '⚠️ different',
+  extra: '➖ extra',
+  renamed: '🔀 renamed'
+};
+
+// Status line per comparison after a multi-database run
+function printComparisonsSummary(runs) {
+  console.log(chalk.blue('\n📊 COMPARISONS:'));
+
+  for (const run of runs) {
+    if (run.error) {
+      console.log(chalk.red(`  💥 ${run.name}: ${run.error}`));
+    } else if (run.missingIn) {
+      console.log(chalk.red(`  ❌ ${run.name}: schema missing in ${run.missingIn}`));
+    } else if (run.result.isInSync) {
+      console.log(chalk.green(`  ✅ ${run.name}: in sync`));
+    } else {
+      console.log(chalk.red(`  ❌ ${run.name}: ${run.result.changes.length} differences`));
+    }
+  }
+}
+
+// Which environment is behind the reference on each object
+function printMatrix(matrix) {
+  console.log(chalk.blue(`\n📊 ENVIRONMENT MATRIX (reference: ${matrix.reference}):`));
+
+  if (matrix.rows.length === 0) {
+    console.log(chalk.green(`✅ All environments match ${matrix.reference}`));
+    return;
+  }
+
+  const labelWidth = Math.max(...matrix.rows.map(row => `${row.objectType} ${row.path}`.length));
+  const cellWidth = Math.max(12, ...matrix.environments.map(name => name.length));
+
+  console.log(chalk.white(`  ${''.padEnd(labelWidth)}  ${matrix.environments.map(name => name.padEnd(cellWidth)).join('  ')}`));
+
+  for (const row of matrix.rows) {
+    const cells = matrix.environments.map(name => {
+      const cell = row.cells[name];
+      return (cell ? MATRIX_LABELS[cell.kind] : '✅').padEnd(cellWidth);
+    });
+    console.log(chalk.white(`  ${`${row.objectType} ${row.path}`.padEnd(labelWidth)}  ${cells.join('  ')}`));
+  }
+}
+
+module.exports = {
+  printReport,
+  printMigration,
+  printHistory,
+  printComparisonsSummary,
+  printMatrix
+};
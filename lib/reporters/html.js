@@ -0,0 +1,200 @@
+const { groupChanges, CATEGORIES, DATA_CATEGORIES } = require('../compare');
+const { MigrationGenerator } = require('../migration-generator');
+
+// Self-contained HTML report: summary, a collapsible section per table with the main and dev
+// definitions of every change side by side, accepted differences and the migration.
+
+const CATEGORY_LABELS = {
+  missingTables: 'Missing Tables',
+  renamedTables: 'Renamed Tables',
+  missingColumns: 'Missing Columns',
+  differentColumns: 'Different Columns',
+  renamedColumns: 'Renamed Columns',
+  differentTableOptions: 'Different Table Options',
+  missingIndexes: 'Missing Indexes',
+  differentIndexes: 'Different Indexes',
+  renamedIndexes: 'Renamed Indexes',
+  extraTables: 'Extra Tables in Main',
+  extraColumns: 'Extra Columns in Main',
+  extraIndexes: 'Extra Indexes in Main',
+  missingForeignKeys: 'Missing Foreign Keys',
+  differentForeignKeys: 'Different Foreign Keys',
+  extraForeignKeys: 'Extra Foreign Keys in Main',
+  missingObjects: 'Missing Views/Routines/Triggers/Events',
+  differentObjects: 'Different Views/Routines/Triggers/Events',
+  extraObjects: 'Extra Views/Routines/Triggers/Events in Main',
+  missingRows: 'Missing Rows',
+  differentRows: 'Different Rows',
+  extraRows: 'Extra Rows in Main'
+};
+
+const KIND_LABELS = {
+  missing: '❌ Missing in main',
+  different: '⚠️ Different',
+  extra: '➖ Only in main',
+  renamed: '🔀 Renamed'
+};
+
+const STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem auto; max-width: 1200px; padding: 0 1rem; color: #1f2328; }
+h1 { font-size: 1.6rem; }
+.status { padding: .75rem 1rem; border-radius: 6px; font-weight: 600; }
+.status.in-sync { background: #dafbe1; }
+.status.out-of-sync { background: #ffebe9; }
+table.counts { border-collapse: collapse; margin: 1rem 0; }
+table.counts td, table.counts th { border: 1px solid #d0d7de; padding: .3rem .75rem; text-align: left; }
+details { border: 1px solid #d0d7de; border-radius: 6px; margin: .5rem 0; padding: .5rem 1rem; }
+summary { cursor: pointer; font-weight: 600; }
+.change { border-top: 1px solid #eaeef2; padding: .75rem 0; }
+.change h3 { font-size: 1rem; margin: 0 0 .25rem; }
+.severity { font-size: .75rem; padding: .1rem .4rem; border-radius: 4px; margin-left: .5rem; }
+.severity.error { background: #ffebe9; color: #cf222e; }
+.severity.warning { background: #fff8c5; color: #9a6700; }
+.severity.info { background: #ddf4ff; color: #0969da; }
+.side-by-side { display: grid; grid-template-columns: 1fr 1fr; gap: 1rem; }
+.side-by-side h4 { margin: .5rem 0 .25rem; font-size: .85rem; color: #59636e; }
+pre { background: #f6f8fa; padding: .75rem; border-radius: 6px; overflow-x: auto; font-size: .8rem; white-space: pre-wrap; margin: 0; }
+.muted { color: #59636e; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatTableOptions(options, generator) {
+  const lines = [`ENGINE=${options.engine}`, `COLLATE=${options.collation}`];
+  if (options.rowFormat) lines.push(`ROW_FORMAT=${options.rowFormat}`);
+  if (options.comment) lines.push(`COMMENT=${generator.quoteString(options.comment)}`);
+  if (options.partitionClause) lines.push(options.partitionClause);
+  return lines.join('\n');
+}
+
+// SQL-like definition of one side of a change, or null when the object does not exist on that side
+function formatDefinition(change, definition, generator) {
+  if (!definition) return null;
+
+  switch (change.objectType) {
+    case 'table':
+      return definition.createStatement;
+    case 'table-options':
+      return formatTableOptions(definition, generator);
+    case 'column':
+      return generator.generateColumnDefinition(definition);
+    case 'index':
+      return generator.generateAddIndexClause(definition).replace(/^ADD /, '');
+    case 'foreign-key':
+      return generator.generateAddForeignKeyClause(definition).replace(/^ADD /, '');
+    case 'row':
+      return Object.entries(definition).map(([column, value]) => `${column}: ${value === null ? 'NULL' : value}`).join('\n');
+    default:
+      // Views, routines, triggers and events keep their CREATE statement
+      return definition;
+  }
+}
+
+function formatChange(change, generator) {
+  const before = formatDefinition(change, change.before, generator);
+  const after = formatDefinition(change, change.after, generator);
+  const definitionBlock = (label, sql) =>
+    `<div><h4>${label}</h4>${sql === null ? '<p class="muted">(does not exist)</p>' : `<pre>${escapeHtml(sql)}</pre>`}</div>`;
+
+  return [
+    '<div class="change">',
+    `<h3>${escapeHtml(KIND_LABELS[change.kind])} ${escapeHtml(change.objectType)} <code>${escapeHtml(change.path)}</code><span class="severity ${change.severity}">${change.severity}</span></h3>`,
+    change.differences.length > 0 ? `<p>${escapeHtml(change.differences.join(', '))}</p>` : '',
+    `<div class="side-by-side">${definitionBlock('main', before)}${definitionBlock('dev', after)}</div>`,
+    '</div>'
+  ].join('\n');
+}
+
+function formatGroup(group, generator) {
+  const label = group.objectType === 'table' ? `Table ${group.name}` : `${group.objectType} ${group.name}`;
+
+  return [
+    '<details>',
+    `<summary>⚠️ ${escapeHtml(label)} — ${group.changes.length} difference${group.changes.length === 1 ? '' : 's'}</summary>`,
+    ...group.changes.map(change => formatChange(change, generator)),
+    '</details>'
+  ].join('\n');
+}
+
+// options.name: comparison name for the title (multi-database runs); migration options are passed through
+function formatHtml(result, options = {}) {
+  const generator = new MigrationGenerator(options);
+  const groups = groupChanges(result);
+  const changed = groups.filter(group => group.changes.length > 0);
+  const inSync = groups.filter(group => group.changes.length === 0);
+  const title = options.name ? `MySQL Schema Comparison Report: ${options.name}` : 'MySQL Schema Comparison Report';
+  const body = [];
+
+  body.push(`<h1>🔍 ${escapeHtml(title)}</h1>`);
+  body.push(result.isInSync
+    ? '<p class="status in-sync">✅ In Sync: main and dev have identical schemas.</p>'
+    : `<p class="status out-of-sync">❌ Out of Sync: ${result.changes.length} difference${result.changes.length === 1 ? '' : 's'} in ${changed.length} object${changed.length === 1 ? '' : 's'}.</p>`);
+
+  body.push('<h2>📊 Summary</h2>');
+  body.push('<table class="counts"><tr><th>Category</th><th>Count</th></tr>');
+  // Row counts only when reference data was compared
+  CATEGORIES.filter(category => result.referenceData || !DATA_CATEGORIES.includes(category)).forEach(category => {
+    body.push(`<tr><td>${CATEGORY_LABELS[category]}</td><td>${(result[category] || []).length}</td></tr>`);
+  });
+  body.push(`<tr><td>Accepted Differences (allowlist)</td><td>${(result.acceptedChanges || []).length}</td></tr>`);
+  body.push('</table>');
+
+  if (changed.length > 0) {
+    body.push('<h2>🔍 Differences</h2>');
+    changed.forEach(group => body.push(formatGroup(group, generator)));
+  }
+
+  if (inSync.length > 0) {
+    body.push(`<details><summary>✅ ${inSync.length} table${inSync.length === 1 ? '' : 's'} in sync</summary>`);
+    body.push(`<p>${inSync.map(group => `<code>${escapeHtml(group.name)}</code>`).join(', ')}</p>`);
+    body.push('</details>');
+  }
+
+  if (result.acceptedChanges?.length > 0) {
+    body.push('<h2>📝 Accepted Differences</h2>');
+    body.push('<table class="counts"><tr><th>Change</th><th>Reason</th></tr>');
+    result.acceptedChanges.forEach(change => {
+      body.push(`<tr><td><code>${escapeHtml(change.id)}</code></td><td>${escapeHtml(change.reason)}</td></tr>`);
+    });
+    body.push('</table>');
+  }
+
+  if (result.unusedAllowlistEntries?.length > 0) {
+    body.push(`<p>⚠️ Allowlist entries that matched no difference: ${result.unusedAllowlistEntries.map(entry => `<code>${escapeHtml(entry.change)}</code>`).join(', ')}</p>`);
+  }
+
+  if (!result.isInSync) {
+    const migration = result.migration || generator.generateMigration(result);
+    body.push('<h2>📋 SQL Commands to Fix</h2>');
+    body.push(`<pre>${escapeHtml(migration.join('\n'))}</pre>`);
+  }
+
+  body.push(`<p class="muted">Generated at ${new Date().toISOString()} by mysql-schema-compare</p>`);
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${STYLE}</style>`,
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  escapeHtml,
+  formatHtml
+};
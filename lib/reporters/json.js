@@ -0,0 +1,55 @@
+const { CATEGORIES } = require('../compare');
+const { version } = require('../../package.json');
+
+// Machine-readable report of a comparison result. Bump REPORT_VERSION whenever the shape below
+// changes in a way existing consumers cannot handle.
+const REPORT_FORMAT = 'mysql-schema-compare/report';
+const REPORT_VERSION = 1;
+
+// The apply outcome without the verification result (a second full comparison)
+function describeApply(apply) {
+  if (!apply) return null;
+
+  return {
+    status: apply.status,
+    statements: apply.statements,
+    applied: apply.applied,
+    failed: apply.failed,
+    skippedChanges: apply.skippedChanges,
+    onlineSchemaChanges: apply.onlineSchemaChanges || []
+  };
+}
+
+function createJsonReport(result) {
+  return {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    tool: { name: 'mysql-schema-compare', version },
+    generatedAt: new Date().toISOString(),
+    isInSync: result.isInSync,
+    tables: result.tables,
+    servers: result.servers || { dev: null, main: null },
+    timings: result.timings || null,
+    referenceData: result.referenceData || null,
+    history: result.history || null,
+    summary: Object.fromEntries(CATEGORIES.map(category => [category, (result[category] || []).length])),
+    changes: result.changes,
+    acceptedChanges: result.acceptedChanges || [],
+    unusedAllowlistEntries: result.unusedAllowlistEntries || [],
+    migration: result.migration || [],
+    risks: result.risks || [],
+    onlineSchemaChanges: result.onlineSchemaChanges || [],
+    apply: describeApply(result.apply)
+  };
+}
+
+function formatJson(result) {
+  return JSON.stringify(createJsonReport(result), null, 2) + '\n';
+}
+
+module.exports = {
+  REPORT_FORMAT,
+  REPORT_VERSION,
+  createJsonReport,
+  formatJson
+};
@@ -0,0 +1,76 @@
+const { groupChanges } = require('../compare');
+
+// JUnit XML report: one test case per table (and per view, routine, trigger or event with changes),
+// failing when it has differences, so CI dashboards list out-of-sync tables as failed tests.
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newlines are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function describeChangeLine(change) {
+  return change.differences.length > 0
+    ? `${change.id} (${change.severity}): ${change.differences.join(', ')}`
+    : `${change.id} (${change.severity})`;
+}
+
+function formatTestCase(group, suite) {
+  const lines = [];
+  const name = group.objectType === 'table' ? group.name : `${group.objectType} ${group.name}`;
+
+  lines.push(`    <testcase classname="${escapeXml(suite)}" name="${escapeXml(name)}" time="0">`);
+
+  if (group.changes.length > 0) {
+    const count = group.changes.length;
+    lines.push(`      <failure message="${escapeXml(`${count} schema difference${count === 1 ? '' : 's'}`)}" type="schema-difference">${escapeXml(group.changes.map(describeChangeLine).join('\n'))}</failure>`);
+  }
+
+  if (group.acceptedChanges.length > 0) {
+    const accepted = group.acceptedChanges.map(change => `Accepted: ${change.id} - ${change.reason}`);
+    lines.push(`      <system-out>${escapeXml(accepted.join('\n'))}</system-out>`);
+  }
+
+  lines.push('    </testcase>');
+  return lines;
+}
+
+function formatTestSuite(name, groups) {
+  const failures = groups.filter(group => group.changes.length > 0).length;
+  return [
+    `  <testsuite name="${escapeXml(name)}" tests="${groups.length}" failures="${failures}" errors="0" skipped="0" time="0">`,
+    ...groups.flatMap(group => formatTestCase(group, name)),
+    '  </testsuite>'
+  ];
+}
+
+// options.name: name of the test suites (e.g. the comparison name in a multi-database run)
+function formatJUnit(result, options = {}) {
+  const prefix = options.name ? `${options.name}.` : '';
+  const groups = groupChanges(result);
+  const tables = groups.filter(group => group.objectType === 'table');
+  const objects = groups.filter(group => group.objectType !== 'table');
+
+  const suites = [formatTestSuite(`${prefix}schema.tables`, tables)];
+  if (objects.length > 0) {
+    suites.push(formatTestSuite(`${prefix}schema.objects`, objects));
+  }
+
+  const failures = groups.filter(group => group.changes.length > 0).length;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="MySQL Schema Compare" tests="${groups.length}" failures="${failures}" errors="0" time="0">`,
+    ...suites.flat(),
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  escapeXml,
+  formatJUnit
+};
@@ -0,0 +1,972 @@
+const { hasDifferences } = require('../compare');
+const { generateMigration, assessMigrationRisks } = require('../migration-generator');
+const { describeSize } = require('../online-schema-change');
+const { RISK_LEVELS } = require('../risk');
+const { formatRowKey } = require('../reference-data');
+const { formatRun } = require('../history');
+
+// Markdown reports for GitHub: the step summary and the PR comment
+
+// Differences accepted by the allowlist, with their reasons
+function formatAcceptedChanges(result, heading) {
+  const lines = [];
+
+  if (result.acceptedChanges?.length > 0) {
+    lines.push(`${heading} 📝 Accepted Differences`);
+    lines.push('| Change | Reason |');
+    lines.push('|--------|--------|');
+    result.acceptedChanges.forEach(change => {
+      lines.push(`| \`${change.id}\` | ${change.reason.replace(/\|/g, '\\|').replace(/\n/g, ' ')} |`);
+    });
+    lines.push('');
+  }
+
+  if (result.unusedAllowlistEntries?.length > 0) {
+    lines.push(`⚠️ Allowlist entries that matched no difference: ${result.unusedAllowlistEntries.map(entry => `\`${entry.change}\``).join(', ')}`);
+    lines.push('');
+  }
+
+  return lines;
+}
+
+// Number of differences per category
+function formatCountTable(result) {
+  const lines = [];
+  lines.push('| Category | Count |');
+  lines.push('|----------|-------|');
+  lines.push(`| Missing Tables | ${result.missingTables?.length || 0} |`);
+  lines.push(`| Renamed Tables | ${result.renamedTables?.length || 0} |`);
+  lines.push(`| Missing Columns | ${result.missingColumns?.length || 0} |`);
+  lines.push(`| Different Columns | ${result.differentColumns?.length || 0} |`);
+  lines.push(`| Renamed Columns | ${result.renamedColumns?.length || 0} |`);
+  lines.push(`| Different Table Options | ${result.differentTableOptions?.length || 0} |`);
+  lines.push(`| Missing Indexes | ${result.missingIndexes?.length || 0} |`);
+  lines.push(`| Different Indexes | ${result.differentIndexes?.length || 0} |`);
+  lines.push(`| Renamed Indexes | ${result.renamedIndexes?.length || 0} |`);
+  lines.push(`| Extra Tables in Main | ${result.extraTables?.length || 0} |`);
+  lines.push(`| Extra Columns in Main | ${result.extraColumns?.length || 0} |`);
+  lines.push(`| Extra Indexes in Main | ${result.extraIndexes?.length || 0} |`);
+  lines.push(`| Missing Foreign Keys | ${result.missingForeignKeys?.length || 0} |`);
+  lines.push(`| Different Foreign Keys | ${result.differentForeignKeys?.length || 0} |`);
+  lines.push(`| Extra Foreign Keys in Main | ${result.extraForeignKeys?.length || 0} |`);
+  lines.push(`| Missing Views/Routines/Triggers/Events | ${result.missingObjects?.length || 0} |`);
+  lines.push(`| Different Views/Routines/Triggers/Events | ${result.differentObjects?.length || 0} |`);
+  lines.push(`| Extra Views/Routines/Triggers/Events in Main | ${result.extraObjects?.length || 0} |`);
+  if (result.referenceData) {
+    lines.push(`| Missing Rows | ${result.missingRows?.length || 0} |`);
+    lines.push(`| Different Rows | ${result.differentRows?.length || 0} |`);
+    lines.push(`| Extra Rows in Main | ${result.extraRows?.length || 0} |`);
+  }
+  lines.push(`| Accepted Differences (allowlist) | ${result.acceptedChanges?.length || 0} |`);
+  return lines;
+}
+
+// Lists of differences per category
+function formatDifferenceLists(result, heading = '##') {
+  const lines = [];
+
+  if (result.isInSync) {
+    return lines;
+  }
+
+  if (result.missingTables?.length > 0) {
+    lines.push(`${heading} 📋 Missing Tables`);
+    result.missingTables.forEach(table => {
+      lines.push(`- ${table}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.renamedTables?.length > 0) {
+    lines.push(`${heading} 📋 Renamed Tables`);
+    result.renamedTables.forEach(({ table, oldName, confidence }) => {
+      lines.push(`- ${oldName} → ${table} (confidence ${confidence})`);
+    });
+    lines.push('');
+  }
+
+  if (result.missingColumns?.length > 0) {
+    lines.push(`${heading} 📋 Missing Columns`);
+    result.missingColumns.forEach(col => {
+      lines.push(`- ${col.table}.${col.column.name}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.differentColumns?.length > 0) {
+    lines.push(`${heading} 📋 Different Columns`);
+    result.differentColumns.forEach(col => {
+      lines.push(`- ${col.table}.${col.column.name}: ${col.differences.join(', ')}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.renamedColumns?.length > 0) {
+    lines.push(`${heading} 📋 Renamed Columns`);
+    result.renamedColumns.forEach(({ table, column, oldName, confidence }) => {
+      lines.push(`- ${table}.${oldName} → ${column.name} (confidence ${confidence})`);
+    });
+    lines.push('');
+  }
+
+  if (result.differentTableOptions?.length > 0) {
+    lines.push(`${heading} 📋 Different Table Options`);
+    result.differentTableOptions.forEach(({ table, differences }) => {
+      lines.push(`- ${table}: ${differences.join(', ')}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.missingIndexes?.length > 0) {
+    lines.push(`${heading} 📋 Missing Indexes`);
+    result.missingIndexes.forEach(index => {
+      lines.push(`- ${index.table}.${index.name}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.differentIndexes?.length > 0) {
+    lines.push(`${heading} 📋 Different Indexes`);
+    result.differentIndexes.forEach(({ index, differences }) => {
+      lines.push(`- ${index.table}.${index.name}: ${differences.join(', ')}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.renamedIndexes?.length > 0) {
+    lines.push(`${heading} 📋 Renamed Indexes`);
+    result.renamedIndexes.forEach(({ index, oldName, confidence }) => {
+      lines.push(`- ${index.table}.${oldName} → ${index.name} (confidence ${confidence})`);
+    });
+    lines.push('');
+  }
+  
+  if (result.extraTables?.length > 0) {
+    lines.push(`${heading} 📋 Extra Tables in Main (not in dev)`);
+    result.extraTables.forEach(table => {
+      lines.push(`- ${table}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.extraColumns?.length > 0) {
+    lines.push(`${heading} 📋 Extra Columns in Main (not in dev)`);
+    result.extraColumns.forEach(col => {
+      lines.push(`- ${col.table}.${col.column.name}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.extraIndexes?.length > 0) {
+    lines.push(`${heading} 📋 Extra Indexes in Main (not in dev)`);
+    result.extraIndexes.forEach(index => {
+      lines.push(`- ${index.table}.${index.name}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.missingForeignKeys?.length > 0) {
+    lines.push(`${heading} 📋 Missing Foreign Keys`);
+    result.missingForeignKeys.forEach(foreignKey => {
+      lines.push(`- ${foreignKey.table}.${foreignKey.name} → ${foreignKey.referencedTable}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.differentForeignKeys?.length > 0) {
+    lines.push(`${heading} 📋 Different Foreign Keys`);
+    result.differentForeignKeys.forEach(({ foreignKey, differences }) => {
+      lines.push(`- ${foreignKey.table}.${foreignKey.name}: ${differences.join(', ')}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.extraForeignKeys?.length > 0) {
+    lines.push(`${heading} 📋 Extra Foreign Keys in Main (not in dev)`);
+    result.extraForeignKeys.forEach(foreignKey => {
+      lines.push(`- ${foreignKey.table}.${foreignKey.name} → ${foreignKey.referencedTable}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.missingObjects?.length > 0) {
+    lines.push(`${heading} 📋 Missing Views, Routines, Triggers and Events`);
+    result.missingObjects.forEach(object => {
+      lines.push(`- ${object.type.toLowerCase()} ${object.name}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.differentObjects?.length > 0) {
+    lines.push(`${heading} 📋 Different Views, Routines, Triggers and Events`);
+    result.differentObjects.forEach(object => {
+      lines.push(`- ${object.type.toLowerCase()} ${object.name}`);
+    });
+    lines.push('');
+  }
+  
+  if (result.extraObjects?.length > 0) {
+    lines.push(`${heading} 📋 Extra Views, Routines, Triggers and Events in Main (not in dev)`);
+    result.extraObjects.forEach(object => {
+      lines.push(`- ${object.type.toLowerCase()} ${object.name}`);
+    });
+    lines.push('');
+  }
+
+  if (result.missingRows?.length > 0 || result.differentRows?.length > 0 || result.extraRows?.length > 0) {
+    lines.push(`${heading} 📋 Reference Data`);
+    (result.missingRows || []).forEach(({ table, key }) => lines.push(`- missing row ${table}.${formatRowKey(key)}`));
+    (result.differentRows || []).forEach(({ table, key, differences }) => lines.push(`- different row ${table}.${formatRowKey(key)}: ${differences.join(', ')}`));
+    (result.extraRows || []).forEach(({ table, key }) => lines.push(`- extra row in main ${table}.${formatRowKey(key)}`));
+    lines.push('');
+  }
+
+  return lines;
+}
+
+// Rows of the reference data tables, grouped per table, and the tables that were skipped
+function formatReferenceData(result, heading) {
+  const lines = [];
+  const tables = (result.referenceData || []).filter(({ table, status }) => status === 'skipped' ||
+    [...result.missingRows, ...result.differentRows, ...result.extraRows].some(item => item.table === table));
+
+  if (tables.length === 0) {
+    return lines;
+  }
+
+  lines.push(`${heading}# 📇 Reference Data`);
+  for (const { table, status, reason } of tables) {
+    if (status === 'skipped') {
+      lines.push(`- ⚠️ \`${table}\`: skipped, ${reason}`);
+      continue;
+    }
+
+    lines.push('', `**\`${table}\`:**`);
+    const inTable = item => item.table === table;
+    result.missingRows.filter(inTable).forEach(({ key }) => lines.push(`- ❌ Missing row: \`${formatRowKey(key)}\``));
+    result.differentRows.filter(inTable).forEach(({ key, differences }) => lines.push(`- ⚠️ Different row: \`${formatRowKey(key)}\` - ${differences.join(', ')}`));
+    result.extraRows.filter(inTable).forEach(({ key }) => lines.push(`- ➖ Extra row in main: \`${formatRowKey(key)}\``));
+  }
+  lines.push('');
+
+  return lines;
+}
+
+const RISK_LABELS = {
+  safe: '🟢 safe',
+  locking: '🟡 locking',
+  blocking: '🟠 blocking',
+  lossy: '🔴 lossy'
+};
+
+// Table of the migration statements that are not safe, riskiest first
+function formatRisks(risks, heading = '##') {
+  const lines = [];
+  const risky = risks
+    .filter(risk => risk.level !== 'safe')
+    .sort((a, b) => RISK_LEVELS.indexOf(b.level) - RISK_LEVELS.indexOf(a.level));
+
+  if (risky.length === 0) {
+    return lines;
+  }
+
+  lines.push(`${heading} 🛡️ Migration Risk`);
+  lines.push('');
+  lines.push('| Statement | Risk | Algorithm | Why |');
+  lines.push('|-----------|------|-----------|-----|');
+  for (const risk of risky) {
+    const reasons = risk.reasons.map(reason => reason.replace(/\|/g, '\\|')).join('<br>');
+    lines.push(`| \`\` ${risk.sql.split('\n')[0]} \`\` | ${RISK_LABELS[risk.level]} | ${risk.algorithm || '-'} | ${reasons} |`);
+  }
+  lines.push('');
+
+  return lines;
+}
+
+// gh-ost or pt-online-schema-change commands for the large tables, ready to run from a shell
+function formatOnlineSchemaChanges(onlineSchemaChanges, heading = '##') {
+  const lines = [];
+  if (onlineSchemaChanges.length === 0) {
+    return lines;
+  }
+
+  lines.push(`${heading} 🐙 Online Schema Changes`);
+  lines.push('');
+  lines.push('These tables are too large for a plain `ALTER TABLE`. Run the commands from a shell instead:');
+  lines.push('');
+  for (const change of onlineSchemaChanges) {
+    lines.push(`**\`${change.table}\`** (${describeSize(change.size)})`);
+    lines.push('');
+    lines.push('```bash');
+    lines.push(change.command);
+    lines.push('```');
+    lines.push('');
+  }
+
+  return lines;
+}
+
+// Differences grouped by table, followed by the SQL to fix them
+function formatDetailedDifferences(result, migrationOptions = {}, heading = '##') {
+  const lines = [];
+
+  if (!hasDifferences(result)) {
+    return lines;
+  }
+
+  lines.push(`${heading} 🔍 Detailed Differences`);
+  lines.push('');
+  
+  // Group differences by table
+  const tableGroups = {};
+  
+  // Add missing tables
+  if (result.missingTables?.length > 0) {
+    result.missingTables.forEach(table => {
+      if (!tableGroups[table]) tableGroups[table] = { missing: true, columns: [], indexes: [], foreignKeys: [] };
+    });
+  }
+  
+  // Add missing columns
+  if (result.missingColumns?.length > 0) {
+    result.missingColumns.forEach(({ table, column }) => {
+      if (!tableGroups[table]) tableGroups[table] = { columns: [], indexes: [], foreignKeys: [] };
+      tableGroups[table].columns.push({ type: 'missing', column });
+    });
+  }
+  
+  // Add different columns
+  if (result.differentColumns?.length > 0) {
+    result.differentColumns.forEach(({ table, column, differences }) => {
+      if (!tableGroups[table]) tableGroups[table] = { columns: [], indexes: [], foreignKeys: [] };
+      tableGroups[table].columns.push({ type: 'different', column, differences });
+    });
+  }
+  
+  // Add renamed tables and columns
+  (result.renamedTables || []).forEach(({ table, oldName, confidence }) => {
+    if (!tableGroups[table]) tableGroups[table] = { columns: [], indexes: [], foreignKeys: [] };
+    tableGroups[table].renamedFrom = { oldName, confidence };
+  });
+  (result.renamedColumns || []).forEach(({ table, column, oldName, confidence, differences }) => {
+    if (!tableGroups[table]) tableGroups[table] = { columns: [], indexes: [], foreignKeys: [] };
+    tableGroups[table].columns.push({ type: 'renamed', column, oldName, confidence, differences });
+  });
+
+  // Add missing indexes
+  if (result.missingIndexes?.length > 0) {
+    result.missingIndexes.forEach(index => {
+      if (!tableGroups[index.table]) tableGroups[index.table] = { columns: [], indexes: [], foreignKeys: [] };
+      tableGroups[index.table].indexes.push({ type: 'missing', index });
+    });
+  }
+  
+  // Add table option differences
+  (result.differentTableOptions || []).forEach(({ table, differences }) => {
+    if (!tableGroups[table]) tableGroups[table] = { columns: [], indexes: [], foreignKeys: [] };
+    tableGroups[table].optionDifferences = differences;
+  });
+  
+  // Add different and renamed indexes
+  (result.differentIndexes || []).forEach(({ index, differences }) => {
+    if (!tableGroups[index.table]) tableGroups[index.table] = { columns: [], indexes: [], foreignKeys: [] };
+    tableGroups[index.table].indexes.push({ type: 'different', index, differences });
+  });
+  (result.renamedIndexes || []).forEach(({ index, oldName, confidence, differences }) => {
+    if (!tableGroups[index.table]) tableGroups[index.table] = { columns: [], indexes: [], foreignKeys: [] };
+    tableGroups[index.table].indexes.push({ type: 'renamed', index, oldName, confidence, differences });
+  });
+  
+  // Add foreign key differences
+  (result.missingForeignKeys || []).forEach(foreignKey => {
+    if (!tableGroups[foreignKey.table]) tableGroups[foreignKey.table] = { columns: [], indexes: [], foreignKeys: [] };
+    tableGroups[foreignKey.table].foreignKeys.push({ type: 'missing', foreignKey });
+  });
+  (result.differentForeignKeys || []).forEach(({ foreignKey, differences }) => {
+    if (!tableGroups[foreignKey.table]) tableGroups[foreignKey.table] = { columns: [], indexes: [], foreignKeys: [] };
+    tableGroups[foreignKey.table].foreignKeys.push({ type: 'different', foreignKey, differences });
+  });
+  (result.extraForeignKeys || []).forEach(foreignKey => {
+    if (!tableGroups[foreignKey.table]) tableGroups[foreignKey.table] = { columns: [], indexes: [], foreignKeys: [] };
+    tableGroups[foreignKey.table].foreignKeys.push({ type: 'extra', foreignKey });
+  });
+  
+  // Add tables that only exist in main
+  if (result.extraTables?.length > 0) {
+    result.extraTables.forEach(table => {
+      if (!tableGroups[table]) tableGroups[table] = { extra: true, columns: [], indexes: [], foreignKeys: [] };
+    });
+  }
+  
+  // Add columns that only exist in main
+  if (result.extraColumns?.length > 0) {
+    result.extraColumns.forEach(({ table, column }) => {
+      if (!tableGroups[table]) tableGroups[table] = { columns: [], indexes: [], foreignKeys: [] };
+      tableGroups[table].columns.push({ type: 'extra', column });
+    });
+  }
+  
+  // Add indexes that only exist in main
+  if (result.extraIndexes?.length > 0) {
+    result.extraIndexes.forEach(index => {
+      if (!tableGroups[index.table]) tableGroups[index.table] = { columns: [], indexes: [], foreignKeys: [] };
+      tableGroups[index.table].indexes.push({ type: 'extra', index });
+    });
+  }
+  
+  // Display grouped differences
+  Object.keys(tableGroups).forEach(tableName => {
+    const group = tableGroups[tableName];
+    
+    if (group.missing) {
+      lines.push(`${heading}# ❌ Table: \`${tableName}\``);
+      lines.push('**Missing entire table in main database**');
+      lines.push('');
+    } else if (group.extra) {
+      lines.push(`${heading}# ➖ Table: \`${tableName}\``);
+      lines.push('**Table only exists in main database (not in dev)**');
+      lines.push('');
+    } else {
+      lines.push(`${heading}# ⚠️ Table: \`${tableName}\``);
+
+      if (group.renamedFrom) {
+        lines.push(`🔀 **Renamed from \`${group.renamedFrom.oldName}\`** (confidence ${group.renamedFrom.confidence})`);
+        lines.push('');
+      }
+      
+      // Show table option differences
+      if (group.optionDifferences) {
+        lines.push(`**Table options:** ${group.optionDifferences.join(', ')}`);
+        lines.push('');
+      }
+      
+      // Show column differences
+      if (group.columns.length > 0) {
+        lines.push('**Column differences:**');
+        group.columns.forEach(({ type, column, differences, oldName, confidence }) => {
+          if (type === 'missing') {
+            lines.push(`- ❌ Missing column: \`${column.name}\` (\`${column.type}\`)`);
+          } else if (type === 'renamed') {
+            const changes = differences.length > 0 ? ` - ${differences.join(', ')}` : '';
+            lines.push(`- 🔀 Renamed column: \`${oldName}\` → \`${column.name}\` (confidence ${confidence})${changes}`);
+          } else if (type === 'different') {
+            lines.push(`- ⚠️ Different column: \`${column.name}\` - ${differences.join(', ')}`);
+          } else if (type === 'extra') {
+            lines.push(`- ➖ Extra column in main: \`${column.name}\` (\`${column.type}\`)`);
+          }
+        });
+        lines.push('');
+      }
+      
+      // Show index differences
+      if (group.indexes.length > 0) {
+        lines.push('**Index differences:**');
+        group.indexes.forEach(({ type, index, differences, oldName, confidence }) => {
+          const columns = index.columns.join(', ');
+          const unique = index.unique ? 'UNIQUE ' : '';
+          if (type === 'missing') {
+            lines.push(`- ❌ Missing ${unique}index: \`${index.name}\` on columns (\`${columns}\`)`);
+          } else if (type === 'different') {
+            lines.push(`- ⚠️ Different index: \`${index.name}\` - ${differences.join(', ')}`);
+          } else if (type === 'renamed') {
+            const changes = differences.length > 0 ? ` - ${differences.join(', ')}` : '';
+            lines.push(`- 🔀 Renamed index: \`${oldName}\` → \`${index.name}\` (confidence ${confidence})${changes}`);
+          } else if (type === 'extra') {
+            lines.push(`- ➖ Extra ${unique}index in main: \`${index.name}\` on columns (\`${columns}\`)`);
+          }
+        });
+        lines.push('');
+      }
+      
+      // Show foreign key differences
+      if (group.foreignKeys.length > 0) {
+        lines.push('**Foreign key differences:**');
+        group.foreignKeys.forEach(({ type, foreignKey, differences }) => {
+          const reference = `\`${foreignKey.referencedTable}\` (\`${foreignKey.referencedColumns.join(', ')}\`)`;
+          if (type === 'missing') {
+            lines.push(`- ❌ Missing foreign key: \`${foreignKey.name}\` references ${reference}`);
+          } else if (type === 'different') {
+            lines.push(`- ⚠️ Different foreign key: \`${foreignKey.name}\` - ${differences.join(', ')}`);
+          } else if (type === 'extra') {
+            lines.push(`- ➖ Extra foreign key in main: \`${foreignKey.name}\` references ${reference}`);
+          }
+        });
+        lines.push('');
+      }
+    }
+  });
+  
+  // Views, routines, triggers and events are not tied to a single table
+  if (result.missingObjects?.length > 0 || result.differentObjects?.length > 0 || result.extraObjects?.length > 0) {
+    lines.push(`${heading}# 🧩 Views, Routines, Triggers and Events`);
+    (result.missingObjects || []).forEach(object => {
+      lines.push(`- ❌ Missing ${object.type.toLowerCase()}: \`${object.name}\``);
+    });
+    (result.differentObjects || []).forEach(object => {
+      lines.push(`- ⚠️ Different ${object.type.toLowerCase()}: \`${object.name}\` - definition differs`);
+    });
+    (result.extraObjects || []).forEach(object => {
+      lines.push(`- ➖ Extra ${object.type.toLowerCase()} in main: \`${object.name}\``);
+    });
+    lines.push('');
+  }
+
+  lines.push(...formatReferenceData(result, heading));
+  
+  lines.push(...formatRisks(result.risks || assessMigrationRisks(result, migrationOptions), heading));
+
+  // Public repositories may not want their DDL in PR comments (prCommentSql 'omit')
+  if (migrationOptions.prCommentSql === 'omit') {
+    lines.push(`${heading} 📋 SQL Commands to Fix`);
+    lines.push('');
+    lines.push('_The SQL commands are omitted from this comment. Run the comparison locally or see the migration file of the workflow run._');
+    lines.push('');
+    return lines;
+  }
+
+  lines.push(...formatOnlineSchemaChanges(result.onlineSchemaChanges || [], heading));
+
+  // SQL Commands section
+  lines.push(`${heading} 📋 SQL Commands to Fix`);
+  lines.push('');
+  lines.push('<details>');
+  lines.push('<summary>Click to view SQL commands</summary>');
+  lines.push('');
+  lines.push('```sql');
+  
+  lines.push(...(result.migration || generateMigration(result, migrationOptions)));
+  
+  lines.push('```');
+  lines.push('</details>');
+  lines.push('');
+
+  return lines;
+}
+
+// Outcome of apply mode
+function formatApplySection(result, heading = '##') {
+  const lines = [];
+
+  if (!result.apply) {
+    return lines;
+  }
+
+  const statusLabels = {
+    'dry-run': '🧪 Dry run (nothing was changed)',
+    applied: '✅ Applied and verified',
+    failed: '❌ Failed',
+    unverified: '⚠️ Applied, but main is still out of sync'
+  };
+
+  lines.push(`${heading} 🚀 Apply`);
+  lines.push(`- **Status:** ${statusLabels[result.apply.status]}`);
+  lines.push(`- **Statements:** ${result.apply.applied.length} applied of ${result.apply.statements.length}`);
+  if (result.apply.skippedChanges.length > 0) {
+    lines.push(`- **Skipped change types:** ${result.apply.skippedChanges.join(', ')}`);
+  }
+  if (result.apply.failed) {
+    lines.push(`- **Error:** ${result.apply.failed.error}`);
+    lines.push('');
+    lines.push('```sql');
+    lines.push(result.apply.failed.statement.sql);
+    lines.push('```');
+  }
+  lines.push('');
+
+  return lines;
+}
+
+// Differences introduced compared with the last run on the baseline branch, and those already there
+function formatBaselineChanges(history, heading = '##') {
+  const lines = [];
+
+  if (!history?.baseline) {
+    return lines;
+  }
+
+  const { branch, run } = history.baseline;
+  lines.push(`${heading} 🆚 Compared with \`${branch}\``);
+  if (!run) {
+    lines.push(`No earlier run on \`${branch}\` in the drift history, so every difference counts as new.`);
+    lines.push('');
+    return lines;
+  }
+
+  lines.push(`Baseline: last run ${formatRun(run)}. 🆕 ${history.newSinceBaseline.length} introduced here, 📌 ${history.existingOnBaseline.length} already on \`${branch}\`, ✅ ${history.fixedSinceBaseline.length} fixed.`);
+  lines.push('');
+  if (history.newSinceBaseline.length > 0) {
+    lines.push(`**🆕 Introduced here (${history.newSinceBaseline.length}):**`);
+    history.newSinceBaseline.forEach(id => lines.push(`- \`${id}\``));
+    lines.push('');
+  }
+
+  const existing = history.differences.filter(({ id }) => history.existingOnBaseline.includes(id));
+  if (existing.length > 0) {
+    lines.push('<details>');
+    lines.push(`<summary>📌 Already on ${branch} (${existing.length})</summary>`);
+    lines.push('');
+    existing.forEach(({ id, firstSeen }) => lines.push(`- \`${id}\` - since ${formatRun(firstSeen)}`));
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  return lines;
+}
+
+// Runs shown in the drift line of the history
+const DRIFT_RUNS = 10;
+
+// Drift history (see analyzeHistory): the baseline comparison, differences per run and the first
+// and last run of every difference
+function formatHistory(history, heading = '##') {
+  const lines = [];
+
+  if (!history) {
+    return lines;
+  }
+
+  lines.push(...formatBaselineChanges(history, heading));
+
+  lines.push(`${heading} 📈 Drift History`);
+  const recent = history.drift.slice(-DRIFT_RUNS);
+  lines.push(`**Differences per run** (${recent.length === history.drift.length ? `all ${recent.length}` : `last ${recent.length} of ${history.drift.length}`}): ${recent.map(run => run.count).join(' → ')}`);
+  lines.push('');
+
+  if (history.differences.length > 0) {
+    lines.push('<details>');
+    lines.push('<summary>First and last seen per difference</summary>');
+    lines.push('');
+    lines.push('| Change | Severity | First seen | Last seen | Runs |');
+    lines.push('|--------|----------|------------|-----------|------|');
+    history.differences.forEach(({ id, severity, firstSeen, lastSeen, runs, outstanding }) => {
+      lines.push(`| \`${id}\` | ${severity} | ${formatRun(firstSeen)} | ${outstanding ? 'this run' : `✅ ${formatRun(lastSeen)}`} | ${runs} |`);
+    });
+    lines.push('');
+    lines.push('</details>');
+    lines.push('');
+  }
+
+  return lines;
+}
+
+// Next steps, reminders and the footer at the end of every PR comment
+function formatNextSteps() {
+  const lines = [];
+
+  // Next steps
+  lines.push('### 📋 Next Steps:');
+  lines.push(`1. Review the detailed comparison in the [Actions summary](${process.env.GITHUB_SERVER_URL}/${process.env.GITHUB_REPOSITORY}/actions/runs/${process.env.GITHUB_RUN_ID})`);
+  lines.push('2. Apply the generated SQL commands to your production database');
+  lines.push('3. Re-run this check to verify the changes');
+  lines.push('');
+  
+  // Important notes
+  lines.push('### ⚠️ Important:');
+  lines.push('- Review all SQL commands before executing them');
+  lines.push('- Consider creating a backup before applying changes');
+  lines.push('- Test changes in a staging environment first');
+  lines.push('');
+  
+  lines.push('---');
+  lines.push('🤖 *This comment was automatically generated by the MySQL Schema Compare action*');
+
+  return lines;
+}
+
+// GitHub Actions step summary, including the captured console output ({ type, message, timestamp })
+function formatActionsSummary(result, capturedOutput = []) {
+  const summary = [];
+  
+  summary.push('# 🔍 MySQL Schema Comparison Report');
+  summary.push('');
+  
+  // Status
+  if (result.isInSync) {
+    summary.push('## ✅ Status: In Sync');
+    summary.push('Main and dev databases have identical schemas.');
+  } else {
+    summary.push('## ❌ Status: Out of Sync');
+    summary.push('Main and dev databases have schema differences.');
+  }
+  
+  summary.push('');
+  
+  // Summary statistics
+  summary.push('## 📊 Summary');
+  summary.push(...formatCountTable(result));
+  summary.push('');
+
+  // Differences introduced by this branch first, those already on the base branch after
+  summary.push(...formatHistory(result.history));
+  
+  // Full console output
+  summary.push('## 📋 Full Console Output');
+  summary.push('');
+  summary.push('<details>');
+  summary.push('<summary>Click to view complete log</summary>');
+  summary.push('');
+  summary.push('```');
+  
+  if (capturedOutput && capturedOutput.length > 0) {
+    capturedOutput.forEach(output => {
+      const timestamp = new Date(output.timestamp).toLocaleTimeString();
+      summary.push(`[${timestamp}] ${output.message}`);
+    });
+  } else {
+    summary.push('No output captured');
+  }
+  
+  summary.push('```');
+  summary.push('</details>');
+  summary.push('');
+  
+  // Detailed differences (if any)
+  summary.push(...formatDifferenceLists(result));
+
+  summary.push(...formatAcceptedChanges(result, '##'));
+
+  // Apply mode
+  summary.push(...formatApplySection(result));
+
+  summary.push('---');
+  summary.push(`Generated at: ${new Date().toISOString()}`);
+  
+  return summary.join('\n');
+}
+
+// Detailed PR comment with SQL commands. The migration is generated when the result has none yet.
+function formatPRComment(result, migrationOptions = {}) {
+  const comment = [];
+  
+  comment.push('## 🚨 Database Schema Differences Detected');
+  comment.push('');
+  comment.push('The schema comparison between your development and production databases found differences:');
+  comment.push('');
+  
+  // Summary table
+  comment.push(...formatCountTable(result));
+  comment.push('');
+
+  comment.push(...formatBaselineChanges(result.history));
+  
+  // Detailed differences
+  comment.push(...formatDetailedDifferences(result, migrationOptions));
+
+  comment.push(...formatAcceptedChanges(result, '##'));
+
+  comment.push(...formatNextSteps());
+
+  return comment.join('\n');
+}
+
+const MATRIX_LABELS = {
+  missing: '❌ missing',
+  different: '⚠️ different',
+  extra: '➖ extra',
+  renamed: '🔀 renamed'
+};
+
+function countKind(result, kind) {
+  return result.changes.filter(change => change.kind === kind).length;
+}
+
+function formatRunStatus(run) {
+  if (run.error) return '💥 Failed';
+  if (run.missingIn) return `❌ Schema missing in ${run.missingIn}`;
+  return run.result.isInSync ? '✅ In Sync' : '❌ Out of Sync';
+}
+
+// One row per comparison of a multi-database run
+function formatComparisonsTable(runs) {
+  const lines = [];
+  lines.push('| Comparison | Status | Missing | Different | Extra | Renamed | Accepted |');
+  lines.push('|------------|--------|---------|-----------|-------|---------|----------|');
+  runs.forEach(run => {
+    if (!run.result) {
+      lines.push(`| ${run.name} | ${formatRunStatus(run)} | - | - | - | - | - |`);
+      return;
+    }
+    const { result } = run;
+    lines.push(`| ${run.name} | ${formatRunStatus(run)} | ${countKind(result, 'missing')} | ${countKind(result, 'different')} | ${countKind(result, 'extra')} | ${countKind(result, 'renamed')} | ${result.acceptedChanges?.length || 0} |`);
+  });
+  return lines;
+}
+
+// Step summary of a multi-database run: the combined table, then the details of every comparison
+function formatComparisonsSummary(runs) {
+  const summary = [];
+  const outOfSync = runs.filter(run => !run.result?.isInSync);
+
+  summary.push('# 🔍 MySQL Schema Comparison Report');
+  summary.push('');
+
+  if (outOfSync.length === 0) {
+    summary.push('## ✅ Status: In Sync');
+    summary.push(`All ${runs.length} comparisons have identical schemas.`);
+  } else {
+    summary.push('## ❌ Status: Out of Sync');
+    summary.push(`${outOfSync.length} of ${runs.length} comparisons have schema differences or failed.`);
+  }
+  summary.push('');
+
+  summary.push('## 📊 Summary');
+  summary.push(...formatComparisonsTable(runs));
+  summary.push('');
+
+  runs.forEach(run => {
+    summary.push(`## 🗄️ ${run.name}`);
+    summary.push(`**Status:** ${formatRunStatus(run)}`);
+    summary.push('');
+
+    if (run.error) {
+      summary.push('```');
+      summary.push(run.error);
+      summary.push('```');
+      summary.push('');
+      return;
+    }
+
+    if (!run.result) {
+      return;
+    }
+
+    summary.push(...formatHistory(run.result.history, '###'));
+    summary.push(...formatDifferenceLists(run.result, '###'));
+    summary.push(...formatAcceptedChanges(run.result, '###'));
+    summary.push(...formatApplySection(run.result, '###'));
+
+    const capturedOutput = run.checker?.capturedOutput || [];
+    if (capturedOutput.length > 0) {
+      summary.push('<details>');
+      summary.push('<summary>Console output</summary>');
+      summary.push('');
+      summary.push('```');
+      capturedOutput.forEach(output => summary.push(output.message));
+      summary.push('```');
+      summary.push('</details>');
+      summary.push('');
+    }
+  });
+
+  summary.push('---');
+  summary.push(`Generated at: ${new Date().toISOString()}`);
+
+  return summary.join('\n');
+}
+
+// PR comment of a multi-database run with a section (and SQL commands) per out-of-sync comparison
+function formatComparisonsPRComment(runs, migrationOptions = {}) {
+  const comment = [];
+
+  comment.push('## 🚨 Database Schema Differences Detected');
+  comment.push('');
+  comment.push(`The schema comparison found differences in ${runs.filter(run => !run.result?.isInSync).length} of ${runs.length} database pairs:`);
+  comment.push('');
+  comment.push(...formatComparisonsTable(runs));
+  comment.push('');
+
+  runs.filter(run => !run.result?.isInSync).forEach(run => {
+    comment.push(`## 🗄️ ${run.name}`);
+    comment.push('');
+
+    if (!run.result) {
+      comment.push(run.error ? `💥 Comparison failed: ${run.error}` : `❌ Schema missing in ${run.missingIn}`);
+      comment.push('');
+      return;
+    }
+
+    comment.push(...formatBaselineChanges(run.result.history, '###'));
+    comment.push(...formatDetailedDifferences(run.result, migrationOptions, '###'));
+    comment.push(...formatAcceptedChanges(run.result, '###'));
+  });
+
+  comment.push(...formatNextSteps());
+
+  return comment.join('\n');
+}
+
+// Objects × environments: which environment is behind the reference on each object
+function formatMatrixTable(matrix) {
+  const lines = [];
+  lines.push(`| Object | ${matrix.environments.join(' | ')} |`);
+  lines.push(`|--------|${matrix.environments.map(() => '------').join('|')}|`);
+  matrix.rows.forEach(row => {
+    const cells = matrix.environments.map(name => {
+      const cell = row.cells[name];
+      return cell ? MATRIX_LABELS[cell.kind] : '✅';
+    });
+    lines.push(`| ${row.objectType} \`${row.path}\` | ${cells.join(' | ')} |`);
+  });
+  return lines;
+}
+
+// Step summary of an environment matrix
+function formatMatrixSummary(matrix, comparisons) {
+  const summary = [];
+
+  summary.push('# 🔍 MySQL Schema Environment Matrix');
+  summary.push('');
+  summary.push(`Reference environment: **${matrix.reference}**`);
+  summary.push('');
+
+  if (matrix.isInSync) {
+    summary.push('## ✅ Status: In Sync');
+    summary.push(`All environments match ${matrix.reference}.`);
+    summary.push('');
+  } else {
+    const behind = comparisons.filter(({ result }) => !result.isInSync).map(({ name }) => name);
+    summary.push('## ❌ Status: Out of Sync');
+    summary.push(`Behind ${matrix.reference}: ${behind.join(', ')}`);
+    summary.push('');
+    summary.push('## 📊 Matrix');
+    summary.push(...formatMatrixTable(matrix));
+    summary.push('');
+  }
+
+  comparisons.forEach(({ name, result }) => {
+    summary.push(`## 🗄️ ${matrix.reference} → ${name}`);
+    summary.push(`**Status:** ${result.isInSync ? '✅ In Sync' : '❌ Out of Sync'}`);
+    summary.push('');
+    summary.push(...formatDifferenceLists(result, '###'));
+    summary.push(...formatAcceptedChanges(result, '###'));
+  });
+
+  summary.push('---');
+  summary.push(`Generated at: ${new Date().toISOString()}`);
+
+  return summary.join('\n');
+}
+
+// PR comment of an environment matrix with the SQL commands per environment
+function formatMatrixPRComment(matrix, comparisons, migrationOptions = {}) {
+  const comment = [];
+
+  comment.push('## 🚨 Database Schema Differences Detected');
+  comment.push('');
+  comment.push(`Compared with **${matrix.reference}**, these environments are behind:`);
+  comment.push('');
+  comment.push(...formatMatrixTable(matrix));
+  comment.push('');
+
+  comparisons.filter(({ result }) => !result.isInSync).forEach(({ name, result }) => {
+    comment.push(`## 🗄️ ${name}`);
+    comment.push('');
+    comment.push(...formatDetailedDifferences(result, migrationOptions, '###'));
+    comment.push(...formatAcceptedChanges(result, '###'));
+  });
+
+  comment.push(...formatNextSteps());
+
+  return comment.join('\n');
+}
+
+module.exports = {
+  formatActionsSummary,
+  formatPRComment,
+  formatHistory,
+  formatComparisonsSummary,
+  formatComparisonsPRComment,
+  formatMatrixSummary,
+  formatMatrixPRComment
+};
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const { SEVERITIES, KIND_SEVERITY, OBJECT_LABELS, KIND_DESCRIPTIONS, formatChangeMessage } = require('../compare');
+const { findDefinitionLine } = require('../sql-utils');
+const { version } = require('../../package.json');
+
+// SARIF 2.1.0 report for code scanning (e.g. github/codeql-action/upload-sarif). Every change is a
+// result; results point at the definition in the dev schema file when the dev side is a .sql file.
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const LEVELS = {
+  error: 'error',
+  warning: 'warning',
+  info: 'note'
+};
+
+// options.schemaFile: dev .sql file to point results at, options.migrationFile: fallback location
+function createSarifReport(result, options = {}) {
+  const baseDir = options.baseDir || process.cwd();
+  const artifact = options.schemaFile || options.migrationFile || null;
+  const sql = options.schemaFile ? fs.readFileSync(options.schemaFile, 'utf8') : null;
+  const uri = artifact && path.relative(baseDir, path.resolve(baseDir, artifact)).split(path.sep).join('/');
+
+  const rules = new Map();
+  const results = result.changes.map(change => {
+    const ruleId = `${change.objectType}/${change.kind}`;
+    if (!rules.has(ruleId)) {
+      rules.set(ruleId, {
+        id: ruleId,
+        // e.g. MissingColumn, DifferentTableOptions
+        name: `${change.kind}-${change.objectType}`.replace(/(?:^|-)(\w)/g, (match, letter) => letter.toUpperCase()),
+        shortDescription: { text: `${OBJECT_LABELS[change.objectType]} ${KIND_DESCRIPTIONS[change.kind]}` },
+        defaultConfiguration: { level: LEVELS[KIND_SEVERITY[change.kind] || 'warning'] }
+      });
+    }
+
+    const location = {
+      logicalLocations: [{ name: change.name, fullyQualifiedName: change.path, kind: change.objectType }]
+    };
+    if (uri) {
+      location.physicalLocation = {
+        artifactLocation: { uri },
+        region: { startLine: sql ? findDefinitionLine(sql, change) : 1 }
+      };
+    }
+
+    return {
+      ruleId,
+      level: LEVELS[change.severity],
+      message: { text: formatChangeMessage(change) },
+      locations: [location],
+      partialFingerprints: { schemaChangeId: change.id },
+      properties: { changeId: change.id, category: change.category, severity: change.severity }
+    };
+  });
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'mysql-schema-compare',
+          version,
+          informationUri: 'https://github.com/dreaminfluencers/MySQL-Schema-Compare',
+          rules: [...rules.values()].sort((a, b) => a.id.localeCompare(b.id))
+        }
+      },
+      ...(options.name ? { automationDetails: { id: `mysql-schema-compare/${options.name}/` } } : {}),
+      results: results.sort((a, b) => SEVERITIES.indexOf(b.properties.severity) - SEVERITIES.indexOf(a.properties.severity))
+    }]
+  };
+}
+
+function formatSarif(result, options = {}) {
+  return JSON.stringify(createSarifReport(result, options), null, 2) + '\n';
+}
+
+module.exports = {
+  createSarifReport,
+  formatSarif
+};
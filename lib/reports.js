@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./config');
+const { parseList } = require('./filters');
+const { formatJson } = require('./reporters/json');
+const { formatJUnit } = require('./reporters/junit');
+const { formatSarif } = require('./reporters/sarif');
+const { formatHtml } = require('./reporters/html');
+
+// Report files written next to the console output, all generated from the same comparison result.
+// Each formatter takes (result, options) and returns the file contents.
+const REPORT_FORMATS = {
+  json: { label: 'JSON', extension: '.json', format: formatJson },
+  junit: { label: 'JUnit', extension: '.junit.xml', format: formatJUnit },
+  sarif: { label: 'SARIF', extension: '.sarif', format: formatSarif },
+  html: { label: 'HTML', extension: '.html', format: formatHtml }
+};
+
+// Reports are written to <report file>.<extension>: schema-report.json, schema-report.html, ...
+const DEFAULT_REPORT_FILE = 'schema-report';
+
+// Comma separated list (or array) of format names
+function parseFormats(value) {
+  const formats = parseList(value).map(format => format.toLowerCase());
+  const unknown = formats.filter(format => !REPORT_FORMATS[format]);
+
+  if (unknown.length > 0) {
+    throw new ConfigError(`Unknown output format '${unknown.join("', '")}'. Valid formats: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+  }
+
+  return [...new Set(formats)];
+}
+
+// Path of one format's report. A known report extension on reportFile is replaced, so
+// --report-file out/report.json --format json,html writes out/report.json and out/report.html.
+function getReportPath(reportFile, format) {
+  const known = [...Object.values(REPORT_FORMATS).map(({ extension }) => extension), '.xml']
+    .find(extension => reportFile.toLowerCase().endsWith(extension));
+  const base = known ? reportFile.slice(0, -known.length) : reportFile;
+  return path.resolve(base + REPORT_FORMATS[format].extension);
+}
+
+// Write a report per format. Returns { format: absolute path }.
+//   options.dev            source spec of the dev side: results point into it when it is a .sql file (SARIF)
+//   options.migrationFile  fallback location for SARIF results
+//   options.name           name of the comparison (multi-database runs)
+//   plus the migration options (generateDropStatements, ...)
+function writeReports(result, formats, reportFile = DEFAULT_REPORT_FILE, options = {}) {
+  const { dev, ...formatOptions } = options;
+  const schemaFile = dev && dev.type === 'schema-file' && fs.statSync(dev.path).isFile() ? dev.path : null;
+  const files = {};
+
+  for (const format of formats) {
+    const filePath = getReportPath(reportFile, format);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, REPORT_FORMATS[format].format(result, { ...formatOptions, schemaFile }));
+    files[format] = filePath;
+  }
+
+  return files;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  DEFAULT_REPORT_FILE,
+  parseFormats,
+  getReportPath,
+  writeReports
+};
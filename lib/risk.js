@@ -0,0 +1,471 @@
+// Risk of each generated migration statement, so narrowing types, NOT NULL on columns with NULLs or
+// table copies are flagged per statement instead of only by a generic "review carefully" comment.
+//   safe      MySQL runs it online and no data is at risk
+//   locking   MySQL copies the table or takes a shared lock: writes to the table wait until it finishes
+//   blocking  fails on existing rows (NULLs for NOT NULL, duplicates for a unique key, rows without a parent)
+//   lossy     can truncate, round or delete data
+// The algorithm is the fastest one MySQL 8.0 supports for the statement: INSTANT (metadata only),
+// INPLACE (no table copy) or COPY (the table is copied row by row).
+// Optional probes count the affected rows on the target, e.g. values longer than a narrowed VARCHAR.
+
+const RISK_LEVELS = ['safe', 'locking', 'blocking', 'lossy'];
+const ALGORITHMS = ['INSTANT', 'INPLACE', 'COPY'];
+
+// Probes scan the table, so they are skipped above this many (estimated) rows
+const PROBE_ROW_LIMIT = 1000000;
+
+const INTEGER_BYTES = { tinyint: 1, smallint: 2, mediumint: 3, int: 4, integer: 4, bigint: 8 };
+const STRING_LENGTHS = { tinytext: 255, text: 65535, mediumtext: 16777215, longtext: 4294967295 };
+const BINARY_LENGTHS = { tinyblob: 255, blob: 65535, mediumblob: 16777215, longblob: 4294967295 };
+// Bytes per character, for the VARCHAR length prefix and for charsets that cannot hold every character
+const CHARSET_BYTES = { ascii: 1, latin1: 1, utf8: 3, utf8mb3: 3, utf8mb4: 4 };
+// Temporal conversions that keep every value
+const LOSSLESS_TEMPORAL = ['date>datetime', 'timestamp>datetime'];
+const TIMESTAMP_RANGE = ["'1970-01-01 00:00:01'", "'2038-01-19 03:14:07'"];
+
+const quote = name => `\`${String(name).replace(/`/g, '``')}\``;
+const quoteValue = value => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+const formatNumber = value => Number(value).toLocaleString('en-US');
+// A reason that a probe can quantify, with the name of its probe count
+const probed = (text, check) => ({ text, check });
+// Name of a column on the target, from the mainColumns of an operation: the old name of a renamed
+// column, or null for a column the migration adds
+const targetColumn = (names, column) => (names && column in names ? names[column] : column);
+const highest = (values, order) => values.reduce((max, value) => (order.indexOf(value) > order.indexOf(max) ? value : max), order[0]);
+
+// Family and size of a COLUMN_TYPE such as "varchar(255)", "int unsigned" or "enum('a','b')"
+function parseColumnType(columnType) {
+  const [, name, args = '', rest = ''] = /^(\w+)(?:\((.*)\))?(.*)$/s.exec(String(columnType).trim()) || [null, String(columnType), '', ''];
+  const base = name.toLowerCase();
+  const numbers = args.split(',').map(arg => parseInt(arg, 10));
+
+  if (INTEGER_BYTES[base]) {
+    return { family: 'integer', base, bytes: INTEGER_BYTES[base], unsigned: /\bunsigned\b/i.test(rest) };
+  }
+  if (base === 'decimal' || base === 'numeric') {
+    return { family: 'decimal', base, precision: numbers[0] || 10, scale: numbers[1] || 0 };
+  }
+  if (['float', 'double', 'real'].includes(base)) {
+    return { family: 'float', base, bytes: base === 'float' ? 4 : 8 };
+  }
+  if (base === 'char' || base === 'varchar') {
+    return { family: 'string', base, length: numbers[0] || 1 };
+  }
+  if (STRING_LENGTHS[base]) {
+    return { family: 'string', base, length: STRING_LENGTHS[base] };
+  }
+  if (base === 'binary' || base === 'varbinary') {
+    return { family: 'binary', base, length: numbers[0] || 1 };
+  }
+  if (BINARY_LENGTHS[base]) {
+    return { family: 'binary', base, length: BINARY_LENGTHS[base] };
+  }
+  if (base === 'enum' || base === 'set') {
+    return { family: base, base, values: [...args.matchAll(/'((?:[^']|'')*)'/g)].map(match => match[1].replace(/''/g, "'")) };
+  }
+  if (['date', 'datetime', 'timestamp', 'time', 'year'].includes(base)) {
+    return { family: 'temporal', base, fsp: numbers[0] || 0 };
+  }
+  if (base === 'bit') {
+    return { family: 'bit', base, length: numbers[0] || 1 };
+  }
+  return { family: base, base };
+}
+
+function integerRange({ bytes, unsigned }) {
+  const bits = BigInt(bytes * 8);
+  return unsigned ? [0n, 2n ** bits - 1n] : [-(2n ** (bits - 1n)), 2n ** (bits - 1n) - 1n];
+}
+
+// Whether ALTER TABLE can change the type without a table copy
+function getTypeChangeAlgorithm(from, to, charset) {
+  // A longer VARCHAR is in place while the length prefix stays 1 byte (up to 255 bytes) or 2 bytes
+  if (from.base === 'varchar' && to.base === 'varchar' && to.length >= from.length) {
+    const bytes = length => length * (CHARSET_BYTES[charset] || 4);
+    return (bytes(from.length) <= 255) === (bytes(to.length) <= 255) ? 'INPLACE' : 'COPY';
+  }
+
+  // Only the display width differs, e.g. int(11) → int
+  if (from.family === 'integer' && from.bytes === to.bytes && from.unsigned === to.unsigned) {
+    return 'INSTANT';
+  }
+
+  // Values appended to an ENUM or SET are instant while the storage size stays the same
+  if ((from.family === 'enum' || from.family === 'set') && to.family === from.family
+    && from.values.every((value, i) => to.values[i] === value)) {
+    const storage = values => (from.family === 'enum' ? values.length > 255 : Math.ceil(values.length / 8));
+    return storage(from.values) === storage(to.values) ? 'INSTANT' : 'COPY';
+  }
+
+  return 'COPY';
+}
+
+// How a type change can lose data: { lossy: description or null, condition: SQL for an affected row }
+function describeTypeChange(fromType, toType, column) {
+  const from = parseColumnType(fromType);
+  const to = parseColumnType(toType);
+  const name = quote(column);
+  const change = `${fromType} → ${toType}`;
+
+  if (from.family !== to.family) {
+    // Integers fit a DECIMAL with enough integer digits, and a DOUBLE up to INT
+    const widens = from.family === 'integer'
+      && ((to.family === 'decimal' && to.precision - to.scale >= String(integerRange(from)[1]).length)
+        || (to.family === 'float' && to.bytes === 8 && from.bytes <= 4));
+    return widens ? { lossy: null } : { lossy: `${change} converts the values and can change or reject them`, condition: `${name} IS NOT NULL` };
+  }
+
+  switch (from.family) {
+    case 'integer': {
+      const [fromMin, fromMax] = integerRange(from);
+      const [toMin, toMax] = integerRange(to);
+      if (toMin <= fromMin && toMax >= fromMax) return { lossy: null };
+      return { lossy: `${change} cannot hold values outside ${toMin}..${toMax}`, condition: `${name} < ${toMin} OR ${name} > ${toMax}`, unit: 'out of range' };
+    }
+    case 'decimal': {
+      if (to.precision - to.scale >= from.precision - from.scale && to.scale >= from.scale) return { lossy: null };
+      return {
+        lossy: `${change} can round or clip values`,
+        condition: `${name} <> CAST(${name} AS DECIMAL(${to.precision}, ${to.scale}))`,
+        unit: 'with values that change'
+      };
+    }
+    case 'float':
+      return to.bytes < from.bytes ? { lossy: `${change} loses precision` } : { lossy: null };
+    case 'string':
+    case 'binary': {
+      if (to.length >= from.length) return { lossy: null };
+      const unit = from.family === 'string' ? 'characters' : 'bytes';
+      const length = from.family === 'string' ? `CHAR_LENGTH(${name})` : `LENGTH(${name})`;
+      return { lossy: `${change} can truncate values`, condition: `${length} > ${to.length}`, unit: `longer than ${formatNumber(to.length)} ${unit}` };
+    }
+    case 'enum':
+    case 'set': {
+      const removed = from.values.filter(value => !to.values.includes(value));
+      if (removed.length === 0) return { lossy: null };
+      const condition = from.family === 'enum'
+        ? `${name} IN (${removed.map(quoteValue).join(', ')})`
+        : removed.map(value => `FIND_IN_SET(${quoteValue(value)}, ${name}) > 0`).join(' OR ');
+      return { lossy: `${change} removes ${removed.map(value => `'${value}'`).join(', ')}`, condition, unit: 'with removed values' };
+    }
+    case 'temporal': {
+      if (from.base !== to.base && !LOSSLESS_TEMPORAL.includes(`${from.base}>${to.base}`)) {
+        const condition = to.base === 'timestamp'
+          ? `${name} < ${TIMESTAMP_RANGE[0]} OR ${name} > ${TIMESTAMP_RANGE[1]}`
+          : ['date', 'datetime', 'time'].includes(to.base) ? `${name} <> CAST(${name} AS ${to.base.toUpperCase()})` : `${name} IS NOT NULL`;
+        return { lossy: `${change} can change or reject values`, condition, unit: 'with values that change' };
+      }
+      if (to.fsp >= from.fsp || to.base === 'date' || to.base === 'year') return { lossy: null };
+      const castType = to.base === 'time' ? 'TIME' : 'DATETIME';
+      return {
+        lossy: `${change} rounds fractional seconds`,
+        condition: `${name} <> CAST(${name} AS ${castType}(${to.fsp}))`,
+        unit: 'with values that change'
+      };
+    }
+    case 'bit':
+      return to.length < from.length ? { lossy: `${change} can truncate values` } : { lossy: null };
+    default:
+      return { lossy: null };
+  }
+}
+
+// Whether every character of `from` can be stored in `to`
+function charsetHolds(from, to) {
+  if (!from || !to || from === to) return true;
+  if (to === 'utf8mb4') return true;
+  return ['utf8', 'utf8mb3'].includes(to) && from !== 'utf8mb4';
+}
+
+function analyzeModifyColumn({ table, column, mainColumn, attributes }) {
+  const path = `${table}.${column.name}`;
+  const analysis = { algorithm: 'INSTANT', level: 'safe', reasons: [], probe: null };
+  const use = (algorithm) => { analysis.algorithm = highest([analysis.algorithm, algorithm], ALGORITHMS); };
+
+  for (const attribute of attributes) {
+    if (attribute === 'default') {
+      use('INSTANT');
+    } else if (attribute === 'comment') {
+      use('INPLACE');
+    } else if (attribute === 'nullable') {
+      use('INPLACE');
+      if (column.nullable === 'NO') {
+        analysis.level = highest([analysis.level, 'blocking'], RISK_LEVELS);
+        analysis.reasons.push(probed(`${path}: NOT NULL fails if any row is NULL`, 'nulls'));
+        analysis.probe = { ...analysis.probe, nulls: `${quote(mainColumn.name)} IS NULL` };
+      }
+    } else if (attribute === 'type') {
+      use(getTypeChangeAlgorithm(parseColumnType(mainColumn.type), parseColumnType(column.type), column.charset));
+      const { lossy, condition, unit } = describeTypeChange(mainColumn.type, column.type, mainColumn.name);
+      if (lossy) {
+        analysis.level = 'lossy';
+        analysis.reasons.push(condition ? probed(`${path}: ${lossy}`, 'lossy') : `${path}: ${lossy}`);
+        if (condition) analysis.probe = { ...analysis.probe, lossy: condition, unit };
+      }
+    } else if (attribute === 'charset') {
+      use('COPY');
+      if (!charsetHolds(mainColumn.charset, column.charset)) {
+        analysis.level = 'lossy';
+        analysis.reasons.push(probed(`${path}: ${mainColumn.charset} → ${column.charset} cannot store every character`, 'lossy'));
+        analysis.probe = {
+          ...analysis.probe,
+          lossy: `${quote(mainColumn.name)} <> CONVERT(CONVERT(${quote(mainColumn.name)} USING ${column.charset}) USING ${mainColumn.charset})`,
+          unit: 'with characters that cannot be converted'
+        };
+      }
+    } else {
+      // collation, auto_increment, ON UPDATE and generated columns
+      use('COPY');
+    }
+  }
+
+  return analysis;
+}
+
+function analyzeAddIndex({ table, index, mainColumns }) {
+  const path = `${table}.${index.name}`;
+
+  if (index.type === 'FULLTEXT' || index.type === 'SPATIAL') {
+    return { algorithm: 'INPLACE', level: 'locking', reasons: [`${path}: building a ${index.type} index blocks writes`] };
+  }
+
+  if (index.unique || index.primary) {
+    const parts = (index.parts || index.columns.map(column => ({ column }))).map(part => {
+      const column = part.column && targetColumn(mainColumns, part.column);
+      return column ? (part.length ? `LEFT(${quote(column)}, ${part.length})` : quote(column)) : null;
+    });
+    return {
+      algorithm: 'INPLACE',
+      level: 'blocking',
+      reasons: [probed(`${path}: ${index.primary ? 'PRIMARY KEY' : 'UNIQUE'} fails if rows have duplicate values`, 'duplicates')],
+      // Functional key parts and columns the migration adds cannot be probed
+      probe: parts.every(Boolean) ? { duplicates: parts } : null
+    };
+  }
+
+  return { algorithm: 'INPLACE', level: 'safe', reasons: [] };
+}
+
+// Orphans probe of a foreign key on the target, where renamed tables and columns still have their old
+// names. Null when a column does not exist there yet.
+function getOrphansProbe({ foreignKey, newReferencedTable, mainColumns, mainReferencedTable, mainReferencedColumns }) {
+  const columns = foreignKey.columns.map(column => targetColumn(mainColumns, column));
+  if (!columns.every(Boolean)) return null;
+
+  const condition = columns.map(column => `c.${quote(column)} IS NOT NULL`).join(' AND ');
+  if (newReferencedTable) {
+    return { orphans: { condition } };
+  }
+
+  const referencedColumns = foreignKey.referencedColumns.map(column => targetColumn(mainReferencedColumns, column));
+  if (!referencedColumns.every(Boolean)) return null;
+
+  const referencedTable = `${foreignKey.referencedSchema ? `${quote(foreignKey.referencedSchema)}.` : ''}${quote(mainReferencedTable || foreignKey.referencedTable)}`;
+  return {
+    orphans: {
+      join: `LEFT JOIN ${referencedTable} p ON ${columns.map((column, i) => `p.${quote(referencedColumns[i])} = c.${quote(column)}`).join(' AND ')}`,
+      condition: `${condition} AND p.${quote(referencedColumns[0])} IS NULL`
+    }
+  };
+}
+
+function analyzeAddForeignKey(operation) {
+  const { table, foreignKey, newTable } = operation;
+  const path = `${table}.${foreignKey.name}`;
+
+  // With foreign_key_checks enabled MySQL validates the rows, which needs a table copy
+  return {
+    algorithm: 'COPY',
+    level: 'blocking',
+    reasons: [probed(`${path}: fails if rows reference a missing ${foreignKey.referencedTable} row`, 'orphans')],
+    probe: getOrphansProbe(operation),
+    newTable
+  };
+}
+
+function analyzeTableOptions({ table, options, attributes }) {
+  const analysis = { algorithm: 'INPLACE', level: 'safe', reasons: [] };
+
+  if (attributes.includes('engine')) {
+    analysis.algorithm = 'COPY';
+  }
+
+  if (attributes.includes('partitioning')) {
+    analysis.algorithm = 'COPY';
+    if (options.partitionClause) {
+      analysis.level = 'blocking';
+      analysis.reasons.push(`${table}: repartitioning fails if rows fall outside the new partitions`);
+    }
+  }
+
+  return analysis;
+}
+
+// Risk of one operation of a statement, as { algorithm, level, reasons, probe }
+function analyzeOperation(operation) {
+  const { type, table } = operation;
+
+  switch (type) {
+    case 'create-table':
+      return { algorithm: null, level: 'safe', reasons: [] };
+    case 'drop-table':
+      return { algorithm: null, level: 'lossy', reasons: [probed(`${table}: deletes the table and its rows`, 'rows')], probe: { rows: true } };
+    case 'add-column': {
+      const path = `${table}.${operation.column.name}`;
+      if (/auto_increment/i.test(operation.column.extra || '')) {
+        return { algorithm: 'INPLACE', level: 'locking', reasons: [`${path}: adding an AUTO_INCREMENT column blocks writes`] };
+      }
+      if (/STORED GENERATED/i.test(operation.column.extra || '')) {
+        return { algorithm: 'COPY', level: 'locking', reasons: [] };
+      }
+      return { algorithm: 'INSTANT', level: 'safe', reasons: [] };
+    }
+    case 'modify-column':
+      return analyzeModifyColumn(operation);
+    case 'drop-column':
+      return { algorithm: 'INSTANT', level: 'lossy', reasons: [probed(`${table}.${operation.column.name}: deletes the column's data`, 'rows')], probe: { rows: true } };
+    case 'add-index':
+      return analyzeAddIndex(operation);
+    case 'drop-index':
+      // Dropping a primary key needs a table copy unless a new one is added in the same statement
+      return { algorithm: operation.index.primary && !operation.replaced ? 'COPY' : 'INPLACE', level: 'safe', reasons: [] };
+    case 'rename-table':
+      return { algorithm: null, level: 'safe', reasons: [] };
+    case 'rename-column':
+      return { algorithm: 'INSTANT', level: 'safe', reasons: [] };
+    case 'rename-index':
+    case 'drop-foreign-key':
+      return { algorithm: 'INPLACE', level: 'safe', reasons: [] };
+    case 'add-foreign-key':
+      return analyzeAddForeignKey(operation);
+    case 'table-options':
+      return analyzeTableOptions(operation);
+    default:
+      return { algorithm: null, level: 'safe', reasons: [] };
+  }
+}
+
+// Key of an operation's probe result, e.g. modify-column:users.email
+function getProbeKey(operation) {
+  const name = operation.column?.name || operation.index?.name || operation.foreignKey?.name;
+  return `${operation.type}:${operation.table}${name ? `.${name}` : ''}`;
+}
+
+// Text for one count of a probe result, e.g. "3 of 1,204 rows longer than 50 characters"
+function describeProbe(probe, check, unit) {
+  if (probe.error) return `probe failed: ${probe.error}`;
+  if (probe.skipped) return `not probed, about ${formatNumber(probe.rows)} rows`;
+
+  const of = count => `${formatNumber(count)} of ${formatNumber(probe.rows)} rows`;
+  switch (check) {
+    case 'lossy': return `${of(probe.lossy)} ${unit || 'affected'}`;
+    case 'nulls': return `${of(probe.nulls)} are NULL`;
+    case 'duplicates': return `${of(probe.duplicates)} have duplicates`;
+    case 'orphans': return `${of(probe.orphans)} have no parent row`;
+    default: return `${formatNumber(probe.rows)} rows`;
+  }
+}
+
+// Risk of a migration statement from its operations: { level, algorithm, table, reasons, newTable }.
+// `probes` are the results of probeMigrationRisks, keyed by getProbeKey. With `online` (the change
+// runs through gh-ost or pt-online-schema-change) the table is copied in the background, so locking
+// and the ALGORITHM no longer apply. newTable: an ALTER TABLE of tables the migration creates, which
+// have no rows to copy, so there is no ALGORITHM either.
+function analyzeStatement(operations, probes = {}, { online = false } = {}) {
+  const analyses = operations.map(operation => ({ operation, ...analyzeOperation(operation) }));
+  const algorithms = analyses.filter(analysis => !analysis.operation.newTable).map(analysis => analysis.algorithm).filter(Boolean);
+  const algorithm = algorithms.length > 0 && !online ? highest(algorithms, ALGORITHMS) : null;
+  const reasons = [];
+  let level = 'safe';
+
+  for (const analysis of analyses) {
+    // Rows of a table created by the same migration cannot be lost or conflict
+    if (analysis.operation.newTable) continue;
+    if (online && analysis.level === 'locking') continue;
+
+    level = highest([level, analysis.level], RISK_LEVELS);
+    const probe = probes[getProbeKey(analysis.operation)];
+    reasons.push(...analysis.reasons.map(reason => {
+      if (typeof reason === 'string') return reason;
+      return probe ? `${reason.text} (${describeProbe(probe, reason.check, analysis.probe.unit)})` : reason.text;
+    }));
+  }
+
+  if (algorithm === 'COPY') {
+    level = highest([level, 'locking'], RISK_LEVELS);
+    reasons.push(`${operations[0].table}: needs a table copy, writes wait until it finishes`);
+  }
+
+  const newTable = operations.length > 0 && operations.every(operation => operation.newTable) && analyses.some(analysis => analysis.algorithm);
+  return { level, algorithm, table: operations[0]?.table || null, reasons, newTable };
+}
+
+async function queryRow(target, sql) {
+  const [rows] = await target.query(sql);
+  return rows[0] || {};
+}
+
+// Run one probe on the target, with the row estimate from information_schema to skip large tables
+async function runProbe(operation, probe, target) {
+  // Renamed tables still have their old name on the target
+  const mainTable = operation.mainTable || operation.table;
+  const table = quote(mainTable);
+  const { TABLE_ROWS: estimate } = await queryRow(target, `SELECT TABLE_ROWS FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ${quoteValue(mainTable)}`);
+
+  if (Number(estimate) > PROBE_ROW_LIMIT) {
+    return { rows: Number(estimate), skipped: true };
+  }
+
+  if (probe.duplicates) {
+    const columns = probe.duplicates.join(', ');
+    const row = await queryRow(target, `SELECT (SELECT COUNT(*) FROM ${table}) AS \`rows\`, COALESCE(SUM(n), 0) AS duplicates FROM (SELECT COUNT(*) AS n FROM ${table} WHERE ${probe.duplicates.map(column => `${column} IS NOT NULL`).join(' AND ')} GROUP BY ${columns} HAVING COUNT(*) > 1) d`);
+    return { rows: Number(row.rows), duplicates: Number(row.duplicates) };
+  }
+
+  if (probe.orphans) {
+    const join = probe.orphans.join ? ` ${probe.orphans.join}` : '';
+    const row = await queryRow(target, `SELECT COUNT(*) AS \`rows\`, COALESCE(SUM(${probe.orphans.condition}), 0) AS orphans FROM ${table} c${join}`);
+    return { rows: Number(row.rows), orphans: Number(row.orphans) };
+  }
+
+  const counts = ['lossy', 'nulls'].filter(name => probe[name]).map(name => `COALESCE(SUM(${probe[name]}), 0) AS ${name}`);
+  const row = await queryRow(target, `SELECT ${['COUNT(*) AS `rows`', ...counts].join(', ')} FROM ${table}`);
+  return Object.fromEntries(['rows', 'lossy', 'nulls'].filter(name => row[name] !== undefined).map(name => [name, Number(row[name])]));
+}
+
+// Count the rows each risky operation would affect on the target (a live database), e.g. NULLs in a
+// column that becomes NOT NULL or values longer than a narrowed VARCHAR. Read-only; a probe that
+// fails (e.g. missing privileges) is recorded with its error.
+async function probeMigrationRisks(statements, target) {
+  const probes = {};
+
+  for (const operation of statements.flatMap(statement => statement.operations || [])) {
+    const { probe } = analyzeOperation(operation);
+    if (!probe || operation.newTable) continue;
+
+    try {
+      probes[getProbeKey(operation)] = await runProbe(operation, probe, target);
+    } catch (error) {
+      probes[getProbeKey(operation)] = { error: error.message };
+    }
+  }
+
+  return probes;
+}
+
+function countRiskLevels(risks) {
+  return Object.fromEntries(RISK_LEVELS.map(level => [level, risks.filter(risk => risk.level === level).length]));
+}
+
+module.exports = {
+  RISK_LEVELS,
+  ALGORITHMS,
+  PROBE_ROW_LIMIT,
+  parseColumnType,
+  describeTypeChange,
+  analyzeOperation,
+  analyzeStatement,
+  getProbeKey,
+  probeMigrationRisks,
+  countRiskLevels
+};
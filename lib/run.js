@@ -0,0 +1,250 @@
+const chalk = require('chalk');
+const { SchemaChecker, parseChangeTypes } = require('./schema-checker');
+const { isLiveSource, openSource } = require('./sources');
+const { validateConnectionSpec } = require('./connection');
+const { writeSnapshot } = require('./snapshot');
+const { ConfigError } = require('./config');
+const { createFilter, compileAllowlist, loadAllowlist } = require('./filters');
+const { compileSeverityRules, parseSeverityOverrides, parseFailOn } = require('./severity');
+const { parseTool, parseThreshold } = require('./online-schema-change');
+const { compileRenameHints, loadRenameHints } = require('./renames');
+const { parseReferenceTables } = require('./reference-data');
+const { REPORT_FORMATS, DEFAULT_REPORT_FILE, parseFormats, writeReports } = require('./reports');
+const { recordRun, loadHistory, analyzeHistory } = require('./history');
+const { printHistory } = require('./reporters/console');
+const { compileRedactPatterns, setRedactPatterns, addSourceSecrets, redactConsole, redactValue } = require('./redact');
+
+const APPLY_MODES = ['off', 'dry-run', 'apply'];
+const PR_COMMENT_SQL_MODES = ['include', 'omit'];
+
+// Settings shared by the CLI and the GitHub Action
+//   main, dev               source specs (see openSource), databases with connection options (see connectDatabase)
+//   generateDropStatements, compareAutoIncrement, applyMode, allowedChanges
+//   migrationFile           write the migration here (optional)
+//   exportSnapshot          write a snapshot of main here (optional)
+//   formats, reportFile     also write json, junit, sarif and/or html reports to <reportFile>.<extension>
+//   filters                 { tables, columns, indexes: { include, exclude }, ignore } (see createFilter)
+//   allowlist               accepted differences: a list of { change, reason } or a file path
+//   severityOverrides       severity per rule, e.g. { 'column.default': 'error' } (see compileSeverityRules)
+//   failOn                  error, warning, any or none: which differences fail the run (see getFailingChanges)
+//   riskProbes              count the rows risky migration statements would affect on main (read-only queries)
+//   onlineSchemaChange      off, gh-ost or pt-osc: tables of main above onlineSchemaChangeThreshold
+//                           (e.g. '1000000 rows, 1GB') get a command line instead of an ALTER TABLE
+//   detectRenames           report tables and columns that look renamed instead of dropped and added (default true)
+//   renameHints             confirmed or rejected renames: a list of { table | column | index, reject } or a file path
+//   referenceData           tables whose rows are compared as well, e.g. ['roles', 'countries'] (see diffReferenceData)
+//   history                 { dir, baseline, branch, commit, pullRequest, runId }: record the run in the drift
+//                           history in dir and compare it with the last run on the baseline branch
+//   redactPatterns          regular expressions for more secrets to mask in output and reports (see setupRedaction)
+//   prCommentSql            include (default) or omit the SQL commands in PR comments
+function createCheckerOptions(settings) {
+  const applyMode = settings.applyMode || 'off';
+  if (!APPLY_MODES.includes(applyMode)) {
+    throw new ConfigError(`Invalid apply-mode '${applyMode}'. Valid values: ${APPLY_MODES.join(', ')}`);
+  }
+
+  if (applyMode === 'apply' && !isLiveSource(settings.main)) {
+    throw new ConfigError('apply-mode "apply" needs a live main database, not a schema file or snapshot');
+  }
+
+  [settings.main, settings.dev].filter(spec => spec && isLiveSource(spec)).forEach(validateConnectionSpec);
+
+  const allowedChanges = Array.isArray(settings.allowedChanges)
+    ? settings.allowedChanges.join(',')
+    : settings.allowedChanges || 'additive';
+
+  // Validate filters and the allowlist up front, so mistakes are reported as configuration errors
+  const filters = settings.filters || {};
+  createFilter(filters);
+
+  const allowlist = typeof settings.allowlist === 'string'
+    ? loadAllowlist(settings.allowlist)
+    : settings.allowlist || [];
+  compileAllowlist(allowlist);
+
+  const severityOverrides = parseSeverityOverrides(settings.severityOverrides);
+  compileSeverityRules(severityOverrides);
+
+  const onlineSchemaChange = parseTool(settings.onlineSchemaChange);
+  const onlineSchemaChangeThreshold = parseThreshold(settings.onlineSchemaChangeThreshold || undefined);
+
+  const renameHints = typeof settings.renameHints === 'string'
+    ? loadRenameHints(settings.renameHints)
+    : settings.renameHints || [];
+  compileRenameHints(renameHints);
+
+  const referenceData = parseReferenceTables(settings.referenceData);
+
+  compileRedactPatterns(settings.redactPatterns || []);
+
+  const prCommentSql = settings.prCommentSql || 'include';
+  if (!PR_COMMENT_SQL_MODES.includes(prCommentSql)) {
+    throw new ConfigError(`Invalid pr-comment-sql '${prCommentSql}'. Valid values: ${PR_COMMENT_SQL_MODES.join(', ')}`);
+  }
+
+  try {
+    return {
+      generateDropStatements: Boolean(settings.generateDropStatements),
+      compareAutoIncrement: Boolean(settings.compareAutoIncrement),
+      applyMode,
+      allowedChanges: parseChangeTypes(allowedChanges),
+      filters,
+      allowlist,
+      severityOverrides,
+      failOn: parseFailOn(settings.failOn),
+      riskProbes: Boolean(settings.riskProbes),
+      onlineSchemaChange,
+      onlineSchemaChangeThreshold,
+      detectRenames: settings.detectRenames !== false,
+      renameHints,
+      referenceData,
+      prCommentSql
+    };
+  } catch (error) {
+    throw new ConfigError(error.message);
+  }
+}
+
+// Mask the hosts, users and passwords of every configured source, and settings.redactPatterns, in
+// everything the process prints from now on. Call before connecting, so connection errors are masked too.
+function setupRedaction(settings) {
+  const specs = [
+    settings.main,
+    settings.dev,
+    ...(settings.comparisons || []).flatMap(comparison => [comparison.main, comparison.dev]),
+    ...(settings.environments || []).map(environment => environment.spec)
+  ];
+  specs.forEach(addSourceSecrets);
+
+  setRedactPatterns(settings.redactPatterns || []);
+  redactConsole();
+}
+
+// Compare, optionally apply, and write the requested files. Always disconnects.
+async function runCompare(settings, { captureOutput = false } = {}) {
+  const checker = new SchemaChecker(createCheckerOptions(settings));
+  const formats = parseFormats(settings.formats);
+
+  if (captureOutput) {
+    checker.setupOutputCapture();
+  }
+
+  try {
+    await checker.connect(settings.main, settings.dev);
+    const result = await checker.checkAndReport();
+
+    // Optionally run the generated migration against main
+    if (checker.options.applyMode !== 'off' && !result.isInSync) {
+      result.apply = await checker.applyMigration(result);
+    }
+
+    if (captureOutput) {
+      checker.restoreConsoleLog();
+    }
+
+    if (settings.history?.dir) {
+      result.history = updateHistory(result, settings.history, settings.name);
+    }
+
+    // Write the generated migration so later steps can review or apply it
+    let migrationFile = null;
+    if (settings.migrationFile) {
+      migrationFile = checker.writeMigrationFile(result, settings.migrationFile);
+      console.log(chalk.blue(`💾 Migration written to ${migrationFile}`));
+    }
+
+    // Optionally capture main as a snapshot, e.g. to commit it and diff later runs against it offline
+    let snapshotFile = null;
+    if (settings.exportSnapshot) {
+      snapshotFile = await writeSnapshot(checker.mainDb, settings.exportSnapshot);
+      console.log(chalk.blue(`📸 Snapshot of main written to ${snapshotFile}`));
+    }
+
+    const reportFiles = writeReportFiles(result, formats, settings, {
+      dev: settings.dev,
+      migrationFile,
+      name: settings.name,
+      generateDropStatements: checker.options.generateDropStatements,
+      compareAutoIncrement: checker.options.compareAutoIncrement
+    });
+
+    return { checker, result, migrationFile, snapshotFile, reportFiles };
+  } finally {
+    if (captureOutput) {
+      checker.restoreConsoleLog();
+    }
+    await checker.disconnect();
+  }
+}
+
+// Record the run in the drift history and report on it together with the earlier runs
+function updateHistory(result, { dir, baseline, ...metadata }, name = null) {
+  const file = recordRun(dir, result, { ...metadata, name });
+  console.log(chalk.blue(`📈 Run recorded in the drift history: ${file}`));
+
+  const history = { file, ...analyzeHistory(loadHistory(dir).filter(run => run.name === (name || null)), { baseline }) };
+  printHistory(history);
+  return history;
+}
+
+// Print the drift history of every comparison in dir, the last recorded run of each as the current one
+function runHistoryReport(dir, baseline = null) {
+  const runs = loadHistory(dir);
+  if (runs.length === 0) {
+    throw new ConfigError(`No runs recorded in ${dir}`);
+  }
+
+  const names = [...new Set(runs.map(run => run.name))];
+  for (const name of names) {
+    if (names.length > 1) {
+      console.log(chalk.blue(`\n🗄️  ${name || 'Unnamed comparison'}`));
+    }
+    printHistory(analyzeHistory(runs.filter(run => run.name === name), { baseline }));
+  }
+}
+
+// Write the requested report formats and log where they went
+function writeReportFiles(result, formats, settings, options) {
+  if (formats.length === 0) {
+    return {};
+  }
+
+  const reportFiles = writeReports(redactValue(result), formats, settings.reportFile || DEFAULT_REPORT_FILE, options);
+  Object.entries(reportFiles).forEach(([format, filePath]) => {
+    console.log(chalk.blue(`📄 ${REPORT_FORMATS[format].label} report written to ${filePath}`));
+  });
+  return reportFiles;
+}
+
+// Export one source as a JSON snapshot
+async function runSnapshot(spec, outputFile) {
+  const source = await openSource(spec, 'source');
+  try {
+    return await writeSnapshot(source, outputFile);
+  } finally {
+    await source.end();
+  }
+}
+
+// A failed or unverified apply is a real failure, unlike schema differences
+function getApplyFailure(result) {
+  if (!result.apply || !['failed', 'unverified'].includes(result.apply.status)) {
+    return null;
+  }
+
+  return result.apply.status === 'failed'
+    ? `Applying migration failed: ${result.apply.failed.error}`
+    : 'Main database is still out of sync after applying the migration';
+}
+
+module.exports = {
+  APPLY_MODES,
+  PR_COMMENT_SQL_MODES,
+  createCheckerOptions,
+  setupRedaction,
+  runCompare,
+  writeReportFiles,
+  runSnapshot,
+  runHistoryReport,
+  getApplyFailure
+};
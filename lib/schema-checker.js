@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { openSource } = require('./sources');
+const DatabaseSource = require('./database-source');
+const { compareSchemas, hasDifferences } = require('./compare');
+const { MigrationGenerator } = require('./migration-generator');
+const { probeMigrationRisks } = require('./risk');
+const { printReport } = require('./reporters/console');
+const { formatActionsSummary, formatPRComment } = require('./reporters/markdown');
+const { redact } = require('./redact');
+
+// Change types that can be allowed in apply mode, and the result categories they cover
+const CHANGE_TYPES = {
+  'create-table': ['missingTables'],
+  'rename-table': ['renamedTables'],
+  'add-column': ['missingColumns'],
+  'modify-column': ['differentColumns'],
+  'rename-column': ['renamedColumns'],
+  'table-options': ['differentTableOptions'],
+  'add-index': ['missingIndexes'],
+  'modify-index': ['differentIndexes'],
+  'rename-index': ['renamedIndexes'],
+  'add-foreign-key': ['missingForeignKeys'],
+  'modify-foreign-key': ['differentForeignKeys'],
+  'create-object': ['missingObjects'],
+  'replace-object': ['differentObjects'],
+  'drop': ['extraTables', 'extraColumns', 'extraIndexes', 'extraForeignKeys', 'extraObjects'],
+  'insert-rows': ['missingRows'],
+  'update-rows': ['differentRows'],
+  'delete-rows': ['extraRows']
+};
+
+// A rename that is not allowed leaves the dev object missing in main, so after an apply it still
+// counts as pending where adding that object is allowed
+const RENAME_FALLBACKS = {
+  renamedTables: 'create-table',
+  renamedColumns: 'add-column',
+  renamedIndexes: 'add-index'
+};
+
+const CHANGE_TYPE_PRESETS = {
+  additive: ['create-table', 'add-column', 'add-index', 'add-foreign-key', 'create-object'],
+  all: Object.keys(CHANGE_TYPES)
+};
+
+// Parse a comma separated list of change types and presets, e.g. 'additive, modify-column'
+function parseChangeTypes(value) {
+  const types = new Set();
+
+  value.split(',').map(type => type.trim()).filter(Boolean).forEach(type => {
+    if (CHANGE_TYPE_PRESETS[type]) {
+      CHANGE_TYPE_PRESETS[type].forEach(preset => types.add(preset));
+    } else if (CHANGE_TYPES[type]) {
+      types.add(type);
+    } else {
+      throw new Error(`Unknown change type '${type}'. Valid values: ${[...Object.keys(CHANGE_TYPE_PRESETS), ...Object.keys(CHANGE_TYPES)].join(', ')}`);
+    }
+  });
+
+  return [...types];
+}
+
+class SchemaChecker {
+  constructor(options = {}) {
+    this.mainDb = null;
+    this.devDb = null;
+    this.capturedOutput = [];
+    // Time spent per phase in ms, see checkAndReport
+    this.timings = {};
+    this.options = {
+      // Emit DROP statements for objects that only exist in main (destructive)
+      generateDropStatements: false,
+      // AUTO_INCREMENT counters are ignored unless explicitly enabled
+      compareAutoIncrement: false,
+      // 'off', 'dry-run' or 'apply' (runs the migration against main)
+      applyMode: 'off',
+      // Change types that apply mode is allowed to run
+      allowedChanges: CHANGE_TYPE_PRESETS.additive,
+      // Count the rows that risky statements would affect, with read-only queries on main
+      riskProbes: false,
+      // 'off', 'gh-ost' or 'pt-osc': large tables of main get an online schema change command
+      onlineSchemaChange: 'off',
+      // Report tables and columns that look renamed, with a confidence, instead of dropping and re-adding them
+      detectRenames: true,
+      ...options
+    };
+  }
+
+  // Override console.log temporarily to capture all output
+  setupOutputCapture() {
+    this.capturedOutput = [];
+    
+    // Store original console methods
+    this.originalConsole = {
+      log: console.log,
+      error: console.error,
+      warn: console.warn,
+      info: console.info
+    };
+    
+    // Override console methods to capture all output
+    const captureOutput = (type, originalMethod) => {
+      return (...args) => {
+        // Convert arguments to strings, handling chalk colors. Secrets are masked (see redact).
+        const message = redact(args.map(arg => {
+          if (typeof arg === 'string') {
+            // Strip ANSI color codes for clean summary output
+            return arg.replace(/\x1b\[[0-9;]*m/g, '');
+          }
+          return JSON.stringify(arg);
+        }).join(' '));
+        
+        this.capturedOutput.push({ type, message, timestamp: new Date().toISOString() });
+        originalMethod.apply(console, args);
+      };
+    };
+    
+    console.log = captureOutput('log', this.originalConsole.log);
+    console.error = captureOutput('error', this.originalConsole.error);
+    console.warn = captureOutput('warn', this.originalConsole.warn);
+    console.info = captureOutput('info', this.originalConsole.info);
+  }
+
+  restoreConsoleLog() {
+    // Restore all original console methods
+    console.log = this.originalConsole.log;
+    console.error = this.originalConsole.error;
+    console.warn = this.originalConsole.warn;
+    console.info = this.originalConsole.info;
+  }
+
+  // Generate GitHub Actions step summary with full console output
+  generateActionsSummary(result) {
+    return formatActionsSummary(result, this.capturedOutput);
+  }
+
+  // Generate detailed PR comment with SQL commands
+  async generatePRComment(result) {
+    return formatPRComment(result, this.options);
+  }
+
+  // main and dev are source specs, see openSource()
+  async connect(main, dev) {
+    if (this.options.applyMode === 'apply') {
+      console.log(chalk.blue('🚀 Connecting to databases (apply mode: main database will be modified)...\n'));
+    } else {
+      console.log(chalk.blue('🚀 Connecting to databases (read-only)...\n'));
+    }
+    
+    // Both sides at once. A side that opened is kept even if the other fails, so disconnect() closes it.
+    // Only main in apply mode is writable, every other database connection is a read-only session.
+    const startedAt = Date.now();
+    const [mainDb, devDb] = await Promise.allSettled([
+      openSource(main, 'main', { readOnly: this.options.applyMode !== 'apply' }),
+      openSource(dev, 'dev')
+    ]);
+    this.mainDb = mainDb.value || null;
+    this.mainSpec = main;
+    this.devDb = devDb.value || null;
+
+    const failed = [mainDb, devDb].find(outcome => outcome.status === 'rejected');
+    if (failed) {
+      throw failed.reason;
+    }
+
+    this.timings = { connect: Date.now() - startedAt };
+    console.log(chalk.green('✅ Connected to both schemas\n'));
+  }
+
+  async disconnect() {
+    if (this.mainDb) await this.mainDb.end();
+    if (this.devDb) await this.devDb.end();
+  }
+
+  migrationGenerator() {
+    return new MigrationGenerator(this.options);
+  }
+
+  // Migration for main as a list of { section, sql, notes, compound, operations, risk, size, tool, command } statements
+  generateMigrationStatements(result) {
+    return this.migrationGenerator().generateMigrationStatements(result);
+  }
+
+  // Complete migration script for main, as an array of lines
+  generateMigration(result) {
+    return this.migrationGenerator().generateMigration(result);
+  }
+
+  // Copy of the result that only keeps the differences covered by the given change types
+  filterResultByChangeTypes(result, changeTypes) {
+    const filtered = { ...result };
+
+    for (const [type, keys] of Object.entries(CHANGE_TYPES)) {
+      if (!changeTypes.includes(type)) {
+        keys.forEach(key => { filtered[key] = []; });
+      }
+    }
+
+    filtered.isInSync = !hasDifferences(filtered);
+    return filtered;
+  }
+
+  // Run the allowed part of the migration against main, one statement at a time, stopping at the
+  // first error. In dry-run mode the statements are only printed. After a real apply the comparison
+  // is run again to verify that main is now in sync for the allowed change types.
+  async applyMigration(result) {
+    const dryRun = this.options.applyMode === 'dry-run';
+    // DROP and DELETE statements are only generated when generateDropStatements is enabled
+    const allowedChanges = this.options.allowedChanges
+      .filter(type => !['drop', 'delete-rows'].includes(type) || this.options.generateDropStatements);
+    const skippedChanges = Object.keys(CHANGE_TYPES)
+      .filter(type => !allowedChanges.includes(type) && CHANGE_TYPES[type].some(key => result[key]?.length > 0));
+
+    const statements = this.migrationGenerator().generateMigrationStatements(this.filterResultByChangeTypes(result, allowedChanges));
+    const applyResult = { status: dryRun ? 'dry-run' : 'applied', statements, applied: [], failed: null, skippedChanges, onlineSchemaChanges: [], verification: null };
+
+    console.log(chalk.blue(dryRun ? '\n🧪 DRY RUN: statements that would be applied to main:\n' : '\n🚀 APPLYING MIGRATION TO MAIN DATABASE:\n'));
+
+    if (skippedChanges.length > 0) {
+      console.log(chalk.yellow(`⏭️  Skipping change types that are not allowed: ${skippedChanges.join(', ')}\n`));
+    }
+
+    if (statements.length === 0) {
+      console.log(chalk.gray('No allowed statements to apply'));
+    }
+
+    for (const [i, statement] of statements.entries()) {
+      const label = `[${i + 1}/${statements.length}]`;
+
+      // Online schema changes run outside this connection, see the migration for the command
+      if (statement.command) {
+        console.log(chalk.yellow(`${label} ⏭️  ${statement.operations[0].table}: large table, run the ${statement.tool} command instead`));
+        if (dryRun) console.log(chalk.white(statement.command));
+        applyResult.onlineSchemaChanges.push(statement);
+        continue;
+      }
+
+      if (dryRun) {
+        console.log(chalk.gray(`${label} ${statement.section}`));
+        if (statement.risk && statement.risk.level !== 'safe') {
+          console.log(chalk.yellow(`Risk: ${statement.risk.level}${statement.risk.algorithm ? ` (ALGORITHM=${statement.risk.algorithm})` : ''}`));
+        }
+        console.log(chalk.white(statement.sql));
+        continue;
+      }
+
+      console.log(chalk.gray(`${label} ${statement.sql.split('\n')[0]}`));
+      const startedAt = Date.now();
+
+      try {
+        await this.mainDb.query(statement.sql);
+      } catch (error) {
+        console.log(chalk.red(`  ❌ Failed: ${error.message}`));
+        console.log(chalk.red(`  Stopped: ${statements.length - i - 1} remaining statements were not applied`));
+        applyResult.status = 'failed';
+        applyResult.failed = { statement, error: error.message };
+        return applyResult;
+      }
+
+      applyResult.applied.push(statement);
+      console.log(chalk.green(`  ✅ Done in ${Date.now() - startedAt} ms`));
+    }
+
+    if (dryRun) {
+      return applyResult;
+    }
+
+    console.log(chalk.blue('\n🔁 Verifying main database after apply...\n'));
+    applyResult.verification = await this.checkAndReport();
+
+    // Tables left to an online schema change are expected to still differ
+    const onlineTables = new Set(applyResult.onlineSchemaChanges.map(statement => statement.operations[0].table));
+    const allowedCategories = allowedChanges.flatMap(type => CHANGE_TYPES[type]);
+    const pending = applyResult.verification.changes
+      .filter(change => allowedCategories.includes(change.category) || allowedChanges.includes(RENAME_FALLBACKS[change.category]))
+      .filter(change => !onlineTables.has(change.table || change.name));
+
+    if (pending.length > 0) {
+      console.log(chalk.red('\n❌ Main database still has differences that should have been applied'));
+      pending.forEach(change => console.log(chalk.red(`  ${change.id}`)));
+      applyResult.status = 'unverified';
+    } else {
+      console.log(chalk.green('\n✅ Verified: all allowed changes are applied'));
+    }
+
+    return applyResult;
+  }
+
+  writeMigrationFile(result, filePath) {
+    const resolvedPath = path.resolve(filePath);
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+    fs.writeFileSync(resolvedPath, result.migration.join('\n') + '\n');
+    return resolvedPath;
+  }
+
+  hasDifferences(result) {
+    return hasDifferences(result);
+  }
+
+  // Sizes of main's tables and its connection, for the online schema change commands
+  async addTableSizes(result) {
+    if (!(this.mainDb instanceof DatabaseSource)) {
+      console.log(chalk.yellow('⚠️  Online schema changes need table sizes from a live main database, skipped\n'));
+      return;
+    }
+
+    const { host, port, user, database } = this.mainSpec;
+    result.tableSizes = await this.mainDb.getTableSizes();
+    result.mainConnection = { host, port, user, database };
+  }
+
+  // Compare dev (desired state) with main, print the report and attach the migration script.
+  // result.timings adds the connect and migration phases to those of compareSchemas.
+  async checkAndReport() {
+    console.log(chalk.blue('🔍 Comparing dev and main databases in both directions...\n'));
+
+    const result = await compareSchemas(this.devDb, this.mainDb, this.options);
+    const migrationStartedAt = Date.now();
+
+    if (this.options.onlineSchemaChange !== 'off' && !result.isInSync) {
+      await this.addTableSizes(result);
+    }
+
+    if (this.options.riskProbes && !result.isInSync) {
+      if (this.mainDb instanceof DatabaseSource) {
+        console.log(chalk.blue('🔎 Probing main for rows affected by risky statements...\n'));
+        result.riskProbes = await probeMigrationRisks(this.generateMigrationStatements(result), this.mainDb);
+      } else {
+        console.log(chalk.yellow('⚠️  Risk probes need a live main database, skipped\n'));
+      }
+    }
+
+    result.migration = this.generateMigration(result);
+    result.risks = this.migrationGenerator().assessRisks(result);
+    result.onlineSchemaChanges = this.migrationGenerator().getOnlineSchemaChanges(result);
+    result.timings = { connect: this.timings.connect ?? null, ...result.timings, migration: Date.now() - migrationStartedAt };
+
+    printReport(result, result.migration);
+
+    return result;
+  }
+}
+
+module.exports = {
+  SchemaChecker,
+  CHANGE_TYPES,
+  CHANGE_TYPE_PRESETS,
+  parseChangeTypes
+};
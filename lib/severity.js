@@ -0,0 +1,180 @@
+const { ConfigError } = require('./config');
+const { compilePattern } = require('./filters');
+
+// Severity of each difference, configurable overrides, and the fail-on policy that decides
+// whether differences fail the run.
+
+const SEVERITIES = ['info', 'warning', 'error'];
+
+// Default severity of each changed attribute; a change takes the highest severity of its attributes
+const ATTRIBUTE_SEVERITY = {
+  column: {
+    type: 'error',
+    nullable: 'error',
+    default: 'warning',
+    extra: 'warning',
+    charset: 'warning',
+    collation: 'warning',
+    comment: 'info',
+    generated: 'warning'
+  },
+  'table-options': {
+    engine: 'warning',
+    collation: 'warning',
+    rowFormat: 'info',
+    comment: 'info',
+    autoIncrement: 'info',
+    partitioning: 'warning'
+  },
+  index: {
+    columns: 'warning',
+    unique: 'error',
+    type: 'warning',
+    visible: 'info'
+  },
+  'foreign-key': {
+    columns: 'warning',
+    references: 'warning',
+    onDelete: 'warning',
+    onUpdate: 'warning'
+  },
+  // Reference data rows with other values in main
+  row: {
+    values: 'warning'
+  }
+};
+
+// Severity of changes that add or remove a whole object. Detected renames are a guess, so only renames
+// confirmed by a rename hint get the 'renamed' severity; the others keep the one of 'missing'.
+const KIND_SEVERITY = {
+  missing: 'error',
+  extra: 'warning',
+  renamed: 'info'
+};
+
+const OBJECT_TYPES = ['table', 'table-options', 'column', 'index', 'foreign-key', 'function', 'procedure', 'view', 'trigger', 'event', 'row'];
+const CHANGE_KINDS = ['missing', 'different', 'extra', 'renamed'];
+
+// Which differences fail the run: error (errors only), warning (warnings and errors), any or none
+const FAIL_ON = ['error', 'warning', 'any', 'none'];
+
+function highestSeverity(severities) {
+  return severities.reduce((highest, severity) =>
+    SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(highest) ? severity : highest, 'info');
+}
+
+// Severity overrides, as an object or a list of { rule, severity }. A rule is one of
+//   <objectType>.<attribute>    a changed attribute, e.g. column.default or table-options.engine
+//   <objectType>:<kind>         a kind of change, e.g. table:extra or index:renamed
+//   <objectType>:<path>:<kind>  change ids, with globs or /regex/, e.g. column:audit_*.*:extra
+// Returns { attributes, kinds, changes } for classifyChange.
+function compileSeverityRules(overrides = {}) {
+  const entries = Array.isArray(overrides)
+    ? overrides.map(entry => [entry.rule, entry.severity])
+    : Object.entries(overrides || {});
+  const rules = { attributes: {}, kinds: {}, changes: [] };
+
+  for (const [rule, severity] of entries) {
+    if (!SEVERITIES.includes(severity)) {
+      throw new ConfigError(`Invalid severity '${severity}' for '${rule}'. Valid severities: ${SEVERITIES.join(', ')}`);
+    }
+
+    const parts = String(rule).split(':');
+
+    if (parts.length === 1) {
+      const [objectType, attribute] = [rule.slice(0, rule.lastIndexOf('.')), rule.slice(rule.lastIndexOf('.') + 1)];
+      if (!ATTRIBUTE_SEVERITY[objectType] || !ATTRIBUTE_SEVERITY[objectType][attribute]) {
+        throw new ConfigError(`Unknown severity rule '${rule}'. Attribute rules look like column.default; known attributes: ${
+          Object.entries(ATTRIBUTE_SEVERITY).flatMap(([type, attributes]) => Object.keys(attributes).map(name => `${type}.${name}`)).join(', ')}`);
+      }
+      rules.attributes[objectType] = { ...rules.attributes[objectType], [attribute]: severity };
+    } else if (parts.length === 2) {
+      const [objectType, kind] = parts;
+      if (!OBJECT_TYPES.includes(objectType) || !CHANGE_KINDS.includes(kind)) {
+        throw new ConfigError(`Unknown severity rule '${rule}'. Kind rules look like table:extra (object types: ${OBJECT_TYPES.join(', ')}; kinds: ${CHANGE_KINDS.join(', ')})`);
+      }
+      rules.kinds[`${objectType}:${kind}`] = severity;
+    } else {
+      rules.changes.push({ pattern: compilePattern(rule), severity });
+    }
+  }
+
+  return rules;
+}
+
+// Severity of a change: a matching change id rule wins, then a kind rule, then the (overridden) attribute severities
+function classifyChange({ id, objectType, kind, attributes = [], confirmed = false }, rules = compileSeverityRules()) {
+  const changeRule = [...rules.changes].reverse().find(({ pattern }) => pattern.test(id));
+  if (changeRule) return changeRule.severity;
+
+  const kindRule = rules.kinds[`${objectType}:${kind}`];
+  if (kindRule) return kindRule;
+
+  const kindSeverity = kind === 'renamed' && !confirmed ? KIND_SEVERITY.missing : KIND_SEVERITY[kind];
+  if (kind !== 'different' && attributes.length === 0) return kindSeverity;
+
+  // A renamed column can also change its definition (confirmed renames)
+  const severityOf = attribute =>
+    (rules.attributes[objectType] || {})[attribute] || (ATTRIBUTE_SEVERITY[objectType] || {})[attribute] || 'warning';
+  return highestSeverity([...attributes.map(severityOf), ...(kind === 'different' ? [] : [kindSeverity])]);
+}
+
+// Overrides from a flag or action input: "rule=severity" or "rule: severity" items, comma or newline separated
+function parseSeverityOverrides(value) {
+  if (!value) return {};
+  if (typeof value !== 'string') return value;
+
+  const overrides = {};
+  for (const item of value.split(/[,\n]/).map(part => part.trim()).filter(Boolean)) {
+    const match = /^(.+?)\s*(?:=|:\s)\s*(\w+)$/.exec(item);
+    if (!match) {
+      throw new ConfigError(`Invalid severity override '${item}'. Expected rule=severity, e.g. column.default=error`);
+    }
+    overrides[match[1]] = match[2];
+  }
+  return overrides;
+}
+
+// Changes with the severity from the overrides
+function applySeverityOverrides(changes, overrides) {
+  if (!overrides || Object.keys(overrides).length === 0) return changes;
+
+  const rules = compileSeverityRules(overrides);
+  return changes.map(change => ({ ...change, severity: classifyChange(change, rules) }));
+}
+
+function parseFailOn(value) {
+  const failOn = value || 'none';
+  if (!FAIL_ON.includes(failOn)) {
+    throw new ConfigError(`Invalid fail-on '${failOn}'. Valid values: ${FAIL_ON.join(', ')}`);
+  }
+  return failOn;
+}
+
+// Changes that fail the run under the fail-on policy
+function getFailingChanges(changes, failOn) {
+  if (failOn === 'none') return [];
+  if (failOn === 'any') return changes;
+
+  const threshold = SEVERITIES.indexOf(failOn);
+  return changes.filter(change => SEVERITIES.indexOf(change.severity) >= threshold);
+}
+
+function countSeverities(changes) {
+  return Object.fromEntries(SEVERITIES.map(severity => [severity, changes.filter(change => change.severity === severity).length]));
+}
+
+module.exports = {
+  SEVERITIES,
+  ATTRIBUTE_SEVERITY,
+  KIND_SEVERITY,
+  FAIL_ON,
+  highestSeverity,
+  compileSeverityRules,
+  classifyChange,
+  parseSeverityOverrides,
+  applySeverityOverrides,
+  parseFailOn,
+  getFailingChanges,
+  countSeverities
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { validateSnapshot } = require('./snapshot');
+const { normalizeDefinition } = require('./sql-utils');
+
+// Schema source backed by a JSON snapshot written by writeSnapshot(). Read-only, no connection needed.
+class SnapshotSource {
+  constructor(snapshot, filePath = null) {
+    this.filePath = filePath;
+    this.snapshot = validateSnapshot(snapshot, filePath || 'snapshot');
+  }
+
+  static load(filePath) {
+    const resolved = path.resolve(filePath);
+
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Snapshot file not found: ${filePath}`);
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse snapshot ${filePath}: ${error.message}`);
+    }
+
+    return new SnapshotSource(snapshot, filePath);
+  }
+
+  async query() {
+    throw new Error(`Cannot run statements against snapshot ${this.filePath || ''}`.trim());
+  }
+
+  async end() {}
+
+  // Only stored by snapshots written since the server version is recorded
+  async getServerVersion() {
+    return this.snapshot.server || null;
+  }
+
+  getTable(tableName) {
+    const table = this.snapshot.tables[tableName];
+    if (!table) {
+      throw new Error(`Table ${tableName} is not in snapshot ${this.filePath || ''}`.trim());
+    }
+    return table;
+  }
+
+  async getTables() {
+    return Object.keys(this.snapshot.tables).sort();
+  }
+
+  async getCreateTableStatement(tableName) {
+    return this.getTable(tableName).createStatement;
+  }
+
+  async getTableColumns(tableName) {
+    return this.getTable(tableName).columns.map(column => ({ ...column }));
+  }
+
+  async getTableOptions(tableName) {
+    // AUTO_INCREMENT is not part of snapshots
+    return { ...this.getTable(tableName).options, autoIncrement: null };
+  }
+
+  async getTableIndexes(tableName) {
+    return this.getTable(tableName).indexes.map(index => ({
+      ...index,
+      columns: [...index.columns],
+      parts: index.parts.map(part => ({ ...part })),
+      table: tableName
+    }));
+  }
+
+  async getTableForeignKeys(tableName) {
+    return this.getTable(tableName).foreignKeys.map(foreignKey => ({ ...foreignKey, table: tableName }));
+  }
+
+  async getSchemaName() {
+    return this.snapshot.schema;
+  }
+
+  async getSchemaObjects() {
+    return this.snapshot.objects.map(object => ({
+      ...object,
+      definition: normalizeDefinition(object.createStatement)
+    }));
+  }
+
+  async getCreateObjectStatement(type, name) {
+    const object = this.snapshot.objects.find(candidate => candidate.type === type && candidate.name === name);
+    return object ? object.createStatement : '';
+  }
+}
+
+module.exports = SnapshotSource;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned JSON snapshot of a schema, so schemas can be stored in git and compared offline.
+// Bump SNAPSHOT_VERSION whenever the shape below changes in a way older readers cannot handle.
+const SNAPSHOT_FORMAT = 'mysql-schema-compare/snapshot';
+const SNAPSHOT_VERSION = 1;
+
+// Only the fields the comparison uses are stored, so snapshots stay stable between runs.
+// AUTO_INCREMENT counters are left out on purpose: they change with every insert.
+const COLUMN_FIELDS = ['name', 'type', 'nullable', 'defaultValue', 'extra', 'charset', 'collation', 'comment', 'generationExpression'];
+const OPTION_FIELDS = ['engine', 'collation', 'rowFormat', 'comment', 'partitioning', 'partitionClause'];
+const INDEX_FIELDS = ['name', 'columns', 'parts', 'unique', 'primary', 'type', 'visible'];
+const FOREIGN_KEY_FIELDS = ['name', 'columns', 'referencedSchema', 'referencedTable', 'referencedColumns', 'onUpdate', 'onDelete'];
+
+function pick(object, fields) {
+  const picked = {};
+  fields.forEach(field => {
+    picked[field] = object[field] === undefined ? null : object[field];
+  });
+  return picked;
+}
+
+// Read everything the checker compares from a schema source (DatabaseSource, SqlFileSource, ...)
+async function createSnapshot(source) {
+  const snapshot = {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    schema: await source.getSchemaName(),
+    // Used to normalise the snapshot when it is compared with another server version
+    server: typeof source.getServerVersion === 'function' ? await source.getServerVersion() : null,
+    tables: {},
+    objects: []
+  };
+
+  for (const table of await source.getTables()) {
+    snapshot.tables[table] = {
+      createStatement: (await source.getCreateTableStatement(table)).replace(/ AUTO_INCREMENT=\d+/i, ''),
+      options: pick(await source.getTableOptions(table), OPTION_FIELDS),
+      columns: (await source.getTableColumns(table)).map(column => pick(column, COLUMN_FIELDS)),
+      indexes: (await source.getTableIndexes(table)).map(index => pick(index, INDEX_FIELDS)),
+      foreignKeys: (await source.getTableForeignKeys(table)).map(foreignKey => pick(foreignKey, FOREIGN_KEY_FIELDS))
+    };
+  }
+
+  snapshot.objects = (await source.getSchemaObjects()).map(object => pick(object, ['type', 'name', 'createStatement']));
+
+  return snapshot;
+}
+
+async function writeSnapshot(source, filePath) {
+  const snapshot = await createSnapshot(source);
+  const resolvedPath = path.resolve(filePath);
+  fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+  fs.writeFileSync(resolvedPath, JSON.stringify(snapshot, null, 2) + '\n');
+  return resolvedPath;
+}
+
+// Check that parsed JSON is a snapshot this version can read
+function validateSnapshot(snapshot, filePath = 'snapshot') {
+  if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+    throw new Error(`${filePath} is not a schema snapshot (expected format '${SNAPSHOT_FORMAT}')`);
+  }
+
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+    throw new Error(`${filePath} has an invalid snapshot version: ${snapshot.version}`);
+  }
+
+  if (snapshot.version > SNAPSHOT_VERSION) {
+    throw new Error(`${filePath} uses snapshot version ${snapshot.version}, but this version of the action only reads up to version ${SNAPSHOT_VERSION}. Please upgrade.`);
+  }
+
+  if (!snapshot.tables || typeof snapshot.tables !== 'object' || !Array.isArray(snapshot.objects)) {
+    throw new Error(`${filePath} is missing its tables or objects`);
+  }
+
+  return snapshot;
+}
+
+module.exports = {
+  SNAPSHOT_FORMAT,
+  SNAPSHOT_VERSION,
+  createSnapshot,
+  writeSnapshot,
+  validateSnapshot
+};
@@ -0,0 +1,50 @@
+const chalk = require('chalk');
+const { connectDatabase } = require('./connection');
+const SqlFileSource = require('./sql-file-source');
+const SnapshotSource = require('./snapshot-source');
+
+// A source spec describes where one side of the comparison comes from:
+//   { type: 'database', host, port, user, password, database, ssl }   ssl is false, true or { ca, cert, key, ... }
+//                                                                      more connection options: see connectDatabase
+//   { type: 'schema-file', path }                                      .sql file or directory
+//   { type: 'snapshot', path }                                         JSON snapshot
+// Databases are opened read-only unless `readOnly` is false (only main in apply mode).
+async function openSource(spec, label, { readOnly = true } = {}) {
+  if (spec.type === 'snapshot') {
+    console.log(chalk.gray(`📸 Reading ${label} schema from snapshot ${spec.path}`));
+    return SnapshotSource.load(spec.path);
+  }
+
+  if (spec.type === 'schema-file') {
+    console.log(chalk.gray(`📄 Reading ${label} schema from ${spec.path}`));
+    const source = SqlFileSource.load(spec.path);
+    source.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning}`)));
+    return source;
+  }
+
+  if (spec.type !== 'database') {
+    throw new Error(`Unknown source type '${spec.type}' for ${label}`);
+  }
+
+  return connectDatabase(spec, { label, readOnly });
+}
+
+// Names of the user schemas on the server of a database spec (its database is ignored)
+async function listSchemas(spec) {
+  const source = await connectDatabase({ ...spec, database: undefined }, { label: spec.host || spec.socketPath });
+  try {
+    return await source.getSchemaNames();
+  } finally {
+    await source.end();
+  }
+}
+
+function isLiveSource(spec) {
+  return spec.type === 'database';
+}
+
+module.exports = {
+  openSource,
+  isLiveSource,
+  listSchemas
+};
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSchema } = require('./sql-parser');
+const { stripDefinerAndSchema, normalizeDefinition } = require('./sql-utils');
+const { parseServerVersion } = require('./dialect');
+
+// Order in which schema objects are reported, matching DatabaseSource.getSchemaObjects
+const OBJECT_ORDER = ['FUNCTION', 'PROCEDURE', 'VIEW', 'TRIGGER', 'EVENT'];
+
+// Schema source backed by SQL files (e.g. mysqldump --no-data output or a schema.sql in the repository).
+// Provides the same introspection methods as DatabaseSource, but is read-only.
+class SqlFileSource {
+  constructor(sql, filePath = null) {
+    this.filePath = filePath;
+    // mysqldump and mariadb-dump write the server version into the header. It decides the default
+    // character set and collations of tables and columns that do not declare them.
+    this.serverVersion = (/^--\s*Server version:?\s+(\S+)/mi.exec(sql) || [])[1] || null;
+    this.schema = parseSchema(sql, { server: parseServerVersion(this.serverVersion) });
+    this.warnings = this.schema.warnings;
+  }
+
+  // A single file, or a directory whose *.sql files are read in name order
+  static load(filePath) {
+    const resolved = path.resolve(filePath);
+
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Schema file not found: ${filePath}`);
+    }
+
+    if (fs.statSync(resolved).isDirectory()) {
+      const files = fs.readdirSync(resolved)
+        .filter(file => file.toLowerCase().endsWith('.sql'))
+        .sort();
+
+      if (files.length === 0) {
+        throw new Error(`No .sql files found in ${filePath}`);
+      }
+
+      const sql = files.map(file => fs.readFileSync(path.join(resolved, file), 'utf8')).join('\n;\n');
+      return new SqlFileSource(sql, filePath);
+    }
+
+    return new SqlFileSource(fs.readFileSync(resolved, 'utf8'), filePath);
+  }
+
+  async query() {
+    throw new Error(`Cannot run statements against schema file ${this.filePath || ''}`.trim());
+  }
+
+  async end() {}
+
+  async getServerVersion() {
+    return this.serverVersion;
+  }
+
+  getTable(tableName) {
+    const table = this.schema.tables.get(tableName);
+    if (!table) {
+      throw new Error(`Table ${tableName} is not defined in schema file ${this.filePath || ''}`.trim());
+    }
+    return table;
+  }
+
+  async getTables() {
+    return [...this.schema.tables.keys()].sort();
+  }
+
+  async getCreateTableStatement(tableName) {
+    return this.getTable(tableName).createStatement;
+  }
+
+  async getTableColumns(tableName) {
+    return this.getTable(tableName).columns.map(column => ({ ...column }));
+  }
+
+  async getTableOptions(tableName) {
+    return { ...this.getTable(tableName).options };
+  }
+
+  async getTableIndexes(tableName) {
+    return this.getTable(tableName).indexes.map(index => ({ ...index, columns: [...index.columns], parts: index.parts.map(part => ({ ...part })) }));
+  }
+
+  async getTableForeignKeys(tableName) {
+    return this.getTable(tableName).foreignKeys.map(foreignKey => ({ ...foreignKey }));
+  }
+
+  async getSchemaName() {
+    return this.schema.schemaName;
+  }
+
+  async getSchemaObjects() {
+    const schemaName = await this.getSchemaName();
+    const objects = [...this.schema.objects.values()];
+
+    // Triggers keep their file order (it determines their firing order); everything else is sorted by name
+    const sorted = OBJECT_ORDER.flatMap(type => {
+      const ofType = objects.filter(object => object.type === type);
+      return type === 'TRIGGER' ? ofType : ofType.sort((a, b) => a.name.localeCompare(b.name));
+    });
+
+    return sorted.map(object => {
+      const createStatement = stripDefinerAndSchema(object.createStatement, schemaName);
+      return {
+        type: object.type,
+        name: object.name,
+        createStatement,
+        definition: normalizeDefinition(createStatement)
+      };
+    });
+  }
+
+  async getCreateObjectStatement(type, name) {
+    const object = this.schema.objects.get(`${type}:${name}`);
+    return object ? object.createStatement : '';
+  }
+}
+
+module.exports = SqlFileSource;
@@ -0,0 +1,1037 @@
+const { formatPartitioning, extractPartitionClause } = require('./sql-utils');
+const { isAtLeast } = require('./dialect');
+
+// Parses schema SQL (a mysqldump --no-data file or hand-written DDL) into the same
+// table, column, index and foreign key shapes that DatabaseSource reads from INFORMATION_SCHEMA
+
+const DEFAULT_COLLATIONS = {
+  utf8mb4: 'utf8mb4_0900_ai_ci',
+  utf8mb3: 'utf8mb3_general_ci',
+  utf8: 'utf8_general_ci',
+  latin1: 'latin1_swedish_ci',
+  latin2: 'latin2_general_ci',
+  ascii: 'ascii_general_ci',
+  binary: 'binary',
+  ucs2: 'ucs2_general_ci',
+  utf16: 'utf16_general_ci',
+  utf32: 'utf32_general_ci',
+  cp1251: 'cp1251_general_ci',
+  gbk: 'gbk_chinese_ci',
+  big5: 'big5_chinese_ci',
+  sjis: 'sjis_japanese_ci'
+};
+
+// Used when neither the column nor the table declares a character set (MySQL 8.0 server default)
+const SERVER_DEFAULT_CHARSET = 'utf8mb4';
+
+// Server defaults for what a dump leaves out: the character set of tables without one, and the
+// collation of each character set. MySQL 5.7 and MariaDB default to latin1, and to
+// utf8mb4_general_ci for utf8mb4 (utf8mb4_0900_ai_ci only exists in MySQL 8.0). Schema files
+// without a server version in the header are read with the MySQL 8.0 defaults.
+function getServerDefaults(server) {
+  if (isAtLeast(server, 'mysql', '8.0.0')) {
+    return { charset: SERVER_DEFAULT_CHARSET, collations: DEFAULT_COLLATIONS };
+  }
+  return { charset: 'latin1', collations: { ...DEFAULT_COLLATIONS, utf8mb4: 'utf8mb4_general_ci' } };
+}
+
+const ENGINE_NAMES = {
+  innodb: 'InnoDB',
+  myisam: 'MyISAM',
+  memory: 'MEMORY',
+  heap: 'MEMORY',
+  archive: 'ARCHIVE',
+  csv: 'CSV',
+  blackhole: 'BLACKHOLE',
+  federated: 'FEDERATED',
+  ndbcluster: 'ndbcluster'
+};
+
+const TYPE_ALIASES = {
+  integer: 'int',
+  int4: 'int',
+  int8: 'bigint',
+  int1: 'tinyint',
+  int2: 'smallint',
+  int3: 'mediumint',
+  middleint: 'mediumint',
+  dec: 'decimal',
+  numeric: 'decimal',
+  fixed: 'decimal',
+  real: 'double',
+  float8: 'double',
+  float4: 'float'
+};
+
+const INTEGER_TYPES = ['tinyint', 'smallint', 'mediumint', 'int', 'bigint'];
+const STRING_TYPES = ['char', 'varchar', 'tinytext', 'text', 'mediumtext', 'longtext', 'enum', 'set'];
+const SCHEMA_OBJECT_TYPES = ['VIEW', 'PROCEDURE', 'FUNCTION', 'TRIGGER', 'EVENT'];
+const TIMESTAMP_FUNCTION = /^(CURRENT_TIMESTAMP|NOW|LOCALTIME|LOCALTIMESTAMP)(\((\d*)\))?$/i;
+
+const STRING_ESCAPES = { 0: '\0', b: '\b', n: '\n', r: '\r', t: '\t', Z: '\x1a' };
+
+// Replace version comments (/*!50001 ... */) with their content, as the server would execute them
+function unwrapExecutableComments(sql) {
+  return sql.replace(/\/\*!\d*\s?([\s\S]*?)\s?\*\//g, '$1');
+}
+
+// Split a script into statements, honouring quotes, comments and DELIMITER commands
+function splitStatements(sql) {
+  const statements = [];
+  let delimiter = ';';
+  let current = '';
+  let i = 0;
+
+  const push = () => {
+    if (current.trim()) statements.push(current.trim());
+    current = '';
+  };
+
+  while (i < sql.length) {
+    // DELIMITER is a client command and only valid at the start of a statement
+    if (!current.trim()) {
+      const match = sql.slice(i).match(/^\s*DELIMITER[ \t]+(\S+)[^\n]*(\n|$)/i);
+      if (match) {
+        delimiter = match[1];
+        current = '';
+        i += match[0].length;
+        continue;
+      }
+    }
+
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (char === "'" || char === '"' || char === '`') {
+      let end = i + 1;
+      while (end < sql.length) {
+        if (sql[end] === '\\' && char !== '`') {
+          end += 2;
+        } else if (sql[end] === char && sql[end + 1] === char) {
+          end += 2;
+        } else if (sql[end] === char) {
+          break;
+        } else {
+          end++;
+        }
+      }
+      current += sql.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if ((char === '-' && next === '-' && /\s|^$/.test(sql[i + 2] || '')) || char === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      const comment = sql.slice(i, end === -1 ? sql.length : end + 2);
+      // Comments inside a statement are kept, since they are part of routine bodies
+      if (current.trim()) current += comment;
+      i += comment.length;
+      continue;
+    }
+
+    if (sql.startsWith(delimiter, i)) {
+      push();
+      i += delimiter.length;
+      continue;
+    }
+
+    current += char;
+    i++;
+  }
+
+  push();
+  return statements;
+}
+
+function unescapeString(body, quote) {
+  return body
+    .replace(new RegExp(quote + quote, 'g'), quote)
+    .replace(/\\(.)/g, (match, char) => {
+      if (STRING_ESCAPES[char] !== undefined) return STRING_ESCAPES[char];
+      // \% and \_ keep their backslash (they only matter in LIKE patterns)
+      if (char === '%' || char === '_') return match;
+      return char;
+    });
+}
+
+// Tokens keep their source offsets so that expressions can be copied back verbatim
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+    const rest = sql.slice(i);
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if ((char === '-' && rest.startsWith('--') && /\s|^$/.test(sql[i + 2] || '')) || char === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      continue;
+    }
+
+    if (rest.startsWith('/*')) {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    let match;
+    let token;
+
+    if (char === '`') {
+      let end = i + 1;
+      while (end < sql.length && !(sql[end] === '`' && sql[end + 1] !== '`')) {
+        end += sql[end] === '`' ? 2 : 1;
+      }
+      token = { type: 'identifier', value: sql.slice(i + 1, end).replace(/``/g, '`'), end: end + 1 };
+    } else if (char === "'" || char === '"') {
+      let end = i + 1;
+      while (end < sql.length) {
+        if (sql[end] === '\\' || (sql[end] === char && sql[end + 1] === char)) {
+          end += 2;
+        } else if (sql[end] === char) {
+          break;
+        } else {
+          end++;
+        }
+      }
+      token = { type: 'string', value: unescapeString(sql.slice(i + 1, end), char), end: end + 1 };
+    } else if ((match = rest.match(/^[bx]'[0-9a-f]*'/i))) {
+      token = { type: 'number', value: match[0], end: i + match[0].length };
+    } else if ((match = rest.match(/^(0x[0-9a-f]+|\d+(\.\d*)?(e[+-]?\d+)?|\.\d+(e[+-]?\d+)?)(?![a-z_$])/i))) {
+      token = { type: 'number', value: match[0], end: i + match[0].length };
+    } else if ((match = rest.match(/^[a-z0-9_$@]+/i))) {
+      token = { type: 'word', value: match[0], upper: match[0].toUpperCase(), end: i + match[0].length };
+    } else {
+      token = { type: 'punctuation', value: char, end: i + 1 };
+    }
+
+    token.start = i;
+    tokens.push(token);
+    i = token.end;
+  }
+
+  return tokens;
+}
+
+// Small cursor over a token list
+class TokenStream {
+  constructor(sql, tokens = tokenize(sql)) {
+    this.sql = sql;
+    this.tokens = tokens;
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  // Does the next token (or sequence of tokens) match the given keywords or punctuation?
+  is(...values) {
+    return values.every((value, offset) => {
+      const token = this.peek(offset);
+      if (!token) return false;
+      return token.type === 'word' ? token.upper === value : token.type === 'punctuation' && token.value === value;
+    });
+  }
+
+  accept(...values) {
+    if (!this.is(...values)) return false;
+    this.position += values.length;
+    return true;
+  }
+
+  expect(...values) {
+    if (!this.accept(...values)) {
+      const token = this.peek();
+      throw new Error(`Expected ${values.join(' ')} but found ${token ? `'${token.value}'` : 'end of statement'}`);
+    }
+  }
+
+  name() {
+    const token = this.next();
+    if (!token || !['identifier', 'word', 'string'].includes(token.type)) {
+      throw new Error(`Expected a name but found ${token ? `'${token.value}'` : 'end of statement'}`);
+    }
+    return token.value;
+  }
+
+  // Possibly schema-qualified name; returns { schema, name }
+  qualifiedName() {
+    const first = this.name();
+    if (this.accept('.')) {
+      return { schema: first, name: this.name() };
+    }
+    return { schema: null, name: first };
+  }
+
+  // Consume a parenthesised group and return the tokens between the parentheses
+  group() {
+    this.expect('(');
+    const start = this.position;
+    let depth = 1;
+    while (!this.done()) {
+      const token = this.next();
+      if (token.type !== 'punctuation') continue;
+      if (token.value === '(') depth++;
+      if (token.value === ')' && --depth === 0) {
+        return this.tokens.slice(start, this.position - 1);
+      }
+    }
+    throw new Error('Unbalanced parentheses');
+  }
+
+  // Source text of a token range
+  text(tokens) {
+    return tokens.length === 0 ? '' : this.sql.slice(tokens[0].start, tokens[tokens.length - 1].end);
+  }
+
+  // Everything up to the next comma (or end) at the current nesting level
+  untilComma() {
+    const start = this.position;
+    while (!this.done() && !this.is(',')) {
+      if (this.is('(')) this.group(); else this.next();
+    }
+    return this.tokens.slice(start, this.position);
+  }
+}
+
+// Split a token list on top-level commas
+function splitOnCommas(tokens) {
+  const parts = [[]];
+  let depth = 0;
+  tokens.forEach(token => {
+    if (token.type === 'punctuation' && token.value === '(') depth++;
+    if (token.type === 'punctuation' && token.value === ')') depth--;
+    if (depth === 0 && token.type === 'punctuation' && token.value === ',') {
+      parts.push([]);
+    } else {
+      parts[parts.length - 1].push(token);
+    }
+  });
+  return parts.filter(part => part.length > 0);
+}
+
+function defaultCollation(charset, defaults) {
+  return defaults.collations[charset] || `${charset}_general_ci`;
+}
+
+function charsetOfCollation(collation) {
+  return collation === 'binary' ? 'binary' : collation.split('_')[0];
+}
+
+function quoteValue(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+}
+
+// Data type as COLUMN_TYPE reports it (MySQL 8.0.19+ drops integer display widths)
+function parseDataType(stream) {
+  let base = stream.next().value.toLowerCase();
+  let args = null;
+
+  if (base === 'double' && stream.accept('PRECISION')) base = 'double';
+  if (base === 'character' || base === 'national') {
+    if (base === 'national') stream.next();
+    base = stream.accept('VARYING') ? 'varchar' : 'char';
+  }
+  base = TYPE_ALIASES[base] || base;
+
+  if (base === 'bool' || base === 'boolean') {
+    return { type: 'tinyint(1)', base: 'tinyint' };
+  }
+
+  if (stream.is('(')) {
+    const tokens = stream.group();
+    if (base === 'enum' || base === 'set') {
+      args = splitOnCommas(tokens).map(part => quoteValue(part[0].value)).join(',');
+    } else {
+      args = splitOnCommas(tokens).map(part => stream.text(part).replace(/\s+/g, '')).join(',');
+    }
+  }
+
+  stream.accept('SIGNED');
+  const unsigned = stream.accept('UNSIGNED');
+  const zerofill = stream.accept('ZEROFILL');
+
+  if (INTEGER_TYPES.includes(base) && !zerofill && !(base === 'tinyint' && args === '1')) {
+    args = null;
+  }
+  if (base === 'decimal' && !args) args = '10,0';
+  if (base === 'decimal' && !args.includes(',')) args += ',0';
+  if ((base === 'char' || base === 'binary' || base === 'bit') && !args) args = '1';
+  if (base === 'year') args = null;
+
+  let type = args ? `${base}(${args})` : base;
+  if (unsigned || zerofill) type += ' unsigned';
+  if (zerofill) type += ' zerofill';
+
+  return { type, base, args };
+}
+
+// Normalise a default value token sequence to what COLUMN_DEFAULT holds
+function parseDefault(stream, column) {
+  if (stream.is('(')) {
+    column.defaultValue = stream.text(stream.group());
+    column.defaultGenerated = true;
+    return;
+  }
+
+  let sign = '';
+  if (stream.is('-') || stream.is('+')) sign = stream.next().value === '-' ? '-' : '';
+
+  const token = stream.next();
+  if (token.type === 'word' && token.upper === 'NULL') {
+    column.defaultValue = null;
+    return;
+  }
+
+  if (token.type === 'word' && (token.upper === 'TRUE' || token.upper === 'FALSE')) {
+    column.defaultValue = token.upper === 'TRUE' ? '1' : '0';
+    return;
+  }
+
+  // String literals may be introduced with a character set (_utf8mb4'x')
+  if (token.type === 'word' && /^_/.test(token.value) && stream.peek() && stream.peek().type === 'string') {
+    column.defaultValue = stream.next().value;
+    return;
+  }
+
+  if (token.type === 'word') {
+    // CURRENT_TIMESTAMP, NOW(), LOCALTIME and friends, optionally with precision
+    let precision = '';
+    if (stream.is('(')) {
+      precision = stream.text(stream.group()).trim();
+    }
+    if (TIMESTAMP_FUNCTION.test(token.value)) {
+      column.defaultValue = precision ? `CURRENT_TIMESTAMP(${precision})` : 'CURRENT_TIMESTAMP';
+      column.defaultGenerated = true;
+      return;
+    }
+    column.defaultValue = token.value;
+    return;
+  }
+
+  let value = sign + token.value;
+
+  // DECIMAL defaults are stored with the column's scale
+  const decimal = column.type.match(/^decimal\(\d+,(\d+)\)/);
+  if (decimal && /^-?\d+(\.\d+)?$/.test(value)) {
+    value = Number(value).toFixed(Number(decimal[1]));
+  }
+
+  column.defaultValue = value;
+}
+
+function parseColumn(tokens, sql, table, defaults = getServerDefaults(null)) {
+  const stream = new TokenStream(sql, tokens);
+  const column = {
+    name: stream.name(),
+    type: null,
+    nullable: 'YES',
+    defaultValue: null,
+    extra: '',
+    charset: null,
+    collation: null,
+    comment: '',
+    generationExpression: null
+  };
+
+  const dataType = parseDataType(stream);
+  column.type = dataType.type;
+
+  let charset = null;
+  let collation = null;
+  let binary = false;
+  let onUpdate = null;
+  let autoIncrement = false;
+  let generated = null;
+  let invisible = false;
+
+  while (!stream.done()) {
+    if (stream.accept('NOT', 'NULL')) {
+      column.nullable = 'NO';
+    } else if (stream.accept('NULL')) {
+      column.nullable = 'YES';
+    } else if (stream.accept('DEFAULT')) {
+      parseDefault(stream, column);
+    } else if (stream.accept('AUTO_INCREMENT')) {
+      autoIncrement = true;
+    } else if (stream.accept('ON', 'UPDATE')) {
+      const token = stream.next();
+      const precision = stream.is('(') ? stream.text(stream.group()).trim() : '';
+      if (!TIMESTAMP_FUNCTION.test(token.value)) {
+        throw new Error(`Unsupported ON UPDATE value '${token.value}' for column ${column.name}`);
+      }
+      onUpdate = precision ? `CURRENT_TIMESTAMP(${precision})` : 'CURRENT_TIMESTAMP';
+    } else if (stream.accept('CHARACTER', 'SET') || stream.accept('CHARSET')) {
+      charset = stream.name().toLowerCase();
+    } else if (stream.accept('COLLATE')) {
+      collation = stream.name().toLowerCase();
+    } else if (stream.accept('BINARY')) {
+      binary = true;
+    } else if (stream.accept('COMMENT')) {
+      column.comment = stream.next().value;
+    } else if (stream.accept('GENERATED', 'ALWAYS', 'AS') || stream.accept('AS')) {
+      generated = { expression: stream.text(stream.group()), storage: 'VIRTUAL' };
+    } else if (generated && (stream.is('VIRTUAL') || stream.is('STORED'))) {
+      generated.storage = stream.next().upper;
+    } else if (stream.accept('PRIMARY', 'KEY') || stream.accept('KEY')) {
+      table.inlinePrimaryKey = table.inlinePrimaryKey || [];
+      table.inlinePrimaryKey.push(column.name);
+      column.nullable = 'NO';
+    } else if (stream.accept('UNIQUE')) {
+      stream.accept('KEY');
+      table.inlineUniqueKeys.push(column.name);
+    } else if (stream.accept('INVISIBLE')) {
+      invisible = true;
+    } else if (stream.accept('VISIBLE')) {
+      invisible = false;
+    } else if (stream.accept('COLUMN_FORMAT') || stream.accept('STORAGE') || stream.accept('SRID')) {
+      stream.next();
+    } else if (stream.accept('CHECK')) {
+      stream.group();
+      stream.accept('NOT');
+      stream.accept('ENFORCED');
+    } else if (stream.accept('CONSTRAINT')) {
+      if (!stream.is('CHECK')) stream.name();
+    } else if (stream.accept('REFERENCES')) {
+      // Inline REFERENCES clauses are parsed but ignored by MySQL
+      stream.qualifiedName();
+      if (stream.is('(')) stream.group();
+      if (stream.accept('MATCH')) stream.next();
+      while (stream.accept('ON')) {
+        stream.next();
+        const action = stream.next().upper;
+        if (action === 'SET' || action === 'NO') stream.next();
+      }
+    } else {
+      throw new Error(`Unsupported column attribute '${stream.peek().value}' for column ${column.name}`);
+    }
+  }
+
+  if (STRING_TYPES.includes(dataType.base)) {
+    charset = charset || (collation ? charsetOfCollation(collation) : table.charset);
+    collation = collation || (binary ? `${charset}_bin` : (charset === table.charset ? table.collation : defaultCollation(charset, defaults)));
+    column.charset = charset;
+    column.collation = collation;
+  }
+
+  if (generated) {
+    column.generationExpression = generated.expression;
+  }
+
+  const extra = [];
+  if (column.defaultGenerated) extra.push('DEFAULT_GENERATED');
+  if (autoIncrement) extra.push('auto_increment');
+  if (onUpdate) extra.push(`on update ${onUpdate}`);
+  if (generated) extra.push(`${generated.storage} GENERATED`);
+  if (invisible) extra.push('INVISIBLE');
+  column.extra = extra.join(' ');
+  delete column.defaultGenerated;
+
+  if (autoIncrement) table.hasAutoIncrement = true;
+
+  return column;
+}
+
+// Key parts of an index: `col`, `col`(10), `col` DESC or a functional (expression)
+function parseKeyParts(stream) {
+  return splitOnCommas(stream.group()).map(partTokens => {
+    const part = new TokenStream(stream.sql, partTokens);
+    const result = { column: null, expression: null, length: null, descending: false };
+
+    if (part.is('(')) {
+      result.expression = part.text(part.group());
+    } else {
+      result.column = part.name();
+      if (part.is('(')) result.length = Number(part.text(part.group()));
+    }
+
+    if (part.accept('DESC')) result.descending = true;
+    part.accept('ASC');
+    return result;
+  });
+}
+
+// USING BTREE, COMMENT '...', VISIBLE and other trailing index options
+function parseIndexOptions(stream, index) {
+  while (!stream.done()) {
+    if (stream.accept('USING')) {
+      index.type = stream.next().upper;
+    } else if (stream.accept('INVISIBLE')) {
+      index.visible = false;
+    } else if (stream.accept('VISIBLE')) {
+      index.visible = true;
+    } else if (stream.accept('COMMENT') || stream.accept('KEY_BLOCK_SIZE') || stream.accept('WITH', 'PARSER')) {
+      stream.accept('=');
+      stream.next();
+    } else {
+      throw new Error(`Unsupported index option '${stream.peek().value}' on ${index.name || 'index'}`);
+    }
+  }
+}
+
+function parseIndex(tokens, sql, table) {
+  const stream = new TokenStream(sql, tokens);
+  const index = { name: null, columns: [], parts: [], unique: false, primary: false, type: 'BTREE', visible: true, table: table.name };
+
+  if (stream.accept('CONSTRAINT')) {
+    if (!stream.is('PRIMARY') && !stream.is('UNIQUE')) index.name = stream.name();
+  }
+
+  if (stream.accept('PRIMARY', 'KEY')) {
+    index.primary = true;
+    index.unique = true;
+    index.name = 'PRIMARY';
+  } else if (stream.accept('UNIQUE')) {
+    index.unique = true;
+    stream.accept('INDEX') || stream.accept('KEY');
+  } else if (stream.is('FULLTEXT') || stream.is('SPATIAL')) {
+    index.type = stream.next().upper;
+    stream.accept('INDEX') || stream.accept('KEY');
+  } else {
+    stream.accept('INDEX') || stream.accept('KEY');
+  }
+
+  if (!index.primary && !stream.is('(') && !stream.is('USING')) {
+    index.name = stream.name();
+  }
+
+  if (stream.accept('USING')) index.type = stream.next().upper;
+
+  index.parts = parseKeyParts(stream);
+  index.columns = index.parts.map(part => part.column || `(${part.expression})`);
+  parseIndexOptions(stream, index);
+
+  return index;
+}
+
+function parseForeignKey(tokens, sql, table) {
+  const stream = new TokenStream(sql, tokens);
+  let name = null;
+
+  if (stream.accept('CONSTRAINT') && !stream.is('FOREIGN')) {
+    name = stream.name();
+  }
+  stream.expect('FOREIGN', 'KEY');
+
+  // The optional index name after FOREIGN KEY names the supporting index
+  const indexName = stream.is('(') ? null : stream.name();
+  const columns = splitOnCommas(stream.group()).map(part => new TokenStream(sql, part).name());
+
+  stream.expect('REFERENCES');
+  const referenced = stream.qualifiedName();
+  const referencedColumns = splitOnCommas(stream.group()).map(part => new TokenStream(sql, part).name());
+
+  const foreignKey = {
+    name,
+    indexName,
+    table: table.name,
+    columns,
+    referencedSchema: referenced.schema && referenced.schema !== table.schemaName ? referenced.schema : null,
+    referencedTable: referenced.name,
+    referencedColumns,
+    onUpdate: 'NO ACTION',
+    onDelete: 'NO ACTION'
+  };
+
+  if (stream.accept('MATCH')) stream.next();
+
+  while (stream.accept('ON')) {
+    const event = stream.next().upper;
+    let action = stream.next().upper;
+    if (action === 'SET' || action === 'NO') action += ` ${stream.next().upper}`;
+    if (event === 'DELETE') foreignKey.onDelete = action;
+    if (event === 'UPDATE') foreignKey.onUpdate = action;
+  }
+
+  return foreignKey;
+}
+
+function formatEngine(engine) {
+  return ENGINE_NAMES[engine.toLowerCase()] || engine;
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1).toLowerCase();
+}
+
+// Table options after the closing parenthesis of CREATE TABLE
+function parseTableOptions(stream, table, defaults) {
+  const options = { engine: 'InnoDB', collation: null, rowFormat: 'Dynamic', comment: '', autoIncrement: null };
+  let charset = null;
+  let collation = null;
+
+  while (!stream.done() && !stream.is('PARTITION')) {
+    if (stream.accept(',')) continue;
+    stream.accept('DEFAULT');
+
+    if (stream.accept('ENGINE') || stream.accept('TYPE')) {
+      stream.accept('=');
+      options.engine = formatEngine(stream.name());
+    } else if (stream.accept('CHARACTER', 'SET') || stream.accept('CHARSET')) {
+      stream.accept('=');
+      charset = stream.name().toLowerCase();
+    } else if (stream.accept('COLLATE')) {
+      stream.accept('=');
+      collation = stream.name().toLowerCase();
+    } else if (stream.accept('ROW_FORMAT')) {
+      stream.accept('=');
+      const rowFormat = stream.name();
+      options.rowFormat = rowFormat.toUpperCase() === 'DEFAULT' ? 'Dynamic' : capitalize(rowFormat);
+    } else if (stream.accept('COMMENT')) {
+      stream.accept('=');
+      options.comment = stream.next().value;
+    } else if (stream.accept('AUTO_INCREMENT')) {
+      stream.accept('=');
+      options.autoIncrement = Number(stream.next().value);
+    } else {
+      // Other options (STATS_PERSISTENT, KEY_BLOCK_SIZE, ENCRYPTION, ...) are not compared
+      stream.next();
+      stream.accept('=');
+      if (stream.is('(')) stream.group(); else stream.next();
+    }
+  }
+
+  table.charset = charset || (collation ? charsetOfCollation(collation) : defaults.charset);
+  table.collation = collation || defaultCollation(table.charset, defaults);
+  options.collation = table.collation;
+
+  return options;
+}
+
+function parsePartitionMethod(stream) {
+  let method = stream.accept('LINEAR') ? 'LINEAR ' : '';
+  method += stream.next().upper;
+  if (stream.accept('ALGORITHM')) {
+    stream.expect('=');
+    stream.next();
+  }
+  if (stream.accept('COLUMNS')) method += ' COLUMNS';
+  const expression = stream.is('(') ? stream.text(stream.group()) : '';
+  return { method, expression };
+}
+
+function parsePartitioning(stream) {
+  stream.expect('PARTITION', 'BY');
+  const { method, expression } = parsePartitionMethod(stream);
+  const result = { method, expression, subpartitionMethod: null, subpartitionExpression: null, partitions: [] };
+
+  let count = 0;
+  if (stream.accept('PARTITIONS')) count = Number(stream.next().value);
+
+  if (stream.accept('SUBPARTITION', 'BY')) {
+    const sub = parsePartitionMethod(stream);
+    result.subpartitionMethod = sub.method;
+    result.subpartitionExpression = sub.expression;
+    if (stream.accept('SUBPARTITIONS')) stream.next();
+  }
+
+  if (stream.is('(')) {
+    splitOnCommas(stream.group()).forEach(partTokens => {
+      const part = new TokenStream(stream.sql, partTokens);
+      part.expect('PARTITION');
+      const partition = { name: part.name(), description: null };
+
+      if (part.accept('VALUES', 'LESS', 'THAN')) {
+        partition.description = part.is('(') ? part.text(part.group()).replace(/\s*,\s*/g, ',') : part.next().upper;
+      } else if (part.accept('VALUES', 'IN')) {
+        partition.description = part.text(part.group()).replace(/\s*,\s*/g, ',');
+      }
+
+      result.partitions.push(partition);
+    });
+  } else {
+    for (let i = 0; i < Math.max(count, 1); i++) {
+      result.partitions.push({ name: `p${i}`, description: null });
+    }
+  }
+
+  return result;
+}
+
+// Put the pieces back together in SHOW CREATE TABLE layout (one definition per line,
+// named foreign key constraints), which is what the migration generator expects
+function formatCreateTable(table, definitions) {
+  const lines = definitions.map(definition => `  ${definition}`);
+  return `CREATE TABLE \`${table.name}\` (\n${lines.join(',\n')}\n)${table.optionsText ? ` ${table.optionsText}` : ''}` +
+    (table.options.partitionClause ? `\n${table.options.partitionClause}` : '');
+}
+
+function formatForeignKey(foreignKey) {
+  const columns = list => list.map(column => `\`${column}\``).join(', ');
+  const referencedTable = (foreignKey.referencedSchema ? `\`${foreignKey.referencedSchema}\`.` : '') + `\`${foreignKey.referencedTable}\``;
+  let sql = `CONSTRAINT \`${foreignKey.name}\` FOREIGN KEY (${columns(foreignKey.columns)}) REFERENCES ${referencedTable} (${columns(foreignKey.referencedColumns)})`;
+  if (foreignKey.onDelete !== 'NO ACTION') sql += ` ON DELETE ${foreignKey.onDelete}`;
+  if (foreignKey.onUpdate !== 'NO ACTION') sql += ` ON UPDATE ${foreignKey.onUpdate}`;
+  return sql;
+}
+
+// defaults: see getServerDefaults
+function parseCreateTable(statement, schemaName, defaults = getServerDefaults(null)) {
+  const stream = new TokenStream(statement);
+  stream.expect('CREATE');
+  if (stream.accept('TEMPORARY')) return null;
+  stream.expect('TABLE');
+  stream.accept('IF', 'NOT', 'EXISTS');
+
+  const { name } = stream.qualifiedName();
+  if (stream.is('LIKE') || !stream.is('(')) {
+    throw new Error(`CREATE TABLE ${name} must list its columns (CREATE TABLE ... LIKE/SELECT is not supported)`);
+  }
+
+  const table = { name, schemaName, inlineUniqueKeys: [], inlinePrimaryKey: null, hasAutoIncrement: false };
+  const definitionTokens = splitOnCommas(stream.group());
+
+  const optionsStart = stream.position;
+  // Options have to be known before the columns, as they provide the default character set
+  table.options = parseTableOptions(stream, table, defaults);
+  table.optionsText = stream.text(stream.tokens.slice(optionsStart, stream.position)).replace(/\s+/g, ' ').trim();
+
+  table.options.partitioning = null;
+  table.options.partitionClause = null;
+  if (stream.is('PARTITION', 'BY')) {
+    const partitioning = parsePartitioning(stream);
+    table.options.partitioning = formatPartitioning(partitioning);
+    table.options.partitionClause = extractPartitionClause(statement);
+  }
+
+  table.columns = [];
+  table.indexes = [];
+  table.foreignKeys = [];
+  const definitions = [];
+
+  definitionTokens.forEach(tokens => {
+    const definition = new TokenStream(statement, tokens);
+    const text = definition.text(tokens).replace(/\s*\n\s*/g, ' ');
+
+    // Column names that are keywords must be quoted, so a bare keyword starts a constraint or index
+    let offset = 0;
+    if (definition.is('CONSTRAINT')) {
+      offset = ['PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK'].some(keyword => definition.is('CONSTRAINT', keyword)) ? 1 : 2;
+    }
+    const keyword = definition.peek(offset);
+    const keywordValue = keyword && keyword.type === 'word' ? keyword.upper : null;
+
+    if (keywordValue === 'FOREIGN') {
+      table.foreignKeys.push(parseForeignKey(tokens, statement, table));
+    } else if (keywordValue === 'CHECK') {
+      definitions.push(text);
+    } else if (['PRIMARY', 'UNIQUE', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL'].includes(keywordValue)) {
+      table.indexes.push(parseIndex(tokens, statement, table));
+      definitions.push(text);
+    } else {
+      table.columns.push(parseColumn(tokens, statement, table, defaults));
+      definitions.push(text);
+    }
+  });
+
+  if (table.inlinePrimaryKey) {
+    table.indexes.unshift({
+      name: 'PRIMARY',
+      columns: table.inlinePrimaryKey,
+      parts: table.inlinePrimaryKey.map(column => ({ column, expression: null, length: null, descending: false })),
+      unique: true,
+      primary: true,
+      type: 'BTREE',
+      visible: true,
+      table: name
+    });
+  }
+
+  // Primary key columns are always NOT NULL
+  const primary = table.indexes.find(index => index.primary);
+  if (primary) {
+    table.columns
+      .filter(column => primary.columns.includes(column.name))
+      .forEach(column => { column.nullable = 'NO'; });
+  }
+
+  // Unnamed indexes are named after their first column, with a numeric suffix on collisions
+  const usedNames = new Set(table.indexes.filter(index => index.name).map(index => index.name.toLowerCase()));
+  const uniqueName = base => {
+    let candidate = base;
+    for (let suffix = 2; usedNames.has(candidate.toLowerCase()); suffix++) {
+      candidate = `${base}_${suffix}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  };
+
+  table.inlineUniqueKeys.forEach(column => {
+    table.indexes.push({
+      name: null,
+      columns: [column],
+      parts: [{ column, expression: null, length: null, descending: false }],
+      unique: true,
+      primary: false,
+      type: 'BTREE',
+      visible: true,
+      table: name
+    });
+  });
+
+  table.indexes
+    .filter(index => !index.name)
+    .forEach(index => { index.name = uniqueName(index.parts[0].column || 'functional_index'); });
+
+  // InnoDB creates an index for foreign key columns that are not already the prefix of an index,
+  // named after the constraint (or its first column when the constraint is unnamed)
+  table.foreignKeys.forEach(foreignKey => {
+    const covered = table.indexes.some(index =>
+      foreignKey.columns.every((column, position) => index.parts[position] && index.parts[position].column === column)
+    );
+    if (!covered) {
+      const indexName = uniqueName(foreignKey.indexName || foreignKey.name || foreignKey.columns[0]);
+      table.indexes.push({
+        name: indexName,
+        columns: [...foreignKey.columns],
+        parts: foreignKey.columns.map(column => ({ column, expression: null, length: null, descending: false })),
+        unique: false,
+        primary: false,
+        type: 'BTREE',
+        visible: true,
+        table: name
+      });
+      definitions.push(`KEY \`${indexName}\` (${foreignKey.columns.map(column => `\`${column}\``).join(', ')})`);
+    }
+    delete foreignKey.indexName;
+  });
+
+  // Unnamed foreign keys get InnoDB's <table>_ibfk_<n> names
+  let foreignKeyNumber = 0;
+  table.foreignKeys.forEach(foreignKey => {
+    if (!foreignKey.name) foreignKey.name = `${name}_ibfk_${++foreignKeyNumber}`;
+  });
+
+  // Indexes are reported with PRIMARY first, as SHOW INDEX does
+  table.indexes.sort((a, b) => Number(b.primary) - Number(a.primary));
+
+  if (table.options.autoIncrement === null && table.hasAutoIncrement) {
+    table.options.autoIncrement = 1;
+  }
+
+  table.foreignKeys.forEach(foreignKey => definitions.push(formatForeignKey(foreignKey)));
+  table.createStatement = formatCreateTable(table, definitions);
+
+  return {
+    name,
+    createStatement: table.createStatement,
+    columns: table.columns,
+    indexes: table.indexes,
+    foreignKeys: table.foreignKeys,
+    options: table.options
+  };
+}
+
+// Name of the view, routine, trigger or event created by a CREATE statement
+function parseSchemaObjectHeader(statement) {
+  const stream = new TokenStream(statement);
+  stream.expect('CREATE');
+  stream.accept('OR', 'REPLACE');
+
+  // Skip ALGORITHM=..., DEFINER=user@host, SQL SECURITY ... and AGGREGATE
+  for (;;) {
+    if (stream.accept('ALGORITHM')) {
+      stream.expect('=');
+      stream.next();
+    } else if (stream.accept('DEFINER')) {
+      stream.expect('=');
+      stream.next();
+      if (stream.accept('@')) stream.next();
+      if (stream.is('(')) stream.group();
+    } else if (stream.accept('SQL', 'SECURITY')) {
+      stream.next();
+    } else if (!stream.accept('AGGREGATE')) {
+      break;
+    }
+  }
+
+  const token = stream.next();
+  if (!token || token.type !== 'word' || !SCHEMA_OBJECT_TYPES.includes(token.upper)) {
+    return null;
+  }
+
+  stream.accept('IF', 'NOT', 'EXISTS');
+  return { type: token.upper, name: stream.qualifiedName().name };
+}
+
+// Replay a schema script: later statements override earlier ones, as they would on a server.
+// server ({ flavor, version }, see parseServerVersion) provides the defaults the script leaves out.
+function parseSchema(sql, { server = null } = {}) {
+  const schema = { schemaName: null, tables: new Map(), objects: new Map(), warnings: [] };
+  const defaults = getServerDefaults(server);
+
+  splitStatements(unwrapExecutableComments(sql)).forEach(statement => {
+    const words = (statement.match(/^[a-z_]+(\s+[a-z_]+){0,6}/i) || [''])[0].toUpperCase().split(/\s+/);
+    const stream = new TokenStream(statement);
+
+    try {
+      if (words[0] === 'USE') {
+        stream.next();
+        schema.schemaName = stream.name();
+      } else if (words[0] === 'CREATE' && (words[1] === 'TABLE' || (words[1] === 'TEMPORARY' && words[2] === 'TABLE'))) {
+        const table = parseCreateTable(statement, schema.schemaName, defaults);
+        if (table) schema.tables.set(table.name, table);
+      } else if (words[0] === 'CREATE' && (words[1] === 'DATABASE' || words[1] === 'SCHEMA')) {
+        // Databases are not compared
+      } else if (words[0] === 'CREATE') {
+        const header = parseSchemaObjectHeader(statement);
+        if (header) {
+          schema.objects.set(`${header.type}:${header.name}`, { ...header, createStatement: statement });
+        } else {
+          schema.warnings.push(`Skipped unsupported statement: ${statement.split('\n')[0]}`);
+        }
+      } else if (words[0] === 'DROP' && words[1] === 'TABLE' || words[0] === 'DROP' && words[1] === 'TEMPORARY') {
+        stream.expect('DROP');
+        stream.accept('TEMPORARY');
+        stream.expect('TABLE');
+        stream.accept('IF', 'EXISTS');
+        do {
+          schema.tables.delete(stream.qualifiedName().name);
+        } while (stream.accept(','));
+      } else if (words[0] === 'DROP' && SCHEMA_OBJECT_TYPES.includes(words[1])) {
+        stream.expect('DROP');
+        const type = stream.next().upper;
+        stream.accept('IF', 'EXISTS');
+        do {
+          schema.objects.delete(`${type}:${stream.qualifiedName().name}`);
+        } while (stream.accept(','));
+      } else if (words[0] === 'ALTER' && /^ALTER\s+TABLE\s+\S+\s+(DISABLE|ENABLE)\s+KEYS$/i.test(statement)) {
+        // mysqldump wraps data loads in DISABLE/ENABLE KEYS
+      } else if (['ALTER', 'RENAME'].includes(words[0])) {
+        schema.warnings.push(`Skipped unsupported statement: ${statement.split('\n')[0]}`);
+      }
+      // SET, LOCK, INSERT and other data or session statements do not affect the schema
+    } catch (error) {
+      throw new Error(`${error.message} in statement: ${statement.split('\n')[0]}`);
+    }
+  });
+
+  return schema;
+}
+
+module.exports = {
+  parseSchema,
+  parseCreateTable,
+  splitStatements
+};
@@ -0,0 +1,91 @@
+// Helpers shared by the schema sources
+
+// Remove DEFINER clauses and references to the source's own schema, so that
+// the same object compares equal across databases with different names and users
+function stripDefinerAndSchema(createStatement, schemaName) {
+  const stripped = createStatement
+    .replace(/\s+DEFINER\s*=\s*(`[^`]*`|'[^']*'|[^\s@]+)@(`[^`]*`|'[^']*'|[^\s]+)/gi, '');
+
+  return schemaName ? stripped.split(`\`${schemaName}\`.`).join('') : stripped;
+}
+
+function normalizeDefinition(createStatement) {
+  return createStatement.replace(/\s+/g, ' ').trim();
+}
+
+// Comparable description of a table's partitioning, e.g. "RANGE (year(`created`)) [p0(2020), p1(MAXVALUE)]"
+function formatPartitioning({ method, expression, subpartitionMethod, subpartitionExpression, partitions }) {
+  const names = [...new Set(partitions.map(partition => partition.description ? `${partition.name}(${partition.description})` : partition.name))];
+
+  return `${method} (${expression})` +
+    (subpartitionMethod ? ` SUBPARTITION BY ${subpartitionMethod} (${subpartitionExpression})` : '') +
+    ` [${names.join(', ')}]`;
+}
+
+// The PARTITION BY clause at the end of a CREATE TABLE statement, without version comment markers
+function extractPartitionClause(createStatement) {
+  const match = createStatement.match(/(?:\/\*!\d+\s*)?(PARTITION BY[\s\S]*?)(?:\s*\*\/)?\s*;?\s*$/i);
+  return match ? match[1] : null;
+}
+
+// Index columns as they appear in CREATE INDEX, e.g. "`name`(10), (lower(`email`)) DESC"
+function formatIndexParts(index) {
+  return index.parts.map(part => {
+    let sql = part.column ? `\`${part.column}\`` : `(${part.expression})`;
+    if (part.length) sql += `(${part.length})`;
+    if (part.descending) sql += ' DESC';
+    return sql;
+  }).join(', ');
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Line of a change's definition in a schema file: the CREATE statement of its table or object,
+// then the line of the column, index or foreign key inside that statement. Defaults to line 1.
+function findDefinitionLine(sql, change) {
+  const createType = change.table ? 'TABLE' : change.objectType.toUpperCase();
+  const name = escapeRegExp(change.table || change.name);
+  const create = new RegExp(`CREATE\\b[^;]*?\\b${createType}\\s+(?:IF\\s+NOT\\s+EXISTS\\s+)?(?:\`?\\w+\`?\\.)?\`?${name}\`?(?![\\w$])`, 'i').exec(sql);
+  if (!create) return 1;
+
+  let offset = create.index;
+  if (change.table && !['table', 'table-options'].includes(change.objectType)) {
+    const statementEnd = sql.indexOf(';', offset);
+    const statement = sql.slice(offset, statementEnd === -1 ? undefined : statementEnd);
+    const member = new RegExp(`(?<![\\w$])\`?${escapeRegExp(change.name)}\`?(?![\\w$])`, 'i').exec(statement.slice(create[0].length));
+    if (member) offset += create[0].length + member.index;
+  }
+
+  return sql.slice(0, offset).split('\n').length;
+}
+
+// How the values of a column type are read and written as text (reference data): binary strings
+// and spatial types as hex, BIT as binary digits, numbers unquoted, everything else as a string
+function getValueEncoding(type) {
+  if (/^(binary|varbinary|tinyblob|blob|mediumblob|longblob|geometry|point|linestring|polygon|multipoint|multilinestring|multipolygon|geometrycollection|geomcollection)\b/i.test(type)) return 'hex';
+  if (/^bit\b/i.test(type)) return 'bit';
+  if (/^(tinyint|smallint|mediumint|int|integer|bigint|decimal|numeric|float|double|real|year)\b/i.test(type)) return 'number';
+  return 'string';
+}
+
+// SELECT expression that reads a column ({ name, type }) as text in its encoding
+function formatValueExpression(column) {
+  const name = `\`${column.name}\``;
+  const encoding = getValueEncoding(column.type);
+  if (encoding === 'hex') return `HEX(${name})`;
+  if (encoding === 'bit') return `BIN(${name})`;
+  return `CAST(${name} AS CHAR)`;
+}
+
+module.exports = {
+  stripDefinerAndSchema,
+  normalizeDefinition,
+  formatPartitioning,
+  extractPartitionClause,
+  formatIndexParts,
+  findDefinitionLine,
+  getValueEncoding,
+  formatValueExpression
+};
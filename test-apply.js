@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+
+// Integration test of apply mode against the two MySQL servers of docker-compose.yml:
+//   docker compose up -d
+//   npm run test-apply
+// Creates the databases apply_main and apply_dev, runs the migration against apply_main and checks
+// that it is applied and verified, and that a failing statement stops the run with the statements
+// after it left out. Drops the databases again.
+const assert = require('assert/strict');
+const mysql = require('mysql2/promise');
+const chalk = require('chalk');
+const { SchemaChecker } = require('./lib');
+
+const SERVERS = {
+  main: { host: process.env.MAIN_DB_HOST || '127.0.0.1', port: Number(process.env.MAIN_DB_PORT) || 3307, database: 'apply_main' },
+  dev: { host: process.env.DEV_DB_HOST || '127.0.0.1', port: Number(process.env.DEV_DB_PORT) || 3308, database: 'apply_dev' }
+};
+
+// Main lacks a table, a column, a unique index and a foreign key of dev. The migration runs them in
+// that order: CREATE TABLE invoices, ALTER TABLE orders (column), ALTER TABLE customers (unique
+// index), ALTER TABLE orders (foreign key).
+const MAIN_SCHEMA = `
+  CREATE TABLE customers (
+    id INT NOT NULL AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL,
+    PRIMARY KEY (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+  CREATE TABLE orders (
+    id INT NOT NULL AUTO_INCREMENT,
+    customer_id INT NOT NULL,
+    PRIMARY KEY (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci`;
+
+const DEV_SCHEMA = `
+  CREATE TABLE customers (
+    id INT NOT NULL AUTO_INCREMENT,
+    email VARCHAR(255) NOT NULL,
+    PRIMARY KEY (id),
+    UNIQUE KEY uq_customers_email (email)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+  CREATE TABLE orders (
+    id INT NOT NULL AUTO_INCREMENT,
+    customer_id INT NOT NULL,
+    note VARCHAR(255) NULL,
+    PRIMARY KEY (id),
+    KEY fk_orders_customer (customer_id),
+    CONSTRAINT fk_orders_customer FOREIGN KEY (customer_id) REFERENCES customers (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci;
+  CREATE TABLE invoices (
+    id INT NOT NULL AUTO_INCREMENT,
+    order_id INT NOT NULL,
+    PRIMARY KEY (id)
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci`;
+
+async function withConnection(side, callback) {
+  const { database, ...server } = SERVERS[side];
+  const connection = await mysql.createConnection({ ...server, user: 'root', password: 'root', multipleStatements: true });
+
+  try {
+    return await callback(connection, database);
+  } finally {
+    await connection.end();
+  }
+}
+
+async function createSchema(side, sql) {
+  await withConnection(side, async (connection, database) => {
+    await connection.query(`DROP DATABASE IF EXISTS \`${database}\``);
+    await connection.query(`CREATE DATABASE \`${database}\``);
+    await connection.query(`USE \`${database}\``);
+    await connection.query(sql);
+  });
+}
+
+async function dropSchema(side) {
+  await withConnection(side, (connection, database) => connection.query(`DROP DATABASE IF EXISTS \`${database}\``));
+}
+
+async function hasForeignKey(name) {
+  return withConnection('main', async (connection, database) => {
+    const [rows] = await connection.query(
+      'SELECT 1 FROM information_schema.TABLE_CONSTRAINTS WHERE CONSTRAINT_SCHEMA = ? AND CONSTRAINT_NAME = ? AND CONSTRAINT_TYPE = ?',
+      [database, name, 'FOREIGN KEY']
+    );
+    return rows.length > 0;
+  });
+}
+
+// Seed both databases (mainRows: extra SQL for main), then compare and apply like the action does
+async function runApply(mainRows = '') {
+  await Promise.all([createSchema('main', MAIN_SCHEMA + ';' + mainRows), createSchema('dev', DEV_SCHEMA)]);
+
+  const checker = new SchemaChecker({ applyMode: 'apply' });
+  try {
+    await checker.connect(
+      { type: 'database', ...SERVERS.main, user: 'root', password: 'root' },
+      { type: 'database', ...SERVERS.dev, user: 'root', password: 'root' }
+    );
+    const result = await checker.checkAndReport();
+    return await checker.applyMigration(result);
+  } finally {
+    await checker.disconnect();
+  }
+}
+
+const TESTS = [
+  ['applies every statement and verifies that main is in sync', async () => {
+    const applyResult = await runApply("INSERT INTO customers (email) VALUES ('a@example.com'), ('b@example.com')");
+
+    assert.equal(applyResult.status, 'applied');
+    assert.equal(applyResult.statements.length, 4);
+    assert.equal(applyResult.applied.length, 4);
+    assert.equal(applyResult.failed, null);
+    assert.ok(applyResult.verification, 'main is compared again after the apply');
+    assert.equal(applyResult.verification.isInSync, true);
+    assert.equal(await hasForeignKey('fk_orders_customer'), true);
+  }],
+
+  ['stops at the failing statement and leaves the rest unapplied', async () => {
+    // Duplicate e-mails make the unique index, the third statement, fail
+    const applyResult = await runApply("INSERT INTO customers (email) VALUES ('a@example.com'), ('a@example.com')");
+
+    assert.equal(applyResult.status, 'failed');
+    assert.match(applyResult.failed.statement.sql, /uq_customers_email/);
+    assert.match(applyResult.failed.error, /Duplicate entry/);
+    assert.deepEqual(applyResult.applied, applyResult.statements.slice(0, 2));
+    assert.equal(applyResult.verification, null, 'a failed apply is not verified');
+    assert.equal(await hasForeignKey('fk_orders_customer'), false);
+  }]
+];
+
+async function runTests() {
+  let failures = 0;
+
+  try {
+    for (const [name, test] of TESTS) {
+      console.log(chalk.blue(`\n🧪 ${name}\n`));
+      try {
+        await test();
+        console.log(chalk.green(`\n✅ ${name}`));
+      } catch (error) {
+        failures++;
+        console.log(chalk.red(`\n❌ ${name}: ${error.message}`));
+      }
+    }
+  } finally {
+    await Promise.all([dropSchema('main'), dropSchema('dev')]);
+  }
+
+  console.log(failures === 0
+    ? chalk.green(`\n✅ All ${TESTS.length} apply tests passed`)
+    : chalk.red(`\n❌ ${failures} of ${TESTS.length} apply tests failed`));
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error(chalk.red(`❌ Apply tests failed: ${error.message}`));
+  process.exit(1);
+});
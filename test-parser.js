@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+// Checks the schema file parser against MySQL. Each test-fixtures/*.sql is parsed and compared with
+// test-fixtures/snapshots/<name>.json, a snapshot of the same file loaded into a MySQL 8.0 server.
+// Runs offline and exits with 1 if a fixture has differences or no snapshot:
+//   npm run test-parser
+// With --update, each fixture is loaded into the database parser_fixture on the main server of
+// docker-compose.yml with the mysql client (which handles DELIMITER), and its snapshot is taken again:
+//   docker compose up -d
+//   npm run test-parser -- --update
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const chalk = require('chalk');
+const { SqlFileSource, SnapshotSource, compareSchemas, connectDatabase, writeSnapshot } = require('./lib');
+const { formatChangeMessage } = require('./lib/compare');
+
+const FIXTURES = path.join(__dirname, 'test-fixtures');
+const SNAPSHOTS = path.join(FIXTURES, 'snapshots');
+const DATABASE = 'parser_fixture';
+const SERVER = { host: process.env.MAIN_DB_HOST || '127.0.0.1', port: Number(process.env.MAIN_DB_PORT) || 3307, user: 'root', password: 'root' };
+
+function snapshotPath(fixture) {
+  return path.join(SNAPSHOTS, fixture.replace(/\.sql$/, '.json'));
+}
+
+// Run SQL with the mysql client of the mysql-main container
+function runMysql(args, input) {
+  execFileSync('docker', ['compose', 'exec', '-T', 'mysql-main', 'mysql', '-uroot', '-proot', ...args], {
+    cwd: __dirname,
+    input,
+    stdio: ['pipe', 'inherit', 'inherit']
+  });
+}
+
+async function updateSnapshot(fixture) {
+  runMysql(['-e', `DROP DATABASE IF EXISTS \`${DATABASE}\`; CREATE DATABASE \`${DATABASE}\``]);
+  try {
+    runMysql([DATABASE], fs.readFileSync(path.join(FIXTURES, fixture)));
+    const source = await connectDatabase({ type: 'database', ...SERVER, database: DATABASE }, { label: fixture });
+    try {
+      console.log(chalk.gray(`📸 Wrote ${path.relative(__dirname, await writeSnapshot(source, snapshotPath(fixture)))}`));
+    } finally {
+      await source.end();
+    }
+  } finally {
+    runMysql(['-e', `DROP DATABASE IF EXISTS \`${DATABASE}\``]);
+  }
+}
+
+// Differences between the parsed fixture and its snapshot, as change messages
+async function checkFixture(fixture) {
+  if (!fs.existsSync(snapshotPath(fixture))) {
+    return [`No snapshot ${path.relative(__dirname, snapshotPath(fixture))} (run with --update)`];
+  }
+
+  const parsed = SqlFileSource.load(path.join(FIXTURES, fixture));
+  const result = await compareSchemas(parsed, SnapshotSource.load(snapshotPath(fixture)), { detectRenames: false });
+  return [...parsed.warnings, ...result.changes.map(formatChangeMessage)];
+}
+
+async function runTests() {
+  const fixtures = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.sql')).sort();
+  let failures = 0;
+
+  for (const fixture of fixtures) {
+    if (process.argv.includes('--update')) {
+      await updateSnapshot(fixture);
+    }
+
+    const differences = await checkFixture(fixture);
+    if (differences.length === 0) {
+      console.log(chalk.green(`✅ ${fixture}`));
+    } else {
+      failures++;
+      console.log(chalk.red(`❌ ${fixture}`));
+      differences.forEach(difference => console.log(chalk.red(`   - ${difference}`)));
+    }
+  }
+
+  console.log(failures === 0
+    ? chalk.green(`\n✅ All ${fixtures.length} schema files match their snapshots`)
+    : chalk.red(`\n❌ ${failures} of ${fixtures.length} schema files differ from their snapshots`));
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+runTests().catch(error => {
+  console.error(chalk.red(`❌ Parser tests failed: ${error.message}`));
+  process.exit(1);
+});